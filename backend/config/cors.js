@@ -0,0 +1,58 @@
+/**
+ * Allowed Browser Origins
+ *
+ * Origins allowed to call the API with credentials, used by CORS in
+ * server.js and by the Origin check of middleware/csrf.js. Only exact
+ * origins are allowed; there are no wildcard domains, since any site on
+ * a shared domain (e.g. every *.vercel.app deployment) could then read
+ * responses, including the CSRF token.
+ *
+ * - The production frontend
+ * - FRONTEND_URL
+ * - CORS_ORIGINS: comma-separated extra origins, e.g. a preview deployment
+ * - Outside production: localhost / 127.0.0.1 on any port
+ */
+
+const { frontendUrl } = require('../utils/emailTemplates');
+
+const PRODUCTION_FRONTEND = 'https://secure-sphere-login-page-frontend.vercel.app';
+
+const LOCALHOST = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+/**
+ * Strip a trailing slash, so "https://example.com/" matches "https://example.com"
+ * @param {string} origin
+ * @returns {string}
+ */
+const normalizeOrigin = (origin) => String(origin).trim().replace(/\/$/, '');
+
+/**
+ * Explicitly allowed origins
+ * @returns {string[]}
+ */
+const getAllowedOrigins = () => [
+    PRODUCTION_FRONTEND,
+    frontendUrl(),
+    ...(process.env.CORS_ORIGINS || '').split(',')
+]
+    .map(normalizeOrigin)
+    .filter(Boolean);
+
+/**
+ * Whether a browser origin may make credentialed requests
+ * @param {string} origin - Value of the Origin header
+ * @returns {boolean}
+ */
+const isAllowedOrigin = (origin) => {
+    const incoming = normalizeOrigin(origin);
+
+    if (process.env.NODE_ENV !== 'production' && LOCALHOST.test(incoming)) {
+        return true;
+    }
+    return getAllowedOrigins().includes(incoming);
+};
+
+module.exports = {
+    getAllowedOrigins,
+    isAllowedOrigin
+};
@@ -6,6 +6,28 @@
  */
 
 const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+/**
+ * Seed default roles and grant "admin" to bootstrap accounts (ADMIN_EMAILS)
+ * @returns {Promise<void>}
+ */
+const seedRoles = async () => {
+    await Role.seedDefaults();
+
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (adminEmails.length > 0) {
+        await User.updateMany(
+            { email: { $in: adminEmails } },
+            { $addToSet: { roles: 'admin' } }
+        );
+    }
+};
 
 /**
  * Connect to MongoDB database
@@ -19,6 +41,8 @@ const connectDB = async () => {
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
         console.log(`📊 Database: ${conn.connection.name}`);
 
+        await seedRoles();
+
         // Connection event listeners
         mongoose.connection.on('error', (err) => {
             console.error('❌ MongoDB connection error:', err);
@@ -0,0 +1,55 @@
+/**
+ * OpenID Connect Provider Configuration
+ * 
+ * External identity providers are enabled with OIDC_PROVIDERS, a
+ * comma-separated list of ids. Each id is configured with variables
+ * prefixed by its upper-cased name, e.g. for "google":
+ * - OIDC_GOOGLE_ISSUER:        issuer URL (discovery document is fetched from it)
+ * - OIDC_GOOGLE_CLIENT_ID:     client id registered with the provider
+ * - OIDC_GOOGLE_CLIENT_SECRET: client secret (omit for public clients)
+ * - OIDC_GOOGLE_NAME:          label for the login button (default: the id)
+ * - OIDC_GOOGLE_SCOPES:        requested scopes (default "openid email profile")
+ * - OIDC_GOOGLE_REDIRECT_URI:  callback URL (default: derived from the request)
+ */
+
+/**
+ * Environment variable prefix for a provider id
+ * @param {string} id
+ * @returns {string}
+ */
+const envPrefix = (id) => `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+/**
+ * Read every configured provider
+ * Providers without an issuer or client id are ignored.
+ * @returns {object[]}
+ */
+const getProviders = () => (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(id => /^[a-z0-9-]+$/.test(id))
+    .map(id => {
+        const prefix = envPrefix(id);
+        return {
+            id,
+            name: process.env[`${prefix}NAME`] || id,
+            issuer: (process.env[`${prefix}ISSUER`] || '').replace(/\/$/, ''),
+            clientId: process.env[`${prefix}CLIENT_ID`],
+            clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+            scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+            redirectUri: process.env[`${prefix}REDIRECT_URI`] || null
+        };
+    })
+    .filter(provider => provider.issuer && provider.clientId);
+
+/**
+ * Find a configured provider by id
+ * @param {string} id
+ * @returns {object|null}
+ */
+const getProvider = (id) => getProviders().find(provider => provider.id === String(id).toLowerCase()) || null;
+
+module.exports = {
+    getProviders,
+    getProvider
+};
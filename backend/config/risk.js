@@ -0,0 +1,82 @@
+/**
+ * Login Risk Scoring Configuration
+ *
+ * Every login is scored by utils/riskEngine.js. Each rule whose signal
+ * fires adds its weight to the score (capped at 100), and the score picks
+ * the action:
+ * - below RISK_CHALLENGE_SCORE: allow
+ * - from RISK_CHALLENGE_SCORE:  challenge (second factor, or an emailed code)
+ * - from RISK_BLOCK_SCORE:      block, unless only novelty and travel
+ *                               rules fired (then challenge)
+ *
+ * - RISK_SCORING:                  "false" turns scoring off (default on)
+ * - RISK_CHALLENGE_SCORE:          challenge threshold (default 50)
+ * - RISK_BLOCK_SCORE:              block threshold (default 90; above 100 never blocks)
+ * - RISK_WEIGHTS:                  weight overrides, e.g. "newSubnet:30,unusualHour:0"
+ *                                  (0 turns a rule off)
+ * - RISK_HISTORY_DAYS:             days of login history to compare against (default 90)
+ * - RISK_UNUSUAL_HOUR_MIN_LOGINS:  logins needed before hours count as unusual (default 10)
+ * - RISK_TRAVEL_MAX_SPEED:         fastest plausible travel in km/h (default 900)
+ * - RISK_FAILURE_BURST:            failed logins that make a burst (default 5)
+ * - RISK_FAILURE_WINDOW:           burst window in minutes (default 15)
+ */
+
+const DEFAULT_WEIGHTS = {
+    newIp: 10,
+    newSubnet: 20,
+    newUserAgent: 15,
+    unusualHour: 10,
+    impossibleTravel: 50,
+    failureBurst: 30
+};
+
+/**
+ * Parse "rule:weight" pairs, ignoring unknown rules and bad numbers
+ * @param {string} value
+ * @returns {object}
+ */
+const parseWeights = (value) => (value || '')
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([rule, weight]) => rule in DEFAULT_WEIGHTS && weight !== '' && Number.isFinite(Number(weight)))
+    .reduce((weights, [rule, weight]) => ({ ...weights, [rule]: Number(weight) }), {});
+
+/**
+ * Current risk scoring settings
+ * @returns {object}
+ */
+const getRiskConfig = () => {
+    const weights = { ...DEFAULT_WEIGHTS, ...parseWeights(process.env.RISK_WEIGHTS) };
+
+    return {
+        enabled: process.env.RISK_SCORING !== 'false',
+        challengeScore: Number(process.env.RISK_CHALLENGE_SCORE || 50),
+        blockScore: Number(process.env.RISK_BLOCK_SCORE || 90),
+        historyDays: Number(process.env.RISK_HISTORY_DAYS || 90),
+        rules: {
+            newIp: { weight: weights.newIp },
+            newSubnet: { weight: weights.newSubnet },
+            newUserAgent: { weight: weights.newUserAgent },
+            unusualHour: {
+                weight: weights.unusualHour,
+                minLogins: Number(process.env.RISK_UNUSUAL_HOUR_MIN_LOGINS || 10),
+                toleranceHours: 1
+            },
+            impossibleTravel: {
+                weight: weights.impossibleTravel,
+                maxSpeedKmh: Number(process.env.RISK_TRAVEL_MAX_SPEED || 900),
+                minDistanceKm: 300 // below this, GeoIP is too coarse to tell
+            },
+            failureBurst: {
+                weight: weights.failureBurst,
+                threshold: Number(process.env.RISK_FAILURE_BURST || 5),
+                windowMinutes: Number(process.env.RISK_FAILURE_WINDOW || 15)
+            }
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    getRiskConfig
+};
@@ -0,0 +1,187 @@
+/**
+ * Account Controller
+ * 
+ * Data-subject requests for the logged-in user:
+ * - Export all stored personal data
+ * - Schedule account deletion (with a grace period)
+ * - Cancel a scheduled deletion
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const ApiKey = require('../models/ApiKey');
+const Device = require('../models/Device');
+const AuthEvent = require('../models/AuthEvent');
+const { clearAuthCookies } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordAuthEvent } = require('../utils/auditLog');
+const { deletionGracePeriodMs } = require('../utils/accountPurge');
+
+/**
+ * @desc    Download everything stored about the current user as JSON
+ * @route   GET /api/auth/export
+ * @access  Private
+ */
+exports.exportData = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const [events, sessions, passkeys, apiKeys, devices] = await Promise.all([
+            AuthEvent.find({ user: user._id }).sort({ createdAt: -1 }),
+            Session.find({ user: user._id }).sort({ createdAt: -1 }),
+            WebAuthnCredential.find({ user: user._id }).sort({ createdAt: -1 }),
+            ApiKey.find({ user: user._id }).sort({ createdAt: -1 }),
+            Device.find({ user: user._id, verified: true }).sort({ firstSeenAt: -1 })
+        ]);
+
+        recordAuthEvent(req, { type: 'data_exported', outcome: 'success', user: user._id, email: user.email });
+
+        const archive = {
+            exportedAt: new Date().toISOString(),
+            profile: user.getPublicProfile(),
+            loginHistory: events.map(event => ({
+                ...event.toPublicJSON(),
+                email: event.email,
+                metadata: event.metadata
+            })),
+            sessions: sessions.map(session => ({
+                ...session.toPublicJSON(req.authSession.jti),
+                revokedAt: session.revokedAt
+            })),
+            passkeys: passkeys.map(passkey => passkey.toPublicJSON()),
+            apiKeys: apiKeys.map(apiKey => apiKey.toPublicJSON()),
+            devices: devices.map(device => device.toPublicJSON())
+        };
+
+        const filename = `securesphere-export-${archive.exportedAt.slice(0, 10)}.json`;
+
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(archive);
+
+    } catch (error) {
+        console.error('Data export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error exporting data',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Schedule the current user's account for deletion
+ *          Data is purged once the grace period ends, unless cancelled.
+ * @route   DELETE /api/auth/account
+ * @access  Private (requires current password)
+ */
+exports.deleteAccount = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+            recordAuthEvent(req, {
+                type: 'account_deletion_requested',
+                outcome: 'failure',
+                user: user._id,
+                email: user.email,
+                reason: 'invalid_password'
+            });
+            return res.status(401).json({
+                success: false,
+                errors: [{ path: 'password', msg: 'Incorrect password' }],
+                message: 'Incorrect password'
+            });
+        }
+
+        if (!user.deletionScheduledFor) {
+            user.deletionRequestedAt = new Date();
+            user.deletionScheduledFor = new Date(Date.now() + deletionGracePeriodMs());
+            await user.save({ validateBeforeSave: false });
+        }
+
+        // Sign out everywhere; logging in again is how the user can cancel
+        await Session.revokeAllForUser(user._id);
+        await ApiKey.deleteMany({ user: user._id });
+        clearAuthCookies(res);
+
+        recordAuthEvent(req, {
+            type: 'account_deletion_requested',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { scheduledFor: user.deletionScheduledFor }
+        });
+
+        sendMail({ to: user.email, ...emailTemplates.accountDeletionScheduled(user, user.deletionScheduledFor) })
+            .catch(mailError => console.error('Account deletion email error:', mailError));
+
+        res.status(200).json({
+            success: true,
+            message: 'Your account is scheduled for deletion. Log in before the date below to cancel.',
+            deletionScheduledFor: user.deletionScheduledFor
+        });
+
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   POST /api/auth/account/restore
+ * @access  Private
+ */
+exports.cancelDeletion = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user || !user.deletionScheduledFor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Account is not scheduled for deletion'
+            });
+        }
+
+        user.deletionRequestedAt = null;
+        user.deletionScheduledFor = null;
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, { type: 'account_deletion_cancelled', outcome: 'success', user: user._id, email: user.email });
+
+        res.status(200).json({
+            success: true,
+            message: 'Account deletion cancelled',
+            user: user.getPublicProfile()
+        });
+
+    } catch (error) {
+        console.error('Cancel deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error cancelling deletion',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
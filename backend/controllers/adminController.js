@@ -0,0 +1,362 @@
+/**
+ * Admin Controller
+ * 
+ * Operator-only account management:
+ * - List, search and inspect users
+ * - Disable/enable accounts, force password resets, revoke sessions
+ * - Inspect and clear brute-force lockouts
+ * - Purge accounts whose deletion grace period has ended
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const { unlockAccount, getAccountLockStatus } = require('../middleware/bruteForce');
+const { purgeDeletedAccounts } = require('../utils/accountPurge');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the target user of an /users/:id route, or send 404
+ * @returns {Promise<object|null>} - User document, or null if a response was sent
+ */
+const findTargetUser = async (req, res) => {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    return user;
+};
+
+/**
+ * @desc    List users (paginated, searchable by name/email)
+ * @route   GET /api/admin/users?page=1&limit=20&search=&status=active|disabled
+ * @access  Admin (users:read)
+ */
+exports.listUsers = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = {};
+
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(String(req.query.search).trim()), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        if (req.query.status === 'active' || req.query.status === 'disabled') {
+            filter.disabled = req.query.status === 'disabled';
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            users: users.map(user => user.getAdminView()),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin user list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching users',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Get one user with sessions, lockout status and recent activity
+ * @route   GET /api/admin/users/:id
+ * @access  Admin (users:read)
+ */
+exports.getUser = async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const [sessions, events, lockout] = await Promise.all([
+            Session.find({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 }),
+            AuthEvent.find({ user: user._id }).sort({ createdAt: -1 }).limit(20),
+            getAccountLockStatus(user.email)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            user: user.getAdminView(),
+            sessions: sessions.map(session => session.toPublicJSON()),
+            recentActivity: events.map(event => event.toPublicJSON()),
+            lockout
+        });
+
+    } catch (error) {
+        console.error('Admin user fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching user',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Disable or re-enable a user account
+ *          Disabling signs the user out everywhere.
+ * @route   PATCH /api/admin/users/:id/status
+ * @access  Admin (users:manage)
+ */
+exports.setUserStatus = async (req, res) => {
+    try {
+        if (typeof req.body.disabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: '`disabled` must be true or false'
+            });
+        }
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        if (user._id.equals(req.user.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change the status of your own account'
+            });
+        }
+
+        const { disabled } = req.body;
+
+        user.disabled = disabled;
+        user.disabledAt = disabled ? new Date() : null;
+        user.disabledReason = disabled ? String(req.body.reason || '').trim() || null : null;
+        await user.save({ validateBeforeSave: false });
+
+        if (disabled) {
+            await Session.revokeAllForUser(user._id);
+        }
+
+        recordAuthEvent(req, {
+            type: disabled ? 'account_disabled' : 'account_enabled',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            reason: user.disabledReason,
+            metadata: { by: req.user.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: disabled ? 'Account disabled' : 'Account enabled',
+            user: user.getAdminView()
+        });
+
+    } catch (error) {
+        console.error('Admin user status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating account status',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Force a password reset: sign the user out, block login
+ *          and email a reset link
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Admin (users:manage)
+ */
+exports.forcePasswordReset = async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const expiresInMinutes = Number(process.env.RESET_TOKEN_EXPIRE || 30);
+        const resetToken = user.createPasswordResetToken(expiresInMinutes);
+        user.passwordResetRequired = true;
+        await user.save({ validateBeforeSave: false });
+
+        await Session.revokeAllForUser(user._id);
+
+        recordAuthEvent(req, {
+            type: 'password_reset_forced',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { by: req.user.id }
+        });
+
+        let emailSent = true;
+        try {
+            await sendMail({
+                to: user.email,
+                ...emailTemplates.forcedPasswordReset(user, resetToken, expiresInMinutes)
+            });
+        } catch (mailError) {
+            // The user can still get a fresh link from "Forgot password"
+            console.error('Forced reset email error:', mailError);
+            emailSent = false;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: emailSent
+                ? 'Password reset required. The user has been signed out and emailed a reset link.'
+                : 'Password reset required and user signed out, but the email could not be sent.',
+            emailSent,
+            user: user.getAdminView()
+        });
+
+    } catch (error) {
+        console.error('Admin force reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error forcing password reset',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Revoke every session of a user
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @access  Admin (users:manage)
+ */
+exports.revokeUserSessions = async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const count = await Session.revokeAllForUser(user._id);
+
+        recordAuthEvent(req, {
+            type: 'session_revoked',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { all: true, count, by: req.user.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Revoked ${count} session(s)`,
+            count
+        });
+
+    } catch (error) {
+        console.error('Admin session revoke error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Get lockout status for an account
+ * @route   GET /api/admin/lockouts/:email
+ * @access  Admin
+ */
+exports.getLockout = async (req, res) => {
+    try {
+        const email = req.params.email.toLowerCase();
+
+        res.status(200).json({
+            success: true,
+            email,
+            ...(await getAccountLockStatus(email))
+        });
+
+    } catch (error) {
+        console.error('Lockout status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching lockout status',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Unlock an account locked by too many failed logins
+ * @route   DELETE /api/admin/lockouts/:email
+ * @access  Admin
+ */
+exports.unlockAccount = async (req, res) => {
+    try {
+        const email = req.params.email.toLowerCase();
+
+        await unlockAccount(email);
+
+        const user = await User.findOne({ email }).select('_id');
+        recordAuthEvent(req, {
+            type: 'account_unlocked',
+            outcome: 'success',
+            user: user ? user._id : null,
+            email,
+            metadata: { by: req.user.id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Account ${email} unlocked`
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking account',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Purge accounts whose deletion grace period has ended
+ *          (for schedulers such as Vercel Cron, where no timer runs in-process)
+ * @route   POST /api/admin/purge-deleted-accounts
+ * @access  Admin
+ */
+exports.purgeDeletedAccounts = async (req, res) => {
+    try {
+        const purged = await purgeDeletedAccounts();
+
+        res.status(200).json({
+            success: true,
+            purged
+        });
+
+    } catch (error) {
+        console.error('Account purge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error purging accounts',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
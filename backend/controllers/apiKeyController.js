@@ -0,0 +1,146 @@
+/**
+ * API Key Controller
+ *
+ * Personal access tokens for the logged-in user:
+ * - Create a named, scoped, expiring key (shown once)
+ * - List keys with their last use
+ * - Revoke a key
+ */
+
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+exports.listKeys = async (req, res) => {
+    try {
+        const keys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            keys: keys.filter(key => key.isActive()).map(key => key.toPublicJSON()),
+            scopes: ApiKey.SCOPES.filter(scope =>
+                !Role.PERMISSIONS.includes(scope) || Role.hasPermission(req.user.permissions, scope)
+            )
+        });
+
+    } catch (error) {
+        console.error('API key list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching API keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Create an API key
+ *          The raw key is returned once and never again.
+ * @route   POST /api/auth/api-keys
+ * @access  Private (verified email)
+ */
+exports.createKey = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const scopes = [...new Set(req.body.scopes)];
+
+        // A key can never do more than its owner
+        const forbidden = scopes.filter(scope =>
+            Role.PERMISSIONS.includes(scope) && !Role.hasPermission(req.user.permissions, scope)
+        );
+        if (forbidden.length > 0) {
+            return res.status(403).json({
+                success: false,
+                code: 'FORBIDDEN',
+                message: `You cannot grant scopes you do not hold: ${forbidden.join(', ')}`
+            });
+        }
+
+        const expiresInDays = Number(req.body.expiresInDays || process.env.API_KEY_DEFAULT_DAYS || 30);
+
+        const { key, doc } = await ApiKey.issue(req.user.id, {
+            name: req.body.name,
+            scopes,
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        });
+
+        recordAuthEvent(req, {
+            type: 'api_key_created',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { key: doc._id, name: doc.name, scopes }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            key,
+            apiKey: doc.toPublicJSON()
+        });
+
+    } catch (error) {
+        console.error('API key create error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Revoke (delete) an API key
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+exports.revokeKey = async (req, res) => {
+    try {
+        const apiKey = mongoose.isValidObjectId(req.params.id)
+            ? await ApiKey.findOneAndDelete({ _id: req.params.id, user: req.user.id })
+            : null;
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        recordAuthEvent(req, {
+            type: 'api_key_revoked',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { key: apiKey._id, name: apiKey.name }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked'
+        });
+
+    } catch (error) {
+        console.error('API key revoke error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking API key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
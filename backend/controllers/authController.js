@@ -3,13 +3,56 @@
  * 
  * Handles all authentication-related business logic:
  * - User registration
- * - User login
- * - User profile retrieval
+ * - User login (risk-scored)
+ * - User profile retrieval and editing (with confirmed email change)
  * - User logout
+ * - Access token refresh
+ * - Password change and reset
+ * - Step-up re-authentication for sensitive actions
+ * - Email verification
+ * - CSRF token bootstrap
+ * - Authentication activity (audit trail)
  */
 
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
 const { validationResult } = require('express-validator');
+const { sendTokenResponse, clearAuthCookies } = require('../utils/authTokens');
+const { verifyAccessToken } = require('../middleware/authMiddleware');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordAuthEvent } = require('../utils/auditLog');
+const { evaluatePassword, describePolicy } = require('../utils/passwordPolicy');
+const devices = require('../utils/devices');
+const { issueCsrfToken } = require('../middleware/csrf');
+const { assessLoginRisk } = require('../utils/loginRisk');
+const AuthEvent = require('../models/AuthEvent');
+
+/**
+ * How unverified accounts are treated (UNVERIFIED_ACCOUNT_POLICY):
+ * - allow:   no restrictions (default)
+ * - limited: can login, but routes guarded by requireVerifiedEmail are off-limits
+ * - block:   cannot login until the email is verified
+ * @returns {string}
+ */
+const unverifiedPolicy = () => process.env.UNVERIFIED_ACCOUNT_POLICY || 'allow';
+
+/**
+ * Email a fresh verification link and record when it was sent
+ * @param {object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+    user.verificationEmailSentAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    await sendMail({
+        to: user.email,
+        ...emailTemplates.emailVerification(user, user.generateEmailVerificationToken())
+    });
+};
 
 /**
  * @desc    Register a new user
@@ -54,27 +97,27 @@ exports.register = async (req, res) => {
             password
         });
 
-        // Generate JWT token
-        const token = user.generateAuthToken();
+        recordAuthEvent(req, { type: 'register', outcome: 'success', user: user._id, email: user.email });
 
-        // Set httpOnly cookie for security
-        const cookieExpire = process.env.COOKIE_EXPIRE || 7; // Default 7 days
-        const cookieOptions = {
-            expires: new Date(Date.now() + cookieExpire * 24 * 60 * 60 * 1000),
-            httpOnly: true, // Prevents XSS attacks
-            secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-            sameSite: 'strict' // Prevents CSRF attacks
-        };
+        // Send verification link (registration still succeeds if mail fails)
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
 
-        res.cookie('token', token, cookieOptions);
+        // Unverified accounts can't sign in under the "block" policy
+        if (unverifiedPolicy() === 'block') {
+            return res.status(201).json({
+                success: true,
+                message: 'Registration successful. Please verify your email before logging in.',
+                verificationRequired: true,
+                user: user.getPublicProfile()
+            });
+        }
 
-        // Send response
-        res.status(201).json({
-            success: true,
-            message: 'Registration successful',
-            token,
-            user: user.getPublicProfile()
-        });
+        // Issue access + refresh tokens and send response
+        await sendTokenResponse(user, 201, 'Registration successful', req, res);
 
     } catch (error) {
         console.error('Registration error:', error);
@@ -104,12 +147,30 @@ exports.login = async (req, res) => {
         }
 
         const { email, password } = req.body;
+        const remember = req.body.remember === true || req.body.remember === 'true';
 
         // Find user and include password field
         const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
-        // Check if user exists
+        // Check if user exists (unknown emails count as failures too, so
+        // lockouts don't reveal which accounts exist)
         if (!user) {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', email, reason: 'unknown_account' });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        // Score the attempt before checking the password, so a blocked
+        // attempt doesn't reveal whether the password was right. It gets the
+        // same answer as a wrong password, which also keeps it from revealing
+        // that the account exists.
+        const risk = await assessLoginRisk(user, req);
+        if (risk && risk.action === 'block') {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'risk_blocked', risk });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
@@ -119,37 +180,84 @@ exports.login = async (req, res) => {
         // Verify password
         const isPasswordCorrect = await user.comparePassword(password);
         if (!isPasswordCorrect) {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'invalid_password', risk });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
             });
         }
 
+        if (user.disabled) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'account_disabled', risk });
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                message: 'This account has been disabled. Please contact support.'
+            });
+        }
+
+        if (user.passwordResetRequired) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'password_reset_required', risk });
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_RESET_REQUIRED',
+                message: 'You must reset your password before logging in. Check your email for a reset link.'
+            });
+        }
+
+        // Upgrade hashes made with an older algorithm or cost. Only for
+        // accounts that may sign in, and a failure here shouldn't block the login
+        await user.rehashPassword(password).catch(error => console.error('Password rehash error:', error));
+
+        if (!user.emailVerified && unverifiedPolicy() === 'block') {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'email_not_verified', risk });
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Please verify your email address before logging in.'
+            });
+        }
+
+        // Password is correct but a second factor is still required (this
+        // also covers risky logins that need a challenge)
+        if (user.twoFactorEnabled) {
+            return res.status(200).json({
+                success: true,
+                mfaRequired: true,
+                mfaToken: user.generateMfaToken(remember, risk),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        // Risky login, or new device under NEW_DEVICE_POLICY=verify: confirm
+        // with an emailed code first (with 2FA enabled, the second factor
+        // already covers it)
+        const challenged = Boolean(risk && risk.action === 'challenge');
+        if (challenged || await devices.requiresVerification(user, req)) {
+            await devices.startVerification(user, req, res, { unusual: challenged });
+            return res.status(200).json({
+                success: true,
+                deviceVerificationRequired: true,
+                deviceToken: user.generateDeviceVerificationToken(remember, risk),
+                message: challenged
+                    ? 'Unusual sign-in: enter the code we sent to your email'
+                    : 'New device: enter the code we sent to your email'
+            });
+        }
+
+        // Fully authenticated: clear the account's failure counter. Not done
+        // before the 2FA step, so a known password can't reset 2FA lockouts.
+        await req.bruteForce.succeed();
+
         // Update last login time
         user.lastLogin = Date.now();
         await user.save({ validateBeforeSave: false });
 
-        // Generate JWT token
-        const token = user.generateAuthToken();
-
-        // Set httpOnly cookie for security
-        const cookieExpire = process.env.COOKIE_EXPIRE || 7; // Default 7 days
-        const cookieOptions = {
-            expires: new Date(Date.now() + cookieExpire * 24 * 60 * 60 * 1000),
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict'
-        };
+        recordAuthEvent(req, { type: 'login', outcome: 'success', user: user._id, email: user.email, metadata: { method: 'password' }, risk });
 
-        res.cookie('token', token, cookieOptions);
-
-        // Send response
-        res.status(200).json({
-            success: true,
-            message: 'Login successful',
-            token,
-            user: user.getPublicProfile()
-        });
+        // Issue access + refresh tokens and send response
+        await sendTokenResponse(user, 200, 'Login successful', req, res, { persistent: remember });
 
     } catch (error) {
         console.error('Login error:', error);
@@ -180,7 +288,10 @@ exports.getProfile = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            user: user.getPublicProfile()
+            user: {
+                ...user.getPublicProfile(),
+                permissions: req.user.permissions
+            }
         });
 
     } catch (error) {
@@ -193,18 +304,155 @@ exports.getProfile = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Update current user profile
+ *          A new email only takes effect once confirmed from the new address.
+ * @route   PATCH /api/auth/profile
+ * @access  Private
+ */
+exports.updateProfile = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, email, currentPassword } = req.body;
+
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (name !== undefined) {
+            user.name = name;
+        }
+
+        const newEmail = email !== undefined ? email.toLowerCase() : null;
+        const emailChangeRequested = Boolean(newEmail) && newEmail !== user.email;
+
+        if (emailChangeRequested) {
+            // Changing the login address requires proof of the current password
+            if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+                return res.status(401).json({
+                    success: false,
+                    errors: [{ path: 'currentPassword', msg: 'Incorrect password' }],
+                    message: 'Incorrect password'
+                });
+            }
+
+            const taken = await User.exists({ email: newEmail });
+            if (taken) {
+                return res.status(400).json({
+                    success: false,
+                    errors: [{ path: 'email', msg: 'Email already registered' }],
+                    message: 'Email already registered. Please use a different email.'
+                });
+            }
+
+            user.pendingEmail = newEmail;
+        } else if (newEmail === user.email) {
+            // Re-entering the current address cancels a pending change
+            user.pendingEmail = null;
+        }
+
+        await user.save({ validateBeforeSave: false });
+
+        if (emailChangeRequested) {
+            try {
+                await sendMail({
+                    to: newEmail,
+                    ...emailTemplates.emailChangeConfirmation(user, user.generateEmailChangeToken())
+                });
+            } catch (mailError) {
+                // Nothing to confirm if the link never went out
+                user.pendingEmail = null;
+                await user.save({ validateBeforeSave: false });
+                throw mailError;
+            }
+
+            sendMail({ to: user.email, ...emailTemplates.emailChangeNotice(user, newEmail) })
+                .catch(mailError => console.error('Email change notice error:', mailError));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: emailChangeRequested
+                ? `Profile updated. Check ${newEmail} to confirm your new email address.`
+                : 'Profile updated',
+            emailChangePending: emailChangeRequested,
+            user: user.getPublicProfile()
+        });
+
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating profile',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Find the session a logout request belongs to
+ * Uses the refresh cookie first, then the access token (cookie or bearer).
+ * Expired access tokens still count, so logging out works after the
+ * access token ran out.
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} - Session document
+ */
+const findSessionToEnd = async (req) => {
+    if (req.cookies.refreshToken) {
+        const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(req.cookies.refreshToken) });
+        const session = stored && await Session.findOne({ jti: stored.family });
+        if (session) return session;
+    }
+
+    const bearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer')
+        ? req.headers.authorization.split(' ')[1]
+        : null;
+    const token = req.cookies.token || bearer;
+    if (!token) return null;
+
+    try {
+        const decoded = await verifyAccessToken(token, { ignoreExpiration: true });
+        return decoded.type === 'access' && decoded.jti
+            ? await Session.findOne({ jti: decoded.jti })
+            : null;
+    } catch (error) {
+        return null;
+    }
+};
+
 /**
  * @desc    Logout user
+ *          Needs no valid access token: the session is found from the
+ *          refresh cookie or the (possibly expired) access token.
  * @route   POST /api/auth/logout
- * @access  Private
+ * @access  Public
  */
 exports.logout = async (req, res) => {
     try {
-        // Clear the authentication cookie
-        res.cookie('token', 'none', {
-            expires: new Date(Date.now() + 10 * 1000), // Expire in 10 seconds
-            httpOnly: true
-        });
+        // Revoke the current session so neither its access nor refresh tokens work
+        const session = await findSessionToEnd(req);
+
+        if (session && !session.revokedAt) {
+            await session.revoke();
+            const user = await User.findById(session.user);
+            recordAuthEvent(req, { type: 'logout', outcome: 'success', user: session.user, email: user && user.email });
+        }
+
+        // Clear the authentication cookies
+        clearAuthCookies(res);
 
         res.status(200).json({
             success: true,
@@ -220,6 +468,621 @@ exports.logout = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires the refreshToken cookie)
+ */
+exports.refresh = async (req, res) => {
+    try {
+        // Only ever read from the httpOnly cookie, never from the body, so
+        // scripts on the page never get to see it
+        const refreshToken = req.cookies.refreshToken;
+
+        if (!refreshToken) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token missing. Please login.'
+            });
+        }
+
+        const tokenHash = RefreshToken.hashToken(refreshToken);
+
+        // Atomically claim the token so it can only ever be used once
+        const stored = await RefreshToken.findOneAndUpdate(
+            { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } }
+        );
+
+        if (!stored) {
+            const existing = await RefreshToken.findOne({ tokenHash });
+
+            // A known token that was already used or revoked is being replayed:
+            // assume it was stolen and kill the whole family
+            if (existing && (existing.usedAt || existing.revokedAt)) {
+                const session = await Session.findOne({ jti: existing.family });
+                if (session) {
+                    await session.revoke();
+                } else {
+                    await RefreshToken.revokeFamily(existing.family);
+                }
+                console.warn(`⚠️  Refresh token reuse detected for user ${existing.user} (family ${existing.family})`);
+            }
+
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token. Please login again.'
+            });
+        }
+
+        const session = await Session.findOne({ jti: stored.family });
+        if (!session || !session.isActive()) {
+            await RefreshToken.revokeFamily(stored.family);
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please login again.'
+            });
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user || user.disabled) {
+            await session.revoke();
+            clearAuthCookies(res);
+            return res.status(401).json({
+                success: false,
+                message: 'User not found. Token invalid.'
+            });
+        }
+
+        // Issue the next token in the same family
+        const next = await sendTokenResponse(user, 200, 'Token refreshed', req, res, { session });
+
+        stored.replacedBy = next.tokenHash;
+        await stored.save();
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Request a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res) => {
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent.'
+    };
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        if (!user) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const expiresInMinutes = Number(process.env.RESET_TOKEN_EXPIRE || 30);
+        const resetToken = user.createPasswordResetToken(expiresInMinutes);
+        await user.save({ validateBeforeSave: false });
+
+        try {
+            await sendMail({
+                to: user.email,
+                ...emailTemplates.passwordReset(user, resetToken, expiresInMinutes)
+            });
+        } catch (mailError) {
+            // Don't leave a usable token behind if the email never went out
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+            throw mailError;
+        }
+
+        res.status(200).json(genericResponse);
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending reset email',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Reset password with a token from the reset email
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public (requires valid reset token)
+ */
+exports.resetPassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { password, confirmPassword } = req.body;
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Passwords do not match'
+            });
+        }
+
+        const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+        // Check the name/email rule before consuming the token, so a
+        // rejected password doesn't use up the reset link
+        const pending = await User.findOne({
+            passwordResetToken: hashedToken,
+            passwordResetExpires: { $gt: new Date() }
+        });
+        const policy = pending && evaluatePassword(password, pending);
+
+        if (policy && !policy.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: [{ path: 'password', msg: policy.errors[0] }],
+                message: policy.errors[0]
+            });
+        }
+
+        // Atomically consume the token so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: hashedToken,
+                passwordResetExpires: { $gt: new Date() }
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+        );
+
+        if (!user) {
+            recordAuthEvent(req, { type: 'password_reset', outcome: 'failure', reason: 'invalid_token' });
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        // Save through the model so the pre-save hook hashes the new password
+        user.password = password;
+        user.passwordResetRequired = false;
+        await user.save();
+
+        // A reset means the old password may be compromised: end every login
+        await Session.revokeAllForUser(user._id);
+        clearAuthCookies(res);
+
+        recordAuthEvent(req, { type: 'password_reset', outcome: 'success', user: user._id, email: user.email });
+
+        sendMail({ to: user.email, ...emailTemplates.passwordChanged(user) })
+            .catch(mailError => console.error('Password changed email error:', mailError));
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset. Please login with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error resetting password',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Get a CSRF token (also set as the csrfToken cookie)
+ *          Send it as X-CSRF-Token on state-changing requests.
+ * @route   GET /api/auth/csrf-token
+ * @access  Public
+ */
+exports.getCsrfToken = (req, res) => {
+    res.status(200).json({
+        success: true,
+        csrfToken: issueCsrfToken(req, res)
+    });
+};
+
+/**
+ * @desc    Get the password policy (rules and strength labels)
+ * @route   GET /api/auth/password-policy
+ * @access  Public
+ */
+exports.getPasswordPolicy = (req, res) => {
+    res.status(200).json({
+        success: true,
+        policy: describePolicy()
+    });
+};
+
+/**
+ * @desc    Score a candidate password for the live strength meter
+ *          Uses the same rules that registration enforces.
+ * @route   POST /api/auth/password-policy/check
+ * @access  Public
+ */
+exports.checkPassword = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { password, name, email } = req.body;
+    const { valid, score, strength, warning, suggestions, rules } = evaluatePassword(password, { name, email });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+        success: true,
+        valid,
+        score,
+        strength,
+        warning,
+        suggestions,
+        rules
+    });
+};
+
+/**
+ * @desc    Change password (requires current password)
+ *          Other sessions are signed out; the current one gets fresh tokens.
+ * @route   POST /api/auth/change-password
+ * @access  Private
+ */
+exports.changePassword = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                errors: [{ path: 'confirmPassword', msg: 'Passwords do not match' }],
+                message: 'Passwords do not match'
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!(await user.comparePassword(currentPassword))) {
+            recordAuthEvent(req, { type: 'password_changed', outcome: 'failure', user: user._id, email: user.email, reason: 'invalid_password' });
+            return res.status(401).json({
+                success: false,
+                errors: [{ path: 'currentPassword', msg: 'Current password is incorrect' }],
+                message: 'Current password is incorrect'
+            });
+        }
+
+        if (await user.comparePassword(newPassword)) {
+            return res.status(400).json({
+                success: false,
+                errors: [{ path: 'newPassword', msg: 'New password must be different from the current one' }],
+                message: 'New password must be different from the current one'
+            });
+        }
+
+        // Pre-save hook hashes the password and sets passwordChangedAt
+        user.password = newPassword;
+        await user.save();
+
+        // Sign out every other session and retire this session's old refresh tokens
+        await Session.revokeAllForUser(user._id, req.authSession.jti);
+        await RefreshToken.revokeFamily(req.authSession.jti);
+
+        recordAuthEvent(req, { type: 'password_changed', outcome: 'success', user: user._id, email: user.email });
+
+        sendMail({ to: user.email, ...emailTemplates.passwordChanged(user) })
+            .catch(mailError => console.error('Password changed email error:', mailError));
+
+        // Tokens issued before the change are now rejected, so re-issue for this
+        // session. The current password was just checked, so it counts as a step-up.
+        req.authSession.authenticatedAt = new Date();
+        await sendTokenResponse(user, 200, 'Password changed successfully', req, res, { session: req.authSession });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error changing password',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Confirm the password again for sensitive actions (step-up)
+ *          Marks the current session as recently authenticated, which
+ *          routes guarded by requireRecentAuth check.
+ * @route   POST /api/auth/reauthenticate
+ * @access  Private (requires authentication)
+ */
+exports.reauthenticate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!(await user.comparePassword(req.body.password))) {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'reauthenticated', outcome: 'failure', user: user._id, email: user.email, reason: 'invalid_password' });
+            return res.status(401).json({
+                success: false,
+                errors: [{ path: 'password', msg: 'Incorrect password' }],
+                message: 'Incorrect password'
+            });
+        }
+
+        await req.bruteForce.succeed();
+
+        req.authSession.authenticatedAt = new Date();
+        await req.authSession.save();
+
+        recordAuthEvent(req, { type: 'reauthenticated', outcome: 'success', user: user._id, email: user.email });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password confirmed',
+            authenticatedAt: req.authSession.authenticatedAt
+        });
+
+    } catch (error) {
+        console.error('Reauthenticate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error confirming password',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Confirm email address from a verification link
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public (requires valid verification token)
+ */
+exports.verifyEmail = async (req, res) => {
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.name === 'TokenExpiredError'
+                    ? 'Verification link has expired. Please request a new one.'
+                    : 'Verification link is invalid'
+            });
+        }
+
+        const user = decoded.type === 'email-verify' ? await User.findById(decoded.id) : null;
+
+        // Links are bound to the address they were sent to
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid'
+            });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save({ validateBeforeSave: false });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully',
+            user: user.getPublicProfile()
+        });
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error verifying email',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Confirm an email change from the link sent to the new address
+ * @route   GET /api/auth/confirm-email/:token
+ * @access  Public (requires valid email change token)
+ */
+exports.confirmEmailChange = async (req, res) => {
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.name === 'TokenExpiredError'
+                    ? 'Confirmation link has expired. Please request the change again.'
+                    : 'Confirmation link is invalid'
+            });
+        }
+
+        const user = decoded.type === 'email-change' ? await User.findById(decoded.id) : null;
+
+        // Only the latest request for the current address can be confirmed
+        if (!user || user.email !== decoded.email || user.pendingEmail !== decoded.newEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation link is invalid or was superseded'
+            });
+        }
+
+        if (await User.exists({ email: decoded.newEmail })) {
+            return res.status(400).json({
+                success: false,
+                message: 'That email address is already registered'
+            });
+        }
+
+        const oldEmail = user.email;
+
+        user.email = decoded.newEmail;
+        user.pendingEmail = null;
+        // Opening the link proves ownership of the new address
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, {
+            type: 'email_changed',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { from: oldEmail }
+        });
+
+        sendMail({ to: oldEmail, ...emailTemplates.emailChangeNotice(user, user.email, true) })
+            .catch(mailError => console.error('Email changed notice error:', mailError));
+
+        res.status(200).json({
+            success: true,
+            message: 'Email address updated',
+            user: user.getPublicProfile()
+        });
+
+    } catch (error) {
+        console.error('Email change confirmation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error confirming email change',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Public (uses the logged-in user if authenticated, otherwise `email`)
+ */
+exports.resendVerification = async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'If the account exists and is unverified, a new verification link has been sent.'
+    };
+
+    try {
+        const authenticated = Boolean(req.user);
+        const email = authenticated ? req.user.email : String(req.body.email || '').trim().toLowerCase();
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const user = await User.findOne({ email });
+
+        if (!user || user.emailVerified) {
+            return authenticated
+                ? res.status(400).json({ success: false, message: 'Email is already verified' })
+                : res.status(200).json(genericResponse);
+        }
+
+        // Enforce a cooldown between verification emails
+        const cooldownMs = Number(process.env.VERIFY_RESEND_COOLDOWN || 60) * 1000;
+        const elapsed = user.verificationEmailSentAt
+            ? Date.now() - user.verificationEmailSentAt.getTime()
+            : Infinity;
+
+        if (elapsed < cooldownMs) {
+            // Only reveal the cooldown to the account owner
+            if (!authenticated) {
+                return res.status(200).json(genericResponse);
+            }
+            const retryAfter = Math.ceil((cooldownMs - elapsed) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${retryAfter} seconds before requesting another email`,
+                retryAfter
+            });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json(authenticated
+            ? { success: true, message: 'Verification email sent' }
+            : genericResponse);
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending verification email',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 /**
  * @desc    Verify token (check if user is authenticated)
  * @route   GET /api/auth/verify
@@ -231,7 +1094,8 @@ exports.verifyToken = async (req, res) => {
         res.status(200).json({
             success: true,
             authenticated: true,
-            user: req.user
+            user: req.user,
+            session: req.authSession.getModeInfo()
         });
 
     } catch (error) {
@@ -242,3 +1106,68 @@ exports.verifyToken = async (req, res) => {
         });
     }
 };
+
+/**
+ * @desc    List authentication activity for the current user
+ * @route   GET /api/auth/activity?page=1&limit=20&type=login,logout&outcome=failure&from=&to=
+ * @access  Private
+ */
+exports.getActivity = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = { user: req.user.id };
+
+        if (req.query.type) {
+            const types = String(req.query.type).split(',').map(type => type.trim())
+                .filter(type => AuthEvent.TYPES.includes(type));
+            filter.type = { $in: types };
+        }
+
+        if (req.query.outcome === 'success' || req.query.outcome === 'failure') {
+            filter.outcome = req.query.outcome;
+        }
+
+        if (req.query.from || req.query.to) {
+            const from = req.query.from ? new Date(req.query.from) : null;
+            const to = req.query.to ? new Date(req.query.to) : null;
+
+            if ((from && isNaN(from)) || (to && isNaN(to))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date range'
+                });
+            }
+
+            filter.createdAt = {
+                ...(from && { $gte: from }),
+                ...(to && { $lte: to })
+            };
+        }
+
+        const [events, total] = await Promise.all([
+            AuthEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            AuthEvent.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            events: events.map(event => event.toPublicJSON()),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Activity fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching activity',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
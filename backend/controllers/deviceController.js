@@ -0,0 +1,219 @@
+/**
+ * Device Controller
+ *
+ * Trusted device management:
+ * - Finish a login from a new device with the emailed code
+ * - List, rename, acknowledge and forget devices
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
+const { validationResult } = require('express-validator');
+const { sendTokenResponse } = require('../utils/authTokens');
+const { currentDeviceHash } = require('../utils/devices');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+/**
+ * @desc    Complete a login from a new device, or a risky login, with the emailed code
+ * @route   POST /api/auth/login/device
+ * @access  Public (requires device pending token and the deviceId cookie)
+ */
+exports.verifyLogin = async (req, res) => {
+    try {
+        const { deviceToken, code } = req.body;
+
+        let decoded;
+        try {
+            decoded = jwt.verify(deviceToken, process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.type !== 'device-pending') {
+            await req.bruteForce.fail();
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge expired. Please login again.'
+            });
+        }
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification code is required'
+            });
+        }
+
+        const deviceHash = currentDeviceHash(req);
+        const [user, device] = await Promise.all([
+            User.findById(decoded.id),
+            deviceHash && Device.findOne({ user: decoded.id, deviceHash }).select('+verificationCodeHash')
+        ]);
+
+        if (!user || user.disabled || !device) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge expired. Please login again.'
+            });
+        }
+
+        const valid = device.checkVerificationCode(code);
+        await device.save();
+
+        if (!valid) {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'invalid_device_code', risk: decoded.risk });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired verification code'
+            });
+        }
+
+        await req.bruteForce.succeed();
+
+        user.lastLogin = Date.now();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, {
+            type: 'login',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { method: 'password', emailCode: true },
+            risk: decoded.risk
+        });
+
+        await sendTokenResponse(user, 200, 'Login successful', req, res, { persistent: Boolean(decoded.remember) });
+
+    } catch (error) {
+        console.error('Device verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    List the current user's devices
+ * @route   GET /api/auth/devices
+ * @access  Private
+ */
+exports.listDevices = async (req, res) => {
+    try {
+        const devices = await Device.find({ user: req.user.id, verified: true }).sort({ lastSeenAt: -1 });
+        const currentHash = currentDeviceHash(req);
+
+        res.status(200).json({
+            success: true,
+            count: devices.length,
+            devices: devices.map(device => device.toPublicJSON(currentHash))
+        });
+
+    } catch (error) {
+        console.error('List devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading devices',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Rename a device, or confirm a new-device notice
+ * @route   PATCH /api/auth/devices/:id
+ * @access  Private
+ */
+exports.updateDevice = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const device = mongoose.isValidObjectId(req.params.id)
+            ? await Device.findOne({ _id: req.params.id, user: req.user.id, verified: true })
+            : null;
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        if (req.body.name !== undefined) device.name = req.body.name;
+        if (req.body.acknowledged === true) device.acknowledged = true;
+        await device.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Device updated',
+            device: device.toPublicJSON(currentDeviceHash(req))
+        });
+
+    } catch (error) {
+        console.error('Update device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating device',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Forget a device and sign out its sessions
+ *          Its next login counts as a new device again.
+ * @route   DELETE /api/auth/devices/:id
+ * @access  Private
+ */
+exports.removeDevice = async (req, res) => {
+    try {
+        const device = mongoose.isValidObjectId(req.params.id)
+            ? await Device.findOneAndDelete({ _id: req.params.id, user: req.user.id })
+            : null;
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        const sessions = await Session.find({ user: req.user.id, device: device._id, revokedAt: null });
+        await Promise.all(sessions.map(session => session.revoke()));
+
+        recordAuthEvent(req, {
+            type: 'device_removed',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { device: device.name, sessionsRevoked: sessions.length }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Device removed',
+            sessionsRevoked: sessions.length,
+            current: device.deviceHash === currentDeviceHash(req)
+        });
+
+    } catch (error) {
+        console.error('Remove device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing device',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -0,0 +1,202 @@
+/**
+ * Magic Link Controller
+ *
+ * Passwordless sign-in by email:
+ * - Email a single-use link bound to the requesting browser
+ * - Exchange the link's token for the usual tokens
+ */
+
+const User = require('../models/User');
+const MagicLink = require('../models/MagicLink');
+const { validationResult } = require('express-validator');
+const { sendTokenResponse } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordAuthEvent } = require('../utils/auditLog');
+const { crossSiteCookieOptions } = require('../utils/cookies');
+const { assessLoginRisk } = require('../utils/loginRisk');
+
+// Binds links to the browser that requested them. Sent with the login
+// page's cross-site consume call, like the auth cookies (see utils/cookies.js).
+const BROWSER_COOKIE = 'magicLinkBrowser';
+const browserCookieOptions = () => ({
+    ...crossSiteCookieOptions(),
+    path: '/api/auth/magic-link'
+});
+
+/**
+ * Issue and email a link for a registered, enabled account
+ * Runs after the response, so its timing doesn't reveal whether the
+ * email is registered. A link whose email failed is removed.
+ * @param {string} email
+ * @param {object} options - browserKey, remember, ip
+ * @param {number} expiresInMinutes
+ */
+const sendLink = async (email, options, expiresInMinutes) => {
+    const user = await User.findOne({ email });
+    if (!user || user.disabled) return;
+
+    const { token, doc } = await MagicLink.issue(user._id, options);
+
+    try {
+        await sendMail({ to: user.email, ...emailTemplates.magicLink(user, token, expiresInMinutes) });
+    } catch (mailError) {
+        console.error('Magic link email error:', mailError);
+        await MagicLink.deleteOne({ _id: doc._id });
+    }
+};
+
+/**
+ * @desc    Email a sign-in link
+ *          Responds the same whether or not the email is registered,
+ *          and sets the browser cookie either way.
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+exports.requestLink = async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for that email, a sign-in link has been sent. Open it in this browser.'
+    };
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Keep an existing key so earlier links from this browser stay usable
+        const browserKey = (req.cookies && req.cookies[BROWSER_COOKIE]) || MagicLink.createBrowserKey();
+        const expiresInMinutes = MagicLink.lifetimeMinutes();
+
+        res.cookie(BROWSER_COOKIE, browserKey, {
+            ...browserCookieOptions(),
+            maxAge: expiresInMinutes * 60 * 1000
+        });
+
+        res.status(200).json(genericResponse);
+
+        sendLink(req.body.email.toLowerCase(), {
+            browserKey,
+            remember: req.body.remember === true || req.body.remember === 'true',
+            ip: req.ip
+        }, expiresInMinutes)
+            .catch(sendError => console.error('Magic link send error:', sendError));
+
+    } catch (error) {
+        console.error('Magic link request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending sign-in link',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Sign in with a magic link token
+ *          Applies the same account checks as password login,
+ *          including the 2FA step when it is enabled.
+ * @route   POST /api/auth/magic-link/consume
+ * @access  Public (requires the link's token and the browser cookie)
+ */
+exports.consumeLink = async (req, res) => {
+    try {
+        const token = typeof req.body.token === 'string' ? req.body.token : '';
+        const browserKey = req.cookies && req.cookies[BROWSER_COOKIE];
+
+        const link = await MagicLink.consume(token, browserKey);
+        const user = link && await User.findById(link.user);
+
+        if (!user) {
+            await req.bruteForce.fail();
+
+            // A valid link opened elsewhere (e.g. forwarded) stays unused
+            const otherBrowser = !link && await MagicLink.isPending(token);
+            recordAuthEvent(req, {
+                type: 'login',
+                outcome: 'failure',
+                reason: otherBrowser ? 'magic_link_wrong_browser' : 'magic_link_invalid'
+            });
+
+            return res.status(400).json({
+                success: false,
+                code: otherBrowser ? 'MAGIC_LINK_WRONG_BROWSER' : 'MAGIC_LINK_INVALID',
+                message: otherBrowser
+                    ? 'Open the sign-in link in the same browser you requested it from.'
+                    : 'Sign-in link is invalid or has expired. Please request a new one.'
+            });
+        }
+
+        res.clearCookie(BROWSER_COOKIE, browserCookieOptions());
+
+        if (user.disabled) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'account_disabled' });
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                message: 'This account has been disabled. Please contact support.'
+            });
+        }
+
+        if (user.passwordResetRequired) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'password_reset_required' });
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_RESET_REQUIRED',
+                message: 'You must reset your password before logging in. Check your email for a reset link.'
+            });
+        }
+
+        // Scored like password logins. The link already proves control of
+        // the email, as the emailed code of a challenge would, so only a
+        // block stops it.
+        const risk = await assessLoginRisk(user, req);
+        if (risk && risk.action === 'block') {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'risk_blocked', metadata: { method: 'magic_link' }, risk });
+            return res.status(403).json({
+                success: false,
+                code: 'LOGIN_BLOCKED',
+                message: 'This sign-in looks unusual and was blocked. Please try again later.'
+            });
+        }
+
+        // Opening the link proves control of the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+
+        if (user.twoFactorEnabled) {
+            await user.save({ validateBeforeSave: false });
+            return res.status(200).json({
+                success: true,
+                mfaRequired: true,
+                mfaToken: user.generateMfaToken(link.remember, risk),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        await req.bruteForce.succeed();
+
+        user.lastLogin = Date.now();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, { type: 'login', outcome: 'success', user: user._id, email: user.email, metadata: { method: 'magic_link' }, risk });
+
+        await sendTokenResponse(user, 200, 'Login successful', req, res, { persistent: link.remember });
+
+    } catch (error) {
+        console.error('Magic link sign-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during sign-in',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
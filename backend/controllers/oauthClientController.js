@@ -0,0 +1,219 @@
+/**
+ * OAuth Client Administration Controller
+ *
+ * Registry management for applications that use SecureSphere as their
+ * identity provider: register, list, update, rotate secrets, delete.
+ */
+
+const { validationResult } = require('express-validator');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthConsent = require('../models/OAuthConsent');
+const OAuthRefreshToken = require('../models/OAuthRefreshToken');
+
+// Fields an administrator may set on create/update
+const EDITABLE_FIELDS = ['name', 'redirectUris', 'grantTypes', 'scopes', 'trusted', 'disabled'];
+
+/**
+ * Copy editable fields present in the request body
+ * @param {object} body
+ * @returns {object}
+ */
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Load the client named in req.params.clientId or send a 404
+ * @returns {Promise<object|null>}
+ */
+const findClient = async (req, res) => {
+    const client = await OAuthClient.findOne({ clientId: req.params.clientId });
+    if (!client) {
+        res.status(404).json({
+            success: false,
+            message: 'Client not found'
+        });
+    }
+    return client;
+};
+
+/**
+ * @desc    List registered OAuth clients
+ * @route   GET /api/admin/oauth-clients
+ * @access  Admin (oauth_clients:manage)
+ */
+exports.listClients = async (req, res) => {
+    try {
+        const clients = await OAuthClient.find().sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            clients: clients.map(client => client.toPublicJSON())
+        });
+
+    } catch (error) {
+        console.error('OAuth client list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching clients',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Register a new OAuth client
+ *          The client secret is returned once and never again.
+ * @route   POST /api/admin/oauth-clients
+ * @access  Admin (oauth_clients:manage)
+ */
+exports.createClient = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const client = new OAuthClient({
+            ...pickEditable(req.body),
+            confidential: req.body.confidential !== false,
+            createdBy: req.user.id
+        });
+        const clientSecret = client.confidential ? client.generateSecret() : undefined;
+        await client.save();
+
+        res.status(201).json({
+            success: true,
+            message: client.confidential
+                ? 'Client registered. Store the client secret now - it will not be shown again.'
+                : 'Public client registered',
+            client: client.toPublicJSON(),
+            clientSecret
+        });
+
+    } catch (error) {
+        console.error('OAuth client create error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error registering client',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Update a client's settings
+ *          Disabling a client also revokes its refresh tokens.
+ * @route   PATCH /api/admin/oauth-clients/:clientId
+ * @access  Admin (oauth_clients:manage)
+ */
+exports.updateClient = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const client = await findClient(req, res);
+        if (!client) return;
+
+        client.set(pickEditable(req.body));
+        await client.save();
+
+        if (client.disabled) {
+            await OAuthRefreshToken.updateMany(
+                { clientId: client.clientId, revokedAt: null },
+                { $set: { revokedAt: new Date() } }
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Client updated',
+            client: client.toPublicJSON()
+        });
+
+    } catch (error) {
+        console.error('OAuth client update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating client',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Replace a confidential client's secret
+ * @route   POST /api/admin/oauth-clients/:clientId/secret
+ * @access  Admin (oauth_clients:manage)
+ */
+exports.rotateSecret = async (req, res) => {
+    try {
+        const client = await findClient(req, res);
+        if (!client) return;
+
+        if (!client.confidential) {
+            return res.status(400).json({
+                success: false,
+                message: 'Public clients have no secret'
+            });
+        }
+
+        const clientSecret = client.generateSecret();
+        await client.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Client secret rotated. The previous secret no longer works.',
+            clientSecret
+        });
+
+    } catch (error) {
+        console.error('OAuth client secret rotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rotating client secret',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Delete a client with its consents and refresh tokens
+ * @route   DELETE /api/admin/oauth-clients/:clientId
+ * @access  Admin (oauth_clients:manage)
+ */
+exports.deleteClient = async (req, res) => {
+    try {
+        const client = await findClient(req, res);
+        if (!client) return;
+
+        await Promise.all([
+            OAuthConsent.deleteMany({ clientId: client.clientId }),
+            OAuthRefreshToken.deleteMany({ clientId: client.clientId })
+        ]);
+        await client.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Client deleted'
+        });
+
+    } catch (error) {
+        console.error('OAuth client delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting client',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
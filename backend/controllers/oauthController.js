@@ -0,0 +1,574 @@
+/**
+ * OAuth 2.0 / OpenID Connect Provider Controller
+ *
+ * Lets registered client applications sign users in with their
+ * SecureSphere accounts:
+ * - Discovery document and JWKS
+ * - Authorization endpoint (login and consent happen on the frontend)
+ * - Token endpoint: authorization_code (+ PKCE), refresh_token, client_credentials
+ * - UserInfo and token revocation endpoints
+ *
+ * Protocol endpoints answer with RFC 6749 error objects
+ * ({ error, error_description }) rather than the usual API format.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthAuthorization = require('../models/OAuthAuthorization');
+const OAuthConsent = require('../models/OAuthConsent');
+const OAuthRefreshToken = require('../models/OAuthRefreshToken');
+const keyStore = require('../utils/keyStore');
+const { frontendUrl } = require('../utils/emailTemplates');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+const OIDC_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+/**
+ * Public issuer identifier (OAUTH_ISSUER, default: this server's origin)
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const issuerUrl = (req) => (process.env.OAUTH_ISSUER || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+/**
+ * Send an RFC 6749 error response
+ */
+const oauthError = (res, status, error, description) => {
+    res.set('Cache-Control', 'no-store');
+    res.status(status).json({ error, error_description: description });
+};
+
+/**
+ * Append query parameters to a client redirect URI
+ * @param {string} redirectUri
+ * @param {object} params - Undefined values are skipped
+ * @returns {string}
+ */
+const buildRedirect = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+};
+
+/**
+ * Split a space-delimited scope string into unique scopes
+ * @param {string} scope
+ * @returns {string[]}
+ */
+const parseScope = (scope) => [...new Set(String(scope || '').split(' ').filter(Boolean))];
+
+/**
+ * Identify and authenticate the calling client
+ * Accepts client_secret_basic, client_secret_post, or just client_id
+ * for public clients.
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} - OAuthClient document, or null if authentication failed
+ */
+const authenticateClient = async (req) => {
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+
+    const basic = /^Basic (.+)$/i.exec(req.get('authorization') || '');
+    if (basic) {
+        const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':');
+        try {
+            clientId = decodeURIComponent(id || '');
+            clientSecret = decodeURIComponent(secret || '');
+        } catch (error) {
+            return null; // Malformed percent-encoding
+        }
+    }
+
+    if (!clientId) return null;
+
+    const client = await OAuthClient.findOne({ clientId: String(clientId), disabled: false }).select('+secretHash');
+    if (!client) return null;
+
+    if (client.confidential) {
+        return client.verifySecret(clientSecret) ? client : null;
+    }
+    return clientSecret ? null : client;
+};
+
+/**
+ * Claims about a user that the granted scopes allow
+ * @param {object} user - User document
+ * @param {string[]} scope
+ * @returns {object}
+ */
+const userClaims = (user, scope) => ({
+    sub: String(user._id),
+    ...(scope.includes('profile') && {
+        name: user.name,
+        updated_at: Math.floor(new Date(user.updatedAt || user.createdAt).getTime() / 1000)
+    }),
+    ...(scope.includes('email') && {
+        email: user.email,
+        email_verified: user.emailVerified
+    })
+});
+
+/**
+ * Build the token endpoint response for a user grant
+ * @param {object} req - Express request
+ * @param {object} client - OAuthClient document
+ * @param {object} grant
+ * @param {object} grant.user - User document
+ * @param {string[]} grant.scope
+ * @param {Date} grant.authTime - When the user logged in
+ * @param {string} [grant.nonce] - From the authorization request
+ * @param {string} [grant.family] - Refresh token family being rotated
+ * @returns {Promise<object>}
+ */
+const issueUserTokens = async (req, client, { user, scope, authTime, nonce, family }) => {
+    const issuer = issuerUrl(req);
+    const expiresIn = Number(process.env.OAUTH_ACCESS_TOKEN_EXPIRE || 3600);
+
+    const response = {
+        access_token: await keyStore.sign(
+            { sub: String(user._id), client_id: client.clientId, scope: scope.join(' '), type: 'oauth-access' },
+            { issuer, audience: client.clientId, expiresIn, jwtid: crypto.randomUUID() }
+        ),
+        token_type: 'Bearer',
+        expires_in: expiresIn,
+        scope: scope.join(' ')
+    };
+
+    if (scope.includes('openid')) {
+        response.id_token = await keyStore.sign(
+            {
+                ...userClaims(user, scope),
+                auth_time: authTime ? Math.floor(new Date(authTime).getTime() / 1000) : undefined,
+                nonce
+            },
+            { issuer, audience: client.clientId, expiresIn: Number(process.env.OAUTH_ID_TOKEN_EXPIRE || 3600) }
+        );
+    }
+
+    if (scope.includes('offline_access') && client.allowsGrant('refresh_token')) {
+        response.refresh_token = await OAuthRefreshToken.issue(
+            { user: user._id, clientId: client.clientId, scope, authTime },
+            family
+        );
+    }
+
+    return response;
+};
+
+/**
+ * @desc    OpenID Connect discovery document
+ * @route   GET /.well-known/openid-configuration
+ * @access  Public
+ */
+exports.discovery = (req, res) => {
+    const issuer = issuerUrl(req);
+
+    res.status(200).json({
+        issuer,
+        authorization_endpoint: `${issuer}/oauth/authorize`,
+        token_endpoint: `${issuer}/oauth/token`,
+        userinfo_endpoint: `${issuer}/oauth/userinfo`,
+        revocation_endpoint: `${issuer}/oauth/revoke`,
+        jwks_uri: `${issuer}/.well-known/jwks.json`,
+        scopes_supported: OIDC_SCOPES,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: OAuthClient.GRANT_TYPES,
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: keyStore.ALGORITHMS,
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'name', 'email', 'email_verified', 'auth_time', 'nonce', 'updated_at'],
+        authorization_response_iss_parameter_supported: true
+    });
+};
+
+/**
+ * @desc    Public signing keys
+ * @route   GET /.well-known/jwks.json
+ * @access  Public
+ */
+exports.jwks = async (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.status(200).json(await keyStore.getJwks());
+    } catch (error) {
+        console.error('JWKS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading signing keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Validate an authorization request and send the browser to the
+ *          frontend, which handles login (index.html) and consent
+ * @route   GET /oauth/authorize
+ * @access  Public
+ */
+exports.authorize = async (req, res) => {
+    try {
+        const {
+            response_type: responseType,
+            client_id: clientId,
+            redirect_uri: requestedRedirectUri,
+            state,
+            nonce,
+            prompt,
+            code_challenge: codeChallenge,
+            code_challenge_method: codeChallengeMethod
+        } = req.query;
+
+        const client = clientId && await OAuthClient.findOne({ clientId: String(clientId), disabled: false });
+        if (!client) {
+            return oauthError(res, 400, 'invalid_client', 'Unknown client_id');
+        }
+
+        // Without a registered redirect URI there is nowhere safe to send errors
+        const redirectUri = requestedRedirectUri || (client.redirectUris.length === 1 ? client.redirectUris[0] : null);
+        if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+            return oauthError(res, 400, 'invalid_request', 'redirect_uri is not registered for this client');
+        }
+
+        const fail = (error, description) => res.redirect(buildRedirect(redirectUri, {
+            error,
+            error_description: description,
+            state,
+            iss: issuerUrl(req)
+        }));
+
+        if (responseType !== 'code') {
+            return fail('unsupported_response_type', 'Only response_type=code is supported');
+        }
+        if (!client.allowsGrant('authorization_code')) {
+            return fail('unauthorized_client', 'Client may not use the authorization code grant');
+        }
+
+        const scope = parseScope(req.query.scope || 'openid');
+        if (scope.some(item => !client.scopes.includes(item))) {
+            return fail('invalid_scope', 'Requested scope is not allowed for this client');
+        }
+
+        if (codeChallenge && codeChallengeMethod !== 'S256') {
+            return fail('invalid_request', 'code_challenge_method must be S256');
+        }
+        if (!codeChallenge && !client.confidential) {
+            return fail('invalid_request', 'PKCE is required for public clients');
+        }
+        if (prompt === 'none') {
+            return fail('login_required', 'Interactive login is required');
+        }
+
+        const request = await OAuthAuthorization.createRequest({
+            clientId: client.clientId,
+            redirectUri,
+            redirectUriSupplied: Boolean(requestedRedirectUri),
+            scope,
+            state,
+            nonce,
+            codeChallenge,
+            prompt
+        });
+
+        res.redirect(`${frontendUrl()}/index.html?oauthRequest=${encodeURIComponent(request.key)}`);
+
+    } catch (error) {
+        console.error('OAuth authorize error:', error);
+        oauthError(res, 500, 'server_error', 'Server error handling the authorization request');
+    }
+};
+
+/**
+ * @desc    Describe a pending authorization request for the consent screen
+ * @route   GET /oauth/requests/:id
+ * @access  Private
+ */
+exports.getRequest = async (req, res) => {
+    try {
+        const request = await OAuthAuthorization.findRequest(req.params.id);
+        const client = request && await OAuthClient.findOne({ clientId: request.clientId, disabled: false });
+
+        if (!client) {
+            return res.status(404).json({
+                success: false,
+                message: 'This sign-in request has expired. Please start again from the application.'
+            });
+        }
+
+        const consentRequired = !client.trusted &&
+            (request.prompt === 'consent' || !(await OAuthConsent.covers(req.user.id, client.clientId, request.scope)));
+
+        res.status(200).json({
+            success: true,
+            request: {
+                id: request.key,
+                client: { clientId: client.clientId, name: client.name },
+                scopes: request.scope,
+                redirectOrigin: new URL(request.redirectUri).origin,
+                consentRequired
+            }
+        });
+
+    } catch (error) {
+        console.error('OAuth request lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading the sign-in request',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Approve or deny a pending authorization request
+ *          Returns the client redirect URL for the browser to follow.
+ * @route   POST /oauth/requests/:id/decision
+ * @access  Private
+ */
+exports.decide = async (req, res) => {
+    try {
+        const request = await OAuthAuthorization.consumeRequest(req.params.id);
+        const client = request && await OAuthClient.findOne({ clientId: request.clientId, disabled: false });
+
+        if (!client) {
+            return res.status(404).json({
+                success: false,
+                message: 'This sign-in request has expired. Please start again from the application.'
+            });
+        }
+
+        const issuer = issuerUrl(req);
+
+        if (req.body.approve !== true) {
+            return res.status(200).json({
+                success: true,
+                redirectTo: buildRedirect(request.redirectUri, {
+                    error: 'access_denied',
+                    error_description: 'The user denied the request',
+                    state: request.state,
+                    iss: issuer
+                })
+            });
+        }
+
+        if (!client.trusted) {
+            await OAuthConsent.grant(req.user.id, client.clientId, request.scope);
+        }
+
+        const code = await OAuthAuthorization.issueCode(request, req.user.id, req.authSession.createdAt);
+
+        recordAuthEvent(req, {
+            type: 'oauth_authorized',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { clientId: client.clientId, scope: request.scope }
+        });
+
+        res.status(200).json({
+            success: true,
+            redirectTo: buildRedirect(request.redirectUri, { code, state: request.state, iss: issuer })
+        });
+
+    } catch (error) {
+        console.error('OAuth decision error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error completing the sign-in request',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Token endpoint
+ * @route   POST /oauth/token
+ * @access  Client authentication
+ */
+exports.token = async (req, res) => {
+    try {
+        const client = await authenticateClient(req);
+        if (!client) {
+            return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+        }
+
+        const grantType = req.body.grant_type;
+        if (!OAuthClient.GRANT_TYPES.includes(grantType)) {
+            return oauthError(res, 400, 'unsupported_grant_type', 'Unsupported grant_type');
+        }
+        if (!client.allowsGrant(grantType)) {
+            return oauthError(res, 400, 'unauthorized_client', `Client may not use the ${grantType} grant`);
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.set('Pragma', 'no-cache');
+
+        if (grantType === 'authorization_code') {
+            const code = req.body.code && await OAuthAuthorization.consumeCode(req.body.code);
+
+            // redirect_uri must match only if /authorize received one (RFC 6749 §4.1.3),
+            // but a value sent anyway must still be the one the code was issued for
+            const redirectUriMismatch = (code && (code.redirectUriSupplied || req.body.redirect_uri !== undefined))
+                && code.redirectUri !== req.body.redirect_uri;
+
+            if (!code || code.clientId !== client.clientId || redirectUriMismatch) {
+                return oauthError(res, 400, 'invalid_grant', 'Authorization code is invalid or expired');
+            }
+
+            if (code.codeChallenge) {
+                const verifierHash = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+                if (verifierHash !== code.codeChallenge) {
+                    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+                }
+            }
+
+            const user = await User.findById(code.user);
+            if (!user || user.disabled) {
+                return oauthError(res, 400, 'invalid_grant', 'The account is not available');
+            }
+
+            return res.status(200).json(await issueUserTokens(req, client, {
+                user,
+                scope: code.scope,
+                authTime: code.authTime,
+                nonce: code.nonce
+            }));
+        }
+
+        if (grantType === 'refresh_token') {
+            const stored = req.body.refresh_token && await OAuthRefreshToken.findOne({
+                tokenHash: OAuthRefreshToken.hashToken(req.body.refresh_token)
+            });
+
+            if (!stored || stored.clientId !== client.clientId || stored.expiresAt <= new Date()) {
+                return oauthError(res, 400, 'invalid_grant', 'Refresh token is invalid or expired');
+            }
+
+            // Reuse of a rotated token: assume theft and kill the family
+            const claimed = !stored.revokedAt && await OAuthRefreshToken.findOneAndUpdate(
+                { _id: stored._id, usedAt: null, revokedAt: null },
+                { $set: { usedAt: new Date() } }
+            );
+            if (!claimed) {
+                await OAuthRefreshToken.revokeFamily(stored.family);
+                return oauthError(res, 400, 'invalid_grant', 'Refresh token has already been used');
+            }
+
+            const user = await User.findById(stored.user);
+            if (!user || user.disabled || (stored.authTime && user.changedPasswordAfter(stored.authTime.getTime() / 1000))) {
+                await OAuthRefreshToken.revokeFamily(stored.family);
+                return oauthError(res, 400, 'invalid_grant', 'The grant is no longer valid');
+            }
+
+            // A refresh may narrow the scope, never widen it
+            const requested = req.body.scope ? parseScope(req.body.scope) : stored.scope;
+            if (requested.some(item => !stored.scope.includes(item))) {
+                return oauthError(res, 400, 'invalid_scope', 'Requested scope exceeds the original grant');
+            }
+
+            return res.status(200).json(await issueUserTokens(req, client, {
+                user,
+                scope: requested,
+                authTime: stored.authTime,
+                family: stored.family
+            }));
+        }
+
+        // client_credentials: the client acts on its own behalf
+        const scope = parseScope(req.body.scope).filter(item => !OIDC_SCOPES.includes(item));
+        if (scope.some(item => !client.scopes.includes(item))) {
+            return oauthError(res, 400, 'invalid_scope', 'Requested scope is not allowed for this client');
+        }
+
+        const expiresIn = Number(process.env.OAUTH_ACCESS_TOKEN_EXPIRE || 3600);
+        res.status(200).json({
+            access_token: await keyStore.sign(
+                { sub: client.clientId, client_id: client.clientId, scope: scope.join(' '), type: 'oauth-access' },
+                { issuer: issuerUrl(req), audience: client.clientId, expiresIn, jwtid: crypto.randomUUID() }
+            ),
+            token_type: 'Bearer',
+            expires_in: expiresIn,
+            scope: scope.join(' ')
+        });
+
+    } catch (error) {
+        console.error('OAuth token error:', error);
+        oauthError(res, 500, 'server_error', 'Server error issuing tokens');
+    }
+};
+
+/**
+ * @desc    Claims about the user an access token was issued for
+ * @route   GET|POST /oauth/userinfo
+ * @access  Bearer access token with the openid scope
+ */
+exports.userinfo = async (req, res) => {
+    const reject = (description) => {
+        res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${description}"`);
+        oauthError(res, 401, 'invalid_token', description);
+    };
+
+    try {
+        const match = /^Bearer (.+)$/i.exec(req.get('authorization') || '');
+        if (!match) {
+            return reject('Missing bearer token');
+        }
+
+        let claims;
+        try {
+            claims = await keyStore.verify(match[1], { issuer: issuerUrl(req) });
+        } catch (error) {
+            return reject('Access token is invalid or expired');
+        }
+
+        const scope = parseScope(claims.scope);
+        if (claims.type !== 'oauth-access' || !scope.includes('openid')) {
+            return reject('Access token does not grant the openid scope');
+        }
+
+        const user = await User.findById(claims.sub);
+        if (!user || user.disabled) {
+            return reject('The account is not available');
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(userClaims(user, scope));
+
+    } catch (error) {
+        console.error('OAuth userinfo error:', error);
+        oauthError(res, 500, 'server_error', 'Server error loading user info');
+    }
+};
+
+/**
+ * @desc    Revoke a refresh token (RFC 7009)
+ *          Always answers 200 so clients can't probe for valid tokens.
+ * @route   POST /oauth/revoke
+ * @access  Client authentication
+ */
+exports.revoke = async (req, res) => {
+    try {
+        const client = await authenticateClient(req);
+        if (!client) {
+            return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+        }
+
+        const stored = req.body.token && await OAuthRefreshToken.findOne({
+            tokenHash: OAuthRefreshToken.hashToken(req.body.token),
+            clientId: client.clientId
+        });
+        if (stored) {
+            await OAuthRefreshToken.revokeFamily(stored.family);
+        }
+
+        res.status(200).end();
+
+    } catch (error) {
+        console.error('OAuth revoke error:', error);
+        oauthError(res, 500, 'server_error', 'Server error revoking the token');
+    }
+};
@@ -0,0 +1,333 @@
+/**
+ * OIDC (External Identity) Controller
+ *
+ * Sign-in with external OpenID Connect providers:
+ * - Redirect to the provider (authorization code + PKCE)
+ * - Handle the callback, then create or link the local account
+ * - Exchange the resulting one-time ticket for the usual tokens
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const OidcTransaction = require('../models/OidcTransaction');
+const oidc = require('../utils/oidc');
+const { getProviders, getProvider } = require('../config/oidc');
+const { frontendUrl } = require('../utils/emailTemplates');
+const { sendTokenResponse } = require('../utils/authTokens');
+const { crossSiteCookieOptions } = require('../utils/cookies');
+const { recordAuthEvent } = require('../utils/auditLog');
+const { assessLoginRisk } = require('../utils/loginRisk');
+
+// Binds the authorization state to the browser that started the flow.
+// SameSite=Lax so it is sent on the provider's top-level redirect back.
+const STATE_COOKIE = 'oidcState';
+const stateCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/oidc'
+});
+
+// Binds the login ticket to the browser the callback ran in, so a ticket
+// from someone else's sign-in can't log this browser in (login CSRF).
+// The exchange is a cross-site fetch from the frontend, hence SameSite=None.
+const TICKET_COOKIE = 'oidcTicketBrowser';
+const ticketCookieOptions = () => ({
+    ...crossSiteCookieOptions(),
+    path: '/api/auth/oidc'
+});
+
+/**
+ * Callback URL registered with the provider
+ * @param {object} provider
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+const redirectUriFor = (provider, req) =>
+    provider.redirectUri || `${req.protocol}://${req.get('host')}/api/auth/oidc/${provider.id}/callback`;
+
+/**
+ * Send the browser back to the login page
+ * Errors are sent as codes (e.g. "invalid_state") that the frontend maps
+ * to its own messages, so nothing from the URL is ever shown as is.
+ * @param {object} res - Express response
+ * @param {object} params - Query parameters (oidcTicket or oidcError)
+ */
+const redirectToLogin = (res, params) => {
+    res.redirect(`${frontendUrl()}/index.html?${new URLSearchParams(params)}`);
+};
+
+/**
+ * Find the account for an external identity, linking or creating one
+ * by verified email when the identity is new
+ * @param {object} provider
+ * @param {object} claims - Validated ID token claims
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - User document
+ */
+const resolveUser = async (provider, claims, req) => {
+    const linked = await User.findOne({
+        identities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+    });
+    if (linked) return linked;
+
+    const email = String(claims.email || '').trim().toLowerCase();
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    if (!email || !emailVerified) {
+        const error = new Error(`Your ${provider.name} account has no verified email address`);
+        error.expose = true;
+        error.code = 'no_verified_email';
+        throw error;
+    }
+
+    const identity = { provider: provider.id, subject: claims.sub, email };
+    const existing = await User.findOne({ email });
+
+    if (existing) {
+        existing.identities.push(identity);
+
+        // Nobody proved ownership of an unverified account. Whoever registered
+        // it may not be the address owner, so drop their password and sessions.
+        if (!existing.emailVerified) {
+            existing.emailVerified = true;
+            existing.emailVerifiedAt = new Date();
+            existing.password = oidc.randomToken();
+            await Session.revokeAllForUser(existing._id);
+        }
+
+        await existing.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, {
+            type: 'identity_linked',
+            outcome: 'success',
+            user: existing._id,
+            email,
+            metadata: { provider: provider.id }
+        });
+
+        return existing;
+    }
+
+    const fullName = String(claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ')).trim();
+    const name = (fullName || email.split('@')[0]).slice(0, 50);
+
+    const user = new User({
+        name: name.length >= 2 ? name : 'New User',
+        email,
+        password: oidc.randomToken(), // Unusable until the user sets one via "Forgot password"
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        identities: [identity]
+    });
+    user.$locals.generatedPassword = true;
+    await user.save();
+
+    recordAuthEvent(req, {
+        type: 'register',
+        outcome: 'success',
+        user: user._id,
+        email,
+        metadata: { method: 'oidc', provider: provider.id }
+    });
+
+    return user;
+};
+
+/**
+ * @desc    List configured external identity providers
+ * @route   GET /api/auth/oidc/providers
+ * @access  Public
+ */
+exports.listProviders = (req, res) => {
+    res.status(200).json({
+        success: true,
+        providers: getProviders().map(({ id, name }) => ({ id, name }))
+    });
+};
+
+/**
+ * @desc    Redirect the browser to the provider's login page
+ * @route   GET /api/auth/oidc/:provider/start
+ * @access  Public
+ */
+exports.start = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return redirectToLogin(res, { oidcError: 'unknown_provider' });
+        }
+
+        const metadata = await oidc.discover(provider);
+        const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+        const state = oidc.randomToken();
+        const nonce = oidc.randomToken();
+        const redirectUri = redirectUriFor(provider, req);
+
+        await OidcTransaction.issueAuthorization({
+            state,
+            provider: provider.id,
+            nonce,
+            codeVerifier,
+            redirectUri,
+            remember: req.query.remember === 'true'
+        });
+
+        res.cookie(STATE_COOKIE, state, {
+            ...stateCookieOptions(),
+            maxAge: Number(process.env.OIDC_STATE_EXPIRE || 600) * 1000
+        });
+
+        res.redirect(oidc.buildAuthorizationUrl(provider, metadata, { redirectUri, state, nonce, codeChallenge }));
+
+    } catch (error) {
+        console.error('OIDC start error:', error);
+        redirectToLogin(res, { oidcError: 'provider_unreachable' });
+    }
+};
+
+/**
+ * @desc    Handle the provider's redirect back and issue a login ticket
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+exports.callback = async (req, res) => {
+    const { code, state, error: providerError } = req.query;
+    const cookieState = req.cookies && req.cookies[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return redirectToLogin(res, { oidcError: 'unknown_provider' });
+        }
+
+        if (providerError) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', reason: 'oidc_denied', metadata: { provider: provider.id, error: String(providerError) } });
+            return redirectToLogin(res, { oidcError: 'cancelled' });
+        }
+
+        // The state must match both the stored request and this browser's cookie
+        const transaction = state && cookieState === state
+            ? await OidcTransaction.consumeAuthorization(provider.id, state)
+            : null;
+
+        if (!transaction || !code) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', reason: 'oidc_invalid_state', metadata: { provider: provider.id } });
+            return redirectToLogin(res, { oidcError: 'invalid_state' });
+        }
+
+        const metadata = await oidc.discover(provider);
+        const tokens = await oidc.exchangeCode(provider, metadata, {
+            code: String(code),
+            codeVerifier: transaction.codeVerifier,
+            redirectUri: transaction.redirectUri
+        });
+        const claims = await oidc.verifyIdToken(provider, metadata, tokens.id_token, transaction.nonce);
+
+        const user = await resolveUser(provider, claims, req);
+        const { ticket, browserKey } = await OidcTransaction.issueTicket(user._id, provider.id, transaction.remember);
+
+        res.cookie(TICKET_COOKIE, browserKey, {
+            ...ticketCookieOptions(),
+            maxAge: OidcTransaction.ticketLifetimeSeconds() * 1000
+        });
+        redirectToLogin(res, { oidcTicket: ticket });
+
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+        recordAuthEvent(req, { type: 'login', outcome: 'failure', reason: 'oidc_error', metadata: { provider: req.params.provider } });
+        redirectToLogin(res, { oidcError: error.expose ? error.code : 'failed' });
+    }
+};
+
+/**
+ * @desc    Exchange a one-time login ticket for tokens
+ *          Applies the same account checks as password login,
+ *          including the 2FA step when it is enabled.
+ * @route   POST /api/auth/oidc/exchange
+ * @access  Public (requires the ticket and the browser cookie from the callback)
+ */
+exports.exchangeTicket = async (req, res) => {
+    try {
+        const ticket = typeof req.body.ticket === 'string' ? req.body.ticket : '';
+        const browserKey = req.cookies && req.cookies[TICKET_COOKIE];
+
+        const transaction = await OidcTransaction.consumeTicket(ticket, browserKey);
+        const user = transaction && await User.findById(transaction.user);
+
+        if (!user) {
+            if (ticket) {
+                recordAuthEvent(req, { type: 'login', outcome: 'failure', reason: 'oidc_invalid_ticket' });
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Sign-in link expired. Please try again.'
+            });
+        }
+
+        res.clearCookie(TICKET_COOKIE, ticketCookieOptions());
+
+        if (user.disabled) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'account_disabled' });
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                message: 'This account has been disabled. Please contact support.'
+            });
+        }
+
+        if (user.passwordResetRequired) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'password_reset_required' });
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_RESET_REQUIRED',
+                message: 'You must reset your password before logging in. Check your email for a reset link.'
+            });
+        }
+
+        // Scored from the browser that exchanges the ticket. The provider
+        // has already authenticated the user, which stands in for the
+        // challenge, so only a block stops the sign-in.
+        const risk = await assessLoginRisk(user, req);
+        if (risk && risk.action === 'block') {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'risk_blocked', metadata: { method: 'oidc', provider: transaction.provider }, risk });
+            return res.status(403).json({
+                success: false,
+                code: 'LOGIN_BLOCKED',
+                message: 'This sign-in looks unusual and was blocked. Please try again later.'
+            });
+        }
+
+        if (user.twoFactorEnabled) {
+            return res.status(200).json({
+                success: true,
+                mfaRequired: true,
+                mfaToken: user.generateMfaToken(transaction.remember, risk),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        user.lastLogin = Date.now();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, {
+            type: 'login',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { method: 'oidc', provider: transaction.provider },
+            risk
+        });
+
+        await sendTokenResponse(user, 200, 'Login successful', req, res, { persistent: transaction.remember });
+
+    } catch (error) {
+        console.error('OIDC ticket exchange error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during sign-in',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
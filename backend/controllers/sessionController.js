@@ -0,0 +1,133 @@
+/**
+ * Session Controller
+ * 
+ * Lets users inspect and revoke their logged-in sessions:
+ * - List active sessions
+ * - Revoke a single session
+ * - Sign out everywhere
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { clearAuthCookies } = require('../utils/authTokens');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+/**
+ * @desc    List active sessions for the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            // No session is "current" when called with an API key
+            sessions: sessions.map(session => session.toPublicJSON(req.authSession && req.authSession.jti))
+        });
+
+    } catch (error) {
+        console.error('Session list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        // Scope lookup to the current user so sessions of others can't be touched
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await session.revoke();
+
+        recordAuthEvent(req, {
+            type: 'session_revoked',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { session: session._id }
+        });
+
+        const isCurrent = session.jti === req.authSession.jti;
+        if (isCurrent) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked',
+            current: isCurrent
+        });
+
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking session',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Sign out everywhere (revoke all sessions, including this one)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = async (req, res) => {
+    try {
+        const count = await Session.revokeAllForUser(req.user.id);
+
+        recordAuthEvent(req, {
+            type: 'session_revoked',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { all: true, count }
+        });
+
+        clearAuthCookies(res);
+
+        res.status(200).json({
+            success: true,
+            message: 'Signed out of all sessions',
+            count
+        });
+
+    } catch (error) {
+        console.error('Session revoke-all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking sessions',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
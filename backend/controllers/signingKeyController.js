@@ -0,0 +1,116 @@
+/**
+ * Signing Key Administration Controller
+ *
+ * Operator view of the JWT signing keys: list them, rotate ahead of
+ * schedule and retire a key that may be compromised.
+ */
+
+const SigningKey = require('../models/SigningKey');
+const keyStore = require('../utils/keyStore');
+
+/**
+ * @desc    List signing keys, newest first
+ * @route   GET /api/admin/signing-keys
+ * @access  Admin (keys:manage)
+ */
+exports.listKeys = async (req, res) => {
+    try {
+        const keys = await SigningKey.find().sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            keys: keys.map(key => key.toPublicJSON())
+        });
+
+    } catch (error) {
+        console.error('Signing key list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching signing keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Generate the next signing key now
+ *          `immediate: true` skips the publish-ahead delay.
+ * @route   POST /api/admin/signing-keys/rotate
+ * @access  Admin (keys:manage)
+ */
+exports.rotateKeys = async (req, res) => {
+    try {
+        const key = await keyStore.rotateKeys({ immediate: req.body.immediate === true });
+
+        res.status(201).json({
+            success: true,
+            message: `New signing key ${key.kid} takes over at ${key.activatesAt.toISOString()}`,
+            key: key.toPublicJSON()
+        });
+
+    } catch (error) {
+        console.error('Signing key rotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rotating signing keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Retire a signing key immediately
+ *          Tokens it signed stop being accepted at once.
+ * @route   DELETE /api/admin/signing-keys/:kid
+ * @access  Admin (keys:manage)
+ */
+exports.retireKey = async (req, res) => {
+    try {
+        const key = await keyStore.retireKey(req.params.kid);
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'Active signing key not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Signing key retired',
+            key: key.toPublicJSON()
+        });
+
+    } catch (error) {
+        console.error('Signing key retire error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retiring signing key',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Run scheduled key maintenance (rotate when due, retire expired keys)
+ * @route   POST /api/admin/rotate-signing-keys
+ * @access  Scheduler (x-admin-key)
+ */
+exports.rotateIfDue = async (req, res) => {
+    try {
+        const result = await keyStore.rotateIfDue();
+
+        res.status(200).json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Scheduled key rotation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rotating signing keys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
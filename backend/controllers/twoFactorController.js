@@ -0,0 +1,304 @@
+/**
+ * Two-Factor Authentication Controller
+ * 
+ * TOTP (RFC 6238) based 2FA:
+ * - Enrollment (setup + confirmation)
+ * - Second login step
+ * - Disabling 2FA
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { sendTokenResponse } = require('../utils/authTokens');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage/lookup (normalizes case and dashes)
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes like "a1b2c-3d4e5"
+ * @returns {string[]}
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * Check a TOTP or recovery code against a user with 2FA secrets selected.
+ * Consumes recovery codes and records the TOTP step to block replays.
+ * Both happen in one conditional update, so two requests racing with the
+ * same code can't both succeed; the user document itself is left as is.
+ * @param {object} user - User document
+ * @param {object} input
+ * @param {string} [input.code] - 6-digit TOTP code
+ * @param {string} [input.recoveryCode] - One-time recovery code
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        if (!user.twoFactorRecoveryCodes.includes(hash)) return false;
+
+        // Only the request that actually removes the code may use it
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } }
+        );
+        return modifiedCount === 1;
+    }
+
+    const step = totp.verifyToken(decrypt(user.twoFactorSecret), code);
+    if (step === null || step <= (user.twoFactorLastUsedStep || 0)) {
+        return false;
+    }
+
+    // Only the first request to move past the last used step may use it
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }] },
+        { $set: { twoFactorLastUsedStep: step } }
+    );
+    return modifiedCount === 1;
+};
+
+/**
+ * @desc    Start 2FA enrollment - returns otpauth URI and QR code
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setup = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = totp.generateSecret();
+        const otpauthUrl = totp.buildOtpauthUri(secret, user.email);
+
+        // Keep the secret pending until the user proves their app is set up
+        user.twoFactorPendingSecret = encrypt(secret);
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        });
+
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting 2FA setup',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with a code from the app
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+exports.confirm = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'No 2FA setup in progress. Please start setup again.'
+            });
+        }
+
+        const secret = decrypt(user.twoFactorPendingSecret);
+        const step = totp.verifyToken(secret, req.body.code);
+
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        user.twoFactorEnabled = true;
+        user.twoFactorEnabledAt = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, { type: 'mfa_enabled', outcome: 'success', user: user._id, email: user.email });
+
+        // Recovery codes are only ever shown here
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error confirming 2FA',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Disable 2FA (requires current password)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disable = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+password');
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+            recordAuthEvent(req, { type: 'mfa_disabled', outcome: 'failure', user: user._id, email: user.email, reason: 'invalid_password' });
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect password'
+            });
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorEnabledAt = null;
+        user.twoFactorSecret = undefined;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = undefined;
+        user.twoFactorRecoveryCodes = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, { type: 'mfa_disabled', outcome: 'success', user: user._id, email: user.email });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error disabling 2FA',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Complete login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (requires "mfa pending" token from login)
+ */
+exports.loginWithSecondFactor = async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body;
+
+        let decoded;
+        try {
+            decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.type !== 'mfa-pending') {
+            await req.bruteForce.fail();
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge expired. Please login again.'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification code is required'
+            });
+        }
+
+        const user = await User.findById(decoded.id)
+            .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+        if (!user || !user.twoFactorEnabled || user.disabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge expired. Please login again.'
+            });
+        }
+
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, {
+                type: 'login',
+                outcome: 'failure',
+                user: user._id,
+                email: user.email,
+                reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_totp',
+                risk: decoded.risk
+            });
+            return res.status(401).json({
+                success: false,
+                message: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
+            });
+        }
+
+        await req.bruteForce.succeed();
+
+        // Update last login time
+        user.lastLogin = Date.now();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, {
+            type: 'login',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { method: recoveryCode ? 'recovery_code' : 'totp' },
+            risk: decoded.risk
+        });
+
+        await sendTokenResponse(user, 200, 'Login successful', req, res, { persistent: Boolean(decoded.remember) });
+
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
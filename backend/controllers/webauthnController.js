@@ -0,0 +1,361 @@
+/**
+ * WebAuthn (Passkey) Controller
+ * 
+ * Passwordless sign-in with platform or roaming authenticators:
+ * - Passkey registration (logged-in users)
+ * - Passkey sign-in (issues the same tokens/cookies as login)
+ * - Listing and removing registered passkeys
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const webauthn = require('../utils/webauthn');
+const { sendTokenResponse } = require('../utils/authTokens');
+const { recordAuthEvent } = require('../utils/auditLog');
+const { assessLoginRisk } = require('../utils/loginRisk');
+
+/**
+ * @desc    Start passkey registration - returns creation options
+ * @route   POST /api/auth/webauthn/register/options
+ * @access  Private
+ */
+exports.registrationOptions = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        const existing = await WebAuthnCredential.find({ user: user._id });
+
+        const options = await webauthn.createRegistrationOptions(user, existing);
+        const challenge = await WebAuthnChallenge.issue(options.challenge, 'registration', user._id);
+
+        res.status(200).json({
+            success: true,
+            challengeId: challenge._id,
+            options
+        });
+
+    } catch (error) {
+        console.error('WebAuthn registration options error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting passkey registration',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Finish passkey registration - verifies the attestation and stores the credential
+ * @route   POST /api/auth/webauthn/register/verify
+ * @access  Private
+ */
+exports.verifyRegistration = async (req, res) => {
+    try {
+        const { challengeId, response, name } = req.body;
+
+        const challenge = await WebAuthnChallenge.consume(challengeId, 'registration', req.user.id);
+        if (!challenge || !response) {
+            return res.status(400).json({
+                success: false,
+                message: 'Registration challenge expired. Please try again.'
+            });
+        }
+
+        let verification;
+        try {
+            verification = await webauthn.verifyRegistration(response, challenge.challenge);
+        } catch (error) {
+            verification = { verified: false, reason: error.message };
+        }
+
+        if (!verification.verified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Passkey could not be verified',
+                error: process.env.NODE_ENV === 'development' ? verification.reason : undefined
+            });
+        }
+
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+        const stored = await WebAuthnCredential.create({
+            user: req.user.id,
+            credentialId: credential.id,
+            publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+            counter: credential.counter,
+            transports: credential.transports || response.response.transports || [],
+            deviceType: credentialDeviceType,
+            backedUp: credentialBackedUp,
+            name: String(name || '').trim().slice(0, 50) || 'Passkey'
+        });
+
+        recordAuthEvent(req, {
+            type: 'passkey_added',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { credential: stored._id }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Passkey registered',
+            credential: stored.toPublicJSON()
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'This passkey is already registered'
+            });
+        }
+        console.error('WebAuthn registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error registering passkey',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Start passkey sign-in - returns request options
+ *          Always for discoverable passkeys (no allow list), so the
+ *          response never reveals which accounts exist or their passkeys.
+ * @route   POST /api/auth/webauthn/login/options
+ * @access  Public
+ */
+exports.authenticationOptions = async (req, res) => {
+    try {
+        const options = await webauthn.createAuthenticationOptions([]);
+        const challenge = await WebAuthnChallenge.issue(options.challenge, 'authentication');
+
+        res.status(200).json({
+            success: true,
+            challengeId: challenge._id,
+            options
+        });
+
+    } catch (error) {
+        console.error('WebAuthn authentication options error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting passkey sign-in',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Finish passkey sign-in - verifies the assertion and logs the user in
+ * @route   POST /api/auth/webauthn/login/verify
+ * @access  Public
+ */
+exports.verifyAuthentication = async (req, res) => {
+    try {
+        const { challengeId, response } = req.body;
+        const remember = req.body.remember === true || req.body.remember === 'true';
+
+        const challenge = await WebAuthnChallenge.consume(challengeId, 'authentication');
+        if (!challenge || !response || !response.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sign-in challenge expired. Please try again.'
+            });
+        }
+
+        const credential = await WebAuthnCredential.findOne({ credentialId: response.id });
+        if (!credential) {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', reason: 'unknown_passkey' });
+            return res.status(401).json({
+                success: false,
+                message: 'This passkey is not registered'
+            });
+        }
+
+        let verification;
+        try {
+            verification = await webauthn.verifyAuthentication(response, challenge.challenge, credential);
+        } catch (error) {
+            verification = { verified: false, reason: error.message };
+        }
+
+        if (!verification.verified) {
+            // A counter that didn't increase suggests a cloned authenticator
+            const counterMismatch = /counter/i.test(verification.reason || '');
+            if (counterMismatch) {
+                console.warn(`⚠️  Passkey counter mismatch for user ${credential.user} (credential ${credential._id})`);
+            }
+
+            await req.bruteForce.fail();
+            recordAuthEvent(req, {
+                type: 'login',
+                outcome: 'failure',
+                user: credential.user,
+                reason: counterMismatch ? 'passkey_counter_mismatch' : 'invalid_passkey'
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Passkey verification failed'
+            });
+        }
+
+        // Only advance the counter if nobody else used this assertion concurrently
+        const { newCounter } = verification.authenticationInfo;
+        const updated = await WebAuthnCredential.findOneAndUpdate(
+            { _id: credential._id, counter: credential.counter },
+            { $set: { counter: newCounter, lastUsedAt: new Date() } }
+        );
+
+        if (!updated) {
+            return res.status(401).json({
+                success: false,
+                message: 'Passkey verification failed'
+            });
+        }
+
+        const user = await User.findById(credential.user);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'This passkey is not registered'
+            });
+        }
+
+        if (user.disabled) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'account_disabled' });
+            return res.status(403).json({
+                success: false,
+                code: 'ACCOUNT_DISABLED',
+                message: 'This account has been disabled. Please contact support.'
+            });
+        }
+
+        if (user.passwordResetRequired) {
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'password_reset_required' });
+            return res.status(403).json({
+                success: false,
+                code: 'PASSWORD_RESET_REQUIRED',
+                message: 'You must reset your password before logging in. Check your email for a reset link.'
+            });
+        }
+
+        // Scored like password logins, but a passkey is already more than
+        // the challenge would ask for, so only a block stops it
+        const risk = await assessLoginRisk(user, req);
+        if (risk && risk.action === 'block') {
+            await req.bruteForce.fail();
+            recordAuthEvent(req, { type: 'login', outcome: 'failure', user: user._id, email: user.email, reason: 'risk_blocked', metadata: { method: 'passkey', credential: credential._id }, risk });
+            return res.status(403).json({
+                success: false,
+                code: 'LOGIN_BLOCKED',
+                message: 'This sign-in looks unusual and was blocked. Please try again later.'
+            });
+        }
+
+        // Without user verification (PIN or biometric) the assertion only
+        // proves possession of the key, so it can't stand in for TOTP
+        if (!verification.authenticationInfo.userVerified && user.twoFactorEnabled) {
+            return res.status(200).json({
+                success: true,
+                mfaRequired: true,
+                mfaToken: user.generateMfaToken(remember, risk),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        await req.bruteForce.succeed();
+
+        user.lastLogin = Date.now();
+        await user.save({ validateBeforeSave: false });
+
+        recordAuthEvent(req, {
+            type: 'login',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { method: 'passkey', credential: credential._id },
+            risk
+        });
+
+        // A user-verified passkey is phishing-resistant and multi-factor on
+        // its own, so TOTP is skipped
+        await sendTokenResponse(user, 200, 'Login successful', req, res, { persistent: remember });
+
+    } catch (error) {
+        console.error('WebAuthn authentication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during passkey sign-in',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    List the current user's passkeys
+ * @route   GET /api/auth/webauthn/credentials
+ * @access  Private
+ */
+exports.listCredentials = async (req, res) => {
+    try {
+        const credentials = await WebAuthnCredential.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            credentials: credentials.map(credential => credential.toPublicJSON())
+        });
+
+    } catch (error) {
+        console.error('WebAuthn credential list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching passkeys',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * @desc    Remove one of the current user's passkeys
+ * @route   DELETE /api/auth/webauthn/credentials/:id
+ * @access  Private
+ */
+exports.deleteCredential = async (req, res) => {
+    try {
+        const credential = mongoose.isValidObjectId(req.params.id)
+            ? await WebAuthnCredential.findOneAndDelete({ _id: req.params.id, user: req.user.id })
+            : null;
+
+        if (!credential) {
+            return res.status(404).json({
+                success: false,
+                message: 'Passkey not found'
+            });
+        }
+
+        recordAuthEvent(req, {
+            type: 'passkey_removed',
+            outcome: 'success',
+            user: req.user.id,
+            email: req.user.email,
+            metadata: { credential: credential._id }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Passkey removed'
+        });
+
+    } catch (error) {
+        console.error('WebAuthn credential delete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing passkey',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
@@ -1,12 +1,152 @@
 /**
  * Authentication Middleware
  * 
- * Protects routes by verifying JWT tokens.
+ * Protects routes by verifying JWT access tokens.
  * Extracts token from cookies or Authorization header.
+ * Refresh tokens are opaque and only accepted by POST /api/auth/refresh.
+ * Access tokens are bound to a server-side Session via their `jti` claim
+ * and signed with rotating asymmetric keys, looked up by their `kid`.
+ * `authorize` adds role/permission checks on top of `protect`, and
+ * `requireRecentAuth` asks for the password again on sensitive routes.
+ * API keys (personal access tokens) are accepted only on routes that
+ * declare a scope with `apiKeyScope`.
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const keyStore = require('../utils/keyStore');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+// Only persist "last seen" once per minute to avoid a write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether tokens from before asymmetric signing (HS256 with JWT_SECRET)
+ * are still accepted. Opt-in: only until the JWT_ACCEPT_HS256_UNTIL date,
+ * and never when it is unset or not a valid date.
+ * @returns {boolean}
+ */
+const acceptsLegacyTokens = () => {
+    const until = Date.parse(process.env.JWT_ACCEPT_HS256_UNTIL || '');
+    return Number.isFinite(until) && Date.now() < until;
+};
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} token
+ * @param {object} [options] - jsonwebtoken verify options (e.g. ignoreExpiration)
+ * @returns {Promise<object>} - Decoded claims
+ */
+const verifyAccessToken = async (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (decoded && decoded.header.alg === 'HS256' && acceptsLegacyTokens()) {
+        return jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ['HS256'] });
+    }
+    return keyStore.verify(token, options);
+};
+
+exports.verifyAccessToken = verifyAccessToken;
+
+/**
+ * Build the req.user object for an authenticated user
+ * @param {object} user - User document
+ * @returns {Promise<object>}
+ */
+const toRequestUser = async (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    roles: user.roles,
+    permissions: await user.getPermissions()
+});
+
+/**
+ * Authenticate a request made with an API key
+ * Sends the error response itself when the key is not accepted.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next
+ * @param {string} rawKey - Key from X-API-Key or the Authorization header
+ */
+const authenticateApiKey = async (req, res, next, rawKey) => {
+    if (!req.apiKeyScope) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'api_key_not_allowed', metadata: { path: req.originalUrl } });
+        return res.status(403).json({
+            success: false,
+            code: 'API_KEY_NOT_ALLOWED',
+            message: 'API keys cannot be used for this route. Please login.'
+        });
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+
+    if (!apiKey || !apiKey.isActive()) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'invalid_api_key', metadata: { path: req.originalUrl } });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired API key.'
+        });
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: apiKey.user, reason: 'missing_scope', metadata: { path: req.originalUrl, scope: req.apiKeyScope } });
+        return res.status(403).json({
+            success: false,
+            code: 'FORBIDDEN',
+            message: `This API key does not have the "${req.apiKeyScope}" scope.`
+        });
+    }
+
+    const user = await User.findById(apiKey.user);
+
+    if (!user) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'unknown_user', metadata: { path: req.originalUrl } });
+        return res.status(401).json({
+            success: false,
+            message: 'User not found. API key invalid.'
+        });
+    }
+
+    if (user.disabled) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: user._id, reason: 'account_disabled', metadata: { path: req.originalUrl } });
+        return res.status(403).json({
+            success: false,
+            code: 'ACCOUNT_DISABLED',
+            message: 'This account has been disabled. Please contact support.'
+        });
+    }
+
+    // A forced reset means the account may be compromised, so keys stop too
+    if (user.passwordResetRequired) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: user._id, reason: 'password_reset_required', metadata: { path: req.originalUrl } });
+        return res.status(403).json({
+            success: false,
+            code: 'PASSWORD_RESET_REQUIRED',
+            message: 'You must reset your password before API keys can be used again.'
+        });
+    }
+
+    const lastUsed = apiKey.lastUsedAt ? apiKey.lastUsedAt.getTime() : 0;
+    if (Date.now() - lastUsed > LAST_SEEN_RESOLUTION_MS || apiKey.lastUsedIp !== req.ip) {
+        apiKey.lastUsedAt = new Date();
+        apiKey.lastUsedIp = req.ip;
+        await apiKey.save();
+    }
+
+    // Keys only reach their scope's routes; `authorize` still checks the
+    // owner's current permissions, so a demoted user's keys lose access too
+    req.user = await toRequestUser(user);
+    req.apiKey = apiKey;
+    req.authSession = null;
+
+    next();
+};
 
 /**
  * Protect routes - Verify JWT token
@@ -14,6 +154,16 @@ const User = require('../models/User');
  */
 exports.protect = async (req, res, next) => {
     try {
+        const bearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer')
+            ? req.headers.authorization.split(' ')[1]
+            : null;
+
+        // API keys: X-API-Key header, or a bearer token with the key prefix
+        const apiKey = req.get('x-api-key') || (ApiKey.isApiKey(bearer) ? bearer : null);
+        if (apiKey) {
+            return await authenticateApiKey(req, res, next, apiKey);
+        }
+
         let token;
 
         // Check for token in cookies first (more secure)
@@ -21,12 +171,13 @@ exports.protect = async (req, res, next) => {
             token = req.cookies.token;
         }
         // Fallback to Authorization header
-        else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-            token = req.headers.authorization.split(' ')[1];
+        else if (bearer) {
+            token = bearer;
         }
 
         // Check if token exists
         if (!token) {
+            recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'missing', metadata: { path: req.originalUrl } });
             return res.status(401).json({
                 success: false,
                 message: 'Not authorized to access this route. Please login.'
@@ -35,30 +186,72 @@ exports.protect = async (req, res, next) => {
 
         try {
             // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = await verifyAccessToken(token);
+
+            // Only short-lived access tokens may be used on protected routes
+            if (decoded.type !== 'access') {
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: decoded.id, reason: 'wrong_type', metadata: { path: req.originalUrl } });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid token type. Please login again.'
+                });
+            }
+
+            // Reject tokens whose session was revoked (logout, sign out everywhere...)
+            const session = decoded.jti && await Session.findOne({ jti: decoded.jti });
+
+            if (!session || !session.isActive()) {
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: decoded.id, reason: 'revoked_session', metadata: { path: req.originalUrl } });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked. Please login again.'
+                });
+            }
 
             // Find user by ID from token payload
             const user = await User.findById(decoded.id);
 
             if (!user) {
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'unknown_user', metadata: { path: req.originalUrl } });
                 return res.status(401).json({
                     success: false,
                     message: 'User not found. Token invalid.'
                 });
             }
 
-            // Attach user to request object
-            req.user = {
-                id: user._id,
-                name: user.name,
-                email: user.email
-            };
+            if (user.disabled) {
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: user._id, reason: 'account_disabled', metadata: { path: req.originalUrl } });
+                return res.status(403).json({
+                    success: false,
+                    code: 'ACCOUNT_DISABLED',
+                    message: 'This account has been disabled. Please contact support.'
+                });
+            }
+
+            // Tokens issued before a password change are no longer trusted
+            if (user.changedPasswordAfter(decoded.iat)) {
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: user._id, reason: 'password_changed', metadata: { path: req.originalUrl } });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Password was changed recently. Please login again.'
+                });
+            }
+
+            if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+                session.lastSeenAt = new Date();
+                await session.save();
+            }
+
+            // Attach user and session to request object
+            req.user = await toRequestUser(user);
+            req.authSession = session;
 
             next();
 
         } catch (error) {
             // Token verification failed
             if (error.name === 'JsonWebTokenError') {
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'invalid', metadata: { path: req.originalUrl } });
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid token. Please login again.'
@@ -66,9 +259,13 @@ exports.protect = async (req, res, next) => {
             }
             
             if (error.name === 'TokenExpiredError') {
+                // The signature was already checked, so the payload can be trusted
+                const { id } = jwt.decode(token) || {};
+                recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: id, reason: 'expired', metadata: { path: req.originalUrl } });
                 return res.status(401).json({
                     success: false,
-                    message: 'Token expired. Please login again.'
+                    code: 'TOKEN_EXPIRED',
+                    message: 'Token expired. Please refresh or login again.'
                 });
             }
 
@@ -100,15 +297,15 @@ exports.optionalAuth = async (req, res, next) => {
 
         if (token) {
             try {
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const user = await User.findById(decoded.id);
+                const decoded = await verifyAccessToken(token);
+                const session = decoded.type === 'access' && decoded.jti
+                    ? await Session.findOne({ jti: decoded.jti })
+                    : null;
+                const user = session && session.isActive() ? await User.findById(decoded.id) : null;
                 
-                if (user) {
-                    req.user = {
-                        id: user._id,
-                        name: user.name,
-                        email: user.email
-                    };
+                if (user && !user.disabled && !user.changedPasswordAfter(decoded.iat)) {
+                    req.user = await toRequestUser(user);
+                    req.authSession = session;
                 }
             } catch (error) {
                 // Token invalid or expired - just continue without user
@@ -123,3 +320,111 @@ exports.optionalAuth = async (req, res, next) => {
         next();
     }
 };
+
+/**
+ * Authorize by permission - use after protect
+ * Passes only if the user holds every listed permission (admins hold "*").
+ * @param {...string} permissions - Required permissions, e.g. "users:read"
+ * @returns {Function} - Express middleware
+ */
+exports.authorize = (...permissions) => (req, res, next) => {
+    const granted = (req.user && req.user.permissions) || [];
+    const missing = permissions.filter(permission => !Role.hasPermission(granted, permission));
+
+    if (missing.length > 0) {
+        return res.status(403).json({
+            success: false,
+            code: 'FORBIDDEN',
+            message: 'You do not have permission to perform this action'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Allow API keys holding `scope` on a route - use before protect
+ * Routes without it only accept logged-in sessions.
+ * @param {string} scope - One of ApiKey.SCOPES, e.g. "profile:read"
+ * @returns {Function} - Express middleware
+ */
+exports.apiKeyScope = (scope) => (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+};
+
+/**
+ * Require a verified email address - use after protect
+ * Only enforced when UNVERIFIED_ACCOUNT_POLICY is "limited" or "block"
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+    const policy = process.env.UNVERIFIED_ACCOUNT_POLICY || 'allow';
+
+    if (policy !== 'allow' && !req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address to access this feature.'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Require a recent login or re-authentication - use after protect
+ * Guards sensitive actions against old or stolen sessions. Answers
+ * `403 REAUTH_REQUIRED` until the user confirms their password at
+ * POST /api/auth/reauthenticate. API keys are refused: they can't step
+ * up, so a leaked key must not reach these actions.
+ * @param {number} [maxAge] - Seconds since the last authentication (default REAUTH_MAX_AGE, 600)
+ * @returns {Function} - Express middleware
+ */
+exports.requireRecentAuth = (maxAge) => (req, res, next) => {
+    if (req.apiKey) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', user: req.user.id, reason: 'api_key_step_up', metadata: { path: req.originalUrl } });
+        return res.status(403).json({
+            success: false,
+            code: 'API_KEY_NOT_ALLOWED',
+            message: 'API keys cannot be used for this action. Please login.'
+        });
+    }
+
+    const maxAgeSeconds = Number(maxAge || process.env.REAUTH_MAX_AGE || 600);
+
+    if (!req.authSession || !req.authSession.isRecentlyAuthenticated(maxAgeSeconds * 1000)) {
+        return res.status(403).json({
+            success: false,
+            code: 'REAUTH_REQUIRED',
+            maxAge: maxAgeSeconds,
+            message: 'Please confirm your password to continue.'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Require the operator API key (x-admin-key header)
+ * Guards admin endpoints; disabled entirely unless ADMIN_API_KEY is set
+ */
+exports.requireAdminKey = (req, res, next) => {
+    const expected = process.env.ADMIN_API_KEY;
+    const provided = req.get('x-admin-key');
+
+    // Compare digests: they always have the same length, whatever the
+    // header contains (e.g. multibyte characters), and the length of the
+    // key doesn't leak through timing
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    const valid = Boolean(expected && provided)
+        && crypto.timingSafeEqual(digest(provided), digest(expected));
+
+    if (!valid) {
+        return res.status(403).json({
+            success: false,
+            message: 'Admin access required'
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,245 @@
+/**
+ * Brute-Force Protection Middleware
+ *
+ * Failure counters per client IP and per account (email):
+ * - The first few failures are free
+ * - After that each failure imposes an exponentially growing wait
+ * - Reaching the lockout threshold locks the key for a fixed period
+ * Blocked requests get `429 Too Many Requests` with a `Retry-After` header.
+ *
+ * Every attempt is reserved with an atomic in-flight counter before the
+ * credentials are checked, so a burst of parallel requests can't all pass
+ * the check before the first failure is recorded. Together with the
+ * recorded failures, attempts in flight may not exceed the lockout
+ * threshold (at least one at a time once it was reached).
+ *
+ * Also provides a simple fixed-window request limiter for endpoints
+ * such as registration, where every request (not just failures) counts.
+ */
+
+const { getStore } = require('../utils/rateLimitStore');
+
+// Failure counters are forgotten after a day without new failures
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// In-flight reservations of a request that never finished are dropped after this
+const IN_FLIGHT_TTL_MS = 60 * 1000;
+
+/**
+ * Read tunables from the environment
+ * @returns {object}
+ */
+const settings = () => ({
+    freeRetries: Number(process.env.BRUTE_FORCE_FREE_RETRIES || 3),
+    minWaitMs: Number(process.env.BRUTE_FORCE_MIN_WAIT || 1) * 1000,
+    maxWaitMs: Number(process.env.BRUTE_FORCE_MAX_WAIT || 900) * 1000,
+    accountLockoutThreshold: Number(process.env.ACCOUNT_LOCKOUT_THRESHOLD || 10),
+    ipLockoutThreshold: Number(process.env.IP_LOCKOUT_THRESHOLD || 50),
+    lockoutMs: Number(process.env.ACCOUNT_LOCKOUT_DURATION || 15) * 60 * 1000
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+const inFlightKey = (key) => `inflight:${key}`;
+
+/**
+ * Seconds until a record stops blocking (0 if not blocked)
+ * @param {object|null} record
+ * @returns {number}
+ */
+const retryAfterSeconds = (record) => {
+    if (!record || !record.blockedUntil) return 0;
+    const remaining = new Date(record.blockedUntil).getTime() - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+/**
+ * Send the standard 429 response
+ */
+const sendTooManyRequests = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: 'TOO_MANY_ATTEMPTS',
+        message,
+        retryAfter,
+        lockedUntil: new Date(Date.now() + retryAfter * 1000).toISOString()
+    });
+};
+
+/**
+ * Human readable duration, e.g. "45 seconds" / "15 minutes"
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatWait = (seconds) => (seconds < 120
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${Math.ceil(seconds / 60)} minutes`);
+
+/**
+ * Record a failure for a key and compute its new backoff/lockout
+ * @param {string} key
+ * @param {number} lockoutThreshold
+ * @returns {Promise<object>} - Updated record
+ */
+const registerFailure = async (key, lockoutThreshold) => {
+    const { freeRetries, minWaitMs, maxWaitMs, lockoutMs } = settings();
+    const store = getStore();
+
+    // Count atomically, then derive the block from the count we got back
+    const record = await store.increment(key, FAILURE_TTL_MS);
+
+    if (record.count >= lockoutThreshold) {
+        record.lockedOut = true;
+        record.blockedUntil = new Date(Date.now() + lockoutMs);
+    } else if (record.count > freeRetries) {
+        const waitMs = Math.min(minWaitMs * 2 ** (record.count - freeRetries - 1), maxWaitMs);
+        record.blockedUntil = new Date(Date.now() + waitMs);
+    }
+
+    if (record.count > freeRetries) {
+        await store.block(key, record);
+    }
+
+    return record;
+};
+
+/**
+ * Guard login-style endpoints with per-IP and per-account failure counters.
+ * Attaches req.bruteForce with:
+ * - fail():    record a failed attempt for the IP and account
+ * - succeed(): clear the account's counter after a successful attempt
+ * @param {object} options
+ * @param {Function} options.getAccount - (req) => email of the targeted account, or null
+ * @returns {Function} - Express middleware
+ */
+exports.bruteForceGuard = ({ getAccount }) => async (req, res, next) => {
+    try {
+        const { accountLockoutThreshold, ipLockoutThreshold } = settings();
+        const store = getStore();
+        const account = getAccount(req);
+
+        const keys = [{ key: ipKey(req.ip), threshold: ipLockoutThreshold }];
+        if (account) {
+            keys.push({ key: accountKey(account), threshold: accountLockoutThreshold, isAccount: true });
+        }
+
+        // Reserve the attempt first, then read the failures: an attempt
+        // that is still running is always in one count or the other
+        let settled = false;
+        const release = () => {
+            if (settled) return Promise.resolve();
+            settled = true;
+            return Promise.all(keys.map(({ key }) => store.decrement(inFlightKey(key))));
+        };
+        const inFlight = await Promise.all(keys.map(({ key }) => store.increment(inFlightKey(key), IN_FLIGHT_TTL_MS)));
+
+        // Report the longest wait across the IP and account counters
+        let retryAfter = 0;
+        let accountLocked = false;
+        for (const [index, { key, threshold, isAccount }] of keys.entries()) {
+            const record = await store.get(key);
+            const failures = record ? record.count : 0;
+            let wait = retryAfterSeconds(record);
+
+            // Too many attempts still running to stay under the threshold
+            if (!wait && inFlight[index].count > Math.max(threshold - failures, 1)) {
+                wait = 1;
+            }
+
+            if (wait > retryAfter) {
+                retryAfter = wait;
+                accountLocked = Boolean(isAccount && record && record.lockedOut);
+            }
+        }
+
+        if (retryAfter > 0) {
+            await release();
+            const message = accountLocked
+                ? `Account temporarily locked due to too many failed attempts. Try again in ${formatWait(retryAfter)}.`
+                : `Too many failed attempts. Please wait ${formatWait(retryAfter)} before trying again.`;
+            return sendTooManyRequests(res, retryAfter, message);
+        }
+
+        // Attempts that end without fail() or succeed() (e.g. a 2FA step
+        // still pending) don't count
+        res.once('close', () => {
+            release().catch(error => console.error('Brute-force guard error:', error));
+        });
+
+        req.bruteForce = {
+            fail: async () => {
+                await Promise.all(keys.map(({ key, threshold }) => registerFailure(key, threshold)));
+                await release();
+            },
+            succeed: async () => {
+                await Promise.all(keys.filter(k => k.isAccount).map(({ key }) => store.delete(key)));
+                await release();
+            }
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('Brute-force guard error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during authentication'
+        });
+    }
+};
+
+/**
+ * Fixed-window request limiter (every request counts)
+ * Each window has its own counter, which is incremented atomically
+ * before the limit is checked.
+ * @param {object} options
+ * @param {string} options.name - Namespace for the counter, e.g. "register"
+ * @param {number} options.max - Allowed requests per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Function} - Express middleware
+ */
+exports.rateLimit = ({ name, max, windowMs }) => async (req, res, next) => {
+    try {
+        const window = Math.floor(Date.now() / windowMs);
+        const windowEndsAt = (window + 1) * windowMs;
+        const key = `${name}:${ipKey(req.ip)}:${window}`;
+
+        const { count } = await getStore().increment(key, windowEndsAt - Date.now());
+
+        if (count > max) {
+            const retryAfter = Math.max(Math.ceil((windowEndsAt - Date.now()) / 1000), 1);
+            return sendTooManyRequests(res, retryAfter,
+                `Too many requests. Please try again in ${formatWait(retryAfter)}.`);
+        }
+
+        next();
+
+    } catch (error) {
+        console.error('Rate limit error:', error);
+        next();
+    }
+};
+
+/**
+ * Clear the lockout and failure counter for an account
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+exports.unlockAccount = (email) => getStore().delete(accountKey(email));
+
+/**
+ * Current lockout status for an account
+ * @param {string} email
+ * @returns {Promise<{failures: number, locked: boolean, retryAfter: number}>}
+ */
+exports.getAccountLockStatus = async (email) => {
+    const record = await getStore().get(accountKey(email));
+    const retryAfter = retryAfterSeconds(record);
+
+    return {
+        failures: record ? record.count : 0,
+        locked: Boolean(record && record.lockedOut && retryAfter > 0),
+        retryAfter
+    };
+};
@@ -0,0 +1,150 @@
+/**
+ * CSRF Protection Middleware
+ *
+ * Signed double-submit tokens. GET /api/auth/csrf-token sets an httpOnly
+ * `csrfToken` cookie and returns the same token, which the frontend sends
+ * back in the X-CSRF-Token header. Another site can make the browser send
+ * the cookie, but can't read the token to put it in the header.
+ * Tokens are HMAC-signed (CSRF_SECRET, falling back to JWT_SECRET), so a
+ * cookie planted by someone else is rejected too.
+ *
+ * Such requests must also come from an allowed browser origin (see
+ * config/cors.js): the Origin header, or the Referer when a browser leaves
+ * Origin out, must name one. Requests with neither (non-browser clients)
+ * rely on the token alone.
+ *
+ * Enforced on every request except GET/HEAD/OPTIONS that carries an auth
+ * cookie. Requests authenticated only by a bearer token or an API key have
+ * nothing the browser attaches on its own, so they are exempt. A bearer
+ * header alone doesn't exempt a request that also has the cookies, since
+ * `protect` prefers the cookie.
+ */
+
+const crypto = require('crypto');
+const { isAllowedOrigin } = require('../config/cors');
+const { crossSiteCookieOptions } = require('../utils/cookies');
+const { recordAuthEvent } = require('../utils/auditLog');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Cookies that authenticate a request on their own
+const AUTH_COOKIES = ['token', 'refreshToken'];
+
+const sign = (nonce) => crypto
+    .createHmac('sha256', process.env.CSRF_SECRET || process.env.JWT_SECRET)
+    .update(`csrf:${nonce}`)
+    .digest('base64url');
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Generate a new signed token
+ * @returns {string} - "nonce.signature"
+ */
+const createToken = () => {
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    return `${nonce}.${sign(nonce)}`;
+};
+
+/**
+ * Whether a token was issued by this server
+ * @param {string} token - "nonce.signature"
+ * @returns {boolean}
+ */
+const isValidToken = (token) => {
+    if (typeof token !== 'string') return false;
+
+    const [nonce, signature, ...rest] = token.split('.');
+    return Boolean(nonce && signature && rest.length === 0 && safeEqual(signature, sign(nonce)));
+};
+
+/**
+ * Origin a request claims to come from
+ * @param {object} req - Express request
+ * @returns {string|null} - Origin, "null" for an opaque or unparsable one, or null if not sent
+ */
+const requestOrigin = (req) => {
+    const origin = req.get('origin');
+    if (origin) return origin;
+
+    const referer = req.get('referer');
+    if (!referer) return null;
+
+    try {
+        return new URL(referer).origin;
+    } catch (error) {
+        return 'null';
+    }
+};
+
+/**
+ * Whether a request comes from an allowed origin, or from the API's own
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const isTrustedOrigin = (req) => {
+    const origin = requestOrigin(req);
+    return origin === null || isAllowedOrigin(origin) || origin === `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * Issue the CSRF cookie, keeping a valid existing token
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {string} - Token for the X-CSRF-Token header
+ */
+exports.issueCsrfToken = (req, res) => {
+    const existing = req.cookies[CSRF_COOKIE];
+    const token = isValidToken(existing) ? existing : createToken();
+
+    // Sent along with the frontend's cross-site requests, like the auth cookies
+    res.cookie(CSRF_COOKIE, token, crossSiteCookieOptions());
+
+    return token;
+};
+
+/**
+ * Reject cookie-authenticated state-changing requests from other origins
+ * or without a matching token
+ */
+exports.csrfProtection = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || !AUTH_COOKIES.some(name => req.cookies[name])) {
+        return next();
+    }
+
+    if (!isTrustedOrigin(req)) {
+        recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'csrf_origin', metadata: { path: req.originalUrl, origin: requestOrigin(req) } });
+        return res.status(403).json({
+            success: false,
+            code: 'CSRF_ORIGIN_INVALID',
+            message: 'Requests from this site are not allowed.'
+        });
+    }
+
+    const cookieToken = req.cookies[CSRF_COOKIE];
+    const headerToken = req.get(CSRF_HEADER);
+
+    if (isValidToken(cookieToken) && headerToken && safeEqual(headerToken, cookieToken)) {
+        return next();
+    }
+
+    recordAuthEvent(req, { type: 'token_rejected', outcome: 'failure', reason: 'csrf', metadata: { path: req.originalUrl } });
+    return res.status(403).json({
+        success: false,
+        code: 'CSRF_TOKEN_INVALID',
+        message: 'Missing or invalid CSRF token. Please reload the page and try again.'
+    });
+};
@@ -0,0 +1,145 @@
+/**
+ * ApiKey Model - MongoDB Schema
+ *
+ * Personal access tokens for scripts and services. Each key belongs to
+ * a user, carries a fixed set of scopes and always expires. Only a
+ * SHA-256 hash is stored; the raw key is shown once at creation.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Raw keys start with this prefix so they are recognisable in headers and logs
+const KEY_PREFIX = 'ssk_';
+
+// Routes opt in to API keys with `apiKeyScope(scope)` (see authMiddleware).
+// Scopes that are also permissions are only granted to users who hold them.
+const SCOPES = [
+    'profile:read',
+    'activity:read',
+    'sessions:read',
+    'users:read',
+    'users:manage',
+    'lockouts:manage',
+    'oauth_clients:manage',
+    'keys:manage'
+];
+
+const ApiKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the raw key, to tell keys apart in the UI
+    hint: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [String],
+        enum: SCOPES,
+        default: []
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge expired keys automatically
+ApiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Instance Method - Check whether the key can still be used
+ * (the TTL monitor only runs about once a minute)
+ * @returns {boolean}
+ */
+ApiKeySchema.methods.isActive = function() {
+    return this.expiresAt > new Date();
+};
+
+/**
+ * Instance Method - Get public key data (never the hash)
+ * @returns {object}
+ */
+ApiKeySchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        hint: this.hint,
+        scopes: this.scopes,
+        expiresAt: this.expiresAt,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        createdAt: this.createdAt
+    };
+};
+
+/**
+ * Static Method - Whether a credential looks like an API key
+ * @param {string} value
+ * @returns {boolean}
+ */
+ApiKeySchema.statics.isApiKey = function(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+};
+
+/**
+ * Static Method - Hash a raw key for storage/lookup
+ * @param {string} key - Raw API key
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+ApiKeySchema.statics.hashKey = function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Static Method - Create a key for a user
+ * @param {ObjectId} userId - Owner of the key
+ * @param {object} fields
+ * @param {string} fields.name
+ * @param {string[]} fields.scopes
+ * @param {Date} fields.expiresAt
+ * @returns {Promise<{key: string, doc: object}>} - Raw key (show once) and stored document
+ */
+ApiKeySchema.statics.issue = async function(userId, { name, scopes, expiresAt }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const doc = await this.create({
+        user: userId,
+        name,
+        keyHash: this.hashKey(key),
+        hint: key.slice(0, KEY_PREFIX.length + 4),
+        scopes,
+        expiresAt
+    });
+
+    return { key, doc };
+};
+
+ApiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
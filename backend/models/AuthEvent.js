@@ -0,0 +1,135 @@
+/**
+ * AuthEvent Model - MongoDB Schema
+ *
+ * Append-only audit trail of authentication activity: logins (successful
+ * and failed), logouts, registrations, token rejections and other security
+ * relevant account changes. Existing events can never be modified; they are
+ * only removed by retention/purge jobs.
+ */
+
+const mongoose = require('mongoose');
+
+const AUTH_EVENT_TYPES = [
+    'register',
+    'login',
+    'logout',
+    'reauthenticated',
+    'new_device',
+    'device_removed',
+    'token_rejected',
+    'password_reset',
+    'password_changed',
+    'mfa_enabled',
+    'mfa_disabled',
+    'passkey_added',
+    'passkey_removed',
+    'api_key_created',
+    'api_key_revoked',
+    'identity_linked',
+    'oauth_authorized',
+    'session_revoked',
+    'email_changed',
+    'data_exported',
+    'account_deletion_requested',
+    'account_deletion_cancelled',
+    'account_disabled',
+    'account_enabled',
+    'password_reset_forced',
+    'account_unlocked'
+];
+
+const AuthEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+    type: {
+        type: String,
+        enum: AUTH_EVENT_TYPES,
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure'],
+        required: true
+    },
+    reason: {
+        type: String,
+        default: null // e.g. "invalid_password", "expired", "revoked_session"
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    risk: {
+        type: new mongoose.Schema({
+            score: Number,
+            action: { type: String, enum: ['allow', 'challenge', 'block'] },
+            signals: [{
+                _id: false,
+                rule: String,   // risk engine rule id, e.g. "newSubnet"
+                weight: Number,
+                detail: String
+            }]
+        }, { _id: false }),
+        default: undefined // set on scored login attempts
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuthEventSchema.index({ user: 1, createdAt: -1 });
+AuthEventSchema.index({ user: 1, type: 1, outcome: 1 });
+
+/**
+ * Enforce append-only semantics
+ */
+AuthEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('AuthEvent records are append-only'));
+    }
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+    AuthEventSchema.pre(operation, function(next) {
+        next(new Error('AuthEvent records are append-only'));
+    });
+});
+
+/**
+ * Instance Method - Get public event data
+ * @returns {object}
+ */
+AuthEventSchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        type: this.type,
+        outcome: this.outcome,
+        reason: this.reason,
+        ip: this.ip,
+        userAgent: this.userAgent,
+        risk: this.risk,
+        createdAt: this.createdAt
+    };
+};
+
+AuthEventSchema.statics.TYPES = AUTH_EVENT_TYPES;
+
+module.exports = mongoose.model('AuthEvent', AuthEventSchema);
@@ -0,0 +1,159 @@
+/**
+ * Device Model - MongoDB Schema
+ *
+ * Browsers a user has signed in from, recognised by a long-lived random
+ * `deviceId` cookie. Only a SHA-256 hash of the cookie value is stored.
+ * A login from a browser without a known device is a "new device" login:
+ * it is announced by email and in the dashboard until acknowledged.
+ *
+ * Under NEW_DEVICE_POLICY=verify a new device is first stored unverified,
+ * with an emailed one-time code that must be entered to finish the login.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Wrong codes allowed before a pending verification is cancelled
+const MAX_CODE_ATTEMPTS = 5;
+
+const DeviceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    deviceHash: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Device name cannot exceed 50 characters']
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    lastIp: {
+        type: String,
+        default: ''
+    },
+    firstSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    verified: {
+        type: Boolean,
+        default: true // false while a new-device code is pending
+    },
+    acknowledged: {
+        type: Boolean,
+        default: true // false for new-device logins the user hasn't confirmed yet
+    },
+    verificationCodeHash: {
+        type: String,
+        select: false
+    },
+    verificationCodeExpires: Date,
+    verificationAttempts: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+DeviceSchema.index({ user: 1, deviceHash: 1 }, { unique: true });
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Static Method - Hash a deviceId cookie value for lookups
+ * @param {string} deviceId
+ * @returns {string}
+ */
+DeviceSchema.statics.hashId = function(deviceId) {
+    return hash(deviceId);
+};
+
+/**
+ * Static Method - Generate a new deviceId cookie value
+ * @returns {string}
+ */
+DeviceSchema.statics.createId = function() {
+    return crypto.randomBytes(32).toString('base64url');
+};
+
+/**
+ * Instance Method - Start a new-device verification
+ * Stores a hash of a fresh 6-digit code; caller must save().
+ * @param {number} expiresInMinutes - Code lifetime
+ * @returns {string} - Raw code to email
+ */
+DeviceSchema.methods.createVerificationCode = function(expiresInMinutes) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    this.verificationCodeHash = hash(code);
+    this.verificationCodeExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    this.verificationAttempts = 0;
+
+    return code;
+};
+
+/**
+ * Instance Method - Check a new-device code
+ * A correct code verifies the device; too many wrong ones cancel the
+ * pending verification. Requires verificationCodeHash to be selected;
+ * caller must save().
+ * @param {string} code
+ * @returns {boolean}
+ */
+DeviceSchema.methods.checkVerificationCode = function(code) {
+    const pending = this.verificationCodeHash
+        && this.verificationCodeExpires
+        && this.verificationCodeExpires > new Date()
+        && this.verificationAttempts < MAX_CODE_ATTEMPTS;
+
+    if (!pending) return false;
+
+    const expected = Buffer.from(this.verificationCodeHash, 'hex');
+    const actual = Buffer.from(hash(String(code || '').trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        this.verificationAttempts += 1;
+        return false;
+    }
+
+    this.verified = true;
+    this.acknowledged = true; // the user just confirmed it by email
+    this.verificationCodeHash = undefined;
+    this.verificationCodeExpires = undefined;
+    this.verificationAttempts = 0;
+    return true;
+};
+
+/**
+ * Instance Method - Get public device data
+ * @param {string} [currentHash] - deviceHash of the requesting browser
+ * @returns {object}
+ */
+DeviceSchema.methods.toPublicJSON = function(currentHash) {
+    return {
+        id: this._id,
+        name: this.name,
+        userAgent: this.userAgent,
+        lastIp: this.lastIp,
+        firstSeenAt: this.firstSeenAt,
+        lastSeenAt: this.lastSeenAt,
+        acknowledged: this.acknowledged,
+        current: this.deviceHash === currentHash
+    };
+};
+
+module.exports = mongoose.model('Device', DeviceSchema);
@@ -0,0 +1,116 @@
+/**
+ * MagicLink Model - MongoDB Schema
+ *
+ * Single-use, short-lived email sign-in links. Each link is bound to the
+ * browser that asked for it: the request sets a random browser key in a
+ * cookie, and the link only works when that cookie comes back with it.
+ * Only SHA-256 hashes of the link token and browser key are stored.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const MagicLinkSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    browserHash: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    remember: {
+        type: Boolean,
+        default: false
+    },
+    requestIp: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Let MongoDB purge expired links automatically
+MagicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+/**
+ * Static Method - Link lifetime in minutes
+ * MAGIC_LINK_EXPIRE (default 15)
+ * @returns {number}
+ */
+MagicLinkSchema.statics.lifetimeMinutes = function() {
+    return Number(process.env.MAGIC_LINK_EXPIRE || 15);
+};
+
+/**
+ * Static Method - Generate a random browser key for the binding cookie
+ * @returns {string}
+ */
+MagicLinkSchema.statics.createBrowserKey = function() {
+    return crypto.randomBytes(32).toString('base64url');
+};
+
+/**
+ * Static Method - Create a sign-in link for a user
+ * @param {ObjectId} userId
+ * @param {object} options
+ * @param {string} options.browserKey - Value of the requesting browser's cookie
+ * @param {boolean} [options.remember=false] - "Remember me" choice
+ * @param {string} [options.ip] - Requesting IP, for the audit trail
+ * @returns {Promise<{token: string, doc: object}>} - Raw token to email, and the stored document
+ */
+MagicLinkSchema.statics.issue = async function(userId, { browserKey, remember = false, ip }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const doc = await this.create({
+        tokenHash: hash(token),
+        browserHash: hash(browserKey),
+        user: userId,
+        remember,
+        requestIp: ip,
+        expiresAt: new Date(Date.now() + this.lifetimeMinutes() * 60 * 1000)
+    });
+
+    return { token, doc };
+};
+
+/**
+ * Static Method - Atomically take a link so it can't be replayed
+ * A link opened in another browser doesn't match and stays unused.
+ * @param {string} token - Raw token from the link
+ * @param {string} browserKey - Value of the binding cookie
+ * @returns {Promise<object|null>}
+ */
+MagicLinkSchema.statics.consume = function(token, browserKey) {
+    if (!token || !browserKey) return Promise.resolve(null);
+
+    return this.findOneAndDelete({
+        tokenHash: hash(token),
+        browserHash: hash(browserKey),
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Static Method - Whether a token exists but was opened in another browser
+ * Only used to give a clearer error message.
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<boolean>}
+ */
+MagicLinkSchema.statics.isPending = async function(token) {
+    if (!token) return false;
+    return Boolean(await this.exists({ tokenHash: hash(token), expiresAt: { $gt: new Date() } }));
+};
+
+module.exports = mongoose.model('MagicLink', MagicLinkSchema);
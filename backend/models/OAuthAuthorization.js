@@ -0,0 +1,137 @@
+/**
+ * OAuthAuthorization Model - MongoDB Schema
+ *
+ * Short-lived, single-use records of the authorization code flow:
+ * - "request": a validated /oauth/authorize request waiting for the
+ *   user to log in and consent (looked up by its random id)
+ * - "code": an issued authorization code waiting to be exchanged at
+ *   /oauth/token (only a SHA-256 hash is stored)
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const OAuthAuthorizationSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['request', 'code'],
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        unique: true // request id, or code hash
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // Set once the user has approved
+    },
+    redirectUri: {
+        type: String,
+        required: true
+    },
+    // Whether the client sent redirect_uri, so the token request must repeat it
+    // (records from before this field existed are treated as if it was sent)
+    redirectUriSupplied: {
+        type: Boolean,
+        default: true
+    },
+    scope: {
+        type: [String],
+        default: []
+    },
+    state: String,
+    nonce: String,
+    codeChallenge: String,
+    prompt: String,
+    authTime: Date, // When the approving user logged in
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB purge expired requests and codes automatically
+OAuthAuthorizationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Static Method - Store a validated authorization request
+ * Lifetime: OAUTH_REQUEST_EXPIRE seconds (default 600)
+ * @param {object} fields - clientId, redirectUri, redirectUriSupplied, scope, state, nonce, codeChallenge, prompt
+ * @returns {Promise<object>} - Request document; its `key` is the request id
+ */
+OAuthAuthorizationSchema.statics.createRequest = function(fields) {
+    const ttlSeconds = Number(process.env.OAUTH_REQUEST_EXPIRE || 600);
+
+    return this.create({
+        ...fields,
+        type: 'request',
+        key: crypto.randomBytes(24).toString('base64url'),
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+};
+
+/**
+ * Static Method - Find a pending authorization request
+ * @param {string} id - Request id
+ * @returns {Promise<object|null>}
+ */
+OAuthAuthorizationSchema.statics.findRequest = function(id) {
+    return this.findOne({ type: 'request', key: String(id), expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Static Method - Atomically take a pending request so it is decided once
+ * @param {string} id - Request id
+ * @returns {Promise<object|null>}
+ */
+OAuthAuthorizationSchema.statics.consumeRequest = function(id) {
+    return this.findOneAndDelete({ type: 'request', key: String(id), expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Static Method - Issue an authorization code for an approved request
+ * Lifetime: OAUTH_CODE_EXPIRE seconds (default 60)
+ * @param {object} request - Consumed request document
+ * @param {ObjectId} userId - Approving user
+ * @param {Date} authTime - When that user logged in
+ * @returns {Promise<string>} - Raw authorization code
+ */
+OAuthAuthorizationSchema.statics.issueCode = async function(request, userId, authTime) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    const ttlSeconds = Number(process.env.OAUTH_CODE_EXPIRE || 60);
+
+    await this.create({
+        type: 'code',
+        key: hashCode(code),
+        clientId: request.clientId,
+        user: userId,
+        redirectUri: request.redirectUri,
+        redirectUriSupplied: request.redirectUriSupplied,
+        scope: request.scope,
+        nonce: request.nonce,
+        codeChallenge: request.codeChallenge,
+        authTime,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+
+    return code;
+};
+
+/**
+ * Static Method - Atomically take an authorization code so it can't be replayed
+ * @param {string} code - Raw authorization code
+ * @returns {Promise<object|null>}
+ */
+OAuthAuthorizationSchema.statics.consumeCode = function(code) {
+    return this.findOneAndDelete({ type: 'code', key: hashCode(code), expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('OAuthAuthorization', OAuthAuthorizationSchema);
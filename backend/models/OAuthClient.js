@@ -0,0 +1,123 @@
+/**
+ * OAuthClient Model - MongoDB Schema
+ *
+ * Registry of applications allowed to use SecureSphere as their
+ * OAuth 2.0 / OpenID Connect provider.
+ * - Confidential clients authenticate with a secret (only a SHA-256
+ *   hash is stored); public clients (SPAs, mobile apps) have none and
+ *   must use PKCE.
+ * - Trusted (first-party) clients skip the consent screen.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+
+const OAuthClientSchema = new mongoose.Schema({
+    clientId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomBytes(16).toString('hex')
+    },
+    secretHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide a client name'],
+        trim: true,
+        maxlength: [80, 'Client name cannot exceed 80 characters']
+    },
+    redirectUris: {
+        type: [String],
+        default: [] // Exact-match allow list
+    },
+    grantTypes: {
+        type: [{ type: String, enum: GRANT_TYPES }],
+        default: ['authorization_code', 'refresh_token']
+    },
+    scopes: {
+        type: [String],
+        default: ['openid', 'profile', 'email', 'offline_access'] // Scopes the client may request
+    },
+    confidential: {
+        type: Boolean,
+        default: true
+    },
+    trusted: {
+        type: Boolean,
+        default: false
+    },
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * Instance Method - Generate a new client secret
+ * Stores only the hash; caller must save().
+ * @returns {string} - Raw secret, shown to the administrator once
+ */
+OAuthClientSchema.methods.generateSecret = function() {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    this.secretHash = hashSecret(secret);
+    return secret;
+};
+
+/**
+ * Instance Method - Check a presented client secret
+ * Requires the document to be loaded with +secretHash.
+ * @param {string} secret
+ * @returns {boolean}
+ */
+OAuthClientSchema.methods.verifySecret = function(secret) {
+    if (!this.secretHash || !secret) return false;
+    return crypto.timingSafeEqual(Buffer.from(this.secretHash), Buffer.from(hashSecret(secret)));
+};
+
+/**
+ * Instance Method - Check whether the client may use a grant type
+ * @param {string} grantType
+ * @returns {boolean}
+ */
+OAuthClientSchema.methods.allowsGrant = function(grantType) {
+    // Only confidential clients can authenticate on their own
+    if (grantType === 'client_credentials' && !this.confidential) return false;
+    return this.grantTypes.includes(grantType);
+};
+
+/**
+ * Instance Method - Get client data for admin views
+ * @returns {object}
+ */
+OAuthClientSchema.methods.toPublicJSON = function() {
+    return {
+        clientId: this.clientId,
+        name: this.name,
+        redirectUris: this.redirectUris,
+        grantTypes: this.grantTypes,
+        scopes: this.scopes,
+        confidential: this.confidential,
+        trusted: this.trusted,
+        disabled: this.disabled,
+        createdAt: this.createdAt
+    };
+};
+
+OAuthClientSchema.statics.GRANT_TYPES = GRANT_TYPES;
+
+module.exports = mongoose.model('OAuthClient', OAuthClientSchema);
@@ -0,0 +1,57 @@
+/**
+ * OAuthConsent Model - MongoDB Schema
+ *
+ * Scopes a user has approved for an OAuth client. Later authorization
+ * requests for the same (or fewer) scopes skip the consent screen.
+ */
+
+const mongoose = require('mongoose');
+
+const OAuthConsentSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+OAuthConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+/**
+ * Static Method - Check whether every requested scope was already approved
+ * @param {ObjectId} userId
+ * @param {string} clientId
+ * @param {string[]} scopes
+ * @returns {Promise<boolean>}
+ */
+OAuthConsentSchema.statics.covers = async function(userId, clientId, scopes) {
+    const consent = await this.findOne({ user: userId, clientId });
+    return Boolean(consent) && scopes.every(scope => consent.scopes.includes(scope));
+};
+
+/**
+ * Static Method - Record approved scopes (merged with earlier grants)
+ * @param {ObjectId} userId
+ * @param {string} clientId
+ * @param {string[]} scopes
+ * @returns {Promise<object>}
+ */
+OAuthConsentSchema.statics.grant = function(userId, clientId, scopes) {
+    return this.findOneAndUpdate(
+        { user: userId, clientId },
+        { $addToSet: { scopes: { $each: scopes } } },
+        { upsert: true, new: true }
+    );
+};
+
+module.exports = mongoose.model('OAuthConsent', OAuthConsentSchema);
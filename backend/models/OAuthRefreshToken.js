@@ -0,0 +1,102 @@
+/**
+ * OAuthRefreshToken Model - MongoDB Schema
+ *
+ * Refresh tokens issued to OAuth clients. Works like the first-party
+ * RefreshToken model: only a SHA-256 hash is stored, every use rotates
+ * the token, and presenting a used token again revokes its whole family.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const OAuthRefreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    clientId: {
+        type: String,
+        required: true
+    },
+    scope: {
+        type: [String],
+        default: []
+    },
+    authTime: Date,
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge expired tokens automatically
+OAuthRefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method - Hash a raw refresh token for storage/lookup
+ * @param {string} token
+ * @returns {string}
+ */
+OAuthRefreshTokenSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Static Method - Issue a refresh token
+ * Lifetime: OAUTH_REFRESH_TOKEN_EXPIRE days (default 30)
+ * @param {object} grant - user, clientId, scope, authTime
+ * @param {string} [family] - Existing family to extend (new family if omitted)
+ * @returns {Promise<string>} - Raw refresh token
+ */
+OAuthRefreshTokenSchema.statics.issue = async function({ user, clientId, scope, authTime }, family) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const days = Number(process.env.OAUTH_REFRESH_TOKEN_EXPIRE || 30);
+
+    await this.create({
+        user,
+        clientId,
+        scope,
+        authTime,
+        tokenHash: this.hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return token;
+};
+
+/**
+ * Static Method - Revoke every active token in a family
+ * @param {string} family
+ * @returns {Promise<object>}
+ */
+OAuthRefreshTokenSchema.statics.revokeFamily = function(family) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+module.exports = mongoose.model('OAuthRefreshToken', OAuthRefreshTokenSchema);
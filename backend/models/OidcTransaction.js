@@ -0,0 +1,140 @@
+/**
+ * OidcTransaction Model - MongoDB Schema
+ *
+ * Short-lived, single-use records for external (OIDC) sign-in:
+ * - "authorization": state, nonce and PKCE verifier of a redirect to the
+ *   provider, looked up again when the provider calls back
+ * - "ticket": one-time login ticket handed to the frontend after the
+ *   callback, exchanged for tokens at POST /api/auth/oidc/exchange. It is
+ *   bound to the browser the callback ran in by a random browser key in a
+ *   cookie, so a ticket can't be used to sign someone else's browser in.
+ * Only SHA-256 hashes of a ticket and its browser key are stored.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const OidcTransactionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['authorization', 'ticket'],
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        unique: true // state value, or ticket hash
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    nonce: String,
+    codeVerifier: String,
+    redirectUri: String,
+    remember: {
+        type: Boolean,
+        default: false
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    browserHash: String, // tickets only
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB purge expired transactions automatically
+OidcTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashTicket = (ticket) => crypto.createHash('sha256').update(String(ticket)).digest('hex');
+
+/**
+ * Static Method - Remember an outgoing authorization request
+ * Lifetime: OIDC_STATE_EXPIRE seconds (default 600)
+ * @param {object} fields - state, provider, nonce, codeVerifier, redirectUri, remember
+ * @returns {Promise<object>}
+ */
+OidcTransactionSchema.statics.issueAuthorization = function({ state, ...fields }) {
+    const ttlSeconds = Number(process.env.OIDC_STATE_EXPIRE || 600);
+
+    return this.create({
+        ...fields,
+        type: 'authorization',
+        key: state,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+};
+
+/**
+ * Static Method - Atomically take an authorization request by its state
+ * @param {string} provider - Provider id the callback arrived for
+ * @param {string} state
+ * @returns {Promise<object|null>}
+ */
+OidcTransactionSchema.statics.consumeAuthorization = function(provider, state) {
+    return this.findOneAndDelete({
+        type: 'authorization',
+        key: String(state),
+        provider,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Static Method - Lifetime of login tickets and their browser cookie
+ * OIDC_TICKET_EXPIRE seconds (default 60)
+ * @returns {number} - Seconds
+ */
+OidcTransactionSchema.statics.ticketLifetimeSeconds = function() {
+    return Number(process.env.OIDC_TICKET_EXPIRE || 60);
+};
+
+/**
+ * Static Method - Create a one-time login ticket
+ * @param {ObjectId} userId
+ * @param {string} provider
+ * @param {boolean} remember - "Remember me" choice from the start of the flow
+ * @returns {Promise<{ticket: string, browserKey: string}>} - Raw ticket to hand
+ *          to the frontend, and the key for the browser's binding cookie
+ */
+OidcTransactionSchema.statics.issueTicket = async function(userId, provider, remember) {
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    const browserKey = crypto.randomBytes(32).toString('base64url');
+
+    await this.create({
+        type: 'ticket',
+        key: hashTicket(ticket),
+        provider,
+        remember,
+        user: userId,
+        browserHash: hashTicket(browserKey),
+        expiresAt: new Date(Date.now() + this.ticketLifetimeSeconds() * 1000)
+    });
+
+    return { ticket, browserKey };
+};
+
+/**
+ * Static Method - Atomically take a login ticket so it can't be replayed
+ * A ticket presented by another browser doesn't match and stays unused.
+ * @param {string} ticket - Raw ticket
+ * @param {string} browserKey - Value of the binding cookie
+ * @returns {Promise<object|null>}
+ */
+OidcTransactionSchema.statics.consumeTicket = function(ticket, browserKey) {
+    if (!ticket || !browserKey) return Promise.resolve(null);
+
+    return this.findOneAndDelete({
+        type: 'ticket',
+        key: hashTicket(ticket),
+        browserHash: hashTicket(browserKey),
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+module.exports = mongoose.model('OidcTransaction', OidcTransactionSchema);
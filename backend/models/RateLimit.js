@@ -0,0 +1,38 @@
+/**
+ * RateLimit Model - MongoDB Schema
+ *
+ * Backing collection for the Mongo rate-limit store, used when the API
+ * runs on several instances (e.g. Vercel serverless functions) that
+ * can't share process memory.
+ */
+
+const mongoose = require('mongoose');
+
+const RateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    blockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockedOut: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB purge stale counters automatically
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
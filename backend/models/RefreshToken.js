@@ -0,0 +1,95 @@
+/**
+ * RefreshToken Model - MongoDB Schema
+ *
+ * Stores rotating, single-use refresh tokens server-side.
+ * Only a SHA-256 hash of each token is persisted. Every token belongs
+ * to a "family" that starts at login; each rotation adds a new member
+ * and marks the previous one as used. Presenting a used token again is
+ * treated as theft and revokes the whole family.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const RefreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    replacedBy: {
+        type: String,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method - Hash a raw refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+RefreshTokenSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Static Method - Issue a new refresh token
+ * @param {ObjectId} userId - Owner of the token
+ * @param {string} [family] - Existing family to extend (new family if omitted)
+ * @param {Date} expiresAt - Token expiry
+ * @returns {Promise<{token: string, doc: object}>} - Raw token and stored document
+ */
+RefreshTokenSchema.statics.issue = async function(userId, family, expiresAt) {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    const doc = await this.create({
+        user: userId,
+        tokenHash: this.hashToken(token),
+        family: family || crypto.randomUUID(),
+        expiresAt
+    });
+
+    return { token, doc };
+};
+
+/**
+ * Static Method - Revoke every active token in a family
+ * @param {string} family - Family identifier
+ * @returns {Promise<object>} - Mongo update result
+ */
+RefreshTokenSchema.statics.revokeFamily = function(family) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
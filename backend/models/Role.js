@@ -0,0 +1,119 @@
+/**
+ * Role Model - MongoDB Schema
+ *
+ * Named bundles of permissions. Users reference roles by name and may
+ * additionally hold individual permissions; their effective permissions
+ * are the union of both. The "*" permission grants everything.
+ *
+ * Default roles ("user", "admin") are seeded on startup.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Every permission the API checks with authorize()
+ */
+const PERMISSIONS = [
+    'profile:read',
+    'profile:update',
+    'sessions:manage',
+    'users:read',
+    'users:manage',
+    'lockouts:manage',
+    'roles:manage',
+    'oauth_clients:manage',
+    'keys:manage'
+];
+
+const DEFAULT_ROLES = [
+    {
+        name: 'user',
+        description: 'Regular account',
+        permissions: ['profile:read', 'profile:update', 'sessions:manage']
+    },
+    {
+        name: 'admin',
+        description: 'Full administrative access',
+        permissions: ['*']
+    }
+];
+
+// Role lookups happen on every authenticated request; keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, roles: new Map() };
+
+const RoleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    permissions: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// Any change to roles must be visible to the next request
+RoleSchema.post('save', () => {
+    cache.loadedAt = 0;
+});
+
+/**
+ * Static Method - Create the default roles if they don't exist yet
+ * Existing roles are left untouched so operators can customise them.
+ * @returns {Promise<void>}
+ */
+RoleSchema.statics.seedDefaults = async function() {
+    await Promise.all(DEFAULT_ROLES.map(role => this.updateOne(
+        { name: role.name },
+        { $setOnInsert: role },
+        { upsert: true }
+    )));
+    cache.loadedAt = 0;
+};
+
+/**
+ * Static Method - Resolve effective permissions for a set of roles
+ * @param {string[]} roleNames - Role names held by a user
+ * @param {string[]} [extra=[]] - Permissions granted to the user directly
+ * @returns {Promise<string[]>}
+ */
+RoleSchema.statics.permissionsFor = async function(roleNames, extra = []) {
+    if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+        const roles = await this.find({});
+        cache = {
+            loadedAt: Date.now(),
+            roles: new Map(roles.map(role => [role.name, role.permissions]))
+        };
+    }
+
+    const permissions = new Set(extra);
+    roleNames.forEach(name => {
+        (cache.roles.get(name) || []).forEach(permission => permissions.add(permission));
+    });
+
+    return [...permissions];
+};
+
+/**
+ * Static Method - Check a permission list, honouring the "*" wildcard
+ * @param {string[]} granted - Effective permissions
+ * @param {string} permission - Permission required
+ * @returns {boolean}
+ */
+RoleSchema.statics.hasPermission = function(granted, permission) {
+    return granted.includes('*') || granted.includes(permission);
+};
+
+RoleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model('Role', RoleSchema);
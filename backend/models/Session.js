@@ -0,0 +1,168 @@
+/**
+ * Session Model - MongoDB Schema
+ *
+ * Server-side registry of logged-in sessions.
+ * Every login creates one session identified by a random `jti`, which is
+ * embedded in each access token and used as the refresh token family.
+ * Revoking a session therefore invalidates its access tokens immediately
+ * and prevents any further refreshes.
+ *
+ * Sessions are either browser-session logins ("Remember me" unchecked,
+ * short lifetime, non-persistent cookies) or persistent "remembered"
+ * logins with a long lifetime. Both slide forward on every refresh.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const RefreshToken = require('./RefreshToken');
+
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    jti: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomUUID()
+    },
+    device: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Device',
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    persistent: {
+        type: Boolean,
+        default: false // true when "Remember me" was checked
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    authenticatedAt: {
+        type: Date,
+        default: Date.now // last real credential check: login or re-authentication
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // createdAt doubles as the session start time
+});
+
+// Let MongoDB purge expired sessions automatically
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method - Configured session lifetime
+ * - Remembered: REMEMBER_ME_EXPIRE days (default 30)
+ * - Browser-session: SESSION_EXPIRE hours (default 12)
+ * @param {boolean} persistent - Whether "Remember me" was checked
+ * @returns {number} - Lifetime in milliseconds
+ */
+SessionSchema.statics.lifetimeMs = function(persistent) {
+    if (persistent) {
+        const days = Number(process.env.REMEMBER_ME_EXPIRE || process.env.REFRESH_TOKEN_EXPIRE || 30);
+        return days * 24 * 60 * 60 * 1000;
+    }
+    return Number(process.env.SESSION_EXPIRE || 12) * 60 * 60 * 1000;
+};
+
+/**
+ * Instance Method - Check whether session can still be used
+ * @returns {boolean}
+ */
+SessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Instance Method - Check whether the user proved their identity recently
+ * Refreshing tokens doesn't count; only logging in or re-authenticating.
+ * @param {number} maxAgeMs - Longest accepted time since then
+ * @returns {boolean}
+ */
+SessionSchema.methods.isRecentlyAuthenticated = function(maxAgeMs) {
+    const authenticatedAt = this.authenticatedAt || this.createdAt;
+    return Boolean(authenticatedAt) && Date.now() - authenticatedAt.getTime() <= maxAgeMs;
+};
+
+/**
+ * Instance Method - Revoke session and its refresh token family
+ * @returns {Promise<void>}
+ */
+SessionSchema.methods.revoke = async function() {
+    if (!this.revokedAt) {
+        this.revokedAt = new Date();
+        await this.save();
+    }
+    await RefreshToken.revokeFamily(this.jti);
+};
+
+/**
+ * Instance Method - Describe the session mode for clients
+ * @returns {object}
+ */
+SessionSchema.methods.getModeInfo = function() {
+    return {
+        id: this._id,
+        mode: this.persistent ? 'persistent' : 'session',
+        persistent: this.persistent,
+        createdAt: this.createdAt,
+        authenticatedAt: this.authenticatedAt,
+        expiresAt: this.expiresAt
+    };
+};
+
+/**
+ * Instance Method - Get public session data
+ * @param {string} [currentJti] - jti of the requesting session
+ * @returns {object}
+ */
+SessionSchema.methods.toPublicJSON = function(currentJti) {
+    return {
+        id: this._id,
+        userAgent: this.userAgent,
+        ip: this.ip,
+        createdAt: this.createdAt,
+        lastSeenAt: this.lastSeenAt,
+        expiresAt: this.expiresAt,
+        persistent: this.persistent,
+        device: this.device,
+        current: this.jti === currentJti
+    };
+};
+
+/**
+ * Static Method - Revoke every active session for a user
+ * @param {ObjectId} userId - Owner of the sessions
+ * @param {string} [exceptJti] - Session to keep (e.g. the requesting one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+SessionSchema.statics.revokeAllForUser = async function(userId, exceptJti) {
+    const sessions = await this.find({
+        user: userId,
+        revokedAt: null,
+        ...(exceptJti && { jti: { $ne: exceptJti } })
+    });
+    await Promise.all(sessions.map(session => session.revoke()));
+    return sessions.length;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,101 @@
+/**
+ * SigningKey Model - MongoDB Schema
+ *
+ * Asymmetric keys used to sign JWTs: first-party access tokens, OIDC
+ * ID tokens and OAuth access tokens. Public halves are published as a
+ * JWKS; private keys are stored encrypted (see utils/encryption).
+ *
+ * Lifecycle (see utils/keyStore):
+ * - pending:  published, not yet signing (activatesAt in the future)
+ * - current:  newest activated key, signs new tokens
+ * - previous: superseded, still verifies until retiresAt
+ * - retired:  no longer published or accepted
+ */
+
+const mongoose = require('mongoose');
+
+const ALGORITHMS = ['RS256', 'ES256'];
+
+const SigningKeySchema = new mongoose.Schema({
+    kid: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    alg: {
+        type: String,
+        enum: ALGORITHMS,
+        default: 'RS256'
+    },
+    publicJwk: {
+        type: Object,
+        required: true
+    },
+    privateKey: {
+        type: String,
+        required: true,
+        select: false // Encrypted PKCS#8 PEM
+    },
+    // Why the key was generated, e.g. "rotation:<newest kid at the time>". Unique, so
+    // instances that decide to generate a key for the same reason at the
+    // same time end up sharing one key instead of creating several
+    slot: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'retired'],
+        default: 'active'
+    },
+    // Published ahead of use so verifiers can cache it before tokens appear
+    activatesAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set once a newer key takes over
+    retiresAt: {
+        type: Date,
+        default: null
+    },
+    retiredAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Instance Method - Public key in JWKS form
+ * @returns {object}
+ */
+SigningKeySchema.methods.toJwk = function() {
+    return {
+        ...this.publicJwk,
+        kid: this.kid,
+        alg: this.alg,
+        use: 'sig'
+    };
+};
+
+/**
+ * Instance Method - Key metadata for the admin API (no key material)
+ * @returns {object}
+ */
+SigningKeySchema.methods.toPublicJSON = function() {
+    return {
+        kid: this.kid,
+        alg: this.alg,
+        status: this.status,
+        activatesAt: this.activatesAt,
+        retiresAt: this.retiresAt,
+        retiredAt: this.retiredAt,
+        createdAt: this.createdAt
+    };
+};
+
+SigningKeySchema.statics.ALGORITHMS = ALGORITHMS;
+
+module.exports = mongoose.model('SigningKey', SigningKeySchema);
@@ -6,8 +6,12 @@
  */
 
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Role = require('./Role');
+const keyStore = require('../utils/keyStore');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const passwordHash = require('../utils/passwordHash');
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -31,7 +35,14 @@ const UserSchema = new mongoose.Schema({
     password: {
         type: String,
         required: [true, 'Please provide a password'],
-        minlength: [6, 'Password must be at least 6 characters'],
+        validate: {
+            // Runs on the plain text, before the pre-save hook hashes it.
+            // Generated passwords (external sign-in) are not user-chosen.
+            validator: function(value) {
+                if (!this.isModified('password') || this.$locals.generatedPassword) return true;
+                return assertPasswordPolicy(value, { name: this.name, email: this.email });
+            }
+        },
         select: false // Don't return password by default in queries
     },
     createdAt: {
@@ -41,6 +52,99 @@ const UserSchema = new mongoose.Schema({
     lastLogin: {
         type: Date,
         default: Date.now
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    verificationEmailSentAt: {
+        type: Date,
+        default: null
+    },
+    roles: {
+        type: [String],
+        default: ['user'] // Names of Role documents
+    },
+    permissions: {
+        type: [String],
+        default: [] // Extra permissions granted to this user only
+    },
+    passwordChangedAt: {
+        type: Date,
+        default: null
+    },
+    deletionRequestedAt: {
+        type: Date,
+        default: null
+    },
+    deletionScheduledFor: {
+        type: Date,
+        default: null // Account and its data are purged after this date
+    },
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null // New address awaiting confirmation
+    },
+    identities: [{
+        _id: false,
+        provider: { type: String, required: true }, // OIDC provider id
+        subject: { type: String, required: true },  // `sub` claim at that provider
+        email: String,
+        linkedAt: { type: Date, default: Date.now }
+    }],
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorEnabledAt: {
+        type: Date,
+        default: null
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false // AES-256-GCM encrypted TOTP seed
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false // Seed awaiting confirmation during enrollment
+    },
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false // Prevents replaying a code within its time window
+    },
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false // SHA-256 hashes of unused recovery codes
+    },
+    passwordResetToken: {
+        type: String,
+        select: false // Only a SHA-256 hash is stored
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    passwordResetRequired: {
+        type: Boolean,
+        default: false // Set by an admin; login is refused until the password is reset
+    },
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    disabledAt: {
+        type: Date,
+        default: null
+    },
+    disabledReason: {
+        type: String,
+        default: null
     }
 }, {
     timestamps: true // Automatically add createdAt and updatedAt fields
@@ -49,9 +153,16 @@ const UserSchema = new mongoose.Schema({
 // Note: Email index is automatically created by the 'unique: true' option above
 // No need to manually create it again
 
+// Look up accounts by external identity; an identity belongs to one account only
+UserSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 /**
  * Pre-save Middleware - Hash password before saving
- * Only runs if password is modified
+ * Only runs if password is modified. Also records when an existing
+ * password was changed, so older tokens can be rejected.
  */
 UserSchema.pre('save', async function(next) {
     // Only hash password if it's new or modified
@@ -60,11 +171,14 @@ UserSchema.pre('save', async function(next) {
     }
 
     try {
-        // Generate salt (random data for hashing)
-        const salt = await bcrypt.genSalt(10);
-        
-        // Hash password with salt
-        this.password = await bcrypt.hash(this.password, salt);
+        // Hash with the configured algorithm and cost (see utils/passwordHash)
+        this.password = await passwordHash.hashPassword(this.password);
+
+        if (!this.isNew) {
+            // Backdate by a second: JWT `iat` has second precision, so tokens
+            // issued right after the change must still count as newer
+            this.passwordChangedAt = new Date(Date.now() - 1000);
+        }
         
         next();
     } catch (error) {
@@ -74,30 +188,184 @@ UserSchema.pre('save', async function(next) {
 
 /**
  * Instance Method - Compare entered password with hashed password
+ * Accepts any supported hash version. On a match, flags hashes made
+ * with older settings so the caller can upgrade them (see rehashPassword).
  * @param {string} enteredPassword - Password to verify
  * @returns {Promise<boolean>} - True if passwords match
  */
 UserSchema.methods.comparePassword = async function(enteredPassword) {
-    return await bcrypt.compare(enteredPassword, this.password);
+    const isMatch = await passwordHash.verifyPassword(enteredPassword, this.password);
+    this.$locals.passwordNeedsRehash = isMatch && passwordHash.needsRehash(this.password);
+    return isMatch;
 };
 
 /**
- * Instance Method - Generate JWT token
- * @returns {string} - Signed JWT token
+ * Instance Method - Upgrade an outdated password hash
+ * Call after a successful comparePassword with the same plaintext.
+ * Written directly rather than through save() so it doesn't count as a
+ * password change (passwordChangedAt, session revocation, policy checks),
+ * and only if the stored hash hasn't changed in the meantime.
+ * @param {string} enteredPassword - Password that was just verified
+ * @returns {Promise<boolean>} - True if the hash was upgraded
  */
-UserSchema.methods.generateAuthToken = function() {
-    return jwt.sign(
+UserSchema.methods.rehashPassword = async function(enteredPassword) {
+    if (!this.$locals.passwordNeedsRehash) return false;
+    this.$locals.passwordNeedsRehash = false;
+
+    const hash = await passwordHash.hashPassword(enteredPassword);
+    const result = await this.constructor.updateOne(
+        { _id: this._id, password: this.password },
+        { $set: { password: hash } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Instance Method - Check if password was changed after a token was issued
+ * @param {number} issuedAt - JWT `iat` claim (seconds since epoch)
+ * @returns {boolean} - True if the token predates the last password change
+ */
+UserSchema.methods.changedPasswordAfter = function(issuedAt) {
+    if (!this.passwordChangedAt) return false;
+    return this.passwordChangedAt.getTime() > issuedAt * 1000;
+};
+
+/**
+ * Instance Method - Generate short-lived JWT access token
+ * Long-lived sessions are maintained with rotating refresh tokens
+ * (see RefreshToken model), never by the access token itself.
+ * Signed with the current asymmetric key (see utils/keyStore), so
+ * other services can verify it against the published JWKS.
+ * @param {string} jti - Identifier of the server-side session
+ * @returns {Promise<string>} - Signed JWT access token
+ */
+UserSchema.methods.generateAccessToken = function(jti) {
+    return keyStore.sign(
         { 
             id: this._id,
-            email: this.email 
+            email: this.email,
+            type: 'access',
+            jti
         },
-        process.env.JWT_SECRET,
         { 
-            expiresIn: process.env.JWT_EXPIRE 
+            expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
         }
     );
 };
 
+/**
+ * Instance Method - Generate "MFA pending" challenge token
+ * Issued by login when 2FA is enabled; it only proves the password
+ * step succeeded and is exchanged at POST /api/auth/login/2fa.
+ * @param {boolean} [remember=false] - "Remember me" choice to carry over
+ * @param {object} [risk] - Login risk assessment, recorded with the final outcome
+ * @returns {string} - Signed JWT challenge token
+ */
+UserSchema.methods.generateMfaToken = function(remember = false, risk = null) {
+    return jwt.sign(
+        {
+            id: this._id,
+            email: this.email,
+            type: 'mfa-pending',
+            remember,
+            risk
+        },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.MFA_TOKEN_EXPIRE || '5m'
+        }
+    );
+};
+
+/**
+ * Instance Method - Generate "new device pending" challenge token
+ * Issued by login when NEW_DEVICE_POLICY=verify and the browser is not a
+ * known device, or when a risky login must be confirmed by email;
+ * exchanged with the emailed code at POST /api/auth/login/device.
+ * @param {boolean} [remember=false] - "Remember me" choice to carry over
+ * @param {object} [risk] - Login risk assessment, recorded with the final outcome
+ * @returns {string} - Signed JWT challenge token
+ */
+UserSchema.methods.generateDeviceVerificationToken = function(remember = false, risk = null) {
+    return jwt.sign(
+        {
+            id: this._id,
+            email: this.email,
+            type: 'device-pending',
+            remember,
+            risk
+        },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: `${Number(process.env.DEVICE_CODE_EXPIRE || 10)}m`
+        }
+    );
+};
+
+/**
+ * Instance Method - Generate signed email verification token
+ * The token is bound to the current email address, so it stops
+ * working if the address changes before the link is used.
+ * @returns {string} - Signed JWT verification token
+ */
+UserSchema.methods.generateEmailVerificationToken = function() {
+    return jwt.sign(
+        {
+            id: this._id,
+            email: this.email,
+            type: 'email-verify'
+        },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.EMAIL_VERIFY_EXPIRE || '24h'
+        }
+    );
+};
+
+/**
+ * Instance Method - Create a single-use password reset token
+ * Stores only the hash and expiry on the user; caller must save().
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {string} - Raw token to send to the user
+ */
+UserSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    return token;
+};
+
+/**
+ * Instance Method - Generate signed email change confirmation token
+ * Bound to both the current and the requested address, so only the
+ * most recent change request can be confirmed.
+ * @returns {string} - Signed JWT confirmation token
+ */
+UserSchema.methods.generateEmailChangeToken = function() {
+    return jwt.sign(
+        {
+            id: this._id,
+            email: this.email,
+            newEmail: this.pendingEmail,
+            type: 'email-change'
+        },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.EMAIL_CHANGE_EXPIRE || '1h'
+        }
+    );
+};
+
+/**
+ * Instance Method - Resolve effective permissions from roles and direct grants
+ * @returns {Promise<string[]>}
+ */
+UserSchema.methods.getPermissions = function() {
+    return Role.permissionsFor(this.roles, this.permissions);
+};
+
 /**
  * Instance Method - Get public user data (without sensitive info)
  * @returns {object} - User data for client
@@ -107,10 +375,34 @@ UserSchema.methods.getPublicProfile = function() {
         id: this._id,
         name: this.name,
         email: this.email,
+        emailVerified: this.emailVerified,
+        emailVerifiedAt: this.emailVerifiedAt,
+        pendingEmail: this.pendingEmail,
+        roles: this.roles,
+        passwordChangedAt: this.passwordChangedAt,
+        deletionScheduledFor: this.deletionScheduledFor,
+        twoFactorEnabled: this.twoFactorEnabled,
+        identities: (this.identities || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
         registeredAt: this.createdAt,
         lastLogin: this.lastLogin
     };
 };
 
+/**
+ * Instance Method - Get user data for admin views
+ * @returns {object} - Public profile plus account status fields
+ */
+UserSchema.methods.getAdminView = function() {
+    return {
+        ...this.getPublicProfile(),
+        permissions: this.permissions,
+        disabled: this.disabled,
+        disabledAt: this.disabledAt,
+        disabledReason: this.disabledReason,
+        passwordResetRequired: this.passwordResetRequired,
+        deletionRequestedAt: this.deletionRequestedAt
+    };
+};
+
 // Export User model
 module.exports = mongoose.model('User', UserSchema);
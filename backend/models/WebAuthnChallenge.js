@@ -0,0 +1,70 @@
+/**
+ * WebAuthnChallenge Model - MongoDB Schema
+ *
+ * Short-lived challenges issued for WebAuthn registration and
+ * authentication ceremonies. Each challenge can be consumed once.
+ */
+
+const mongoose = require('mongoose');
+
+const WebAuthnChallengeSchema = new mongoose.Schema({
+    challenge: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // Unknown for usernameless (discoverable) sign-in
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB purge expired challenges automatically
+WebAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method - Store a new challenge
+ * @param {string} challenge - base64url challenge from the generated options
+ * @param {string} type - "registration" or "authentication"
+ * @param {ObjectId|null} [userId]
+ * @returns {Promise<object>} - Challenge document
+ */
+WebAuthnChallengeSchema.statics.issue = function(challenge, type, userId = null) {
+    const ttlSeconds = Number(process.env.WEBAUTHN_CHALLENGE_EXPIRE || 300);
+
+    return this.create({
+        challenge,
+        type,
+        user: userId,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+    });
+};
+
+/**
+ * Static Method - Atomically take a challenge so it can't be replayed
+ * @param {string} id - Challenge document ID
+ * @param {string} type - Expected ceremony type
+ * @param {ObjectId|null} [userId] - Expected owner (registration only)
+ * @returns {Promise<object|null>} - Consumed challenge, or null if missing/expired
+ */
+WebAuthnChallengeSchema.statics.consume = function(id, type, userId) {
+    if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+
+    return this.findOneAndDelete({
+        _id: id,
+        type,
+        ...(userId && { user: userId }),
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+module.exports = mongoose.model('WebAuthnChallenge', WebAuthnChallengeSchema);
@@ -0,0 +1,87 @@
+/**
+ * WebAuthnCredential Model - MongoDB Schema
+ *
+ * Passkeys (WebAuthn public-key credentials) registered by users.
+ * Only the public key is stored; the private key never leaves the
+ * authenticator. The signature counter is tracked to detect cloned
+ * authenticators.
+ */
+
+const mongoose = require('mongoose');
+
+const WebAuthnCredentialSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    credentialId: {
+        type: String,
+        required: true,
+        unique: true // base64url credential ID
+    },
+    publicKey: {
+        type: String,
+        required: true // base64url COSE public key
+    },
+    counter: {
+        type: Number,
+        default: 0
+    },
+    transports: {
+        type: [String],
+        default: []
+    },
+    deviceType: {
+        type: String,
+        enum: ['singleDevice', 'multiDevice'],
+        default: 'singleDevice'
+    },
+    backedUp: {
+        type: Boolean,
+        default: false
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 50,
+        default: 'Passkey'
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Instance Method - Credential in the shape @simplewebauthn/server expects
+ * @returns {{id: string, publicKey: Uint8Array, counter: number, transports: string[]}}
+ */
+WebAuthnCredentialSchema.methods.toVerifierCredential = function() {
+    return {
+        id: this.credentialId,
+        publicKey: new Uint8Array(Buffer.from(this.publicKey, 'base64url')),
+        counter: this.counter,
+        transports: this.transports
+    };
+};
+
+/**
+ * Instance Method - Get public credential data
+ * @returns {object}
+ */
+WebAuthnCredentialSchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        deviceType: this.deviceType,
+        backedUp: this.backedUp,
+        createdAt: this.createdAt,
+        lastUsedAt: this.lastUsedAt
+    };
+};
+
+module.exports = mongoose.model('WebAuthnCredential', WebAuthnCredentialSchema);
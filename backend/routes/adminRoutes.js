@@ -0,0 +1,151 @@
+/**
+ * Admin Routes
+ * 
+ * Operator endpoints for account, OAuth client and signing key management.
+ * Interactive routes require a logged-in user (or an API key with the same
+ * scope) holding the matching permission, and changes need a recent login
+ * or re-authentication; scheduler-facing routes require the x-admin-key
+ * header instead.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const adminController = require('../controllers/adminController');
+const oauthClientController = require('../controllers/oauthClientController');
+const signingKeyController = require('../controllers/signingKeyController');
+const OAuthClient = require('../models/OAuthClient');
+const { protect, authorize, requireAdminKey, apiKeyScope, requireRecentAuth } = require('../middleware/authMiddleware');
+
+/**
+ * Validation Rules
+ */
+
+// OAuth client settings (all optional, so the same rules serve updates)
+const oauthClientValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 80 }).withMessage('Client name must be 1-80 characters'),
+
+    body('redirectUris')
+        .optional()
+        .isArray().withMessage('redirectUris must be an array'),
+
+    body('redirectUris.*')
+        .isURL({ require_tld: false, require_protocol: true, protocols: ['http', 'https'] })
+        .withMessage('Each redirect URI must be an absolute http(s) URL'),
+
+    body('grantTypes')
+        .optional()
+        .isArray().withMessage('grantTypes must be an array'),
+
+    body('grantTypes.*')
+        .isIn(OAuthClient.GRANT_TYPES).withMessage(`Grant types must be one of: ${OAuthClient.GRANT_TYPES.join(', ')}`),
+
+    body('scopes')
+        .optional()
+        .isArray().withMessage('scopes must be an array'),
+
+    body('scopes.*')
+        .matches(/^[\x21\x23-\x5B\x5D-\x7E]+$/).withMessage('Scopes cannot contain spaces or quotes'),
+
+    body(['confidential', 'trusted', 'disabled'])
+        .optional()
+        .isBoolean({ strict: true }).withMessage('Must be true or false')
+];
+
+// OAuth client registration
+const createOauthClientValidation = [
+    body('name')
+        .notEmpty().withMessage('Client name is required'),
+
+    ...oauthClientValidation
+];
+
+// @route   GET /api/admin/users
+// @desc    List users (paginated, searchable)
+// @access  Admin (users:read)
+router.get('/users', apiKeyScope('users:read'), protect, authorize('users:read'), adminController.listUsers);
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with sessions, lockout status and recent activity
+// @access  Admin (users:read)
+router.get('/users/:id', apiKeyScope('users:read'), protect, authorize('users:read'), adminController.getUser);
+
+// @route   PATCH /api/admin/users/:id/status
+// @desc    Disable or enable a user account
+// @access  Admin (users:manage, recent authentication)
+router.patch('/users/:id/status', apiKeyScope('users:manage'), protect, authorize('users:manage'), requireRecentAuth(), adminController.setUserStatus);
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Require a password reset and email a reset link
+// @access  Admin (users:manage, recent authentication)
+router.post('/users/:id/force-password-reset', apiKeyScope('users:manage'), protect, authorize('users:manage'), requireRecentAuth(), adminController.forcePasswordReset);
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke all sessions of a user
+// @access  Admin (users:manage, recent authentication)
+router.delete('/users/:id/sessions', apiKeyScope('users:manage'), protect, authorize('users:manage'), requireRecentAuth(), adminController.revokeUserSessions);
+
+// @route   GET /api/admin/lockouts/:email
+// @desc    Get brute-force lockout status for an account
+// @access  Admin (lockouts:manage)
+router.get('/lockouts/:email', apiKeyScope('lockouts:manage'), protect, authorize('lockouts:manage'), adminController.getLockout);
+
+// @route   DELETE /api/admin/lockouts/:email
+// @desc    Unlock an account
+// @access  Admin (lockouts:manage, recent authentication)
+router.delete('/lockouts/:email', apiKeyScope('lockouts:manage'), protect, authorize('lockouts:manage'), requireRecentAuth(), adminController.unlockAccount);
+
+// @route   GET /api/admin/oauth-clients
+// @desc    List registered OAuth clients
+// @access  Admin (oauth_clients:manage)
+router.get('/oauth-clients', apiKeyScope('oauth_clients:manage'), protect, authorize('oauth_clients:manage'), oauthClientController.listClients);
+
+// @route   POST /api/admin/oauth-clients
+// @desc    Register an OAuth client (returns the secret once)
+// @access  Admin (oauth_clients:manage, recent authentication)
+router.post('/oauth-clients', apiKeyScope('oauth_clients:manage'), protect, authorize('oauth_clients:manage'), requireRecentAuth(), createOauthClientValidation, oauthClientController.createClient);
+
+// @route   PATCH /api/admin/oauth-clients/:clientId
+// @desc    Update an OAuth client
+// @access  Admin (oauth_clients:manage, recent authentication)
+router.patch('/oauth-clients/:clientId', apiKeyScope('oauth_clients:manage'), protect, authorize('oauth_clients:manage'), requireRecentAuth(), oauthClientValidation, oauthClientController.updateClient);
+
+// @route   POST /api/admin/oauth-clients/:clientId/secret
+// @desc    Rotate a client secret
+// @access  Admin (oauth_clients:manage, recent authentication)
+router.post('/oauth-clients/:clientId/secret', apiKeyScope('oauth_clients:manage'), protect, authorize('oauth_clients:manage'), requireRecentAuth(), oauthClientController.rotateSecret);
+
+// @route   DELETE /api/admin/oauth-clients/:clientId
+// @desc    Delete an OAuth client
+// @access  Admin (oauth_clients:manage, recent authentication)
+router.delete('/oauth-clients/:clientId', apiKeyScope('oauth_clients:manage'), protect, authorize('oauth_clients:manage'), requireRecentAuth(), oauthClientController.deleteClient);
+
+// @route   GET /api/admin/signing-keys
+// @desc    List JWT signing keys
+// @access  Admin (keys:manage)
+router.get('/signing-keys', apiKeyScope('keys:manage'), protect, authorize('keys:manage'), signingKeyController.listKeys);
+
+// @route   POST /api/admin/signing-keys/rotate
+// @desc    Generate the next signing key ahead of schedule
+// @access  Admin (keys:manage, recent authentication)
+router.post('/signing-keys/rotate', apiKeyScope('keys:manage'), protect, authorize('keys:manage'), requireRecentAuth(), signingKeyController.rotateKeys);
+
+// @route   DELETE /api/admin/signing-keys/:kid
+// @desc    Retire a signing key immediately
+// @access  Admin (keys:manage, recent authentication)
+router.delete('/signing-keys/:kid', apiKeyScope('keys:manage'), protect, authorize('keys:manage'), requireRecentAuth(), signingKeyController.retireKey);
+
+// @route   POST /api/admin/purge-deleted-accounts
+// @desc    Permanently delete accounts past their deletion grace period
+// @access  Scheduler (x-admin-key)
+router.post('/purge-deleted-accounts', requireAdminKey, adminController.purgeDeletedAccounts);
+
+// @route   POST /api/admin/rotate-signing-keys
+// @desc    Rotate signing keys when due and retire expired ones
+// @access  Scheduler (x-admin-key)
+router.post('/rotate-signing-keys', requireAdminKey, signingKeyController.rotateIfDue);
+
+module.exports = router;
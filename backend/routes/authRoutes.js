@@ -6,10 +6,22 @@
  */
 
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const router = express.Router();
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const sessionController = require('../controllers/sessionController');
+const accountController = require('../controllers/accountController');
+const twoFactorController = require('../controllers/twoFactorController');
+const webauthnController = require('../controllers/webauthnController');
+const oidcController = require('../controllers/oidcController');
+const apiKeyController = require('../controllers/apiKeyController');
+const magicLinkController = require('../controllers/magicLinkController');
+const deviceController = require('../controllers/deviceController');
+const ApiKey = require('../models/ApiKey');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const { protect, optionalAuth, authorize, requireVerifiedEmail, apiKeyScope, requireRecentAuth } = require('../middleware/authMiddleware');
+const { bruteForceGuard, rateLimit } = require('../middleware/bruteForce');
 
 /**
  * Validation Rules
@@ -31,12 +43,30 @@ const registerValidation = [
     
     body('password')
         .notEmpty().withMessage('Password is required')
-        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+        .bail()
+        .custom((password, { req }) => assertPasswordPolicy(password, { name: req.body.name, email: req.body.email })),
     
     body('confirmPassword')
         .notEmpty().withMessage('Please confirm your password')
 ];
 
+// Profile update validation (same name rules as registration)
+const profileValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
+        .isLength({ max: 50 }).withMessage('Name cannot exceed 50 characters'),
+
+    body('email')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please provide a valid email')
+        .normalizeEmail()
+];
+
 // Login validation
 const loginValidation = [
     body('email')
@@ -45,10 +75,187 @@ const loginValidation = [
         .isEmail().withMessage('Please provide a valid email')
         .normalizeEmail(),
     
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+
+    body('remember')
+        .optional()
+        .isBoolean().withMessage('Remember me must be true or false')
+];
+
+// Forgot password validation
+const forgotPasswordValidation = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Please provide a valid email')
+        .normalizeEmail()
+];
+
+// Magic link request validation
+const magicLinkValidation = [
+    ...forgotPasswordValidation,
+
+    body('remember')
+        .optional()
+        .isBoolean().withMessage('Remember me must be true or false')
+];
+
+// Reset password validation (the account is only known from the token,
+// so the name/email rule is checked again in the controller)
+const resetPasswordValidation = [
+    body('password')
+        .notEmpty().withMessage('Password is required')
+        .bail()
+        .custom(password => assertPasswordPolicy(password)),
+    
+    body('confirmPassword')
+        .notEmpty().withMessage('Please confirm your password')
+];
+
+// Change password validation (same policy as registration for the new password)
+const changePasswordValidation = [
+    body('currentPassword')
+        .notEmpty().withMessage('Current password is required'),
+
+    body('newPassword')
+        .notEmpty().withMessage('New password is required')
+        .bail()
+        .custom((password, { req }) => assertPasswordPolicy(password, req.user)),
+
+    body('confirmPassword')
+        .notEmpty().withMessage('Please confirm your password')
+];
+
+// Step-up re-authentication
+const reauthenticateValidation = [
     body('password')
         .notEmpty().withMessage('Password is required')
 ];
 
+// Device rename / new-device notice confirmation
+const deviceValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Device name cannot be empty')
+        .isLength({ max: 50 }).withMessage('Device name cannot exceed 50 characters'),
+
+    body('acknowledged')
+        .optional()
+        .isBoolean().withMessage('Acknowledged must be true or false')
+        .toBoolean()
+];
+
+// Live password strength check
+const passwordCheckValidation = [
+    body('password')
+        .isString().withMessage('Password is required')
+        .isLength({ max: 1024 }).withMessage('Password is too long')
+];
+
+// API key creation
+const apiKeyValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Key name is required')
+        .isLength({ max: 50 }).withMessage('Key name cannot exceed 50 characters'),
+
+    body('scopes')
+        .isArray({ min: 1 }).withMessage('Select at least one scope'),
+
+    body('scopes.*')
+        .isIn(ApiKey.SCOPES).withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+
+    body('expiresInDays')
+        .optional()
+        .isInt({ min: 1, max: Number(process.env.API_KEY_MAX_DAYS || 365) })
+        .withMessage(`Expiry must be between 1 and ${process.env.API_KEY_MAX_DAYS || 365} days`)
+];
+
+/**
+ * Brute-force / Rate Limits
+ */
+
+// Password step: counters keyed by client IP and submitted email
+const loginGuard = bruteForceGuard({
+    getAccount: (req) => req.body.email || null
+});
+
+// 2FA step: account comes from the (verified) challenge token, so forged
+// tokens can't be used to lock other people's accounts
+const twoFactorGuard = bruteForceGuard({
+    getAccount: (req) => {
+        try {
+            return jwt.verify(req.body.mfaToken, process.env.JWT_SECRET).email || null;
+        } catch (error) {
+            return null;
+        }
+    }
+});
+
+// New-device code step: account comes from the (verified) challenge token
+const deviceGuard = bruteForceGuard({
+    getAccount: (req) => {
+        try {
+            return jwt.verify(req.body.deviceToken, process.env.JWT_SECRET).email || null;
+        } catch (error) {
+            return null;
+        }
+    }
+});
+
+// Step-up re-authentication: counted against the logged-in account, like login
+const reauthenticateGuard = bruteForceGuard({
+    getAccount: (req) => (req.user ? req.user.email : null)
+});
+
+// Passkey sign-in: the credential identifies the account, so only the IP is counted
+const passkeyGuard = bruteForceGuard({
+    getAccount: () => null
+});
+
+// Magic link sign-in: tokens aren't tied to a known account, so only the IP is counted
+const magicLinkGuard = bruteForceGuard({
+    getAccount: () => null
+});
+
+// Registration and email-sending endpoints: plain per-IP request limits
+const registerLimiter = rateLimit({
+    name: 'register',
+    max: Number(process.env.REGISTER_RATE_LIMIT || 10),
+    windowMs: 60 * 60 * 1000
+});
+
+const passwordCheckLimiter = rateLimit({
+    name: 'password-check',
+    max: Number(process.env.PASSWORD_CHECK_RATE_LIMIT || 120),
+    windowMs: 60 * 1000
+});
+
+// Passkey sign-in options: each call stores a challenge
+const passkeyOptionsLimiter = rateLimit({
+    name: 'passkey-options',
+    max: Number(process.env.PASSKEY_OPTIONS_RATE_LIMIT || 30),
+    windowMs: 60 * 1000
+});
+
+const emailLimiter = rateLimit({
+    name: 'email',
+    max: Number(process.env.EMAIL_RATE_LIMIT || 5),
+    windowMs: 15 * 60 * 1000
+});
+
+// Profile updates: changing the login email needs a recent authentication,
+// a name change (the form always sends the current email) doesn't
+const requireRecentAuthForEmailChange = (req, res, next) => {
+    const { email } = req.body;
+    if (email === undefined || String(email).toLowerCase() === req.user.email) {
+        return next();
+    }
+    return requireRecentAuth()(req, res, next);
+};
+
 /**
  * Routes
  */
@@ -56,26 +263,236 @@ const loginValidation = [
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', registerValidation, authController.register);
+router.post('/register', registerLimiter, registerValidation, authController.register);
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', loginValidation, authController.login);
+router.post('/login', loginValidation, loginGuard, authController.login);
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with TOTP or recovery code
+// @access  Public (requires mfa pending token)
+router.post('/login/2fa', twoFactorGuard, twoFactorController.loginWithSecondFactor);
+
+// @route   POST /api/auth/login/device
+// @desc    Complete login from a new device with the emailed code
+// @access  Public (requires device pending token)
+router.post('/login/device', deviceGuard, deviceController.verifyLogin);
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use sign-in link bound to this browser
+// @access  Public
+router.post('/magic-link', emailLimiter, magicLinkValidation, magicLinkController.requestLink);
+
+// @route   POST /api/auth/magic-link/consume
+// @desc    Sign in with a magic link token
+// @access  Public (requires link token and browser cookie)
+router.post('/magic-link/consume', magicLinkGuard, magicLinkController.consumeLink);
+
+// @route   GET /api/auth/csrf-token
+// @desc    Get a CSRF token for cookie-authenticated requests
+// @access  Public
+router.get('/csrf-token', authController.getCsrfToken);
+
+// @route   GET /api/auth/password-policy
+// @desc    Password rules for client-side hints
+// @access  Public
+router.get('/password-policy', authController.getPasswordPolicy);
+
+// @route   POST /api/auth/password-policy/check
+// @desc    Score a candidate password against the policy (strength meter)
+// @access  Public
+router.post('/password-policy/check', passwordCheckLimiter, passwordCheckValidation, authController.checkPassword);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, forgotPasswordValidation, authController.forgotPassword);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password/:token', resetPasswordValidation, authController.resetPassword);
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm email address from verification link
+// @access  Public
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// @route   GET /api/auth/confirm-email/:token
+// @desc    Confirm an email change from the link sent to the new address
+// @access  Public
+router.get('/confirm-email/:token', authController.confirmEmailChange);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Resend verification email (cooldown applies)
+// @access  Public (current user if logged in, otherwise by email)
+router.post('/verify-email/resend', emailLimiter, optionalAuth, authController.resendVerification);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public (requires valid refresh token)
+router.post('/refresh', authController.refresh);
 
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
-// @access  Private (requires authentication)
-router.get('/profile', protect, authController.getProfile);
+// @access  Private (requires authentication, or an API key with profile:read)
+router.get('/profile', apiKeyScope('profile:read'), protect, authorize('profile:read'), authController.getProfile);
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (clear token)
+// @route   PATCH /api/auth/profile
+// @desc    Update name, or request an email change (confirmed by link)
+// @access  Private (recent authentication to change the email)
+router.patch('/profile', protect, authorize('profile:update'), profileValidation, requireRecentAuthForEmailChange, authController.updateProfile);
+
+// @route   POST /api/auth/change-password
+// @desc    Change password (signs out other sessions)
 // @access  Private
-router.post('/logout', protect, authController.logout);
+router.post('/change-password', protect, changePasswordValidation, authController.changePassword);
+
+// @route   POST /api/auth/reauthenticate
+// @desc    Confirm the password again before sensitive actions
+// @access  Private
+router.post('/reauthenticate', protect, reauthenticateValidation, reauthenticateGuard, authController.reauthenticate);
+
+// @route   POST /api/auth/logout
+// @desc    Logout user (clear tokens, revoke current session)
+// @access  Public (revokes the session of the refresh cookie or access token, even an expired one)
+router.post('/logout', authController.logout);
 
 // @route   GET /api/auth/verify
 // @desc    Verify if user is authenticated
 // @access  Private
 router.get('/verify', protect, authController.verifyToken);
 
+// @route   GET /api/auth/activity
+// @desc    Paginated authentication history (filters: type, outcome, from, to)
+// @access  Private (or an API key with activity:read)
+router.get('/activity', apiKeyScope('activity:read'), protect, authController.getActivity);
+
+// @route   GET /api/auth/export
+// @desc    Download all personal data as JSON
+// @access  Private (recent authentication)
+router.get('/export', protect, requireRecentAuth(), accountController.exportData);
+
+// @route   DELETE /api/auth/account
+// @desc    Schedule account deletion (requires password)
+// @access  Private
+router.delete('/account', protect, accountController.deleteAccount);
+
+// @route   POST /api/auth/account/restore
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/account/restore', protect, accountController.cancelDeletion);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for current user
+// @access  Private (verified email, or an API key with sessions:read)
+router.get('/sessions', apiKeyScope('sessions:read'), protect, authorize('sessions:manage'), requireVerifiedEmail, sessionController.listSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out everywhere (revoke all sessions)
+// @access  Private
+router.delete('/sessions', protect, authorize('sessions:manage'), sessionController.revokeAllSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private (verified email)
+router.delete('/sessions/:id', protect, authorize('sessions:manage'), requireVerifiedEmail, sessionController.revokeSession);
+
+// @route   GET /api/auth/api-keys
+// @desc    List API keys and the scopes the user may grant
+// @access  Private
+router.get('/api-keys', protect, apiKeyController.listKeys);
+
+// @route   POST /api/auth/api-keys
+// @desc    Create an API key (returned once)
+// @access  Private (verified email, recent authentication)
+router.post('/api-keys', protect, requireVerifiedEmail, requireRecentAuth(), apiKeyValidation, apiKeyController.createKey);
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/api-keys/:id', protect, apiKeyController.revokeKey);
+
+// @route   GET /api/auth/devices
+// @desc    List devices the account has signed in from
+// @access  Private
+router.get('/devices', protect, deviceController.listDevices);
+
+// @route   PATCH /api/auth/devices/:id
+// @desc    Rename a device or confirm a new-device notice
+// @access  Private
+router.patch('/devices/:id', protect, deviceValidation, deviceController.updateDevice);
+
+// @route   DELETE /api/auth/devices/:id
+// @desc    Forget a device and sign out its sessions
+// @access  Private
+router.delete('/devices/:id', protect, deviceController.removeDevice);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment (otpauth URI + QR code)
+// @access  Private (verified email, recent authentication)
+router.post('/2fa/setup', protect, requireVerifiedEmail, requireRecentAuth(), twoFactorController.setup);
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm 2FA enrollment and receive recovery codes
+// @access  Private (verified email)
+router.post('/2fa/confirm', protect, requireVerifiedEmail, twoFactorController.confirm);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (requires password)
+// @access  Private
+router.post('/2fa/disable', protect, twoFactorController.disable);
+
+// @route   POST /api/auth/webauthn/register/options
+// @desc    Start passkey registration
+// @access  Private (verified email, recent authentication)
+router.post('/webauthn/register/options', protect, requireVerifiedEmail, requireRecentAuth(), webauthnController.registrationOptions);
+
+// @route   POST /api/auth/webauthn/register/verify
+// @desc    Verify and store a new passkey
+// @access  Private (verified email)
+router.post('/webauthn/register/verify', protect, requireVerifiedEmail, webauthnController.verifyRegistration);
+
+// @route   POST /api/auth/webauthn/login/options
+// @desc    Start passkey sign-in
+// @access  Public
+router.post('/webauthn/login/options', passkeyOptionsLimiter, webauthnController.authenticationOptions);
+
+// @route   POST /api/auth/webauthn/login/verify
+// @desc    Sign in with a passkey
+// @access  Public
+router.post('/webauthn/login/verify', passkeyGuard, webauthnController.verifyAuthentication);
+
+// @route   GET /api/auth/webauthn/credentials
+// @desc    List registered passkeys
+// @access  Private
+router.get('/webauthn/credentials', protect, webauthnController.listCredentials);
+
+// @route   DELETE /api/auth/webauthn/credentials/:id
+// @desc    Remove a passkey
+// @access  Private (recent authentication)
+router.delete('/webauthn/credentials/:id', protect, requireRecentAuth(), webauthnController.deleteCredential);
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List external sign-in providers
+// @access  Public
+router.get('/oidc/providers', oidcController.listProviders);
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange a one-time login ticket for tokens
+// @access  Public
+router.post('/oidc/exchange', oidcController.exchangeTicket);
+
+// @route   GET /api/auth/oidc/:provider/start
+// @desc    Redirect to an external sign-in provider
+// @access  Public
+router.get('/oidc/:provider/start', oidcController.start);
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Handle the provider's redirect back
+// @access  Public
+router.get('/oidc/:provider/callback', oidcController.callback);
+
 module.exports = router;
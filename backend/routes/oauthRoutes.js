@@ -0,0 +1,45 @@
+/**
+ * OAuth 2.0 / OpenID Connect Provider Routes
+ *
+ * Protocol endpoints used by registered client applications, plus the
+ * consent API used by the frontend. Discovery and JWKS are mounted
+ * under /.well-known in server.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const oauthController = require('../controllers/oauthController');
+const { protect } = require('../middleware/authMiddleware');
+
+// @route   GET /oauth/authorize
+// @desc    Start an authorization code flow
+// @access  Public
+router.get('/authorize', oauthController.authorize);
+
+// @route   POST /oauth/token
+// @desc    Exchange a code, refresh token or client credentials for tokens
+// @access  Client authentication
+router.post('/token', oauthController.token);
+
+// @route   GET|POST /oauth/userinfo
+// @desc    Claims about the token's user
+// @access  Bearer access token (openid scope)
+router.get('/userinfo', oauthController.userinfo);
+router.post('/userinfo', oauthController.userinfo);
+
+// @route   POST /oauth/revoke
+// @desc    Revoke a refresh token
+// @access  Client authentication
+router.post('/revoke', oauthController.revoke);
+
+// @route   GET /oauth/requests/:id
+// @desc    Pending authorization request details for the consent screen
+// @access  Private
+router.get('/requests/:id', protect, oauthController.getRequest);
+
+// @route   POST /oauth/requests/:id/decision
+// @desc    Approve or deny a pending authorization request
+// @access  Private
+router.post('/requests/:id/decision', protect, oauthController.decide);
+
+module.exports = router;
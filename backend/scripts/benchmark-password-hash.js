@@ -0,0 +1,47 @@
+/**
+ * Password Hash Benchmark
+ *
+ * Picks hashing parameters that take about the target time per hash on
+ * this host, and prints them as environment settings. Run it on (or on
+ * hardware like) the production server.
+ *
+ * Usage:
+ *   node scripts/benchmark-password-hash.js [targetMs] [algorithm]
+ *
+ * Examples:
+ *   node scripts/benchmark-password-hash.js             # 250 ms, configured algorithm
+ *   node scripts/benchmark-password-hash.js 500 bcrypt
+ *
+ * Argon2id keeps ARGON2_MEMORY_COST and ARGON2_PARALLELISM from the
+ * environment and tunes the iterations.
+ */
+
+require('dotenv').config();
+const passwordHash = require('../utils/passwordHash');
+
+const targetMs = Number(process.argv[2] || process.env.PASSWORD_HASH_TARGET_MS || 250);
+const algorithm = process.argv[3];
+
+if (!Number.isFinite(targetMs) || targetMs <= 0) {
+    console.error('Target time must be a positive number of milliseconds');
+    process.exit(1);
+}
+if (algorithm && !passwordHash.ALGORITHMS.includes(algorithm)) {
+    console.error(`Unknown algorithm "${algorithm}" (expected ${passwordHash.ALGORITHMS.join(' or ')})`);
+    process.exit(1);
+}
+
+(async () => {
+    console.log(`⏱️  Benchmarking ${algorithm || 'configured algorithm'} for ~${targetMs} ms per hash...`);
+
+    const result = await passwordHash.benchmark({ algorithm, targetMs });
+
+    console.log(`\n${result.algorithm}: ${JSON.stringify(result.params)} → ${Math.round(result.ms)} ms per hash\n`);
+    console.log('Add to .env:');
+    for (const [key, value] of Object.entries(result.env)) {
+        console.log(`${key}=${value}`);
+    }
+})().catch((error) => {
+    console.error('Benchmark error:', error);
+    process.exit(1);
+});
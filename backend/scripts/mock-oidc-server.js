@@ -0,0 +1,199 @@
+/**
+ * Mock OpenID Connect Provider
+ *
+ * Minimal local identity provider for trying out and testing external
+ * sign-in without a real provider account. Not for production use.
+ *
+ * Usage:
+ *   node scripts/mock-oidc-server.js
+ *
+ * Then configure the backend with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:4010
+ *   OIDC_MOCK_CLIENT_ID=securesphere
+ *   OIDC_MOCK_CLIENT_SECRET=mock-secret
+ *
+ * Settings:
+ * - MOCK_OIDC_PORT:          port to listen on (default 4010)
+ * - MOCK_OIDC_CLIENT_ID:     expected client id (default "securesphere")
+ * - MOCK_OIDC_CLIENT_SECRET: expected client secret (default "mock-secret")
+ * - MOCK_OIDC_AUTO_LOGIN:    email to sign in as without showing the form
+ *
+ * Tests start it in-process with startMockOidcServer({ port: 0 }).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Start a provider
+ * @param {object} [options]
+ * @param {number} [options.port=MOCK_OIDC_PORT or 4010] - 0 picks a free port
+ * @param {string} [options.clientId=MOCK_OIDC_CLIENT_ID or "securesphere"]
+ * @param {string} [options.clientSecret=MOCK_OIDC_CLIENT_SECRET or "mock-secret"]
+ * @returns {Promise<{issuer: string, close: Function}>}
+ */
+const startMockOidcServer = ({
+    port = Number(process.env.MOCK_OIDC_PORT || 4010),
+    clientId = process.env.MOCK_OIDC_CLIENT_ID || 'securesphere',
+    clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret'
+} = {}) => new Promise((resolve, reject) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    // Authorization codes waiting to be exchanged (single-use, in memory)
+    const codes = new Map();
+
+    // Known once the server listens, since the port may be picked by the OS
+    let issuer = null;
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    /**
+     * Issue a code for the given identity and redirect back to the client
+     */
+    const approve = (res, params, { email, name, emailVerified = true }) => {
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+            email: email.trim().toLowerCase(),
+            name: name || email.split('@')[0],
+            emailVerified,
+            nonce: params.nonce,
+            redirectUri: params.redirect_uri,
+            codeChallenge: params.code_challenge
+        });
+        setTimeout(() => codes.delete(code), 5 * 60 * 1000).unref();
+
+        const url = new URL(params.redirect_uri);
+        url.searchParams.set('code', code);
+        url.searchParams.set('state', params.state);
+        res.redirect(url.toString());
+    };
+
+    app.get('/authorize', (req, res) => {
+        const params = req.query;
+
+        if (params.client_id !== clientId || params.response_type !== 'code' || !params.redirect_uri) {
+            return res.status(400).send('Invalid authorization request');
+        }
+        if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+            return res.status(400).send('PKCE (S256) is required');
+        }
+
+        if (process.env.MOCK_OIDC_AUTO_LOGIN) {
+            return approve(res, params, { email: process.env.MOCK_OIDC_AUTO_LOGIN });
+        }
+
+        const hidden = Object.entries(params)
+            .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+            .join('');
+
+        res.send(`<!DOCTYPE html>
+    <html><body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+        <h2>Mock OIDC Sign-In</h2>
+        <form method="post" action="/authorize">
+            ${hidden}
+            <p><label>Email<br><input name="email" type="email" required></label></p>
+            <p><label>Name<br><input name="name"></label></p>
+            <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+            <button type="submit">Sign in</button>
+            <button type="submit" name="deny" value="1">Cancel</button>
+        </form>
+    </body></html>`);
+    });
+
+    app.post('/authorize', (req, res) => {
+        const { email, name, deny, email_verified: emailVerified, ...params } = req.body;
+
+        if (deny) {
+            const url = new URL(params.redirect_uri);
+            url.searchParams.set('error', 'access_denied');
+            url.searchParams.set('state', params.state);
+            return res.redirect(url.toString());
+        }
+
+        approve(res, params, { email, name, emailVerified: Boolean(emailVerified) });
+    });
+
+    app.post('/token', (req, res) => {
+        let { client_id: id, client_secret: secret } = req.body;
+
+        const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+        if (basic) {
+            [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        }
+        if (id !== clientId || secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+
+        const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier)).digest('base64url');
+        if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign({
+            sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+            email: grant.email,
+            email_verified: grant.emailVerified,
+            name: grant.name,
+            nonce: grant.nonce
+        }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer,
+            audience: clientId,
+            expiresIn: '5m'
+        });
+
+        res.json({
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    });
+
+    const server = app.listen(port, () => {
+        issuer = `http://localhost:${server.address().port}`;
+        resolve({
+            issuer,
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+    server.on('error', reject);
+});
+
+if (require.main === module) {
+    startMockOidcServer().then(({ issuer }) => {
+        console.log(`🪪 Mock OIDC provider running at ${issuer}`);
+    });
+}
+
+module.exports = {
+    startMockOidcServer
+};
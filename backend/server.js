@@ -10,6 +10,10 @@ const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { isAllowedOrigin } = require('./config/cors');
+const { csrfProtection } = require('./middleware/csrf');
+const { purgeDeletedAccounts } = require('./utils/accountPurge');
+const { rotateIfDue } = require('./utils/keyStore');
 
 // Load environment variables
 dotenv.config();
@@ -20,45 +24,22 @@ connectDB();
 // Initialize Express app
 const app = express();
 
+// Trust the first proxy (Vercel) so req.ip reflects the real client address
+app.set('trust proxy', 1);
+
 // Middleware Configuration
 // ========================
 
-// CORS - Allow cross-origin requests from frontend
-const allowedOrigins = [
-    // Standard production frontend (no trailing slash)
-    "https://secure-sphere-login-page-frontend.vercel.app",
-    // Add more trusted origins here or set via env FRONTEND_URL
-];
-
-// Configure CORS with helpful development shortcuts
+// CORS - Allow credentialed cross-origin requests from the frontend's
+// exact origins only (see config/cors.js)
 app.use(cors({
     origin: function (origin, callback) {
         // Allow requests with no origin (like mobile apps, curl, or server-to-server requests)
-        if (!origin) return callback(null, true);
-
-        // Normalize origin by stripping any trailing slash
-        const incomingOrigin = origin.replace(/\/$/, '');
-
-        // In development, allow localhost / 127.0.0.1 on any port to simplify testing
-        if (process.env.NODE_ENV !== 'production') {
-            if (/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(incomingOrigin)) {
-                console.log('CORS allowed (dev localhost):', incomingOrigin);
-                return callback(null, true);
-            }
-        }
-
-        // Allow explicitly listed origins
-        if (allowedOrigins.indexOf(incomingOrigin) !== -1) {
+        if (!origin || isAllowedOrigin(origin)) {
             return callback(null, true);
         }
 
-        // Allow Vercel preview / production domains that end with `.vercel.app`
-        if (/\.vercel\.app$/.test(incomingOrigin)) {
-            console.log('CORS allowed (vercel domain):', incomingOrigin);
-            return callback(null, true);
-        }
-
-        console.warn('CORS blocked for origin:', incomingOrigin);
+        console.warn('CORS blocked for origin:', origin);
         callback(new Error('Not allowed by CORS'));
     },
     credentials: true // Allow cookies to be sent
@@ -73,6 +54,10 @@ app.use(express.urlencoded({ extended: true }));
 // Cookie parser - Parse cookies
 app.use(cookieParser());
 
+// CSRF - Cookie-authenticated state-changing requests need the X-CSRF-Token
+// header (token from GET /api/auth/csrf-token)
+app.use(csrfProtection);
+
 // Routes Configuration
 // ====================
 
@@ -88,6 +73,13 @@ app.get('/api/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+
+// OAuth 2.0 / OpenID Connect provider
+const oauthController = require('./controllers/oauthController');
+app.get('/.well-known/openid-configuration', oauthController.discovery);
+app.get('/.well-known/jwks.json', oauthController.jwks);
+app.use('/oauth', require('./routes/oauthRoutes'));
 
 // 404 Handler - Catch all unmatched routes
 app.use((req, res) => {
@@ -121,6 +113,18 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
         console.log(`🌐 Frontend: http://localhost:${PORT}`);
     });
 
+    // Purge accounts past their deletion grace period once an hour
+    setInterval(() => {
+        purgeDeletedAccounts().catch(err => console.error('❌ Account purge failed:', err.message));
+    }, 60 * 60 * 1000).unref();
+
+    // Rotate JWT signing keys when due and retire superseded ones
+    setInterval(() => {
+        rotateIfDue()
+            .then(({ rotated }) => rotated && console.log(`🔑 Signing key rotated: ${rotated}`))
+            .catch(err => console.error('❌ Signing key rotation failed:', err.message));
+    }, 60 * 60 * 1000).unref();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
         console.error('❌ Unhandled Rejection:', err.message);
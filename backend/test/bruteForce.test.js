@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const express = require('express');
+const { bruteForceGuard, rateLimit } = require('../middleware/bruteForce');
+const { requireAdminKey } = require('../middleware/authMiddleware');
+const { MemoryStore, setStore } = require('../utils/rateLimitStore');
+
+const ENV = {
+    BRUTE_FORCE_FREE_RETRIES: '3',
+    BRUTE_FORCE_MIN_WAIT: '0.01', // 10 ms
+    ACCOUNT_LOCKOUT_THRESHOLD: '5',
+    IP_LOCKOUT_THRESHOLD: '1000',
+    ACCOUNT_LOCKOUT_DURATION: String(200 / 60000), // 200 ms
+    ADMIN_API_KEY: 'admin-key-1'
+};
+
+let api;
+let apiServer;
+let store;
+let checked;
+
+/**
+ * Send `count` requests at once
+ * @returns {Promise<number[]>} - Status codes
+ */
+const burst = (count, path, options = {}) => Promise.all(
+    Array.from({ length: count }, () => fetch(`${api}${path}`, { method: 'POST', ...options }).then(response => response.status))
+);
+
+const tally = (statuses) => statuses.reduce((counts, status) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {});
+
+before(async () => {
+    Object.assign(process.env, ENV);
+    mock.method(console, 'error', () => {});
+
+    const guard = bruteForceGuard({ getAccount: () => 'ada@example.com' });
+
+    // Slow enough that a burst is checked before any failure is recorded
+    const checkPassword = async (req, res) => {
+        checked += 1;
+        await sleep(50);
+        await req.bruteForce.fail();
+        res.status(401).json({ success: false });
+    };
+
+    const app = express();
+    app.post('/login', guard, checkPassword);
+    app.post('/login/pending', guard, (req, res) => res.status(200).json({ mfaRequired: true }));
+    app.post('/register', rateLimit({ name: 'register', max: 5, windowMs: 60 * 60 * 1000 }), (req, res) => res.status(201).json({}));
+    app.get('/admin', requireAdminKey, (req, res) => res.status(200).json({ success: true }));
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    Object.keys(ENV).forEach(name => delete process.env[name]);
+    await new Promise(resolve => apiServer.close(resolve));
+});
+
+beforeEach(() => {
+    store = new MemoryStore();
+    setStore(store);
+    checked = 0;
+});
+
+describe('bruteForceGuard', () => {
+    it('checks no more parallel attempts than the lockout threshold allows', async () => {
+        const statuses = tally(await burst(20, '/login'));
+
+        assert.equal(checked, 5);
+        assert.deepEqual(statuses, { 401: 5, 429: 15 });
+        assert.equal((await store.get('account:ada@example.com')).lockedOut, true);
+    });
+
+    it('allows one attempt at a time once a lockout ends', async () => {
+        await burst(5, '/login');
+        await sleep(250);
+        checked = 0;
+
+        const statuses = tally(await burst(5, '/login'));
+
+        assert.equal(checked, 1);
+        assert.deepEqual(statuses, { 401: 1, 429: 4 });
+    });
+
+    it("doesn't count attempts that end without a failure", async () => {
+        const statuses = tally(await burst(20, '/login/pending'));
+
+        assert.deepEqual(statuses, { 200: 20 });
+        await sleep(10);
+        assert.equal((await store.get('inflight:account:ada@example.com')).count, 0);
+        assert.equal(await store.get('account:ada@example.com'), null);
+    });
+});
+
+describe('rateLimit', () => {
+    it('lets exactly max parallel requests through', async () => {
+        const statuses = tally(await burst(12, '/register'));
+
+        assert.deepEqual(statuses, { 201: 5, 429: 7 });
+    });
+});
+
+describe('requireAdminKey', () => {
+    it('accepts the configured key', async () => {
+        const response = await fetch(`${api}/admin`, { headers: { 'x-admin-key': 'admin-key-1' } });
+
+        assert.equal(response.status, 200);
+    });
+
+    it('rejects a key with multibyte characters instead of failing', async () => {
+        // Same length as the real key in characters, but not in bytes
+        const response = await fetch(`${api}/admin`, { headers: { 'x-admin-key': 'admin-key-é' } });
+
+        assert.equal(response.status, 403);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const Device = require('../models/Device');
+const { recordLogin } = require('../utils/devices');
+
+let api;
+let apiServer;
+
+const user = { _id: 'user-1', email: 'ada@example.com' };
+
+before(async () => {
+    // A device the user already signed in from, whatever the cookie
+    mock.method(Device, 'findOne', async ({ deviceHash }) => ({ deviceHash, verified: true, save: async () => {} }));
+
+    const app = express();
+    app.use(cookieParser());
+    app.post('/api/auth/login', async (req, res) => {
+        const device = await recordLogin(user, req, res);
+        res.status(200).json({ deviceHash: device.deviceHash });
+    });
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => apiServer.close(resolve));
+});
+
+describe('deviceId cookie', () => {
+    it('keeps the id the browser already has', async () => {
+        const response = await fetch(`${api}/api/auth/login`, { method: 'POST', headers: { Cookie: 'deviceId=known-device' } });
+
+        assert.equal((await response.json()).deviceHash, Device.hashId('known-device'));
+        assert.match(response.headers.getSetCookie()[0], /^deviceId=known-device;/);
+    });
+
+    it('is SameSite=None; Secure in production, so the cross-site frontend sends it back', async () => {
+        const env = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        try {
+            const response = await fetch(`${api}/api/auth/login`, { method: 'POST' });
+            const [cookie] = response.headers.getSetCookie();
+
+            assert.match(cookie, /^deviceId=/);
+            assert.match(cookie, /SameSite=None/);
+            assert.match(cookie, /Secure/);
+            assert.match(cookie, /HttpOnly/);
+            assert.match(cookie, /Path=\/api\/auth;/);
+        } finally {
+            if (env === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = env;
+        }
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Software WebAuthn Authenticator
+ *
+ * Produces the same RegistrationResponseJSON / AuthenticationResponseJSON
+ * a browser would, from an in-memory P-256 key, so the passkey ceremonies
+ * can be tested without a browser or hardware. Attestation is "none".
+ */
+
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const b64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+class SoftAuthenticator {
+    /**
+     * @param {object} rp
+     * @param {string} rp.id - Relying party id the credential is scoped to
+     * @param {string} rp.origin - Origin the "browser" reports
+     */
+    constructor({ id, origin }) {
+        this.rpId = id;
+        this.origin = origin;
+        this.credentialId = crypto.randomBytes(32);
+        this.counter = 0;
+
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.privateKey = privateKey;
+        this.publicKey = publicKey;
+    }
+
+    /**
+     * Credential public key as a COSE_Key (EC2, ES256)
+     * @returns {Uint8Array}
+     */
+    cosePublicKey() {
+        const { x, y } = this.publicKey.export({ format: 'jwk' });
+        return isoCBOR.encode(new Map([
+            [1, 2],
+            [3, -7],
+            [-1, 1],
+            [-2, Buffer.from(x, 'base64url')],
+            [-3, Buffer.from(y, 'base64url')]
+        ]));
+    }
+
+    authenticatorData(flags, attestedData = Buffer.alloc(0)) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(this.counter);
+        return Buffer.concat([sha256(this.rpId), Buffer.from([flags]), counter, attestedData]);
+    }
+
+    clientData(type, challenge) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+    }
+
+    /**
+     * Answer navigator.credentials.create()
+     * @param {object} options - Registration options from the server
+     * @returns {object} - RegistrationResponseJSON
+     */
+    register(options) {
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(this.credentialId.length);
+        const attestedData = Buffer.concat([Buffer.alloc(16), idLength, this.credentialId, this.cosePublicKey()]);
+
+        const authData = this.authenticatorData(FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_DATA, attestedData);
+        const attestationObject = isoCBOR.encode(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', authData]
+        ]));
+
+        return {
+            id: b64url(this.credentialId),
+            rawId: b64url(this.credentialId),
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64url(this.clientData('webauthn.create', options.challenge)),
+                attestationObject: b64url(attestationObject),
+                transports: ['internal']
+            },
+            clientExtensionResults: {}
+        };
+    }
+
+    /**
+     * Answer navigator.credentials.get(), advancing the signature counter
+     * @param {object} options - Authentication options from the server
+     * @param {object} [overrides]
+     * @param {number} [overrides.counter] - Report this counter instead (e.g. a cloned key)
+     * @param {boolean} [overrides.userVerified=true] - false for a key without PIN or biometric
+     * @returns {object} - AuthenticationResponseJSON
+     */
+    authenticate(options, { counter, userVerified = true } = {}) {
+        this.counter = counter === undefined ? this.counter + 1 : counter;
+
+        const authData = this.authenticatorData(FLAG_USER_PRESENT | (userVerified ? FLAG_USER_VERIFIED : 0));
+        const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+        const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), this.privateKey);
+
+        return {
+            id: b64url(this.credentialId),
+            rawId: b64url(this.credentialId),
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64url(clientDataJSON),
+                authenticatorData: b64url(authData),
+                signature: b64url(signature)
+            },
+            clientExtensionResults: {}
+        };
+    }
+}
+
+module.exports = SoftAuthenticator;
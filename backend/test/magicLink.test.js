@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const User = require('../models/User');
+const MagicLink = require('../models/MagicLink');
+const { setTransport } = require('../utils/mailer');
+const magicLinkController = require('../controllers/magicLinkController');
+
+let api;
+let apiServer;
+let lookup;
+let links;
+let sent;
+
+const user = new User({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'unused', emailVerified: true });
+
+const requestLink = (email) => fetch(`${api}/api/auth/magic-link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email }),
+    signal: AbortSignal.timeout(2000) // Fail rather than hang if the response waits for the lookup
+});
+
+before(async () => {
+    mock.method(User, 'findOne', ({ email }) => lookup(email));
+    mock.method(MagicLink, 'create', async (fields) => {
+        links.push(fields);
+        return { _id: links.length, ...fields };
+    });
+    setTransport({ name: 'test', send: async (message) => { sent.push(message); } });
+
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.post('/api/auth/magic-link', magicLinkController.requestLink);
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    setTransport(null);
+    await new Promise(resolve => apiServer.close(resolve));
+});
+
+beforeEach(() => {
+    lookup = async (email) => (email === user.email ? user : null);
+    links = [];
+    sent = [];
+});
+
+describe('POST /api/auth/magic-link', () => {
+    it('responds before looking up the account', async () => {
+        let finishLookup;
+        lookup = () => new Promise(resolve => { finishLookup = resolve; });
+
+        const response = await requestLink(user.email);
+
+        assert.equal(response.status, 200);
+        assert.equal(links.length, 0);
+
+        finishLookup(user);
+        await sleep(20);
+        assert.equal(links.length, 1);
+        assert.equal(sent[0].to, user.email);
+    });
+
+    it('answers an unregistered email the same way without sending anything', async () => {
+        const registered = await requestLink(user.email);
+        const unknown = await requestLink('nobody@example.com');
+        await sleep(20);
+
+        assert.equal(unknown.status, registered.status);
+        assert.deepEqual(await unknown.json(), await registered.json());
+        assert.equal(sent.length, 1);
+    });
+
+    it('sets a SameSite=None; Secure browser cookie in production, so the cross-site consume call sends it', async () => {
+        const env = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        try {
+            const response = await requestLink('nobody@example.com');
+            const [cookie] = response.headers.getSetCookie();
+
+            assert.match(cookie, /^magicLinkBrowser=/);
+            assert.match(cookie, /SameSite=None/);
+            assert.match(cookie, /Secure/);
+            assert.match(cookie, /Path=\/api\/auth\/magic-link/);
+        } finally {
+            if (env === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = env;
+        }
+    });
+});
@@ -0,0 +1,248 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuthEvent = require('../models/AuthEvent');
+const OAuthClient = require('../models/OAuthClient');
+const OAuthAuthorization = require('../models/OAuthAuthorization');
+const OAuthRefreshToken = require('../models/OAuthRefreshToken');
+const keyStore = require('../utils/keyStore');
+const oauthController = require('../controllers/oauthController');
+
+const REDIRECT_URI = 'https://app.example/callback';
+
+let api;
+let apiServer;
+let client;
+let clientSecret;
+let authorizations;
+let refreshTokens;
+
+const user = new User({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'unused', emailVerified: true });
+
+const basicAuth = (id, secret) => `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+
+/**
+ * POST a form to the token or revocation endpoint as the client
+ * @returns {Promise<{status: number, body: object}>}
+ */
+const post = async (path, form, authorization = basicAuth(client.clientId, clientSecret)) => {
+    const response = await fetch(`${api}${path}`, {
+        method: 'POST',
+        headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(form)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : {} };
+};
+
+/**
+ * Approve an authorization request the way /oauth/requests/:id/decision does
+ * @returns {Promise<{code: string, codeVerifier: string}>}
+ */
+const authorize = async ({ redirectUriSupplied = true, scope = ['openid', 'email', 'offline_access'] } = {}) => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const code = await OAuthAuthorization.issueCode({
+        clientId: client.clientId,
+        redirectUri: REDIRECT_URI,
+        redirectUriSupplied,
+        scope,
+        nonce: 'nonce-1',
+        codeChallenge
+    }, user._id, new Date());
+
+    return { code, codeVerifier };
+};
+
+const exchangeCode = ({ code, codeVerifier }, extra = {}) => post('/oauth/token', {
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: REDIRECT_URI,
+    ...extra
+});
+
+before(async () => {
+    // Stand-ins for the collections the endpoints touch
+    mock.method(OAuthClient, 'findOne', ({ clientId }) => ({
+        select: async () => (clientId === client.clientId ? client : null)
+    }));
+    mock.method(OAuthAuthorization, 'create', async (fields) => {
+        authorizations.push(fields);
+        return fields;
+    });
+    mock.method(OAuthAuthorization, 'findOneAndDelete', async ({ type, key }) => {
+        const index = authorizations.findIndex(a => a.type === type && a.key === key);
+        return index === -1 ? null : authorizations.splice(index, 1)[0];
+    });
+    mock.method(OAuthRefreshToken, 'create', async (fields) => {
+        const doc = { _id: crypto.randomUUID(), usedAt: null, revokedAt: null, ...fields };
+        refreshTokens.push(doc);
+        return doc;
+    });
+    mock.method(OAuthRefreshToken, 'findOne', async ({ tokenHash, clientId }) =>
+        refreshTokens.find(t => t.tokenHash === tokenHash && (!clientId || t.clientId === clientId)) || null);
+    mock.method(OAuthRefreshToken, 'findOneAndUpdate', async ({ _id }, { $set }) => {
+        const doc = refreshTokens.find(t => t._id === _id && !t.usedAt && !t.revokedAt);
+        return doc ? Object.assign(doc, $set) : null;
+    });
+    mock.method(OAuthRefreshToken, 'revokeFamily', async (family) => {
+        refreshTokens.filter(t => t.family === family).forEach(t => { t.revokedAt = new Date(); });
+    });
+    mock.method(User, 'findById', async () => user);
+    mock.method(AuthEvent, 'create', async () => {});
+    mock.method(keyStore, 'sign', async (payload, options) => jwt.sign(payload, 'test-secret', options));
+    mock.method(console, 'error', () => {});
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/oauth/token', oauthController.token);
+    app.post('/oauth/revoke', oauthController.revoke);
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => apiServer.close(resolve));
+});
+
+beforeEach(() => {
+    authorizations = [];
+    refreshTokens = [];
+    client = new OAuthClient({ name: 'Example App', redirectUris: [REDIRECT_URI] });
+    clientSecret = client.generateSecret();
+});
+
+describe('OAuth token endpoint', () => {
+    describe('authorization_code', () => {
+        it('exchanges a code with its PKCE verifier for tokens', async () => {
+            const { status, body } = await exchangeCode(await authorize());
+
+            assert.equal(status, 200);
+            assert.equal(body.token_type, 'Bearer');
+            assert.equal(jwt.decode(body.access_token).sub, String(user._id));
+            assert.equal(jwt.decode(body.id_token).nonce, 'nonce-1');
+            assert.equal(jwt.decode(body.id_token).email, user.email);
+            assert.ok(body.refresh_token);
+        });
+
+        it('rejects a wrong PKCE verifier', async () => {
+            const grant = await authorize();
+
+            const { status, body } = await exchangeCode({ ...grant, codeVerifier: 'wrong-verifier' });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+            assert.match(body.error_description, /PKCE/);
+        });
+
+        it('rejects a redirect_uri other than the one the code was issued for', async () => {
+            const { status, body } = await exchangeCode(await authorize(), { redirect_uri: 'https://app.example/other' });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+
+        it('requires redirect_uri when the authorization request had one', async () => {
+            const grant = await authorize();
+
+            const { status, body } = await post('/oauth/token', { grant_type: 'authorization_code', code: grant.code, code_verifier: grant.codeVerifier });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+
+        it("doesn't require redirect_uri when the authorization request left it out", async () => {
+            const grant = await authorize({ redirectUriSupplied: false });
+
+            const { status } = await post('/oauth/token', { grant_type: 'authorization_code', code: grant.code, code_verifier: grant.codeVerifier });
+
+            assert.equal(status, 200);
+        });
+
+        it('accepts a code once only', async () => {
+            const grant = await authorize();
+
+            assert.equal((await exchangeCode(grant)).status, 200);
+            const reuse = await exchangeCode(grant);
+
+            assert.equal(reuse.status, 400);
+            assert.equal(reuse.body.error, 'invalid_grant');
+        });
+
+        it("rejects another client's code", async () => {
+            const grant = await authorize();
+            client = new OAuthClient({ name: 'Other App', redirectUris: [REDIRECT_URI] });
+            clientSecret = client.generateSecret();
+
+            const { status, body } = await exchangeCode(grant);
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+    });
+
+    describe('client authentication', () => {
+        it('rejects a wrong secret', async () => {
+            const { code, codeVerifier } = await authorize();
+
+            const { status, body } = await post('/oauth/token', {
+                grant_type: 'authorization_code',
+                code,
+                code_verifier: codeVerifier,
+                redirect_uri: REDIRECT_URI
+            }, basicAuth(client.clientId, 'wrong'));
+
+            assert.equal(status, 401);
+            assert.equal(body.error, 'invalid_client');
+        });
+
+        it('answers invalid_client to malformed percent-encoding in Basic credentials', async () => {
+            const { status, body } = await post('/oauth/token', { grant_type: 'client_credentials' }, basicAuth('%E0%A4%A', clientSecret));
+
+            assert.equal(status, 401);
+            assert.equal(body.error, 'invalid_client');
+        });
+    });
+});
+
+describe('OAuth revocation endpoint', () => {
+    it('revokes a refresh token so it can no longer be used', async () => {
+        const { body: tokens } = await exchangeCode(await authorize());
+
+        const revoked = await post('/oauth/revoke', { token: tokens.refresh_token });
+        const refresh = await post('/oauth/token', { grant_type: 'refresh_token', refresh_token: tokens.refresh_token });
+
+        assert.equal(revoked.status, 200);
+        assert.equal(refresh.status, 400);
+        assert.equal(refresh.body.error, 'invalid_grant');
+    });
+
+    it("answers 200 but leaves another client's token alone", async () => {
+        const { body: tokens } = await exchangeCode(await authorize());
+        const owner = client;
+        client = new OAuthClient({ name: 'Other App', redirectUris: [REDIRECT_URI] });
+        clientSecret = client.generateSecret();
+
+        const revoked = await post('/oauth/revoke', { token: tokens.refresh_token });
+
+        assert.equal(revoked.status, 200);
+        assert.ok(refreshTokens.every(t => !t.revokedAt));
+        assert.equal(refreshTokens[0].clientId, owner.clientId);
+    });
+
+    it('rejects an unauthenticated client', async () => {
+        const { status, body } = await post('/oauth/revoke', { token: 'anything' }, basicAuth(client.clientId, 'wrong'));
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'invalid_client');
+    });
+});
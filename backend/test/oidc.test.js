@@ -0,0 +1,254 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const User = require('../models/User');
+const AuthEvent = require('../models/AuthEvent');
+const OidcTransaction = require('../models/OidcTransaction');
+const oidcController = require('../controllers/oidcController');
+const { startMockOidcServer } = require('../scripts/mock-oidc-server');
+
+const FRONTEND = 'http://frontend.test';
+
+let provider;
+let api;
+let apiServer;
+let transactions;
+let events;
+let history;
+let linkedUser;
+
+/**
+ * Walk one sign-in through the backend and the mock provider, the way the
+ * browser would. `tamper` may edit the authorization request on its way
+ * to the provider; `identity` is what the user enters on the provider's form.
+ * `stateCookie` replaces the cookie the callback is sent with ('' for none).
+ * @returns {Promise<{redirect: URL, cookie: string, callbackUrl: string, ticketCookie: string}>}
+ */
+const signIn = async ({ tamper = () => {}, identity = {}, stateCookie, deny = false } = {}) => {
+    const start = await fetch(`${api}/api/auth/oidc/mock/start`, { redirect: 'manual' });
+    const cookie = stateCookieOf(start);
+
+    const authorizeUrl = new URL(start.headers.get('location'));
+    tamper(authorizeUrl.searchParams);
+
+    const form = new URLSearchParams(authorizeUrl.searchParams);
+    form.set('email', identity.email || 'ada@example.com');
+    form.set('name', 'Ada Lovelace');
+    if (identity.emailVerified !== false) form.set('email_verified', 'on');
+    if (deny) form.set('deny', '1');
+
+    const approved = await fetch(`${provider.issuer}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+    const callbackUrl = approved.headers.get('location');
+
+    const sent = stateCookie === undefined ? cookie : stateCookie;
+    const callback = await fetch(callbackUrl, { headers: sent ? { Cookie: sent } : {}, redirect: 'manual' });
+
+    return { redirect: new URL(callback.headers.get('location')), cookie, callbackUrl, ticketCookie: ticketCookieOf(callback) };
+};
+
+const stateCookieOf = (response) => response.headers.get('set-cookie').split(';')[0];
+
+const ticketCookieOf = (response) => {
+    const header = response.headers.getSetCookie().find(value => value.startsWith('oidcTicketBrowser='));
+    return header ? header.split(';')[0] : '';
+};
+
+/**
+ * Exchange a ticket the way the frontend does
+ * @returns {Promise<Response>}
+ */
+const exchange = (ticket, cookie) => fetch(`${api}/api/auth/oidc/exchange`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+    body: JSON.stringify({ ticket })
+});
+
+const lastFailure = () => events.filter(event => event.outcome === 'failure').pop();
+
+before(async () => {
+    provider = await startMockOidcServer({ port: 0, clientId: 'securesphere', clientSecret: 'mock-secret' });
+
+    process.env.FRONTEND_URL = FRONTEND;
+    process.env.OIDC_PROVIDERS = 'mock';
+    process.env.OIDC_MOCK_ISSUER = provider.issuer;
+    process.env.OIDC_MOCK_CLIENT_ID = 'securesphere';
+    process.env.OIDC_MOCK_CLIENT_SECRET = 'mock-secret';
+
+    // Stand-ins for the collections the flow touches
+    mock.method(OidcTransaction, 'create', async (fields) => {
+        transactions.push(fields);
+        return fields;
+    });
+    mock.method(OidcTransaction, 'findOneAndDelete', async ({ type, key, provider: id, browserHash }) => {
+        const index = transactions.findIndex(t => t.type === type && t.key === key
+            && (!id || t.provider === id) && (!browserHash || t.browserHash === browserHash));
+        return index === -1 ? null : transactions.splice(index, 1)[0];
+    });
+    mock.method(User, 'findOne', async (query) => (query.identities ? linkedUser : null));
+    mock.method(User, 'findById', async (id) => (linkedUser && String(linkedUser._id) === String(id) ? linkedUser : null));
+    mock.method(AuthEvent, 'create', async (event) => {
+        events.push(event);
+    });
+    // Login history the risk engine reads
+    const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => history };
+    mock.method(AuthEvent, 'find', () => query);
+    mock.method(console, 'error', () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.post('/api/auth/oidc/exchange', oidcController.exchangeTicket);
+    app.get('/api/auth/oidc/:provider/start', oidcController.start);
+    app.get('/api/auth/oidc/:provider/callback', oidcController.callback);
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => apiServer.close(resolve));
+    await provider.close();
+});
+
+beforeEach(() => {
+    transactions = [];
+    events = [];
+    history = [];
+    // With 2FA on, the exchange answers before any tokens are issued
+    linkedUser = { _id: 'user-1', twoFactorEnabled: true, generateMfaToken: () => 'mfa-token' };
+});
+
+describe('OIDC callback against the mock provider', () => {
+    it('signs in and hands the frontend a one-time ticket', async () => {
+        const { redirect } = await signIn();
+
+        assert.equal(redirect.origin + redirect.pathname, `${FRONTEND}/index.html`);
+        assert.ok(redirect.searchParams.get('oidcTicket'));
+        assert.equal(lastFailure(), undefined);
+
+        const [ticket] = transactions;
+        assert.equal(ticket.type, 'ticket');
+        assert.equal(ticket.user, 'user-1');
+    });
+
+    it('sends PKCE S256 and a fresh state and nonce', async () => {
+        const start = await fetch(`${api}/api/auth/oidc/mock/start`, { redirect: 'manual' });
+        const params = new URL(start.headers.get('location')).searchParams;
+        const [stored] = transactions;
+
+        assert.equal(params.get('code_challenge_method'), 'S256');
+        assert.equal(params.get('state'), stored.key);
+        assert.equal(params.get('nonce'), stored.nonce);
+        assert.notEqual(params.get('code_challenge'), stored.codeVerifier);
+    });
+
+    describe('state', () => {
+        it('rejects a callback without the state cookie', async () => {
+            const { redirect } = await signIn({ stateCookie: '' });
+
+            assert.equal(redirect.searchParams.get('oidcError'), 'invalid_state');
+            assert.equal(lastFailure().reason, 'oidc_invalid_state');
+        });
+
+        it('rejects a callback whose state belongs to another browser', async () => {
+            const other = await fetch(`${api}/api/auth/oidc/mock/start`, { redirect: 'manual' });
+
+            const { redirect } = await signIn({ stateCookie: stateCookieOf(other) });
+
+            assert.equal(redirect.searchParams.get('oidcError'), 'invalid_state');
+            assert.equal(lastFailure().reason, 'oidc_invalid_state');
+        });
+
+        it('rejects a replayed callback', async () => {
+            const { cookie, callbackUrl } = await signIn();
+
+            const replay = await fetch(callbackUrl, { headers: { Cookie: cookie }, redirect: 'manual' });
+
+            assert.equal(new URL(replay.headers.get('location')).searchParams.get('oidcError'), 'invalid_state');
+            assert.equal(lastFailure().reason, 'oidc_invalid_state');
+        });
+    });
+
+    describe('nonce', () => {
+        it('rejects an ID token minted for a different nonce', async () => {
+            const { redirect } = await signIn({ tamper: params => params.set('nonce', 'attacker-nonce') });
+
+            assert.equal(redirect.searchParams.get('oidcError'), 'failed');
+            assert.equal(lastFailure().reason, 'oidc_error');
+            assert.ok(!transactions.some(t => t.type === 'ticket'));
+        });
+    });
+
+    describe('PKCE', () => {
+        it('fails when the code was issued for a different code challenge', async () => {
+            const { redirect } = await signIn({ tamper: params => params.set('code_challenge', 'A'.repeat(43)) });
+
+            assert.equal(redirect.searchParams.get('oidcError'), 'failed');
+            assert.equal(lastFailure().reason, 'oidc_error');
+            assert.ok(!transactions.some(t => t.type === 'ticket'));
+        });
+    });
+
+    it('reports a sign-in cancelled at the provider', async () => {
+        const { redirect } = await signIn({ deny: true });
+
+        assert.equal(redirect.searchParams.get('oidcError'), 'cancelled');
+        assert.equal(lastFailure().reason, 'oidc_denied');
+    });
+
+    it('refuses to create an account from an unverified email', async () => {
+        linkedUser = null;
+
+        const { redirect } = await signIn({ identity: { emailVerified: false } });
+
+        assert.equal(redirect.searchParams.get('oidcError'), 'no_verified_email');
+    });
+
+    describe('ticket', () => {
+        it('is exchanged in the browser the callback ran in', async () => {
+            const { redirect, ticketCookie } = await signIn();
+
+            const response = await exchange(redirect.searchParams.get('oidcTicket'), ticketCookie);
+            const body = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(body.mfaToken, 'mfa-token');
+            assert.ok(!transactions.some(t => t.type === 'ticket'));
+        });
+
+        it('is refused without the browser cookie, and stays usable', async () => {
+            const { redirect, ticketCookie } = await signIn();
+            const ticket = redirect.searchParams.get('oidcTicket');
+
+            assert.equal((await exchange(ticket)).status, 400);
+            assert.equal(lastFailure().reason, 'oidc_invalid_ticket');
+            assert.equal((await exchange(ticket, ticketCookie)).status, 200);
+        });
+
+        it("is refused with another sign-in's browser cookie (login CSRF)", async () => {
+            const attacker = await signIn();
+            const victim = await signIn();
+
+            const response = await exchange(attacker.redirect.searchParams.get('oidcTicket'), victim.ticketCookie);
+
+            assert.equal(response.status, 400);
+        });
+
+        it('is refused when risk scoring blocks the sign-in', async (t) => {
+            t.after(() => delete process.env.RISK_WEIGHTS);
+            process.env.RISK_WEIGHTS = 'failureBurst:100';
+            history = Array.from({ length: 5 }, () => ({ outcome: 'failure', ip: '198.51.100.1', createdAt: new Date() }));
+            const { redirect, ticketCookie } = await signIn();
+
+            const response = await exchange(redirect.searchParams.get('oidcTicket'), ticketCookie);
+
+            assert.equal(response.status, 403);
+            assert.equal((await response.json()).code, 'LOGIN_BLOCKED');
+            assert.equal(lastFailure().reason, 'risk_blocked');
+        });
+    });
+});
@@ -0,0 +1,186 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuthEvent = require('../models/AuthEvent');
+const authController = require('../controllers/authController');
+const { csrfProtection } = require('../middleware/csrf');
+
+const FRONTEND = 'https://frontend.test';
+
+let api;
+let apiServer;
+let tokens;
+let session;
+
+const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ada@example.com',
+    disabled: false,
+    generateAccessToken: async (jti) => jwt.sign({ type: 'access', jti }, 'test-secret', { expiresIn: '15m' }),
+    getPublicProfile: () => ({ email: 'ada@example.com' })
+};
+
+/**
+ * Cookies a response sets, by name
+ * @returns {Object<string, {value: string, attributes: string[]}>}
+ */
+const cookiesOf = (response) => Object.fromEntries(response.headers.getSetCookie().map(header => {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    const [name, value] = pair.split('=');
+    return [name, { value, attributes }];
+}));
+
+/**
+ * Get a CSRF token the way the frontend does
+ * @returns {Promise<{csrfToken: string, cookie: string}>}
+ */
+const getCsrf = async () => {
+    const response = await fetch(`${api}/api/auth/csrf-token`, { headers: { Origin: FRONTEND } });
+    const { csrfToken } = await response.json();
+    return { csrfToken, cookie: `csrfToken=${cookiesOf(response).csrfToken.value}` };
+};
+
+/**
+ * POST /refresh from the frontend with the given refresh cookie
+ * @returns {Promise<Response>}
+ */
+const refresh = async (refreshToken, { csrf = true } = {}) => {
+    const { csrfToken, cookie } = await getCsrf();
+
+    return fetch(`${api}/api/auth/refresh`, {
+        method: 'POST',
+        headers: {
+            Origin: FRONTEND,
+            Cookie: `refreshToken=${refreshToken}; ${cookie}`,
+            ...(csrf && { 'X-CSRF-Token': csrfToken })
+        }
+    });
+};
+
+const issueToken = async () => (await RefreshToken.issue(user._id, session.jti, session.expiresAt)).token;
+
+const storedToken = (token) => tokens.find(t => t.tokenHash === RefreshToken.hashToken(token));
+
+before(async () => {
+    process.env.FRONTEND_URL = FRONTEND;
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+    // Stand-ins for the collections refresh touches
+    mock.method(RefreshToken, 'create', async (fields) => {
+        const doc = { ...fields, usedAt: null, revokedAt: null, save: async () => doc };
+        tokens.push(doc);
+        return doc;
+    });
+    mock.method(RefreshToken, 'findOneAndUpdate', async ({ tokenHash }, { $set }) => {
+        const doc = tokens.find(t => t.tokenHash === tokenHash && !t.usedAt && !t.revokedAt && t.expiresAt > new Date());
+        return doc ? Object.assign(doc, $set) : null;
+    });
+    mock.method(RefreshToken, 'findOne', async ({ tokenHash }) => tokens.find(t => t.tokenHash === tokenHash) || null);
+    mock.method(RefreshToken, 'revokeFamily', async (family) => {
+        tokens.filter(t => t.family === family).forEach(t => { t.revokedAt = new Date(); });
+    });
+    mock.method(Session, 'findOne', async ({ jti }) => (jti === session.jti ? session : null));
+    mock.method(Session.prototype, 'save', async function() { return this; });
+    mock.method(User, 'findById', async () => user);
+    mock.method(AuthEvent, 'create', async () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+
+    const app = express();
+    app.use(cookieParser());
+    app.use(csrfProtection);
+    app.get('/api/auth/csrf-token', authController.getCsrfToken);
+    app.post('/api/auth/refresh', authController.refresh);
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => apiServer.close(resolve));
+});
+
+beforeEach(() => {
+    tokens = [];
+    session = new Session({ user: user._id, expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+});
+
+describe('POST /api/auth/refresh through the refresh cookie', () => {
+    it('rotates the refresh token in the cookie', async () => {
+        const token = await issueToken();
+
+        const response = await refresh(token);
+        const cookies = cookiesOf(response);
+
+        assert.equal(response.status, 200);
+        assert.ok(cookies.token.value);
+        assert.ok(cookies.refreshToken.value);
+        assert.notEqual(cookies.refreshToken.value, token);
+        assert.ok(storedToken(token).usedAt);
+        assert.equal(storedToken(token).replacedBy, storedToken(cookies.refreshToken.value).tokenHash);
+        assert.equal((await response.json()).token, cookies.token.value);
+    });
+
+    it('sets SameSite=None; Secure cookies in production, so the cross-site frontend sends them', async () => {
+        const env = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+
+        try {
+            const response = await refresh(await issueToken());
+            const cookies = cookiesOf(response);
+
+            assert.equal(response.status, 200);
+            for (const name of ['token', 'refreshToken']) {
+                assert.ok(cookies[name].attributes.includes('SameSite=None'), name);
+                assert.ok(cookies[name].attributes.includes('Secure'), name);
+                assert.ok(cookies[name].attributes.includes('HttpOnly'), name);
+            }
+            assert.ok(cookies.refreshToken.attributes.includes('Path=/api/auth'));
+
+            const csrf = await fetch(`${api}/api/auth/csrf-token`, { headers: { Origin: FRONTEND } });
+            assert.ok(cookiesOf(csrf).csrfToken.attributes.includes('SameSite=None'));
+            assert.ok(cookiesOf(csrf).csrfToken.attributes.includes('Secure'));
+        } finally {
+            if (env === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = env;
+        }
+    });
+
+    it('needs the CSRF token along with the cookie', async () => {
+        const token = await issueToken();
+
+        const response = await refresh(token, { csrf: false });
+
+        assert.equal(response.status, 403);
+        assert.equal((await response.json()).code, 'CSRF_TOKEN_INVALID');
+        assert.equal(storedToken(token).usedAt, null);
+    });
+
+    it('rejects a replayed refresh token and ends the session', async () => {
+        const token = await issueToken();
+        const first = await refresh(token);
+        const rotated = cookiesOf(first).refreshToken.value;
+
+        const replay = await refresh(token);
+
+        assert.equal(replay.status, 401);
+        assert.ok(session.revokedAt);
+        assert.ok(storedToken(rotated).revokedAt);
+        assert.equal((await refresh(rotated)).status, 401);
+    });
+
+    it('rejects a request without the cookie', async () => {
+        const response = await fetch(`${api}/api/auth/refresh`, { method: 'POST', headers: { Origin: FRONTEND } });
+
+        assert.equal(response.status, 401);
+    });
+});
@@ -0,0 +1,199 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessRisk, decideAction } = require('../utils/riskEngine');
+const { getRiskConfig } = require('../config/risk');
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+const NOW = new Date('2026-03-10T09:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// Ten daily logins at 09:00 UTC from one address and browser
+const usualHistory = () => Array.from({ length: 10 }, (_, day) => ({
+    outcome: 'success',
+    ip: '203.0.113.5',
+    userAgent: CHROME,
+    createdAt: new Date(NOW.getTime() - (day + 1) * 24 * HOUR)
+}));
+
+const usualAttempt = (overrides = {}) => ({ ip: '203.0.113.5', userAgent: CHROME, at: NOW, ...overrides });
+
+const LOCATIONS = {
+    '203.0.113.5': { city: 'London', country: 'GB', latitude: 51.51, longitude: -0.13 },
+    '198.51.100.1': { city: 'New York', country: 'US', latitude: 40.71, longitude: -74.01 },
+    '198.51.100.2': { city: 'Sydney', country: 'AU', latitude: -33.87, longitude: 151.21 },
+    '192.0.2.1': { city: 'Reading', country: 'GB', latitude: 51.45, longitude: -0.97 }
+};
+const locate = (ip) => LOCATIONS[ip] || null;
+
+const rulesFired = (attempt, history, options) =>
+    assessRisk(attempt, history, getRiskConfig(), options).signals.map(signal => signal.rule);
+
+describe('risk signals', () => {
+    it('fires nothing for a usual login', () => {
+        assert.deepEqual(rulesFired(usualAttempt(), usualHistory(), { locate }), []);
+    });
+
+    it('fires nothing without earlier successful logins', () => {
+        const failures = usualHistory().map(event => ({ ...event, outcome: 'failure', createdAt: new Date(NOW - 30 * 24 * HOUR) }));
+        assert.deepEqual(rulesFired(usualAttempt({ ip: '198.51.100.1', userAgent: FIREFOX }), failures, { locate }), []);
+    });
+
+    describe('newIp', () => {
+        it('fires for a new address in a known network', () => {
+            assert.deepEqual(rulesFired(usualAttempt({ ip: '203.0.113.77' }), usualHistory()), ['newIp']);
+        });
+
+        it('treats IPv4-mapped IPv6 as the same address', () => {
+            assert.deepEqual(rulesFired(usualAttempt({ ip: '::ffff:203.0.113.5' }), usualHistory()), []);
+        });
+    });
+
+    describe('newSubnet', () => {
+        it('fires, together with newIp, for an address in a new network', () => {
+            assert.deepEqual(rulesFired(usualAttempt({ ip: '198.51.100.1' }), usualHistory()), ['newIp', 'newSubnet']);
+        });
+    });
+
+    describe('newUserAgent', () => {
+        it('fires for a new browser', () => {
+            assert.deepEqual(rulesFired(usualAttempt({ userAgent: FIREFOX }), usualHistory()), ['newUserAgent']);
+        });
+
+        it('ignores version changes of a known browser', () => {
+            const updated = CHROME.replace('Chrome/120.0', 'Chrome/124.0');
+            assert.deepEqual(rulesFired(usualAttempt({ userAgent: updated }), usualHistory()), []);
+        });
+    });
+
+    describe('unusualHour', () => {
+        it('fires for a login hours away from every earlier one', () => {
+            const at = new Date('2026-03-10T03:00:00Z');
+            assert.deepEqual(rulesFired(usualAttempt({ at }), usualHistory()), ['unusualHour']);
+        });
+
+        it('allows an hour of tolerance', () => {
+            const at = new Date('2026-03-10T10:00:00Z');
+            assert.deepEqual(rulesFired(usualAttempt({ at }), usualHistory()), []);
+        });
+
+        it('needs RISK_UNUSUAL_HOUR_MIN_LOGINS earlier logins', () => {
+            const at = new Date('2026-03-10T03:00:00Z');
+            assert.deepEqual(rulesFired(usualAttempt({ at }), usualHistory().slice(0, 9)), []);
+        });
+    });
+
+    describe('impossibleTravel', () => {
+        const recentLogin = (ip, hoursAgo) => ({ outcome: 'success', ip, userAgent: CHROME, createdAt: new Date(NOW - hoursAgo * HOUR) });
+
+        it('fires when the distance is too far for the time in between', () => {
+            const history = [recentLogin('203.0.113.5', 1), ...usualHistory()];
+            const rules = rulesFired(usualAttempt({ ip: '198.51.100.1' }), history, { locate });
+            assert.ok(rules.includes('impossibleTravel'));
+        });
+
+        it('stays quiet when the trip was possible', () => {
+            const history = [recentLogin('203.0.113.5', 10), ...usualHistory()];
+            const rules = rulesFired(usualAttempt({ ip: '198.51.100.1' }), history, { locate });
+            assert.ok(!rules.includes('impossibleTravel'));
+        });
+
+        it('ignores distances below the GeoIP precision', () => {
+            const history = [recentLogin('203.0.113.5', 0.1), ...usualHistory()];
+            const rules = rulesFired(usualAttempt({ ip: '192.0.2.1' }), history, { locate });
+            assert.ok(!rules.includes('impossibleTravel'));
+        });
+
+        it('compares with earlier successes too, not only the latest', () => {
+            // The attacker's own login from Sydney can't hide the owner's in London
+            const history = [recentLogin('198.51.100.2', 0.2), recentLogin('203.0.113.5', 1), ...usualHistory()];
+            const rules = rulesFired(usualAttempt({ ip: '198.51.100.2' }), history, { locate });
+            assert.ok(rules.includes('impossibleTravel'));
+        });
+
+        it('is skipped without a GeoIP lookup', () => {
+            const history = [recentLogin('203.0.113.5', 1), ...usualHistory()];
+            assert.ok(!rulesFired(usualAttempt({ ip: '198.51.100.1' }), history).includes('impossibleTravel'));
+        });
+    });
+
+    describe('failureBurst', () => {
+        const failures = (count, minutesAgo) => Array.from({ length: count }, () => ({
+            outcome: 'failure', ip: '198.51.100.1', userAgent: FIREFOX, createdAt: new Date(NOW - minutesAgo * 60 * 1000)
+        }));
+
+        it('fires at RISK_FAILURE_BURST failures within the window', () => {
+            assert.deepEqual(rulesFired(usualAttempt(), [...failures(5, 5), ...usualHistory()]), ['failureBurst']);
+        });
+
+        it('needs the full count', () => {
+            assert.deepEqual(rulesFired(usualAttempt(), [...failures(4, 5), ...usualHistory()]), []);
+        });
+
+        it('ignores failures outside the window', () => {
+            assert.deepEqual(rulesFired(usualAttempt(), [...failures(4, 5), ...failures(1, 20), ...usualHistory()]), []);
+        });
+    });
+});
+
+describe('risk actions', () => {
+    it('maps scores to allow, challenge and block at the thresholds', () => {
+        const config = { challengeScore: 50, blockScore: 90 };
+
+        assert.equal(decideAction(49, config), 'allow');
+        assert.equal(decideAction(50, config), 'challenge');
+        assert.equal(decideAction(89, config), 'challenge');
+        assert.equal(decideAction(90, config), 'block');
+    });
+
+    it('allows a new address, network and browser on their own', () => {
+        const risk = assessRisk(usualAttempt({ ip: '198.51.100.1', userAgent: FIREFOX }), usualHistory(), getRiskConfig());
+
+        assert.equal(risk.score, 45);
+        assert.equal(risk.action, 'allow');
+    });
+
+    it('challenges once an unusual hour is added', () => {
+        const at = new Date('2026-03-10T03:00:00Z');
+        const risk = assessRisk(usualAttempt({ ip: '198.51.100.1', userAgent: FIREFOX, at }), usualHistory(), getRiskConfig());
+
+        assert.equal(risk.score, 55);
+        assert.equal(risk.action, 'challenge');
+    });
+
+    it('only challenges a travelling owner, even when the score reaches the block threshold', () => {
+        const at = new Date('2026-03-10T03:00:00Z');
+        const history = [
+            { outcome: 'success', ip: '203.0.113.5', userAgent: CHROME, createdAt: new Date(at - 3 * HOUR) },
+            ...usualHistory()
+        ];
+        const risk = assessRisk(usualAttempt({ ip: '198.51.100.1', userAgent: FIREFOX, at }), history, getRiskConfig(), { locate });
+
+        assert.deepEqual(risk.signals.map(signal => signal.rule), ['newIp', 'newSubnet', 'newUserAgent', 'unusualHour', 'impossibleTravel']);
+        assert.equal(risk.score, 100);
+        assert.equal(risk.action, 'challenge');
+    });
+
+    it('blocks impossible travel from a new browser during a failure burst, capping the score at 100', () => {
+        const history = [
+            ...Array.from({ length: 5 }, () => ({ outcome: 'failure', ip: '198.51.100.1', createdAt: new Date(NOW - 60 * 1000) })),
+            { outcome: 'success', ip: '203.0.113.5', userAgent: CHROME, createdAt: new Date(NOW - HOUR) },
+            ...usualHistory()
+        ];
+        const risk = assessRisk(usualAttempt({ ip: '198.51.100.1', userAgent: FIREFOX }), history, getRiskConfig(), { locate });
+
+        assert.equal(risk.score, 100);
+        assert.equal(risk.action, 'block');
+    });
+
+    it('skips rules weighted 0 by RISK_WEIGHTS', (t) => {
+        t.after(() => delete process.env.RISK_WEIGHTS);
+        process.env.RISK_WEIGHTS = 'newSubnet:0,newIp:5';
+
+        const risk = assessRisk(usualAttempt({ ip: '198.51.100.1' }), usualHistory(), getRiskConfig());
+
+        assert.deepEqual(risk.signals.map(signal => [signal.rule, signal.weight]), [['newIp', 5]]);
+        assert.equal(risk.score, 5);
+    });
+});
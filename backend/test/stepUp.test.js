@@ -0,0 +1,66 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const AuthEvent = require('../models/AuthEvent');
+const { requireRecentAuth } = require('../middleware/authMiddleware');
+
+let api;
+let apiServer;
+
+/**
+ * GET /action authenticated the way the header describes
+ * @returns {Promise<{status: number, body: object}>}
+ */
+const call = async (headers) => {
+    const response = await fetch(`${api}/action`, { headers });
+    return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+    mock.method(AuthEvent, 'create', async () => {});
+
+    // Stand-in for protect: a session authenticated `x-auth-age` seconds ago, or an API key
+    const fakeProtect = (req, res, next) => {
+        req.user = { id: 'user-1' };
+        if (req.get('x-api-key')) {
+            req.apiKey = { _id: 'key-1' };
+        } else {
+            const authenticatedAt = Date.now() - Number(req.get('x-auth-age')) * 1000;
+            req.authSession = { isRecentlyAuthenticated: (maxAgeMs) => Date.now() - authenticatedAt <= maxAgeMs };
+        }
+        next();
+    };
+
+    const app = express();
+    app.get('/action', fakeProtect, requireRecentAuth(600), (req, res) => res.status(200).json({ success: true }));
+
+    await new Promise(resolve => {
+        apiServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    mock.restoreAll();
+    await new Promise(resolve => apiServer.close(resolve));
+});
+
+describe('requireRecentAuth', () => {
+    it('lets a recently authenticated session through', async () => {
+        assert.equal((await call({ 'x-auth-age': '60' })).status, 200);
+    });
+
+    it('asks an older session to re-authenticate', async () => {
+        const { status, body } = await call({ 'x-auth-age': '601' });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'REAUTH_REQUIRED');
+    });
+
+    it('refuses API keys, which cannot re-authenticate', async () => {
+        const { status, body } = await call({ 'x-api-key': 'ssk_test' });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'API_KEY_NOT_ALLOWED');
+    });
+});
@@ -0,0 +1,283 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const webauthn = require('../utils/webauthn');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuthEvent = require('../models/AuthEvent');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const webauthnController = require('../controllers/webauthnController');
+const { bruteForceGuard } = require('../middleware/bruteForce');
+const { MemoryStore, setStore } = require('../utils/rateLimitStore');
+const SoftAuthenticator = require('./helpers/softAuthenticator');
+
+const rp = { id: 'localhost', name: 'SecureSphere', origins: ['http://localhost:5500'] };
+const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com', name: 'Ada' };
+
+/**
+ * Register the authenticator and build the credential document the
+ * controller would store (without saving it)
+ */
+const register = async (authenticator) => {
+    const options = await webauthn.createRegistrationOptions(user, [], rp);
+    const { registrationInfo } = await webauthn.verifyRegistration(authenticator.register(options), options.challenge, rp);
+    const { credential } = registrationInfo;
+
+    return new WebAuthnCredential({
+        user: user._id,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+        counter: credential.counter,
+        transports: credential.transports || []
+    });
+};
+
+describe('WebAuthn registration', () => {
+    it('verifies a new passkey and returns its public key and counter', async () => {
+        const authenticator = new SoftAuthenticator({ id: rp.id, origin: rp.origins[0] });
+        const options = await webauthn.createRegistrationOptions(user, [], rp);
+
+        const verification = await webauthn.verifyRegistration(authenticator.register(options), options.challenge, rp);
+
+        assert.equal(verification.verified, true);
+        assert.equal(verification.registrationInfo.credential.id, authenticator.credentialId.toString('base64url'));
+        assert.equal(verification.registrationInfo.credential.counter, 0);
+    });
+
+    it('excludes passkeys the user already has', async () => {
+        const authenticator = new SoftAuthenticator({ id: rp.id, origin: rp.origins[0] });
+        const stored = await register(authenticator);
+
+        const options = await webauthn.createRegistrationOptions(user, [stored], rp);
+
+        assert.deepEqual(options.excludeCredentials.map(credential => credential.id), [stored.credentialId]);
+    });
+
+    it('rejects a response to a different challenge', async () => {
+        const authenticator = new SoftAuthenticator({ id: rp.id, origin: rp.origins[0] });
+        const options = await webauthn.createRegistrationOptions(user, [], rp);
+        const other = await webauthn.createRegistrationOptions(user, [], rp);
+
+        await assert.rejects(webauthn.verifyRegistration(authenticator.register(options), other.challenge, rp));
+    });
+
+    it('rejects a response from another origin', async () => {
+        const authenticator = new SoftAuthenticator({ id: rp.id, origin: 'https://attacker.example' });
+        const options = await webauthn.createRegistrationOptions(user, [], rp);
+
+        await assert.rejects(webauthn.verifyRegistration(authenticator.register(options), options.challenge, rp), /origin/i);
+    });
+});
+
+describe('WebAuthn authentication', () => {
+    let authenticator;
+    let stored;
+
+    beforeEach(async () => {
+        authenticator = new SoftAuthenticator({ id: rp.id, origin: rp.origins[0] });
+        stored = await register(authenticator);
+    });
+
+    it('verifies an assertion and reports the new counter', async () => {
+        const options = await webauthn.createAuthenticationOptions([stored], rp);
+
+        const verification = await webauthn.verifyAuthentication(authenticator.authenticate(options), options.challenge, stored, rp);
+
+        assert.equal(verification.verified, true);
+        assert.equal(verification.authenticationInfo.newCounter, 1);
+    });
+
+    it('allows only the given passkeys, or any discoverable one without a list', async () => {
+        const scoped = await webauthn.createAuthenticationOptions([stored], rp);
+        const discoverable = await webauthn.createAuthenticationOptions([], rp);
+
+        assert.deepEqual(scoped.allowCredentials.map(credential => credential.id), [stored.credentialId]);
+        assert.deepEqual(discoverable.allowCredentials, []);
+    });
+
+    it('rejects an assertion signed by a different key', async () => {
+        const impostor = new SoftAuthenticator({ id: rp.id, origin: rp.origins[0] });
+        impostor.credentialId = authenticator.credentialId;
+        const options = await webauthn.createAuthenticationOptions([stored], rp);
+
+        const verification = await webauthn.verifyAuthentication(impostor.authenticate(options), options.challenge, stored, rp)
+            .catch(error => ({ verified: false, reason: error.message }));
+
+        assert.equal(verification.verified, false);
+    });
+
+    it('rejects a counter that went backwards, as from a cloned authenticator', async () => {
+        stored.counter = 5;
+        const options = await webauthn.createAuthenticationOptions([stored], rp);
+
+        // The controller tells counter failures apart by this message
+        await assert.rejects(
+            webauthn.verifyAuthentication(authenticator.authenticate(options, { counter: 3 }), options.challenge, stored, rp),
+            /counter/i
+        );
+    });
+
+    it('rejects a counter that did not increase', async () => {
+        stored.counter = 5;
+        const options = await webauthn.createAuthenticationOptions([stored], rp);
+
+        await assert.rejects(
+            webauthn.verifyAuthentication(authenticator.authenticate(options, { counter: 5 }), options.challenge, stored, rp),
+            /counter/i
+        );
+    });
+
+    it('accepts authenticators that always report a zero counter', async () => {
+        const options = await webauthn.createAuthenticationOptions([stored], rp);
+
+        const verification = await webauthn.verifyAuthentication(authenticator.authenticate(options, { counter: 0 }), options.challenge, stored, rp);
+
+        assert.equal(verification.verified, true);
+        assert.equal(verification.authenticationInfo.newCounter, 0);
+    });
+});
+
+describe('Passkey sign-in', () => {
+    let api;
+    let apiServer;
+    let authenticator;
+    let stored;
+    let account;
+    let challenges;
+    let history;
+
+    /**
+     * Run the sign-in ceremony against the controller
+     * @param {object} [assertion] - Options for the authenticator
+     * @returns {Promise<{status: number, body: object}>}
+     */
+    const signIn = async (assertion) => {
+        const started = await fetch(`${api}/webauthn/login/options`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const { challengeId, options } = await started.json();
+
+        const response = await fetch(`${api}/webauthn/login/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeId, response: authenticator.authenticate(options, assertion) })
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        process.env.WEBAUTHN_RP_ID = rp.id;
+        process.env.WEBAUTHN_ORIGIN = rp.origins[0];
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+        setStore(new MemoryStore());
+
+        // Stand-ins for the collections sign-in touches
+        mock.method(WebAuthnChallenge, 'issue', async (challenge) => {
+            const doc = { _id: String(challenges.length), challenge };
+            challenges.push(doc);
+            return doc;
+        });
+        mock.method(WebAuthnChallenge, 'consume', async (id) => challenges.find(c => c._id === id) || null);
+        mock.method(WebAuthnCredential, 'findOne', async () => stored);
+        mock.method(WebAuthnCredential, 'findOneAndUpdate', async () => stored);
+        mock.method(User, 'findById', async () => account);
+        mock.method(User.prototype, 'save', async function() { return this; });
+        mock.method(User.prototype, 'generateAccessToken', async (jti) => jwt.sign({ type: 'access', jti }, 'test-secret'));
+        mock.method(Device, 'findOne', async () => null);
+        mock.method(Device, 'exists', async () => null);
+        mock.method(Device.prototype, 'save', async function() { return this; });
+        mock.method(Session, 'create', async (fields) => new Session(fields));
+        mock.method(Session.prototype, 'save', async function() { return this; });
+        mock.method(RefreshToken, 'create', async (fields) => fields);
+        mock.method(AuthEvent, 'create', async () => {});
+        // Login history the risk engine reads
+        const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => history };
+        mock.method(AuthEvent, 'find', () => query);
+
+        const app = express();
+        app.use(express.json());
+        app.use(cookieParser());
+        app.post('/webauthn/login/options', webauthnController.authenticationOptions);
+        app.post('/webauthn/login/verify', bruteForceGuard({ getAccount: () => null }), webauthnController.verifyAuthentication);
+
+        await new Promise(resolve => {
+            apiServer = app.listen(0, '127.0.0.1', resolve);
+        });
+        api = `http://127.0.0.1:${apiServer.address().port}`;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        setStore(null);
+        await new Promise(resolve => apiServer.close(resolve));
+    });
+
+    beforeEach(async () => {
+        challenges = [];
+        history = [];
+        authenticator = new SoftAuthenticator({ id: rp.id, origin: rp.origins[0] });
+        stored = await register(authenticator);
+        account = new User({ _id: user._id, name: 'Ada', email: user.email, password: 'unused', twoFactorEnabled: true });
+    });
+
+    it("doesn't list an account's passkeys for its email", async () => {
+        mock.method(User, 'findOne', async () => account);
+        mock.method(WebAuthnCredential, 'find', async () => [stored]);
+
+        const response = await fetch(`${api}/webauthn/login/options`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: user.email })
+        });
+        const { options } = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(options.allowCredentials, []);
+    });
+
+    it('signs in without TOTP when the authenticator verified the user', async () => {
+        const { status, body } = await signIn();
+
+        assert.equal(status, 200);
+        assert.equal(body.mfaRequired, undefined);
+        assert.ok(body.token);
+    });
+
+    it('asks for the TOTP code when the authenticator did not verify the user', async () => {
+        const { status, body } = await signIn({ userVerified: false });
+
+        assert.equal(status, 200);
+        assert.equal(body.mfaRequired, true);
+        assert.equal(body.token, undefined);
+        assert.equal(jwt.verify(body.mfaToken, process.env.JWT_SECRET).type, 'mfa-pending');
+    });
+
+    it('signs in without user verification when 2FA is off', async () => {
+        account.twoFactorEnabled = false;
+
+        const { status, body } = await signIn({ userVerified: false });
+
+        assert.equal(status, 200);
+        assert.ok(body.token);
+    });
+
+    it('refuses a sign-in that risk scoring blocks', async (t) => {
+        t.after(() => delete process.env.RISK_WEIGHTS);
+        process.env.RISK_WEIGHTS = 'failureBurst:100';
+        history = Array.from({ length: 5 }, () => ({ outcome: 'failure', ip: '198.51.100.1', createdAt: new Date() }));
+
+        const { status, body } = await signIn();
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'LOGIN_BLOCKED');
+        assert.equal(body.token, undefined);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Account Purge
+ *
+ * Permanently removes accounts whose deletion grace period has ended,
+ * together with everything stored about them (sessions, refresh tokens,
+ * passkeys, API keys, OAuth grants, audit trail).
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuthEvent = require('../models/AuthEvent');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const ApiKey = require('../models/ApiKey');
+const MagicLink = require('../models/MagicLink');
+const Device = require('../models/Device');
+const OAuthConsent = require('../models/OAuthConsent');
+const OAuthRefreshToken = require('../models/OAuthRefreshToken');
+
+/**
+ * Grace period between a deletion request and the purge
+ * @returns {number} - Milliseconds (ACCOUNT_DELETION_GRACE_DAYS, default 30)
+ */
+const deletionGracePeriodMs = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Purge every account scheduled for deletion before `now`
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} - Number of accounts purged
+ */
+const purgeDeletedAccounts = async (now = new Date()) => {
+    const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } }).select('_id');
+
+    for (const { _id } of users) {
+        await Promise.all([
+            Session.deleteMany({ user: _id }),
+            RefreshToken.deleteMany({ user: _id }),
+            WebAuthnCredential.deleteMany({ user: _id }),
+            ApiKey.deleteMany({ user: _id }),
+            MagicLink.deleteMany({ user: _id }),
+            Device.deleteMany({ user: _id }),
+            OAuthConsent.deleteMany({ user: _id }),
+            OAuthRefreshToken.deleteMany({ user: _id }),
+            AuthEvent.deleteMany({ user: _id })
+        ]);
+        await User.deleteOne({ _id });
+    }
+
+    if (users.length > 0) {
+        console.log(`🗑️  Purged ${users.length} deleted account(s)`);
+    }
+
+    return users.length;
+};
+
+module.exports = {
+    deletionGracePeriodMs,
+    purgeDeletedAccounts
+};
@@ -0,0 +1,40 @@
+/**
+ * Audit Log Helper
+ *
+ * Records AuthEvent entries with request context (IP, user agent).
+ * Writes are fire-and-forget: a failing audit write is logged but never
+ * breaks the request that triggered it.
+ */
+
+const AuthEvent = require('../models/AuthEvent');
+
+/**
+ * Record an authentication event
+ * @param {object} req - Express request (for IP / user agent)
+ * @param {object} event
+ * @param {string} event.type - One of AuthEvent.TYPES
+ * @param {string} event.outcome - "success" or "failure"
+ * @param {ObjectId|string} [event.user] - Affected user, if known
+ * @param {string} [event.email] - Email involved (e.g. failed login for unknown account)
+ * @param {string} [event.reason] - Machine-readable reason
+ * @param {object} [event.metadata] - Extra details
+ * @param {object} [event.risk] - Risk assessment of a login attempt
+ * @returns {Promise<void>}
+ */
+const recordAuthEvent = (req, { type, outcome, user = null, email = null, reason = null, metadata, risk }) => AuthEvent.create({
+    user,
+    email,
+    type,
+    outcome,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    metadata,
+    risk: risk || undefined
+}).then(() => undefined, (error) => {
+    console.error('Audit log error:', error.message);
+});
+
+module.exports = {
+    recordAuthEvent
+};
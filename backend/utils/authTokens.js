@@ -0,0 +1,121 @@
+/**
+ * Auth Token Helpers
+ *
+ * Shared logic for issuing access/refresh token pairs and
+ * managing the cookies that carry them.
+ */
+
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { recordLogin } = require('./devices');
+const { crossSiteCookieOptions } = require('./cookies');
+
+/**
+ * Cookie options shared by every auth cookie
+ * SameSite=None in production, so the cross-site frontend can refresh;
+ * state-changing requests are covered by middleware/csrf.js.
+ * @returns {object}
+ */
+const baseCookieOptions = crossSiteCookieOptions;
+
+/**
+ * Set access and refresh token cookies
+ * Browser-session logins get cookies without an expiry, so they are
+ * dropped when the browser closes; remembered logins get persistent ones.
+ * @param {object} res - Express response
+ * @param {string} accessToken - Signed access JWT
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Date} refreshExpires - Refresh token expiry
+ * @param {boolean} persistent - Whether "Remember me" was checked
+ */
+const setAuthCookies = (res, accessToken, refreshToken, refreshExpires, persistent) => {
+    const { exp } = jwt.decode(accessToken);
+
+    res.cookie('token', accessToken, {
+        ...baseCookieOptions(),
+        ...(persistent && { expires: new Date(exp * 1000) })
+    });
+
+    // Refresh token is only ever needed by the auth routes
+    res.cookie('refreshToken', refreshToken, {
+        ...baseCookieOptions(),
+        ...(persistent && { expires: refreshExpires }),
+        path: '/api/auth'
+    });
+};
+
+/**
+ * Clear access and refresh token cookies
+ * @param {object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', baseCookieOptions());
+    res.clearCookie('refreshToken', { ...baseCookieOptions(), path: '/api/auth' });
+};
+
+/**
+ * Start a new server-side session for the requesting client
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {boolean} [persistent=false] - Whether "Remember me" was checked
+ * @param {object} [device] - Device the login came from
+ * @returns {Promise<object>} - Session document
+ */
+const createSession = (user, req, persistent = false, device = null) => Session.create({
+    user: user._id,
+    device: device && device._id,
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    persistent,
+    expiresAt: new Date(Date.now() + Session.lifetimeMs(persistent))
+});
+
+/**
+ * Issue a fresh access/refresh token pair, set cookies and send the response
+ * @param {object} user - User document
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Response message
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} [options]
+ * @param {object} [options.session] - Session to extend (new login if omitted,
+ *                                      which is also recorded against the device)
+ * @param {boolean} [options.persistent] - "Remember me" choice for a new login
+ * @returns {Promise<object>} - Stored refresh token document
+ */
+const sendTokenResponse = async (user, statusCode, message, req, res, { session, persistent } = {}) => {
+    if (!session) {
+        const device = await recordLogin(user, req, res);
+        session = await createSession(user, req, Boolean(persistent), device);
+    }
+
+    // Slide the session forward by its lifetime on every issue/refresh
+    const expiresAt = new Date(Date.now() + Session.lifetimeMs(session.persistent));
+
+    const accessToken = await user.generateAccessToken(session.jti);
+    const { token: refreshToken, doc } = await RefreshToken.issue(user._id, session.jti, expiresAt);
+
+    session.expiresAt = expiresAt;
+    session.lastSeenAt = new Date();
+    await session.save();
+
+    setAuthCookies(res, accessToken, refreshToken, expiresAt, session.persistent);
+
+    res.status(statusCode).json({
+        success: true,
+        message,
+        token: accessToken,
+        session: session.getModeInfo(),
+        user: user.getPublicProfile()
+    });
+
+    return doc;
+};
+
+module.exports = {
+    setAuthCookies,
+    clearAuthCookies,
+    createSession,
+    sendTokenResponse
+};
@@ -0,0 +1,31 @@
+/**
+ * Cookie Helpers
+ *
+ * The production frontend and the API live on different sites
+ * (vercel.app is a public suffix, so every deployment is its own site).
+ * SameSite=Strict or Lax cookies would never be sent with the frontend's
+ * requests, so cookies the frontend relies on are SameSite=None, which
+ * browsers only accept together with Secure. CSRF is handled by the
+ * double-submit token and Origin check in middleware/csrf.js instead.
+ *
+ * Outside production the frontend runs on localhost, which is the same
+ * site as a local API, so Lax works there without HTTPS.
+ */
+
+/**
+ * Options for httpOnly cookies sent with the frontend's cross-site requests
+ * @returns {object}
+ */
+const crossSiteCookieOptions = () => {
+    const production = process.env.NODE_ENV === 'production';
+
+    return {
+        httpOnly: true, // Prevents XSS attacks
+        secure: production, // HTTPS only in production (required by SameSite=None)
+        sameSite: production ? 'none' : 'lax'
+    };
+};
+
+module.exports = {
+    crossSiteCookieOptions
+};
@@ -0,0 +1,169 @@
+/**
+ * Device Tracking Helpers
+ *
+ * Recognise the browser a login comes from by its `deviceId` cookie,
+ * remember it as a Device and announce logins from new devices.
+ *
+ * - NEW_DEVICE_POLICY:   notify (default) - email + dashboard notice
+ *                        verify - also require an emailed code before a
+ *                        password login from a new device completes
+ * - DEVICE_COOKIE_DAYS:  deviceId cookie lifetime (default 365)
+ * - DEVICE_CODE_EXPIRE:  new-device code lifetime in minutes (default 10)
+ */
+
+const Device = require('../models/Device');
+const { sendMail } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+const { recordAuthEvent } = require('./auditLog');
+const { describeUserAgent } = require('./userAgent');
+const { crossSiteCookieOptions } = require('./cookies');
+
+const DEVICE_COOKIE = 'deviceId';
+
+/**
+ * Configured policy for logins from new devices
+ * @returns {string} - "notify" or "verify"
+ */
+const newDevicePolicy = () => (process.env.NEW_DEVICE_POLICY === 'verify' ? 'verify' : 'notify');
+
+/**
+ * Hash of the requesting browser's deviceId cookie, if it has one
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+const currentDeviceHash = (req) => {
+    const deviceId = req.cookies && req.cookies[DEVICE_COOKIE];
+    return deviceId ? Device.hashId(deviceId) : null;
+};
+
+/**
+ * Make sure the browser carries a deviceId cookie, renewing its expiry
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {string} - Hash of the deviceId
+ */
+const ensureDeviceCookie = (req, res) => {
+    const deviceId = (req.cookies && req.cookies[DEVICE_COOKIE]) || Device.createId();
+
+    // Sent with the frontend's cross-site login calls, like the auth cookies
+    res.cookie(DEVICE_COOKIE, deviceId, {
+        ...crossSiteCookieOptions(),
+        path: '/api/auth',
+        maxAge: Number(process.env.DEVICE_COOKIE_DAYS || 365) * 24 * 60 * 60 * 1000
+    });
+
+    return Device.hashId(deviceId);
+};
+
+/**
+ * Whether a password login from this browser must be confirmed with an
+ * emailed code first. A user's very first device is trusted as a baseline.
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @returns {Promise<boolean>}
+ */
+const requiresVerification = async (user, req) => {
+    if (newDevicePolicy() !== 'verify') return false;
+
+    const deviceHash = currentDeviceHash(req);
+    if (deviceHash && await Device.exists({ user: user._id, deviceHash, verified: true })) {
+        return false;
+    }
+
+    return Boolean(await Device.exists({ user: user._id, verified: true }));
+};
+
+/**
+ * Email a code that finishes the login from this browser
+ * Unknown browsers are stored as unverified devices until it's entered.
+ * Also used to confirm risky logins (see utils/loginRisk.js), possibly from
+ * a known device.
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} [options]
+ * @param {boolean} [options.unusual=false] - Word the email for a risky login
+ * @returns {Promise<void>}
+ */
+const startVerification = async (user, req, res, { unusual = false } = {}) => {
+    const deviceHash = ensureDeviceCookie(req, res);
+    const userAgent = req.get('user-agent') || '';
+    const expiresInMinutes = Number(process.env.DEVICE_CODE_EXPIRE || 10);
+
+    const device = await Device.findOne({ user: user._id, deviceHash })
+        || new Device({ user: user._id, deviceHash, name: describeUserAgent(userAgent), verified: false });
+
+    device.userAgent = userAgent;
+    device.lastIp = req.ip;
+    const code = device.createVerificationCode(expiresInMinutes);
+    await device.save();
+
+    await sendMail({
+        to: user.email,
+        ...emailTemplates.deviceVerificationCode(user, code, device, expiresInMinutes, unusual)
+    });
+};
+
+/**
+ * Record a completed login against the browser's device
+ * Called for every new session. Unknown browsers become new devices,
+ * announced by email and left unacknowledged for the dashboard notice,
+ * except for the user's first device.
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<object>} - Device document
+ */
+const recordLogin = async (user, req, res) => {
+    const deviceHash = ensureDeviceCookie(req, res);
+    const userAgent = req.get('user-agent') || '';
+
+    const device = await Device.findOne({ user: user._id, deviceHash });
+
+    if (device && device.verified) {
+        device.userAgent = userAgent;
+        device.lastIp = req.ip;
+        device.lastSeenAt = new Date();
+        await device.save();
+        return device;
+    }
+
+    const isFirstDevice = !(await Device.exists({ user: user._id, verified: true }));
+
+    // A pending verification that was skipped (e.g. the user signed in with
+    // a passkey instead) still becomes a regular new device
+    const newDevice = device || new Device({ user: user._id, deviceHash, name: describeUserAgent(userAgent) });
+    newDevice.set({
+        userAgent,
+        lastIp: req.ip,
+        lastSeenAt: new Date(),
+        verified: true,
+        acknowledged: isFirstDevice,
+        verificationCodeHash: undefined,
+        verificationCodeExpires: undefined
+    });
+    await newDevice.save();
+
+    if (!isFirstDevice) {
+        recordAuthEvent(req, {
+            type: 'new_device',
+            outcome: 'success',
+            user: user._id,
+            email: user.email,
+            metadata: { device: newDevice.name }
+        });
+
+        sendMail({ to: user.email, ...emailTemplates.newDeviceLogin(user, newDevice) })
+            .catch(mailError => console.error('New device email error:', mailError));
+    }
+
+    return newDevice;
+};
+
+module.exports = {
+    newDevicePolicy,
+    currentDeviceHash,
+    requiresVerification,
+    startVerification,
+    recordLogin
+};
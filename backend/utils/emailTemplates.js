@@ -0,0 +1,269 @@
+/**
+ * Email Templates
+ *
+ * Builders for transactional emails. Each returns
+ * { subject, text, html } ready to pass to mailer.sendMail().
+ */
+
+/**
+ * Base URL of the frontend, used to build links in emails
+ * @returns {string}
+ */
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Escape user-supplied text for HTML bodies
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Wrap body paragraphs in a minimal HTML layout
+ * @param {string[]} paragraphs - HTML paragraphs
+ * @returns {string}
+ */
+const layout = (paragraphs) => `
+<div style="font-family: Arial, sans-serif; max-width: 520px; margin: 0 auto; color: #1e293b;">
+    <h2 style="color: #8b5cf6;">SecureSphere</h2>
+    ${paragraphs.map(p => `<p>${p}</p>`).join('\n    ')}
+</div>`;
+
+/**
+ * Password reset email
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw reset token
+ * @param {number} expiresInMinutes - Link lifetime
+ */
+exports.passwordReset = (user, token, expiresInMinutes) => {
+    const link = `${frontendUrl()}/reset-password.html?token=${encodeURIComponent(token)}`;
+
+    return {
+        subject: 'Reset your SecureSphere password',
+        text: `Hi ${user.name},\n\n`
+            + `We received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\n`
+            + `The link expires in ${expiresInMinutes} minutes and can only be used once.\n`
+            + 'If you did not request this, you can ignore this email.',
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            'We received a request to reset your password. Click the link below to choose a new one:',
+            `<a href="${link}">Reset my password</a>`,
+            `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+            'If you did not request this, you can ignore this email.'
+        ])
+    };
+};
+
+/**
+ * Password reset required by an administrator
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw reset token
+ * @param {number} expiresInMinutes - Link lifetime
+ */
+exports.forcedPasswordReset = (user, token, expiresInMinutes) => {
+    const link = `${frontendUrl()}/reset-password.html?token=${encodeURIComponent(token)}`;
+
+    return {
+        subject: 'Action required: reset your SecureSphere password',
+        text: `Hi ${user.name},\n\n`
+            + 'An administrator has required a password reset for your account, and you have been signed out.\n'
+            + `Choose a new password using the link below before logging in again:\n\n${link}\n\n`
+            + `The link expires in ${expiresInMinutes} minutes. You can request a new one from the "Forgot password" page.`,
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            'An administrator has required a password reset for your account, and you have been signed out.',
+            `<a href="${link}">Choose a new password</a>`,
+            `The link expires in ${expiresInMinutes} minutes. You can request a new one from the "Forgot password" page.`
+        ])
+    };
+};
+
+/**
+ * Email address verification
+ * @param {object} user - Recipient user
+ * @param {string} token - Signed verification token
+ */
+exports.emailVerification = (user, token) => {
+    const link = `${frontendUrl()}/verify-email.html?token=${encodeURIComponent(token)}`;
+
+    return {
+        subject: 'Verify your SecureSphere email address',
+        text: `Hi ${user.name},\n\n`
+            + `Please confirm your email address by opening the link below:\n\n${link}\n\n`
+            + 'If you did not create a SecureSphere account, you can ignore this email.',
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            'Please confirm your email address by clicking the link below:',
+            `<a href="${link}">Verify my email</a>`,
+            'If you did not create a SecureSphere account, you can ignore this email.'
+        ])
+    };
+};
+
+/**
+ * Password changed notice
+ * @param {object} user - Recipient user
+ */
+exports.passwordChanged = (user) => ({
+    subject: 'Your SecureSphere password was changed',
+    text: `Hi ${user.name},\n\n`
+        + 'Your password was just changed and your other sessions were signed out.\n'
+        + 'If this wasn\'t you, reset your password immediately and contact support.',
+    html: layout([
+        `Hi ${escapeHtml(user.name)},`,
+        'Your password was just changed and your other sessions were signed out.',
+        'If this wasn\'t you, reset your password immediately and contact support.'
+    ])
+});
+
+/**
+ * Email change confirmation, sent to the new address
+ * @param {object} user - User with pendingEmail set
+ * @param {string} token - Signed email change token
+ */
+exports.emailChangeConfirmation = (user, token) => {
+    const link = `${frontendUrl()}/verify-email.html?token=${encodeURIComponent(token)}&change=1`;
+
+    return {
+        subject: 'Confirm your new SecureSphere email address',
+        text: `Hi ${user.name},\n\n`
+            + `Please confirm that you want to use this address for your SecureSphere account:\n\n${link}\n\n`
+            + 'Your email will not change until you open this link.\n'
+            + 'If you did not request this, you can ignore this email.',
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            'Please confirm that you want to use this address for your SecureSphere account:',
+            `<a href="${link}">Confirm my new email</a>`,
+            'Your email will not change until you click this link.',
+            'If you did not request this, you can ignore this email.'
+        ])
+    };
+};
+
+/**
+ * Email change notice, sent to the old address
+ * @param {object} user - Recipient user
+ * @param {string} newEmail - Requested (or confirmed) new address
+ * @param {boolean} [completed=false] - Whether the change has been confirmed
+ */
+exports.emailChangeNotice = (user, newEmail, completed = false) => {
+    const summary = completed
+        ? `The email address on your SecureSphere account was changed to ${newEmail}.`
+        : `A request was made to change the email address on your SecureSphere account to ${newEmail}.`;
+
+    return {
+        subject: completed
+            ? 'Your SecureSphere email address was changed'
+            : 'Email change requested for your SecureSphere account',
+        text: `Hi ${user.name},\n\n${summary}\n`
+            + 'If this wasn\'t you, reset your password immediately and contact support.',
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            escapeHtml(summary),
+            'If this wasn\'t you, reset your password immediately and contact support.'
+        ])
+    };
+};
+
+/**
+ * Account deletion scheduled notice
+ * @param {object} user - Recipient user
+ * @param {Date} scheduledFor - When the account will be purged
+ */
+exports.accountDeletionScheduled = (user, scheduledFor) => {
+    const date = scheduledFor.toUTCString();
+    const link = `${frontendUrl()}/index.html`;
+
+    return {
+        subject: 'Your SecureSphere account is scheduled for deletion',
+        text: `Hi ${user.name},\n\n`
+            + `Your account and all of its data will be permanently deleted on ${date}.\n`
+            + `Changed your mind? Log in before then and cancel the deletion from your dashboard:\n\n${link}\n\n`
+            + 'If you did not request this, log in, cancel the deletion and change your password.',
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            `Your account and all of its data will be permanently deleted on ${date}.`,
+            `Changed your mind? <a href="${link}">Log in</a> before then and cancel the deletion from your dashboard.`,
+            'If you did not request this, log in, cancel the deletion and change your password.'
+        ])
+    };
+};
+
+/**
+ * Passwordless sign-in link
+ * @param {object} user - Recipient user
+ * @param {string} token - Raw magic link token
+ * @param {number} expiresInMinutes - Link lifetime
+ */
+exports.magicLink = (user, token, expiresInMinutes) => {
+    const link = `${frontendUrl()}/index.html?magicLink=${encodeURIComponent(token)}`;
+
+    return {
+        subject: 'Your SecureSphere sign-in link',
+        text: `Hi ${user.name},\n\n`
+            + `Open the link below to sign in to SecureSphere:\n\n${link}\n\n`
+            + `The link expires in ${expiresInMinutes} minutes, can only be used once and only works in the browser where you requested it.\n`
+            + 'If you did not request this, you can ignore this email.',
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            'Click the link below to sign in to SecureSphere:',
+            `<a href="${link}">Sign me in</a>`,
+            `The link expires in ${expiresInMinutes} minutes, can only be used once and only works in the browser where you requested it.`,
+            'If you did not request this, you can ignore this email.'
+        ])
+    };
+};
+
+/**
+ * Sign-in from a new device
+ * @param {object} user - Recipient user
+ * @param {object} device - Device document
+ */
+exports.newDeviceLogin = (user, device) => {
+    const date = device.firstSeenAt.toUTCString();
+    const link = `${frontendUrl()}/dashboard.html`;
+
+    return {
+        subject: 'New sign-in to your SecureSphere account',
+        text: `Hi ${user.name},\n\n`
+            + `Your account was just signed in to from a new device: ${device.name} (IP ${device.lastIp || 'unknown'}) on ${date}.\n\n`
+            + `If this was you, you can ignore this email. If not, remove the device and change your password:\n\n${link}`,
+        html: layout([
+            `Hi ${escapeHtml(user.name)},`,
+            `Your account was just signed in to from a new device: <strong>${escapeHtml(device.name)}</strong> (IP ${escapeHtml(device.lastIp || 'unknown')}) on ${date}.`,
+            'If this was you, you can ignore this email.',
+            `If not, <a href="${link}">remove the device</a> and change your password.`
+        ])
+    };
+};
+
+/**
+ * One-time code confirming a login from a new device
+ * @param {object} user - Recipient user
+ * @param {string} code - 6-digit code
+ * @param {object} device - Device document
+ * @param {number} expiresInMinutes - Code lifetime
+ */
+exports.deviceVerificationCode = (user, code, device, expiresInMinutes, unusual = false) => ({
+    subject: `${code} is your SecureSphere verification code`,
+    text: `Hi ${user.name},\n\n`
+        + `Someone signed in to your account with your password from ${unusual ? 'an unusual location or device' : 'a new device'}: ${device.name} (IP ${device.lastIp || 'unknown'}).\n`
+        + `If this was you, enter this code to finish signing in:\n\n${code}\n\n`
+        + `The code expires in ${expiresInMinutes} minutes.\n`
+        + 'If this was not you, change your password now: someone knows it.',
+    html: layout([
+        `Hi ${escapeHtml(user.name)},`,
+        `Someone signed in to your account with your password from ${unusual ? 'an unusual location or device' : 'a new device'}: <strong>${escapeHtml(device.name)}</strong> (IP ${escapeHtml(device.lastIp || 'unknown')}).`,
+        'If this was you, enter this code to finish signing in:',
+        `<strong style="font-size: 24px; letter-spacing: 4px;">${code}</strong>`,
+        `The code expires in ${expiresInMinutes} minutes.`,
+        'If this was not you, change your password now: someone knows it.'
+    ])
+});
+
+exports.frontendUrl = frontendUrl;
+exports.escapeHtml = escapeHtml;
@@ -0,0 +1,61 @@
+/**
+ * Field Encryption Helpers
+ *
+ * AES-256-GCM encryption for secrets that must be stored reversibly
+ * (e.g. TOTP seeds). The key comes from DATA_ENCRYPTION_KEY; any string
+ * works since it is stretched to 32 bytes with SHA-256.
+ * Ciphertext format: base64(iv).base64(authTag).base64(data)
+ */
+
+const crypto = require('crypto');
+
+let warnedFallback = false;
+
+/**
+ * Resolve the 32-byte encryption key
+ * @returns {Buffer}
+ */
+const getKey = () => {
+    let secret = process.env.DATA_ENCRYPTION_KEY;
+
+    if (!secret) {
+        if (!warnedFallback) {
+            console.warn('⚠️  DATA_ENCRYPTION_KEY not set - deriving encryption key from JWT_SECRET');
+            warnedFallback = true;
+        }
+        secret = `data-encryption:${process.env.JWT_SECRET}`;
+    }
+
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a UTF-8 string
+ * @param {string} plaintext
+ * @returns {string}
+ */
+const encrypt = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} ciphertext
+ * @returns {string}
+ */
+const decrypt = (ciphertext) => {
+    const [iv, authTag, data] = ciphertext.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    encrypt,
+    decrypt
+};
@@ -0,0 +1,169 @@
+/**
+ * Offline GeoIP Lookups
+ *
+ * Locates IP addresses with a local CSV database, so no address ever
+ * leaves the server. GEOIP_DATABASE points to a file in the DB-IP
+ * "IP to City Lite" CSV format (https://db-ip.com/db/lite.php):
+ *
+ *   ip_start,ip_end,continent,country,stateprov,city,latitude,longitude
+ *
+ * The file is read once, on first use, and kept in memory, which takes
+ * roughly three times the file size. Files over GEOIP_MAX_FILE_MB
+ * (default 100) are refused rather than risk exhausting the heap; the
+ * full city-level file is several times that, so trim it (e.g. to IPv4
+ * or the countries you serve) or raise the limit together with Node's
+ * --max-old-space-size. Without a usable file, lookups find nothing and
+ * location-based risk signals are skipped.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseIp } = require('./ipAddress');
+
+let database = null;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line
+ * @returns {string[]}
+ */
+const parseCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields;
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Read a database file into sorted IPv4 and IPv6 range tables
+ * Lines that don't parse (e.g. a header) are skipped.
+ * @param {string} file
+ * @returns {Promise<{4: object[], 6: object[]}>}
+ */
+const readDatabase = async (file) => {
+    const tables = { 4: [], 6: [] };
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        const fields = parseCsvLine(line);
+        if (fields.length < 8) continue;
+
+        const start = parseIp(fields[0]);
+        const end = parseIp(fields[1]);
+        const latitude = Number(fields[6]);
+        const longitude = Number(fields[7]);
+
+        if (!start || !end || start.version !== end.version || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            continue;
+        }
+
+        tables[start.version].push({
+            start: start.value,
+            end: end.value,
+            country: fields[3],
+            city: fields[5],
+            latitude,
+            longitude
+        });
+    }
+
+    tables[4].sort((a, b) => compare(a.start, b.start));
+    tables[6].sort((a, b) => compare(a.start, b.start));
+
+    return tables;
+};
+
+/**
+ * Load the configured database once
+ * @returns {Promise<object|null>} - Range tables, or null without a database
+ */
+const loadDatabase = () => {
+    const file = process.env.GEOIP_DATABASE;
+    if (!file) return Promise.resolve(null);
+
+    if (!database) {
+        const maxBytes = Number(process.env.GEOIP_MAX_FILE_MB || 100) * 1024 * 1024;
+
+        database = fs.promises.stat(file).then(({ size }) => {
+            if (size > maxBytes) {
+                throw new Error(`file is ${Math.ceil(size / 1024 / 1024)} MB, above GEOIP_MAX_FILE_MB (${maxBytes / 1024 / 1024} MB)`);
+            }
+            return readDatabase(file);
+        }).catch(error => {
+            console.warn(`⚠️  GeoIP database could not be read from ${file}: ${error.message}`);
+            return null;
+        });
+    }
+
+    return database;
+};
+
+/**
+ * Find the range containing an address
+ * @param {object} tables - Range tables from readDatabase
+ * @param {string} ip
+ * @returns {{country: string, city: string, latitude: number, longitude: number}|null}
+ */
+const findLocation = (tables, ip) => {
+    const address = parseIp(ip);
+    if (!address) return null;
+
+    const ranges = tables[address.version];
+    let low = 0;
+    let high = ranges.length - 1;
+    let match = null;
+
+    // Last range starting at or before the address
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (ranges[middle].start <= address.value) {
+            match = ranges[middle];
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    if (!match || match.end < address.value) return null;
+
+    const { country, city, latitude, longitude } = match;
+    return { country, city, latitude, longitude };
+};
+
+/**
+ * Lookup function for the configured database
+ * @returns {Promise<function(string): object|null>}
+ */
+const getLocator = async () => {
+    const tables = await loadDatabase();
+    return (ip) => (tables ? findLocation(tables, ip) : null);
+};
+
+module.exports = {
+    getLocator
+};
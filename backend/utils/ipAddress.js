@@ -0,0 +1,86 @@
+/**
+ * IP Address Helpers
+ *
+ * Parsing for login risk scoring and GeoIP lookups. IPv4-mapped IPv6
+ * addresses (::ffff:1.2.3.4, as reported for IPv4 clients on dual-stack
+ * sockets) are treated as the IPv4 address they carry.
+ */
+
+const net = require('net');
+
+/**
+ * Canonical form of an address: lower case, no zone id, IPv4 unmapped
+ * @param {string} ip
+ * @returns {string}
+ */
+const normalizeIp = (ip) => {
+    const address = String(ip || '').trim().toLowerCase().replace(/%.*$/, '');
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+    return mapped ? mapped[1] : address;
+};
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ * @param {string} address - Valid IPv6 address
+ * @returns {number[]}
+ */
+const ipv6Groups = (address) => {
+    let expanded = address;
+
+    // Trailing dotted IPv4 part, e.g. 64:ff9b::192.0.2.1
+    const ipv4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(expanded);
+    if (ipv4Tail) {
+        const octets = ipv4Tail[1].split('.').map(Number);
+        expanded = expanded.slice(0, -ipv4Tail[1].length)
+            + `${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+    }
+
+    const [head, tail] = expanded.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+    return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+/**
+ * Numeric value of an address, for range comparisons
+ * @param {string} ip
+ * @returns {{version: number, value: number|bigint}|null} - IPv4 as a number, IPv6 as a bigint
+ */
+const parseIp = (ip) => {
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+
+    if (version === 4) {
+        return { version, value: address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0) };
+    }
+    if (version === 6) {
+        return { version, value: ipv6Groups(address).reduce((total, group) => (total << 16n) | BigInt(group), 0n) };
+    }
+    return null;
+};
+
+/**
+ * Network an address belongs to: /24 for IPv4, /48 for IPv6
+ * @param {string} ip
+ * @returns {string|null}
+ */
+const subnetOf = (ip) => {
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+
+    if (version === 4) {
+        return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+    if (version === 6) {
+        return `${ipv6Groups(address).slice(0, 3).map(group => group.toString(16)).join(':')}::/48`;
+    }
+    return null;
+};
+
+module.exports = {
+    normalizeIp,
+    parseIp,
+    subnetOf
+};
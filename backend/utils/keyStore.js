@@ -0,0 +1,283 @@
+/**
+ * Signing Key Store
+ *
+ * Signs and verifies JWTs with the asymmetric keys in the SigningKey
+ * collection. The newest activated key signs; every key that is not
+ * retired verifies and is published at /.well-known/jwks.json.
+ * A key is generated on first use, so no manual setup is needed.
+ *
+ * Rotation publishes the next key ahead of use (JWT_KEY_PUBLISH_AHEAD)
+ * and keeps the previous one verifying for JWT_KEY_RETIRE_AFTER hours,
+ * so tokens already issued stay valid across the switch.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+const { encrypt, decrypt } = require('./encryption');
+
+// Keys are re-read from the database at most once a minute...
+const CACHE_TTL_MS = 60 * 1000;
+// ...or sooner when a token names an unknown kid (another instance rotated),
+// at most once per UNKNOWN_KID_RELOAD_MS for all kids together
+const UNKNOWN_KID_RELOAD_MS = 10 * 1000;
+let cache = { loadedAt: 0, keys: [] };
+let loading = null;
+let unknownKidReloadAt = 0;
+
+/**
+ * Algorithm for newly generated keys
+ * @returns {string}
+ */
+const signingAlgorithm = () => {
+    const alg = (process.env.JWT_SIGNING_ALG || 'RS256').toUpperCase();
+    return SigningKey.ALGORITHMS.includes(alg) ? alg : 'RS256';
+};
+
+/**
+ * Kid of the most recently created key, retired or not
+ * Every new key changes it, so slots derived from it are never reused.
+ * @returns {Promise<string>}
+ */
+const newestKid = async () => {
+    const newest = await SigningKey.findOne().sort({ createdAt: -1 }).select('kid');
+    return newest ? newest.kid : 'none';
+};
+
+/**
+ * Generate and store a new key pair, unless a key for the same slot exists
+ * The upsert is atomic, so instances racing to fill a slot all get the
+ * same key back.
+ * @param {string} slot - Reason for the key (see SigningKey.slot)
+ * @param {Date} [activatesAt] - When the key starts signing (default now)
+ * @returns {Promise<object>} - SigningKey document, with its private key
+ */
+const generateKey = async (slot, activatesAt = new Date()) => {
+    const alg = signingAlgorithm();
+    const { publicKey, privateKey } = alg === 'ES256'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    try {
+        return await SigningKey.findOneAndUpdate(
+            { slot },
+            {
+                $setOnInsert: {
+                    kid: crypto.randomBytes(8).toString('hex'),
+                    alg,
+                    publicJwk: publicKey.export({ format: 'jwk' }),
+                    privateKey: encrypt(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+                    activatesAt
+                }
+            },
+            { upsert: true, new: true }
+        ).select('+privateKey');
+    } catch (error) {
+        // Two concurrent upserts may both try to insert; the loser reads the winner's key
+        if (error.code !== 11000) throw error;
+        return SigningKey.findOne({ slot }).select('+privateKey');
+    }
+};
+
+/**
+ * Whether a loaded key may still verify tokens
+ * @param {object} key
+ * @returns {boolean}
+ */
+const isLive = (key) => !key.retiresAt || key.retiresAt.getTime() > Date.now();
+
+/**
+ * Whether a loaded key may sign new tokens
+ * @param {object} key
+ * @returns {boolean}
+ */
+const canSign = (key) => isLive(key) && key.activatesAt.getTime() <= Date.now();
+
+/**
+ * Load unretired keys (newest first), creating one if none can sign
+ * @param {boolean} [refresh=false] - Ignore the cache
+ * @returns {Promise<object[]>} - [{ kid, alg, jwk, privateKey, publicKey, activatesAt, retiresAt }]
+ */
+const loadKeys = (refresh = false) => {
+    if (!refresh && Date.now() - cache.loadedAt < CACHE_TTL_MS && cache.keys.some(canSign)) {
+        return Promise.resolve(cache.keys);
+    }
+
+    // Concurrent requests share one database read
+    if (!loading) {
+        loading = readKeys().finally(() => {
+            loading = null;
+        });
+    }
+    return loading;
+};
+
+/**
+ * Read unretired keys into the cache
+ * @returns {Promise<object[]>}
+ */
+const readKeys = async () => {
+    let docs = await SigningKey.find({
+        status: 'active',
+        $or: [{ retiresAt: null }, { retiresAt: { $gt: new Date() } }]
+    }).select('+privateKey').sort({ createdAt: -1 });
+
+    const now = Date.now();
+    if (!docs.some(doc => doc.activatesAt.getTime() <= now)) {
+        const key = await generateKey(`fallback:${await newestKid()}`);
+        docs = [key, ...docs.filter(doc => doc.kid !== key.kid)];
+    }
+
+    cache = {
+        loadedAt: Date.now(),
+        keys: docs.map(doc => ({
+            kid: doc.kid,
+            alg: doc.alg,
+            jwk: doc.toJwk(),
+            privateKey: crypto.createPrivateKey(decrypt(doc.privateKey)),
+            publicKey: crypto.createPublicKey({ key: doc.publicJwk, format: 'jwk' }),
+            activatesAt: doc.activatesAt,
+            retiresAt: doc.retiresAt
+        }))
+    };
+    return cache.keys;
+};
+
+/**
+ * Whether an unknown kid may trigger a reload now
+ * One limit for all kids, so tokens with random kids can't cause more
+ * than one database read per UNKNOWN_KID_RELOAD_MS. A real new key is
+ * published ahead of use and picked up by the regular reload anyway.
+ * @returns {boolean}
+ */
+const mayReloadForUnknownKid = () => {
+    const now = Date.now();
+    if (now - unknownKidReloadAt < UNKNOWN_KID_RELOAD_MS) return false;
+
+    unknownKidReloadAt = now;
+    return true;
+};
+
+/**
+ * Sign a payload with the current key
+ * @param {object} payload - JWT claims
+ * @param {object} [options] - jsonwebtoken sign options (expiresIn, audience, ...)
+ * @returns {Promise<string>}
+ */
+const sign = async (payload, options = {}) => {
+    const key = (await loadKeys()).find(canSign);
+    return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+};
+
+/**
+ * Verify a token signed by any unretired key, chosen by its `kid`
+ * @param {string} token
+ * @param {object} [options] - jsonwebtoken verify options (issuer, audience, ...)
+ * @returns {Promise<object>} - Decoded claims
+ */
+const verify = async (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded && decoded.header.kid;
+    const findKey = (keys) => keys.find(candidate => candidate.kid === kid && isLive(candidate));
+
+    let key = kid && findKey(await loadKeys());
+    if (kid && !key && mayReloadForUnknownKid()) {
+        key = findKey(await loadKeys(true));
+    }
+
+    if (!key) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+};
+
+/**
+ * Public keys for the JWKS endpoint (pending, current and previous)
+ * @returns {Promise<{keys: object[]}>}
+ */
+const getJwks = async () => ({
+    keys: (await loadKeys()).filter(isLive).map(key => key.jwk)
+});
+
+/**
+ * Start using a new key
+ * The new key is published now and signs after JWT_KEY_PUBLISH_AHEAD
+ * seconds (or at once when `immediate`). Older keys keep verifying for
+ * JWT_KEY_RETIRE_AFTER hours after the switch.
+ * @param {object} [options]
+ * @param {boolean} [options.immediate=false] - Skip the publish-ahead delay
+ * @returns {Promise<object>} - The new SigningKey document
+ */
+const rotateKeys = async ({ immediate = false } = {}) => {
+    const publishAheadMs = immediate ? 0 : Number(process.env.JWT_KEY_PUBLISH_AHEAD || 600) * 1000;
+    const retireAfterMs = Number(process.env.JWT_KEY_RETIRE_AFTER || 24) * 60 * 60 * 1000;
+
+    // A rotation triggered on several instances at once (e.g. the hourly check) creates a single key
+    const slot = `rotation:${await newestKid()}:${immediate ? 'immediate' : 'ahead'}`;
+    const key = await generateKey(slot, new Date(Date.now() + publishAheadMs));
+
+    await SigningKey.updateMany(
+        { status: 'active', retiresAt: null, kid: { $ne: key.kid } },
+        { retiresAt: new Date(key.activatesAt.getTime() + retireAfterMs) }
+    );
+
+    cache.loadedAt = 0;
+    return key;
+};
+
+/**
+ * Retire a key now - it stops verifying and leaves the JWKS at once
+ * Tokens it signed are rejected; use for compromised keys.
+ * @param {string} kid
+ * @returns {Promise<object|null>} - Updated SigningKey document
+ */
+const retireKey = async (kid) => {
+    const key = await SigningKey.findOneAndUpdate(
+        { kid, status: 'active' },
+        { status: 'retired', retiredAt: new Date() },
+        { new: true }
+    );
+
+    cache.loadedAt = 0;
+    return key;
+};
+
+/**
+ * Scheduled maintenance: retire keys past their grace period and
+ * rotate when the newest key is older than JWT_KEY_ROTATION_DAYS
+ * (0 disables scheduled rotation)
+ * @returns {Promise<{rotated: string|null, retired: string[]}>}
+ */
+const rotateIfDue = async () => {
+    const expired = await SigningKey.find({ status: 'active', retiresAt: { $lte: new Date() } });
+    if (expired.length > 0) {
+        await SigningKey.updateMany(
+            { _id: { $in: expired.map(key => key._id) } },
+            { status: 'retired', retiredAt: new Date() }
+        );
+    }
+
+    const rotationDays = Number(process.env.JWT_KEY_ROTATION_DAYS || 30);
+    const newest = await SigningKey.findOne({ status: 'active' }).sort({ createdAt: -1 });
+
+    let rotated = null;
+    if (rotationDays > 0 && newest && Date.now() - newest.createdAt.getTime() >= rotationDays * 24 * 60 * 60 * 1000) {
+        rotated = (await rotateKeys()).kid;
+    }
+
+    if (expired.length > 0) {
+        cache.loadedAt = 0;
+    }
+
+    return { rotated, retired: expired.map(key => key.kid) };
+};
+
+module.exports = {
+    ALGORITHMS: SigningKey.ALGORITHMS,
+    sign,
+    verify,
+    getJwks,
+    rotateKeys,
+    retireKey,
+    rotateIfDue
+};
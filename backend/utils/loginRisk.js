@@ -0,0 +1,55 @@
+/**
+ * Login Risk Assessment
+ *
+ * Scores a login attempt with the risk engine, using the account's
+ * recent login events from the audit trail and the offline GeoIP
+ * database. Settings come from config/risk.js.
+ */
+
+const AuthEvent = require('../models/AuthEvent');
+const { getRiskConfig } = require('../config/risk');
+const { assessRisk } = require('./riskEngine');
+const geoip = require('./geoip');
+
+// Most recent login events compared against
+const HISTORY_LIMIT = 200;
+
+/**
+ * Score a login attempt for an account
+ * Scoring problems are logged and treated as "not scored" rather than
+ * failing the login.
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @returns {Promise<{score: number, action: string, signals: object[]}|null>} - null when scoring is off
+ */
+const assessLoginRisk = async (user, req) => {
+    const config = getRiskConfig();
+    if (!config.enabled) return null;
+
+    try {
+        const since = new Date(Date.now() - config.historyDays * 24 * 60 * 60 * 1000);
+
+        const [history, locate] = await Promise.all([
+            AuthEvent.find({ user: user._id, type: 'login', createdAt: { $gte: since } })
+                .sort({ createdAt: -1 })
+                .limit(HISTORY_LIMIT)
+                .select('outcome ip userAgent createdAt')
+                .lean(),
+            geoip.getLocator()
+        ]);
+
+        return assessRisk(
+            { ip: req.ip, userAgent: req.get('user-agent') || '', at: new Date() },
+            history,
+            config,
+            { locate }
+        );
+    } catch (error) {
+        console.error('Login risk error:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    assessLoginRisk
+};
@@ -0,0 +1,116 @@
+/**
+ * Mailer
+ *
+ * Small transport abstraction for outgoing email.
+ * The transport is picked with MAIL_TRANSPORT:
+ * - smtp:    deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - file:    write each message as JSON into MAIL_FILE_DIR (handy for tests)
+ * - console: print each message to stdout (default outside production)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+const createSmtpTransport = () => {
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+/**
+ * File transport - one JSON file per message
+ */
+const createFileTransport = () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail');
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+            await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+            return { messageId: path.basename(file), file };
+        }
+    };
+};
+
+/**
+ * Console transport - log messages instead of sending them
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`\n📧 Email to ${message.to}: ${message.subject}\n${message.text}\n`);
+        return { messageId: `console-${Date.now()}` };
+    }
+});
+
+const transports = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * Get (and lazily create) the configured transport
+ * @returns {{name: string, send: Function}}
+ */
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT
+            || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with an in-memory stub in tests)
+ * @param {{name: string, send: Function}|null} custom - Transport, or null to reset
+ */
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+/**
+ * Send an email
+ * @param {object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @param {string} [options.html] - HTML body
+ * @returns {Promise<object>} - Transport result
+ */
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+    from: process.env.MAIL_FROM || 'SecureSphere <no-reply@securesphere.local>',
+    to,
+    subject,
+    text,
+    html
+});
+
+module.exports = {
+    sendMail,
+    setTransport
+};
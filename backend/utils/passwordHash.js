@@ -0,0 +1,186 @@
+/**
+ * Password Hashing
+ *
+ * Versioned password hashes: every stored hash names its algorithm and
+ * cost parameters (PHC string for Argon2id, modular crypt for bcrypt),
+ * so the settings can be raised over time. Hashes made with older
+ * settings still verify and are upgraded on the next successful login.
+ *
+ * - PASSWORD_HASH_ALGORITHM: argon2id (default) | bcrypt
+ * - ARGON2_MEMORY_COST:      KiB of memory (default 19456 = 19 MiB)
+ * - ARGON2_TIME_COST:        iterations (default 2)
+ * - ARGON2_PARALLELISM:      lanes (default 1)
+ * - BCRYPT_COST:             log2 rounds (default 12)
+ */
+
+const argon2 = require('argon2');
+const bcrypt = require('bcryptjs');
+
+const ALGORITHMS = ['argon2id', 'bcrypt'];
+
+// Argon2 1.3 (v=19), the version the argon2 package produces
+const ARGON2_VERSION = 0x13;
+
+/**
+ * Current hashing settings
+ * @returns {{algorithm: string, argon2: object, bcryptCost: number}}
+ */
+const getSettings = () => ({
+    algorithm: ALGORITHMS.includes(process.env.PASSWORD_HASH_ALGORITHM) ? process.env.PASSWORD_HASH_ALGORITHM : 'argon2id',
+    argon2: {
+        memoryCost: Number(process.env.ARGON2_MEMORY_COST || 19456),
+        timeCost: Number(process.env.ARGON2_TIME_COST || 2),
+        parallelism: Number(process.env.ARGON2_PARALLELISM || 1)
+    },
+    bcryptCost: Number(process.env.BCRYPT_COST || 12)
+});
+
+/**
+ * Algorithm a stored hash was made with
+ * @param {string} hash
+ * @returns {string|null} - "argon2id", "bcrypt" or null if unrecognised
+ */
+const identify = (hash) => {
+    if (typeof hash !== 'string') return null;
+    if (hash.startsWith('$argon2id$')) return 'argon2id';
+    if (/^\$2[aby]\$\d{2}\$/.test(hash)) return 'bcrypt';
+    return null;
+};
+
+/**
+ * Hash a password with the current settings
+ * @param {string} password
+ * @param {object} [settings] - Override getSettings() (used by the benchmark)
+ * @returns {Promise<string>}
+ */
+const hashPassword = async (password, settings = getSettings()) => {
+    if (settings.algorithm === 'bcrypt') {
+        return bcrypt.hash(password, await bcrypt.genSalt(settings.bcryptCost));
+    }
+    return argon2.hash(password, { type: argon2.argon2id, ...settings.argon2 });
+};
+
+/**
+ * Check a password against a stored hash of any supported version
+ * @param {string} password
+ * @param {string} hash
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, hash) => {
+    switch (identify(hash)) {
+        case 'argon2id':
+            return argon2.verify(hash, password);
+        case 'bcrypt':
+            return bcrypt.compare(password, hash);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Cost parameters of an Argon2id PHC string
+ * @param {string} hash - e.g. "$argon2id$v=19$m=19456,t=2,p=1$salt$hash"
+ * @returns {{version: number, memoryCost: number, timeCost: number, parallelism: number}|null}
+ */
+const argon2Params = (hash) => {
+    const match = /^\$argon2id\$v=(\d+)\$m=(\d+),t=(\d+),p=(\d+)\$/.exec(hash);
+    if (!match) return null;
+
+    const [, version, memoryCost, timeCost, parallelism] = match.map(Number);
+    return { version, memoryCost, timeCost, parallelism };
+};
+
+/**
+ * Whether a hash was made with an older algorithm or weaker parameters
+ * Hashes with stronger parameters than configured are kept, so lowering
+ * a setting never downgrades stored hashes.
+ * @param {string} hash
+ * @returns {boolean}
+ */
+const needsRehash = (hash) => {
+    const settings = getSettings();
+    const algorithm = identify(hash);
+
+    if (algorithm !== settings.algorithm) return true;
+
+    if (algorithm === 'bcrypt') {
+        return bcrypt.getRounds(hash) < settings.bcryptCost;
+    }
+
+    const params = argon2Params(hash);
+    return !params
+        || params.version < ARGON2_VERSION
+        || params.memoryCost < settings.argon2.memoryCost
+        || params.timeCost < settings.argon2.timeCost
+        || params.parallelism < settings.argon2.parallelism;
+};
+
+/**
+ * Time one hash in milliseconds
+ * @param {object} settings
+ * @returns {Promise<number>}
+ */
+const timeHash = async (settings) => {
+    const started = process.hrtime.bigint();
+    await hashPassword('benchmark-password', settings);
+    return Number(process.hrtime.bigint() - started) / 1e6;
+};
+
+/**
+ * Find the cheapest parameters that take at least `targetMs` per hash
+ * on this host. Argon2id keeps the configured memory and parallelism
+ * and raises the iterations; bcrypt raises the cost factor.
+ * @param {object} [options]
+ * @param {string} [options.algorithm] - Defaults to the configured one
+ * @param {number} [options.targetMs=250] - Desired time per hash
+ * @param {number} [options.samples=3] - Hashes timed per candidate (median)
+ * @returns {Promise<{algorithm: string, params: object, ms: number, env: object}>}
+ */
+const benchmark = async ({ algorithm = getSettings().algorithm, targetMs = 250, samples = 3 } = {}) => {
+    const base = { ...getSettings(), algorithm };
+
+    const measure = async (settings) => {
+        const times = [];
+        for (let i = 0; i < samples; i++) times.push(await timeHash(settings));
+        return times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+    };
+
+    if (algorithm === 'bcrypt') {
+        let cost = 8;
+        let ms = await measure({ ...base, bcryptCost: cost });
+        while (ms < targetMs && cost < 16) {
+            cost++;
+            ms = await measure({ ...base, bcryptCost: cost });
+        }
+        return { algorithm, params: { cost }, ms, env: { PASSWORD_HASH_ALGORITHM: 'bcrypt', BCRYPT_COST: cost } };
+    }
+
+    let timeCost = 2;
+    let ms = await measure({ ...base, argon2: { ...base.argon2, timeCost } });
+    while (ms < targetMs && timeCost < 20) {
+        timeCost++;
+        ms = await measure({ ...base, argon2: { ...base.argon2, timeCost } });
+    }
+
+    const params = { ...base.argon2, timeCost };
+    return {
+        algorithm,
+        params,
+        ms,
+        env: {
+            PASSWORD_HASH_ALGORITHM: 'argon2id',
+            ARGON2_MEMORY_COST: params.memoryCost,
+            ARGON2_TIME_COST: params.timeCost,
+            ARGON2_PARALLELISM: params.parallelism
+        }
+    };
+};
+
+module.exports = {
+    ALGORITHMS,
+    identify,
+    hashPassword,
+    verifyPassword,
+    needsRehash,
+    benchmark
+};
@@ -0,0 +1,381 @@
+/**
+ * Password Policy
+ *
+ * One configurable set of rules for every place a password is chosen:
+ * - Length limits and required character classes
+ * - Strength score (0-4) from a zxcvbn-style guess estimate
+ * - No name or email inside the password
+ * - Not on the local breached-password list
+ *
+ * The same evaluation backs registerValidation, the User schema and the
+ * live strength meter (POST /api/auth/password-policy/check).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_BREACHED_LIST = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+const CHARACTER_CLASSES = [
+    { id: 'lower', label: 'lowercase letters', pattern: /[a-z]/ },
+    { id: 'upper', label: 'uppercase letters', pattern: /[A-Z]/ },
+    { id: 'digit', label: 'numbers', pattern: /[0-9]/ },
+    { id: 'symbol', label: 'symbols', pattern: /[^a-zA-Z0-9]/ }
+];
+
+// Guesses per character that no pattern explains
+const BRUTEFORCE_CARDINALITY = 10;
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890', '!@#$%^&*()', 'qazwsxedcrfvtgbyhnujmikolp'];
+
+const LEET_SUBSTITUTIONS = { '4': 'a', '@': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '2': 'z' };
+
+/**
+ * Current policy settings
+ * @returns {object}
+ */
+const getPolicy = () => ({
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH || 8),
+    maxLength: Number(process.env.PASSWORD_MAX_LENGTH || 128),
+    minClasses: Number(process.env.PASSWORD_MIN_CLASSES || 2),
+    minScore: Number(process.env.PASSWORD_MIN_SCORE || 2),
+    blockPersonalInfo: process.env.PASSWORD_BLOCK_PERSONAL_INFO !== 'false',
+    checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false'
+});
+
+let breachedList = null;
+
+/**
+ * Load the breached-password list once
+ * Plain entries are also used as the dictionary for strength scoring,
+ * ranked by their position in the file.
+ * @returns {{ranks: Map<string, number>, hashes: Set<string>, maxLength: number}}
+ */
+const loadBreachedList = () => {
+    if (breachedList) return breachedList;
+
+    const file = process.env.PASSWORD_BREACHED_LIST || DEFAULT_BREACHED_LIST;
+    breachedList = { ranks: new Map(), hashes: new Set(), maxLength: 0 };
+
+    let contents = '';
+    try {
+        contents = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        console.warn(`⚠️  Breached password list not found at ${file}`);
+    }
+
+    for (const line of contents.split(/\r?\n/)) {
+        const entry = line.trim();
+        if (!entry || entry.startsWith('#')) continue;
+
+        const hash = /^([0-9a-f]{40})(:\d+)?$/i.exec(entry);
+        if (hash) {
+            breachedList.hashes.add(hash[1].toUpperCase());
+        } else if (!breachedList.ranks.has(entry.toLowerCase())) {
+            breachedList.ranks.set(entry.toLowerCase(), breachedList.ranks.size + 1);
+            breachedList.maxLength = Math.max(breachedList.maxLength, entry.length);
+        }
+    }
+
+    return breachedList;
+};
+
+/**
+ * Whether a password appears on the breached list
+ * @param {string} password
+ * @returns {boolean}
+ */
+const isBreached = (password) => {
+    const { ranks, hashes } = loadBreachedList();
+    if (ranks.has(password.toLowerCase())) return true;
+
+    return hashes.size > 0 &&
+        hashes.has(crypto.createHash('sha1').update(password).digest('hex').toUpperCase());
+};
+
+/**
+ * Words taken from the user's name and email address
+ * @param {object} context
+ * @param {string} [context.name]
+ * @param {string} [context.email]
+ * @returns {string[]} - Lowercase words of 3+ characters
+ */
+const personalWords = ({ name, email } = {}) => {
+    const localPart = String(email || '').toLowerCase().split('@')[0];
+    const words = [
+        ...String(name || '').toLowerCase().split(/[\s._-]+/),
+        localPart,
+        ...localPart.split(/[._+-]+/)
+    ];
+    return [...new Set(words.filter(word => word.length >= 3))];
+};
+
+/**
+ * Guess multiplier for capitalisation of a dictionary word
+ * @param {string} word - Word as typed
+ * @returns {number}
+ */
+const uppercaseVariations = (word) => {
+    if (word === word.toLowerCase()) return 1;
+    if (/^[A-Z][^A-Z]+$/.test(word) || /^[^A-Z]+[A-Z]$/.test(word) || word === word.toUpperCase()) return 2;
+
+    const upper = (word.match(/[A-Z]/g) || []).length;
+    const lower = (word.match(/[a-z]/g) || []).length;
+    return Math.pow(2, Math.min(upper, lower) + 1);
+};
+
+/**
+ * Find the patterns an attacker would try first
+ * @param {string} password
+ * @param {string[]} userWords - Personal words, ranked first
+ * @returns {object[]} - Matches: { type, start, end, guesses, ... }
+ */
+const findMatches = (password, userWords) => {
+    const matches = [];
+    const lower = password.toLowerCase();
+    const { ranks, maxLength } = loadBreachedList();
+
+    const rankOf = (word) => userWords.includes(word) ? 1 : ranks.get(word);
+    const longestWord = Math.max(maxLength, ...userWords.map(word => word.length), 0);
+
+    // Dictionary words, including l33t spellings
+    for (let i = 0; i < password.length; i++) {
+        for (let j = i + 3; j <= Math.min(password.length, i + longestWord); j++) {
+            const word = lower.slice(i, j);
+            const unleeted = word.replace(/./g, char => LEET_SUBSTITUTIONS[char] || char);
+            const leet = unleeted !== word;
+            const rank = rankOf(word) || (leet && rankOf(unleeted));
+
+            if (rank) {
+                matches.push({
+                    type: 'dictionary',
+                    start: i,
+                    end: j,
+                    rank,
+                    personal: userWords.includes(leet ? unleeted : word),
+                    leet: Boolean(leet && !rankOf(word)),
+                    capitalised: uppercaseVariations(password.slice(i, j)) > 1,
+                    guesses: rank * uppercaseVariations(password.slice(i, j)) * (leet && !rankOf(word) ? 2 : 1)
+                });
+            }
+        }
+    }
+
+    // Straight rows of keys (forwards or backwards)
+    for (let i = 0; i < lower.length; i++) {
+        let best = 0;
+        for (const row of KEYBOARD_ROWS) {
+            const reversed = [...row].reverse().join('');
+            for (let j = i + 4; j <= lower.length; j++) {
+                const run = lower.slice(i, j);
+                if (row.includes(run) || reversed.includes(run)) best = Math.max(best, run.length);
+            }
+        }
+        if (best) {
+            matches.push({ type: 'spatial', start: i, end: i + best, guesses: 20 * best });
+        }
+    }
+
+    // Sequences like abc, 4321
+    for (let i = 0; i < password.length - 2; i++) {
+        const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+        if (Math.abs(delta) !== 1) continue;
+
+        let j = i + 2;
+        while (j < password.length && password.charCodeAt(j) - password.charCodeAt(j - 1) === delta) j++;
+
+        if (j - i >= 3) {
+            const first = password[i];
+            const base = 'aAzZ019'.includes(first) ? 4 : /\d/.test(first) ? 10 : 26;
+            matches.push({ type: 'sequence', start: i, end: j, guesses: base * (j - i) * (delta < 0 ? 2 : 1) });
+        }
+    }
+
+    // Repeats like aaa, abcabc
+    for (const match of password.matchAll(/(.+?)\1+/g)) {
+        if (match[0].length < 3) continue;
+        const block = match[1];
+        matches.push({
+            type: 'repeat',
+            start: match.index,
+            end: match.index + match[0].length,
+            guesses: Math.pow(BRUTEFORCE_CARDINALITY, block.length) * (match[0].length / block.length)
+        });
+    }
+
+    // Years
+    for (const match of password.matchAll(/(19|20)\d\d/g)) {
+        matches.push({ type: 'year', start: match.index, end: match.index + 4, guesses: 100 });
+    }
+
+    return matches;
+};
+
+/**
+ * Estimate guesses as the cheapest way to build the password from
+ * matches and brute-forced characters, and keep that decomposition
+ * @param {string} password
+ * @param {object[]} matches
+ * @returns {{guesses: number, sequence: object[]}}
+ */
+const estimateGuesses = (password, matches) => {
+    const best = [{ guesses: 1, match: null, from: 0 }];
+
+    for (let end = 1; end <= password.length; end++) {
+        best[end] = { guesses: best[end - 1].guesses * BRUTEFORCE_CARDINALITY, match: null, from: end - 1 };
+
+        for (const match of matches.filter(candidate => candidate.end === end)) {
+            const guesses = best[match.start].guesses * Math.max(match.guesses, 10);
+            if (guesses < best[end].guesses) {
+                best[end] = { guesses, match, from: match.start };
+            }
+        }
+    }
+
+    const sequence = [];
+    for (let end = password.length; end > 0; end = best[end].from) {
+        if (best[end].match) sequence.unshift(best[end].match);
+    }
+
+    return { guesses: best[password.length].guesses, sequence };
+};
+
+/**
+ * Score a password from 0 (too guessable) to 4 (very unguessable)
+ * @param {string} password
+ * @param {object} [context] - { name, email } of the account
+ * @returns {{score: number, guesses: number, warning: string, suggestions: string[]}}
+ */
+const scorePassword = (password, context = {}) => {
+    const { guesses, sequence } = estimateGuesses(password, findMatches(password, personalWords(context)));
+    const score = guesses < 1e3 ? 0 : guesses < 1e6 ? 1 : guesses < 1e8 ? 2 : guesses < 1e10 ? 3 : 4;
+
+    // Explain the longest pattern that was found
+    const main = sequence.slice().sort((a, b) => (b.end - b.start) - (a.end - a.start))[0];
+    let warning = '';
+    const suggestions = [];
+
+    if (main && main.type === 'dictionary') {
+        warning = main.personal ? 'Passwords containing your name or email are easy to guess'
+            : main.rank <= 10 ? 'This is a top-10 common password'
+            : main.rank <= 100 ? 'This is a top-100 common password'
+            : 'This is similar to a commonly used password';
+        if (main.capitalised) suggestions.push('Capitalisation doesn\'t help very much');
+        if (main.leet) suggestions.push('Predictable substitutions like "@" instead of "a" don\'t help very much');
+    } else if (main && main.type === 'spatial') {
+        warning = 'Straight rows of keys are easy to guess';
+    } else if (main && main.type === 'sequence') {
+        warning = 'Sequences like abc or 6543 are easy to guess';
+    } else if (main && main.type === 'repeat') {
+        warning = 'Repeats like "aaa" or "abcabc" are easy to guess';
+    } else if (main && main.type === 'year') {
+        warning = 'Years are easy to guess';
+    }
+
+    if (score < 3) {
+        suggestions.unshift('Add another word or two. Uncommon words are better.');
+    }
+
+    return { score, guesses, warning, suggestions };
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password
+ * @param {object} [context] - { name, email } of the account
+ * @returns {object} - { valid, score, strength, errors, warning, suggestions, rules }
+ */
+const evaluatePassword = (password, context = {}) => {
+    const policy = getPolicy();
+    password = String(password || '');
+
+    const classCount = CHARACTER_CLASSES.filter(({ pattern }) => pattern.test(password)).length;
+    const lower = password.toLowerCase();
+    const { score, warning, suggestions } = scorePassword(password.slice(0, policy.maxLength), context);
+
+    const rules = [
+        {
+            id: 'length',
+            label: `${policy.minLength} to ${policy.maxLength} characters`,
+            met: password.length >= policy.minLength && password.length <= policy.maxLength,
+            message: password.length > policy.maxLength
+                ? `Password cannot exceed ${policy.maxLength} characters`
+                : `Password must be at least ${policy.minLength} characters`
+        },
+        policy.minClasses > 0 && {
+            id: 'classes',
+            label: `At least ${policy.minClasses} of: ${CHARACTER_CLASSES.map(({ label }) => label).join(', ')}`,
+            met: classCount >= policy.minClasses,
+            message: `Password must use at least ${policy.minClasses} of: ${CHARACTER_CLASSES.map(({ label }) => label).join(', ')}`
+        },
+        policy.blockPersonalInfo && {
+            id: 'personal',
+            label: 'Does not contain your name or email',
+            met: !personalWords(context).some(word => lower.includes(word)),
+            message: 'Password must not contain your name or email address'
+        },
+        policy.checkBreached && {
+            id: 'breached',
+            label: 'Not found in known data breaches',
+            met: !isBreached(password),
+            message: 'This password has appeared in a data breach. Please choose a different one.'
+        },
+        {
+            id: 'strength',
+            label: `Strength at least "${STRENGTH_LABELS[policy.minScore]}"`,
+            met: score >= policy.minScore,
+            message: `Password is too easy to guess${warning ? `: ${warning.charAt(0).toLowerCase()}${warning.slice(1)}` : ''}`
+        }
+    ].filter(Boolean);
+
+    const failed = rules.filter(rule => !rule.met);
+
+    return {
+        valid: failed.length === 0,
+        score,
+        strength: STRENGTH_LABELS[score],
+        errors: failed.map(rule => rule.message),
+        warning,
+        suggestions,
+        rules: rules.map(({ id, label, met }) => ({ id, label, met }))
+    };
+};
+
+/**
+ * express-validator / Mongoose helper - throws the first policy error
+ * @param {string} password
+ * @param {object} [context] - { name, email } of the account
+ * @returns {true}
+ */
+const assertPasswordPolicy = (password, context) => {
+    const { valid, errors } = evaluatePassword(password, context);
+    if (!valid) {
+        throw new Error(errors[0]);
+    }
+    return true;
+};
+
+/**
+ * Policy settings and rule labels for clients (no password needed)
+ * @returns {object}
+ */
+const describePolicy = () => {
+    const policy = getPolicy();
+    return {
+        ...policy,
+        minStrength: STRENGTH_LABELS[policy.minScore],
+        strengthLabels: STRENGTH_LABELS,
+        rules: evaluatePassword('').rules.map(({ id, label }) => ({ id, label }))
+    };
+};
+
+module.exports = {
+    getPolicy,
+    evaluatePassword,
+    assertPasswordPolicy,
+    describePolicy,
+    scorePassword
+};
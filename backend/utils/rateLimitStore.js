@@ -0,0 +1,210 @@
+/**
+ * Rate Limit Stores
+ *
+ * Persistence for brute-force counters. Both stores expose the same
+ * async interface:
+ * - get(key)                -> record | null
+ * - set(key, record, ttlMs) -> void
+ * - increment(key, ttlMs)   -> record after adding one to its count
+ * - decrement(key)          -> void, takes one back from a live count
+ * - block(key, block)       -> void, only ever extends an existing block
+ * - delete(key)             -> void
+ *
+ * A record is { count, blockedUntil, lockedOut }. increment, decrement and
+ * block are atomic, so concurrent requests never overwrite each other's count.
+ * RATE_LIMIT_STORE selects the store ("memory" or "mongo"); it defaults
+ * to mongo on Vercel, where instances don't share memory.
+ */
+
+// How often the memory store drops expired entries
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store - fine for a single long-running instance
+ */
+class MemoryStore {
+    constructor() {
+        this.records = new Map();
+
+        // Keys that are never read again (e.g. one-off IPs) would otherwise stay forever
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Drop every expired entry
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.records) {
+            if (entry.expiresAt <= now) this.records.delete(key);
+        }
+    }
+
+    async get(key) {
+        const entry = this.records.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.records.delete(key);
+            return null;
+        }
+        return { ...entry.record };
+    }
+
+    async set(key, record, ttlMs) {
+        this.records.set(key, { record: { ...record }, expiresAt: Date.now() + ttlMs });
+    }
+
+    // No await between reading and writing the entry, so concurrent calls can't interleave
+    async increment(key, ttlMs) {
+        const entry = this.records.get(key);
+        const live = entry && entry.expiresAt > Date.now();
+        const record = live ? entry.record : { count: 0, blockedUntil: null, lockedOut: false };
+
+        record.count += 1;
+        this.records.set(key, {
+            record,
+            expiresAt: Math.max(live ? entry.expiresAt : 0, Date.now() + ttlMs)
+        });
+        return { ...record };
+    }
+
+    async decrement(key) {
+        const entry = this.records.get(key);
+        if (entry && entry.expiresAt > Date.now() && entry.record.count > 0) {
+            entry.record.count -= 1;
+        }
+    }
+
+    async block(key, { blockedUntil, lockedOut }) {
+        const entry = this.records.get(key);
+        if (!entry) return;
+
+        const until = new Date(blockedUntil).getTime();
+        if (!entry.record.blockedUntil || new Date(entry.record.blockedUntil).getTime() < until) {
+            entry.record.blockedUntil = new Date(until);
+        }
+        entry.record.lockedOut = entry.record.lockedOut || Boolean(lockedOut);
+        entry.expiresAt = Math.max(entry.expiresAt, until);
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+}
+
+/**
+ * MongoDB store - shared across instances
+ */
+class MongoStore {
+    constructor() {
+        // Required lazily so the memory store works without a model registered
+        this.RateLimit = require('../models/RateLimit');
+    }
+
+    async get(key) {
+        const doc = await this.RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        if (!doc) return null;
+
+        return {
+            count: doc.count,
+            blockedUntil: doc.blockedUntil,
+            lockedOut: doc.lockedOut
+        };
+    }
+
+    async set(key, record, ttlMs) {
+        await this.RateLimit.updateOne(
+            { key },
+            {
+                $set: {
+                    count: record.count,
+                    blockedUntil: record.blockedUntil,
+                    lockedOut: record.lockedOut,
+                    expiresAt: new Date(Date.now() + ttlMs)
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    async increment(key, ttlMs) {
+        const now = new Date();
+        // Expired documents may linger until the TTL monitor runs; they start over
+        const live = { $gt: ['$expiresAt', now] };
+
+        const doc = await this.RateLimit.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+                    blockedUntil: { $cond: [live, '$blockedUntil', null] },
+                    lockedOut: { $cond: [live, '$lockedOut', false] },
+                    expiresAt: { $max: [{ $cond: [live, '$expiresAt', now] }, new Date(now.getTime() + ttlMs)] }
+                }
+            }],
+            { upsert: true, new: true }
+        ).lean();
+
+        return {
+            count: doc.count,
+            blockedUntil: doc.blockedUntil,
+            lockedOut: doc.lockedOut
+        };
+    }
+
+    async decrement(key) {
+        await this.RateLimit.updateOne(
+            { key, count: { $gt: 0 }, expiresAt: { $gt: new Date() } },
+            { $inc: { count: -1 } }
+        );
+    }
+
+    async block(key, { blockedUntil, lockedOut }) {
+        const update = { $max: { blockedUntil, expiresAt: blockedUntil } };
+        if (lockedOut) update.$set = { lockedOut: true };
+
+        await this.RateLimit.updateOne({ key }, update);
+    }
+
+    async delete(key) {
+        await this.RateLimit.deleteOne({ key });
+    }
+}
+
+let store = null;
+
+/**
+ * Get (and lazily create) the configured store
+ * @returns {MemoryStore|MongoStore}
+ */
+const getStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'mongo' : 'memory');
+
+        if (name === 'mongo') {
+            store = new MongoStore();
+        } else if (name === 'memory') {
+            store = new MemoryStore();
+        } else {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+        }
+    }
+    return store;
+};
+
+/**
+ * Replace the active store (e.g. a fresh MemoryStore in tests)
+ * @param {object|null} custom - Store, or null to reset
+ */
+const setStore = (custom) => {
+    store = custom;
+};
+
+module.exports = {
+    MemoryStore,
+    MongoStore,
+    getStore,
+    setStore
+};
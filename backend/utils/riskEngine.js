@@ -0,0 +1,197 @@
+/**
+ * Login Risk Engine
+ *
+ * Scores a login attempt against the account's recent login history.
+ * Pure and synchronous: the attempt, the history, the settings (see
+ * config/risk.js) and the GeoIP lookup are all passed in, so the engine
+ * can be exercised with synthetic histories.
+ *
+ * History entries look like AuthEvent login records:
+ *   { outcome: 'success' | 'failure', ip, userAgent, createdAt }
+ */
+
+const { normalizeIp, subnetOf } = require('./ipAddress');
+const { describeUserAgent } = require('./userAgent');
+
+const EARTH_RADIUS_KM = 6371;
+// No two places are further apart
+const MAX_DISTANCE_KM = Math.PI * EARTH_RADIUS_KM;
+
+/**
+ * Great-circle distance between two locations
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number} - Kilometres
+ */
+const distanceKm = (from, to) => {
+    const radians = (degrees) => degrees * Math.PI / 180;
+    const deltaLatitude = radians(to.latitude - from.latitude);
+    const deltaLongitude = radians(to.longitude - from.longitude);
+
+    const a = Math.sin(deltaLatitude / 2) ** 2
+        + Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * UTC hour of day with minutes as a fraction, e.g. 13.5 for 13:30
+ * @param {Date} date
+ * @returns {number}
+ */
+const hourOfDay = (date) => date.getUTCHours() + date.getUTCMinutes() / 60;
+
+/**
+ * Distance between two hours of the day, wrapping around midnight
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+const hoursApart = (a, b) => {
+    const difference = Math.abs(a - b) % 24;
+    return Math.min(difference, 24 - difference);
+};
+
+const placeName = (location) => [location.city, location.country].filter(Boolean).join(', ') || 'unknown location';
+
+/**
+ * Signal rules
+ * Each gets the scoring context and its own settings and returns a short
+ * description when its signal fires, or null. Novelty rules only fire once
+ * the account has a successful login to compare against.
+ */
+const RULES = {
+    newIp: ({ attempt, successes }) => (
+        successes.length > 0 && !successes.some(event => event.ip === attempt.ip)
+            ? `First login from ${attempt.ip}`
+            : null
+    ),
+
+    newSubnet: ({ attempt, successes }) => {
+        const subnet = subnetOf(attempt.ip);
+        return successes.length > 0 && subnet && !successes.some(event => subnetOf(event.ip) === subnet)
+            ? `First login from network ${subnet}`
+            : null;
+    },
+
+    newUserAgent: ({ attempt, successes }) => {
+        const device = describeUserAgent(attempt.userAgent);
+        return successes.length > 0 && !successes.some(event => describeUserAgent(event.userAgent) === device)
+            ? `First login with ${device}`
+            : null;
+    },
+
+    unusualHour: ({ attempt, successes }, { minLogins, toleranceHours }) => {
+        const hour = hourOfDay(attempt.at);
+        return successes.length >= minLogins
+            && !successes.some(event => hoursApart(hourOfDay(event.createdAt), hour) <= toleranceHours)
+            ? `No previous logins around ${String(attempt.at.getUTCHours()).padStart(2, '0')}:00 UTC`
+            : null;
+    },
+
+    // Compared with every earlier success, not just the latest, so an
+    // attacker's own recent login can't hide the owner's. Successes too old
+    // to be out of reach at any distance are skipped.
+    impossibleTravel: ({ attempt, successes, locate }, { maxSpeedKmh, minDistanceKm }) => {
+        const to = locate && successes.length > 0 ? locate(attempt.ip) : null;
+        if (!to) return null;
+
+        let fastest = null;
+        for (const previous of successes) {
+            const hours = Math.max((attempt.at - previous.createdAt) / (60 * 60 * 1000), 1 / 60);
+            if (MAX_DISTANCE_KM / hours <= maxSpeedKmh) break;
+
+            const from = locate(previous.ip);
+            if (!from) continue;
+
+            const distance = distanceKm(from, to);
+            const speed = distance / hours;
+            if (distance >= minDistanceKm && speed > maxSpeedKmh && (!fastest || speed > fastest.speed)) {
+                fastest = { from, distance, hours, speed };
+            }
+        }
+        if (!fastest) return null;
+
+        const { from, distance, hours } = fastest;
+        const elapsed = hours < 2 ? `${Math.round(hours * 60)} min` : `${Math.round(hours)} h`;
+        return `${Math.round(distance)} km from ${placeName(from)} to ${placeName(to)} in ${elapsed}`;
+    },
+
+    failureBurst: ({ attempt, failures }, { threshold, windowMinutes }) => {
+        const since = attempt.at.getTime() - windowMinutes * 60 * 1000;
+        const recent = failures.filter(event => event.createdAt.getTime() >= since).length;
+        return recent >= threshold
+            ? `${recent} failed logins in the last ${windowMinutes} minutes`
+            : null;
+    }
+};
+
+// What an owner signing in while travelling produces on their own: a new
+// address, network and browser at an odd hour, far from the last login.
+// Together they can reach the block threshold, so they only ever challenge;
+// blocking needs another signal, such as a failure burst.
+const TRAVEL_RULES = new Set(['newIp', 'newSubnet', 'newUserAgent', 'unusualHour', 'impossibleTravel']);
+
+/**
+ * Map a score to an action
+ * @param {number} score
+ * @param {{challengeScore: number, blockScore: number}} config
+ * @returns {string} - "allow", "challenge" or "block"
+ */
+const decideAction = (score, { challengeScore, blockScore }) => {
+    if (score >= blockScore) return 'block';
+    if (score >= challengeScore) return 'challenge';
+    return 'allow';
+};
+
+/**
+ * Score a login attempt
+ * Travel rules alone challenge at most, whatever the score.
+ * @param {object} attempt
+ * @param {string} attempt.ip
+ * @param {string} attempt.userAgent
+ * @param {Date} [attempt.at] - Time of the attempt (default now)
+ * @param {object[]} history - Earlier login events of the account, any order
+ * @param {object} config - Settings from getRiskConfig()
+ * @param {object} [options]
+ * @param {function(string): object|null} [options.locate] - GeoIP lookup
+ * @returns {{score: number, action: string, signals: object[]}}
+ */
+const assessRisk = (attempt, history, config, { locate = null } = {}) => {
+    const events = history
+        .map(event => ({ ...event, ip: normalizeIp(event.ip), createdAt: new Date(event.createdAt) }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+    const context = {
+        attempt: { ...attempt, ip: normalizeIp(attempt.ip), at: new Date(attempt.at || Date.now()) },
+        successes: events.filter(event => event.outcome === 'success'),
+        failures: events.filter(event => event.outcome === 'failure'),
+        locate
+    };
+
+    const signals = [];
+    for (const [rule, settings] of Object.entries(config.rules)) {
+        if (!RULES[rule] || !(settings.weight > 0)) continue;
+
+        const detail = RULES[rule](context, settings);
+        if (detail) {
+            signals.push({ rule, weight: settings.weight, detail });
+        }
+    }
+
+    const score = Math.min(100, signals.reduce((total, signal) => total + signal.weight, 0));
+
+    let action = decideAction(score, config);
+    if (action === 'block' && signals.every(signal => TRAVEL_RULES.has(signal.rule))) {
+        action = 'challenge';
+    }
+
+    return { score, action, signals };
+};
+
+module.exports = {
+    RULES,
+    assessRisk,
+    decideAction,
+    distanceKm
+};
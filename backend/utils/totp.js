@@ -0,0 +1,158 @@
+/**
+ * TOTP (RFC 6238) Helpers
+ *
+ * Time-based one-time passwords compatible with Google Authenticator,
+ * Authy, 1Password, etc. Uses HMAC-SHA1, 6 digits and a 30 second step,
+ * which is what authenticator apps assume by default.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case/space/padding tolerant)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret (160 bits, as recommended by RFC 4226)
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step counter for a timestamp
+ * @param {number} [time] - Milliseconds since epoch
+ * @returns {number}
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return String(code).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Milliseconds since epoch
+ * @returns {string}
+ */
+const generateToken = (secret, time) => hotp(secret, timeStep(time));
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {object} [options]
+ * @param {number} [options.window=1] - Steps accepted either side of now
+ * @param {number} [options.time] - Milliseconds since epoch
+ * @returns {number|null} - Matching time step, or null if invalid
+ */
+const verifyToken = (secret, token, { window = 1, time } = {}) => {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(code) || code.length !== DIGITS) {
+        return null;
+    }
+
+    const current = timeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps / QR codes
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} [issuer]
+ * @returns {string}
+ */
+const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'SecureSphere') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateToken,
+    verifyToken,
+    buildOtpauthUri
+};
@@ -0,0 +1,34 @@
+/**
+ * User Agent Helpers
+ *
+ * Friendly device names from User-Agent strings, e.g. "Chrome on Windows".
+ * Deliberately coarse: it only has to tell a user's own devices apart.
+ * Uses the same rules as describeUserAgent() in the frontend.
+ */
+
+/**
+ * Summarize a user agent string as "Browser on OS"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const describeUserAgent = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Browser';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : 'Unknown OS';
+
+    return `${browser} on ${os}`;
+};
+
+module.exports = {
+    describeUserAgent
+};
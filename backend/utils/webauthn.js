@@ -0,0 +1,113 @@
+/**
+ * WebAuthn Helpers
+ *
+ * Thin wrapper around @simplewebauthn/server that supplies the relying
+ * party settings from the environment:
+ * - WEBAUTHN_RP_ID:   domain passkeys are bound to (default "localhost")
+ * - WEBAUTHN_RP_NAME: name shown by the authenticator (default "SecureSphere")
+ * - WEBAUTHN_ORIGIN:  comma-separated allowed origins (default FRONTEND_URL)
+ *
+ * Every function accepts an optional `rp` override so the ceremonies can
+ * be exercised with a software authenticator outside a browser.
+ */
+
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { frontendUrl } = require('./emailTemplates');
+
+/**
+ * Relying party configuration
+ * @returns {{id: string, name: string, origins: string[]}}
+ */
+const relyingParty = () => ({
+    id: process.env.WEBAUTHN_RP_ID || 'localhost',
+    name: process.env.WEBAUTHN_RP_NAME || 'SecureSphere',
+    origins: (process.env.WEBAUTHN_ORIGIN || frontendUrl())
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean)
+});
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {object} user - User document
+ * @param {object[]} existing - User's WebAuthnCredential documents (excluded)
+ * @param {object} [rp=relyingParty()]
+ * @returns {Promise<object>}
+ */
+const createRegistrationOptions = (user, existing, rp = relyingParty()) => generateRegistrationOptions({
+    rpName: rp.name,
+    rpID: rp.id,
+    userName: user.email,
+    userDisplayName: user.name,
+    userID: new Uint8Array(Buffer.from(user._id.toString())),
+    attestationType: 'none',
+    excludeCredentials: existing.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+    })),
+    authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+    }
+});
+
+/**
+ * Verify a registration response
+ * @param {object} response - RegistrationResponseJSON from the browser
+ * @param {string} expectedChallenge
+ * @param {object} [rp=relyingParty()]
+ * @returns {Promise<object>} - { verified, registrationInfo }
+ */
+const verifyRegistration = (response, expectedChallenge, rp = relyingParty()) => verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: rp.origins,
+    expectedRPID: rp.id,
+    requireUserVerification: false
+});
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {object[]} credentials - Allowed credentials (empty for discoverable sign-in)
+ * @param {object} [rp=relyingParty()]
+ * @returns {Promise<object>}
+ */
+const createAuthenticationOptions = (credentials, rp = relyingParty()) => generateAuthenticationOptions({
+    rpID: rp.id,
+    allowCredentials: credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+    })),
+    userVerification: 'preferred'
+});
+
+/**
+ * Verify an authentication response, including the signature counter
+ * (throws if the counter did not increase, which points at a cloned authenticator)
+ * @param {object} response - AuthenticationResponseJSON from the browser
+ * @param {string} expectedChallenge
+ * @param {object} credential - Stored WebAuthnCredential document
+ * @param {object} [rp=relyingParty()]
+ * @returns {Promise<object>} - { verified, authenticationInfo }
+ */
+const verifyAuthentication = (response, expectedChallenge, credential, rp = relyingParty()) => verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: rp.origins,
+    expectedRPID: rp.id,
+    credential: credential.toVerifierCredential(),
+    requireUserVerification: false
+});
+
+module.exports = {
+    relyingParty,
+    createRegistrationOptions,
+    verifyRegistration,
+    createAuthenticationOptions,
+    verifyAuthentication
+};
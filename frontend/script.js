@@ -12,6 +12,66 @@ const API_URL = window.location.hostname === 'secure-sphere-login-page.vercel.ap
     ? 'https://secure-sphere-login-page.vercel.app/api/auth'
     : "https://secure-sphere-login-page.vercel.app/api/auth"; // --- IGNORE ---
 
+const ADMIN_API_URL = API_URL.replace(/\/auth$/, '/admin');
+const OAUTH_URL = API_URL.replace(/\/api\/auth$/, '/oauth');
+
+// ===========================
+// CSRF PROTECTION
+// ===========================
+
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Shared token request so a page bootstraps the token only once
+let csrfTokenPromise = null;
+
+/**
+ * Get the CSRF token (GET /csrf-token also sets its cookie)
+ * @param {boolean} [renew=false] - Ask the server again, e.g. after a rejection
+ * @returns {Promise<string|null>}
+ */
+function getCsrfToken(renew = false) {
+    if (!csrfTokenPromise || renew) {
+        csrfTokenPromise = fetch(`${API_URL}/csrf-token`, { credentials: 'include' })
+            .then(response => response.json())
+            .then(data => data.csrfToken || null)
+            .catch(error => {
+                console.error('CSRF token request failed:', error);
+                csrfTokenPromise = null;
+                return null;
+            });
+    }
+    return csrfTokenPromise;
+}
+
+/**
+ * fetch() for API requests: state-changing requests get the X-CSRF-Token
+ * header, and a rejected token is renewed and the request retried once.
+ * Every call to the API in this file goes through here (apiFetch included).
+ * @param {string} url - API URL
+ * @param {object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+async function apiRequest(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (CSRF_SAFE_METHODS.includes(method)) {
+        return fetch(url, options);
+    }
+
+    const send = async (renew) => {
+        const headers = new Headers(options.headers);
+        const token = await getCsrfToken(renew);
+        if (token) headers.set('X-CSRF-Token', token);
+        return fetch(url, { ...options, headers });
+    };
+
+    const response = await send(false);
+    if (response.status === 403) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code === 'CSRF_TOKEN_INVALID') return send(true);
+    }
+    return response;
+}
+
 // ===========================
 // UTILITY FUNCTIONS
 // ===========================
@@ -23,6 +83,15 @@ function isValidEmail(email) {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+/**
+ * Escape text for safe insertion into innerHTML
+ */
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
 /**
  * Show error message in form field
  */
@@ -132,16 +201,18 @@ class ToastManager {
             info: 'ℹ'
         };
 
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.innerHTML = `
-            <span class="toast-icon">${icons[type] || 'ℹ'}</span>
-            <div class="toast-content">
-                <div class="toast-title">${title}</div>
-                <div class="toast-message">${message}</div>
-            </div>
-            <span class="toast-close">×</span>
-        `;
+        // Built with textContent: messages may come from the server or the URL
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            node.className = className;
+            node.textContent = text;
+            return node;
+        };
+
+        const toast = element('div', `toast ${type}`, '');
+        const content = element('div', 'toast-content', '');
+        content.append(element('div', 'toast-title', title), element('div', 'toast-message', message));
+        toast.append(element('span', 'toast-icon', icons[type] || 'ℹ'), content, element('span', 'toast-close', '×'));
 
         this.container.appendChild(toast);
 
@@ -225,6 +296,104 @@ function setupLiveValidation(formId) {
     });
 }
 
+// ===========================
+// PASSWORD POLICY
+// ===========================
+
+// Used until GET /password-policy answers; the server enforces the real rules
+let passwordPolicy = { minLength: 8 };
+let passwordPolicyRequest = null;
+
+/**
+ * Load the server's password rules once
+ */
+function loadPasswordPolicy() {
+    if (!passwordPolicyRequest) {
+        passwordPolicyRequest = apiRequest(`${API_URL}/password-policy`)
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) passwordPolicy = data.policy;
+                return passwordPolicy;
+            })
+            .catch(error => {
+                console.error('Password policy load error:', error);
+                return passwordPolicy;
+            });
+    }
+    return passwordPolicyRequest;
+}
+
+/**
+ * Message for a new password that is too short, or '' if long enough
+ */
+function passwordLengthError(password) {
+    return password.length < passwordPolicy.minLength
+        ? `Password must be at least ${passwordPolicy.minLength} characters`
+        : '';
+}
+
+/**
+ * Live strength meter for a new-password field
+ * Scores are computed by the server with the same rules it enforces,
+ * so the meter and the final check never disagree.
+ * @param {HTMLInputElement} passwordInput
+ * @param {Function} getContext - () => ({ name, email }) of the account
+ */
+function setupPasswordStrengthMeter(passwordInput, getContext) {
+    const meter = document.getElementById('passwordStrength');
+    if (!meter) return;
+
+    const fill = document.getElementById('passwordStrengthFill');
+    const label = document.getElementById('passwordStrengthLabel');
+    const rules = document.getElementById('passwordStrengthRules');
+
+    let timer = null;
+    let latest = 0;
+
+    const update = async () => {
+        const password = passwordInput.value;
+        const request = ++latest;
+
+        if (!password) {
+            meter.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const response = await apiRequest(`${API_URL}/password-policy/check`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password, ...getContext() })
+            });
+            const data = await response.json();
+
+            // Ignore answers that arrive after a newer keystroke
+            if (request !== latest || !data.success) return;
+
+            meter.classList.remove('hidden');
+            meter.dataset.score = data.score;
+            fill.style.width = `${(data.score + 1) * 20}%`;
+            label.textContent = `Strength: ${data.strength}${data.warning ? ` - ${data.warning}` : ''}`;
+            rules.innerHTML = data.rules.map(rule => `
+                <li class="${rule.met ? 'met' : ''}">${rule.met ? '✓' : '✗'} ${escapeHtml(rule.label)}</li>
+            `).join('');
+        } catch (error) {
+            console.error('Password check error:', error);
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(update, 250);
+    };
+
+    passwordInput.addEventListener('input', schedule);
+    ['name', 'email'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', schedule);
+    });
+}
+
 function validateField(input) {
     const errorElement = document.getElementById(input.id + 'Error');
     if (!errorElement) return true;
@@ -243,10 +412,10 @@ function validateField(input) {
         isValid = false;
         message = 'Please enter a valid email address';
     }
-    // Password length
-    else if (input.type === 'password' && value && value.length < 6) {
+    // New password length (login fields accept whatever was set before)
+    else if ('passwordPolicy' in input.dataset && value && passwordLengthError(value)) {
         isValid = false;
-        message = 'Password must be at least 6 characters';
+        message = passwordLengthError(value);
     }
     // Name length
     else if (input.id === 'name' && value && value.length < 2) {
@@ -266,28 +435,220 @@ function validateField(input) {
 }
 
 // ===========================
-// AUTHENTICATION CHECK
+// API CLIENT
 // ===========================
 
-async function checkAuthStatus() {
-    const token = localStorage.getItem('token');
-    if (!token) return false;
+const AUTH_STORAGE_KEYS = ['token', 'user'];
 
-    try {
-        const response = await fetch(`${API_URL}/verify`, {
-            method: 'GET',
+/**
+ * Read an auth value from whichever storage holds the current login
+ */
+function getAuthItem(key) {
+    return sessionStorage.getItem(key) || localStorage.getItem(key);
+}
+
+/**
+ * Store the access token and user returned by login/register/refresh
+ * "Remember me" logins live in localStorage; browser-session logins use
+ * sessionStorage so they end when the browser is closed. The refresh token
+ * only ever lives in its httpOnly cookie.
+ */
+function storeAuthTokens(data) {
+    let storage;
+    if (data.session) {
+        storage = data.session.persistent ? localStorage : sessionStorage;
+        const other = storage === localStorage ? sessionStorage : localStorage;
+        AUTH_STORAGE_KEYS.forEach(key => other.removeItem(key));
+    } else {
+        storage = sessionStorage.getItem('user') ? sessionStorage : localStorage;
+    }
+
+    if (data.token) storage.setItem('token', data.token);
+    if (data.user) storage.setItem('user', JSON.stringify(data.user));
+}
+
+/**
+ * Remove all locally stored auth state
+ */
+function clearAuthTokens() {
+    AUTH_STORAGE_KEYS.forEach(key => {
+        localStorage.removeItem(key);
+        sessionStorage.removeItem(key);
+    });
+}
+
+// Shared in-flight refresh so parallel requests rotate the token only once
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new access token
+ * @returns {Promise<boolean>} - True if a new access token was issued
+ */
+function refreshAccessToken() {
+    if (!refreshPromise) {
+        refreshPromise = apiRequest(`${API_URL}/refresh`, {
+            method: 'POST',
             headers: {
-                'Authorization': `Bearer ${token}`,
                 'Content-Type': 'application/json'
             },
             credentials: 'include'
+        })
+            .then(async response => {
+                const data = await response.json();
+                if (response.ok && data.success) {
+                    storeAuthTokens(data);
+                    return true;
+                }
+                clearAuthTokens();
+                return false;
+            })
+            .catch(error => {
+                console.error('Token refresh failed:', error);
+                return false;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+}
+
+// Shared open prompt so parallel requests ask for the password only once
+let reauthPromise = null;
+
+/**
+ * Ask the user to confirm their password (step-up re-authentication)
+ * @returns {Promise<boolean>} - True once the server accepted the password
+ */
+function requestReauthentication() {
+    if (reauthPromise) return reauthPromise;
+
+    reauthPromise = new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'reauth-modal';
+        modal.innerHTML = `
+            <form class="reauth-dialog" novalidate>
+                <h3>🔒 Confirm your password</h3>
+                <p>This action needs a recent sign-in. Enter your password to continue.</p>
+                <div class="form-group">
+                    <label for="reauthPassword">Password</label>
+                    <div class="input-wrapper">
+                        <input type="password" id="reauthPassword" placeholder="Enter your password" autocomplete="current-password" required>
+                    </div>
+                    <div class="error-message" id="reauthPasswordError"></div>
+                </div>
+                <button type="submit" class="btn-primary">Continue</button>
+                <button type="button" class="btn-cancel">Cancel</button>
+            </form>
+        `;
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('form');
+        const passwordInput = modal.querySelector('#reauthPassword');
+        const passwordError = modal.querySelector('#reauthPasswordError');
+        const submitButton = form.querySelector('.btn-primary');
+
+        const close = (confirmed) => {
+            modal.remove();
+            reauthPromise = null;
+            resolve(confirmed);
+        };
+
+        modal.querySelector('.btn-cancel').addEventListener('click', () => close(false));
+        modal.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close(false);
+        });
+
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            clearErrors(passwordError);
+
+            const password = passwordInput.value;
+            if (!password) {
+                showError(passwordError, 'Password is required');
+                return;
+            }
+
+            setButtonLoading(submitButton, true, 'Confirming...');
+
+            try {
+                const response = await apiFetch('/reauthenticate', {
+                    method: 'POST',
+                    body: JSON.stringify({ password })
+                });
+                const data = await response.json();
+
+                if (response.ok && data.success) {
+                    close(true);
+                    return;
+                }
+
+                showError(passwordError, data.message || 'Could not confirm your password');
+                passwordInput.select();
+            } catch (error) {
+                console.error('Reauthenticate error:', error);
+                showError(passwordError, 'Network error. Please try again.');
+            }
+            setButtonLoading(submitButton, false);
         });
 
+        passwordInput.focus();
+    });
+
+    return reauthPromise;
+}
+
+/**
+ * Fetch wrapper for authenticated API calls
+ * Attaches the access token and transparently refreshes it once on expiry.
+ * When a sensitive route asks for a step-up (REAUTH_REQUIRED), prompts for
+ * the password and retries the request once it is confirmed.
+ * Pass options.baseUrl (e.g. ADMIN_API_URL) to call another API prefix
+ */
+async function apiFetch(path, options = {}, retry = true, stepUp = true) {
+    const { baseUrl = API_URL, ...fetchOptions } = options;
+    const token = getAuthItem('token');
+    const response = await apiRequest(`${baseUrl}${path}`, {
+        ...fetchOptions,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'Authorization': `Bearer ${token}` }),
+            ...fetchOptions.headers
+        },
+        credentials: 'include'
+    });
+
+    if (response.status === 401 && retry) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code === 'TOKEN_EXPIRED' && await refreshAccessToken()) {
+            return apiFetch(path, options, false, stepUp);
+        }
+    }
+
+    if (response.status === 403 && stepUp) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.code === 'REAUTH_REQUIRED' && await requestReauthentication()) {
+            return apiFetch(path, options, retry, false);
+        }
+    }
+
+    return response;
+}
+
+// ===========================
+// AUTHENTICATION CHECK
+// ===========================
+
+async function checkAuthStatus() {
+    if (!getAuthItem('user')) return false;
+
+    try {
+        const response = await apiFetch('/verify', { method: 'GET' });
+
         if (response.ok) {
             return true;
         } else {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+            clearAuthTokens();
             return false;
         }
     } catch (error) {
@@ -296,9 +657,18 @@ async function checkAuthStatus() {
     }
 }
 
+/**
+ * Where to go after logging in: back to a pending OAuth consent
+ * request (index.html?oauthRequest=...) or the dashboard
+ */
+function postLoginDestination() {
+    const oauthRequest = new URLSearchParams(window.location.search).get('oauthRequest');
+    return oauthRequest ? `consent.html?request=${encodeURIComponent(oauthRequest)}` : 'dashboard.html';
+}
+
 async function redirectIfAuthenticated() {
     if (await checkAuthStatus()) {
-        window.location.href = 'dashboard.html';
+        window.location.href = postLoginDestination();
     }
 }
 
@@ -313,14 +683,12 @@ async function requireAuthentication() {
 // ===========================
 
 function initLoginPage() {
-    // Check if already logged in
-    redirectIfAuthenticated();
-
     const loginForm = document.getElementById('loginForm');
     if (!loginForm) return;
 
     const emailInput = document.getElementById('email');
     const passwordInput = document.getElementById('password');
+    const rememberInput = document.getElementById('remember');
     const emailError = document.getElementById('emailError');
     const passwordError = document.getElementById('passwordError');
     const submitButton = loginForm.querySelector('.btn-primary');
@@ -338,6 +706,32 @@ function initLoginPage() {
         }
     });
 
+    // Returning from an external provider or a magic link: finish that sign-in instead
+    if (!handleOidcRedirect(submitButton) && !handleMagicLinkRedirect(submitButton)) {
+        redirectIfAuthenticated();
+    }
+    initOidcProviders();
+
+    // Passwordless sign-in: email a link for the address in the form
+    const magicLinkButton = document.getElementById('magicLinkButton');
+    if (magicLinkButton) {
+        magicLinkButton.addEventListener('click', function() {
+            clearErrors(emailError, passwordError);
+            const remember = rememberInput ? rememberInput.checked : false;
+            requestMagicLink(this, emailInput.value.trim(), remember, emailError);
+        });
+    }
+
+    // Offer passkey sign-in where the browser supports WebAuthn
+    const passkeyButton = document.getElementById('passkeyLoginButton');
+    if (passkeyButton && isPasskeySupported()) {
+        passkeyButton.classList.remove('hidden');
+        passkeyButton.addEventListener('click', function() {
+            const remember = rememberInput ? rememberInput.checked : false;
+            loginWithPasskey(this, remember);
+        });
+    }
+
     // Handle form submission
     loginForm.addEventListener('submit', async function(e) {
         e.preventDefault();
@@ -347,6 +741,7 @@ function initLoginPage() {
 
         const email = emailInput.value.trim();
         const password = passwordInput.value;
+        const remember = rememberInput ? rememberInput.checked : false;
 
         // Frontend validation
         let isValid = true;
@@ -362,9 +757,6 @@ function initLoginPage() {
         if (!password) {
             showError(passwordError, 'Password is required');
             isValid = false;
-        } else if (password.length < 6) {
-            showError(passwordError, 'Password must be at least 6 characters');
-            isValid = false;
         }
 
         if (!isValid) return;
@@ -373,32 +765,40 @@ function initLoginPage() {
         setButtonLoading(submitButton, true, 'Logging in...');
 
         try {
-            const response = await fetch(`${API_URL}/login`, {
+            const response = await apiRequest(`${API_URL}/login`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 credentials: 'include',
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify({ email, password, remember })
             });
 
             const data = await response.json();
 
-            if (response.ok && data.success) {
+            if (response.ok && data.success && data.mfaRequired) {
+                // Password accepted - ask for the second factor
+                setButtonLoading(submitButton, false);
+                showTwoFactorStep(data.mfaToken);
+            } else if (response.ok && data.success && data.deviceVerificationRequired) {
+                // Password accepted from a new device or an unusual sign-in - ask for the emailed code
+                setButtonLoading(submitButton, false);
+                showDeviceVerificationStep(data.deviceToken, data.message);
+            } else if (response.ok && data.success) {
                 // Login successful
-                localStorage.setItem('token', data.token);
-                localStorage.setItem('user', JSON.stringify(data.user));
-                
-                // Show success
-                submitButton.innerHTML = '✓ Success!';
-                submitButton.style.background = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
-                
-                toast.success('Success!', 'Login successful. Redirecting...', 2000);
-                
-                // Redirect after animation (use replace to prevent back navigation)
-                setTimeout(() => {
-                    window.location.replace('dashboard.html');
-                }, 1000);
+                completeLogin(data, submitButton);
+            } else if (response.status === 429) {
+                // Too many failed attempts - wait out the backoff/lockout
+                setButtonLoading(submitButton, false);
+                startLockoutCountdown(data.retryAfter || Number(response.headers.get('Retry-After')) || 60, data.message, submitButton, passwordError);
+                toast.error('Too Many Attempts', data.message || 'Please wait before trying again');
+            } else if (data.code === 'EMAIL_NOT_VERIFIED') {
+                // Account exists but email must be verified first
+                showError(emailError, data.message);
+                toast.info('Verify Your Email', 'We can resend the verification link if you need it.', 0)
+                    .querySelector('.toast-message')
+                    .appendChild(createResendVerificationLink(email));
+                setButtonLoading(submitButton, false);
             } else {
                 // Login failed
                 showError(passwordError, data.message || 'Login failed. Please try again.');
@@ -414,78 +814,613 @@ function initLoginPage() {
     });
 }
 
-// ===========================
-// REGISTER PAGE
-// ===========================
+/**
+ * Disable a form's submit button and show the remaining lockout time
+ * @param {number} seconds - Seconds until another attempt is allowed
+ * @param {string} message - Server message explaining the lockout
+ */
+function startLockoutCountdown(seconds, message, submitButton, errorElement) {
+    const endsAt = Date.now() + seconds * 1000;
 
-function initRegisterPage() {
-    // Check if already logged in
-    redirectIfAuthenticated();
+    const formatRemaining = (ms) => {
+        const total = Math.ceil(ms / 1000);
+        const minutes = Math.floor(total / 60);
+        return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+    };
 
-    const registerForm = document.getElementById('registerForm');
-    if (!registerForm) return;
+    clearInterval(submitButton.lockoutTimer);
+    submitButton.disabled = true;
 
-    const nameInput = document.getElementById('name');
-    const emailInput = document.getElementById('email');
-    const passwordInput = document.getElementById('password');
-    const confirmPasswordInput = document.getElementById('confirmPassword');
-    const successMessage = document.getElementById('successMessage');
-    const submitButton = registerForm.querySelector('.btn-primary');
+    const tick = () => {
+        const remaining = endsAt - Date.now();
+        if (remaining <= 0) {
+            clearInterval(submitButton.lockoutTimer);
+            submitButton.disabled = false;
+            errorElement.classList.remove('show');
+            return;
+        }
+        showError(errorElement, `${message || 'Too many failed attempts.'} (${formatRemaining(remaining)} remaining)`);
+    };
 
-    const nameError = document.getElementById('nameError');
-    const emailError = document.getElementById('emailError');
-    const passwordError = document.getElementById('passwordError');
-    const confirmPasswordError = document.getElementById('confirmPasswordError');
+    tick();
+    submitButton.lockoutTimer = setInterval(tick, 1000);
+}
 
-    // Setup live validation
-    setupLiveValidation('registerForm');
+// ===========================
+// EXTERNAL SIGN-IN (OIDC)
+// ===========================
 
-    // Initialize password toggles
-    initPasswordToggle();
+/**
+ * Render a button for every configured external identity provider
+ * Used on both the login and registration pages; accounts are created
+ * or linked by verified email on first sign-in.
+ */
+async function initOidcProviders() {
+    const container = document.getElementById('oidcProviders');
+    if (!container) return;
 
-    // Add ripple effect to button
-    submitButton.addEventListener('click', function(e) {
-        if (!this.disabled) {
-            createRipple(e, this);
-        }
-    });
+    try {
+        const response = await apiRequest(`${API_URL}/oidc/providers`);
+        const data = await response.json();
+        if (!response.ok || !data.success || data.providers.length === 0) return;
+
+        container.innerHTML = data.providers.map(provider => `
+            <button type="button" class="btn-oidc" data-provider="${escapeHtml(provider.id)}">
+                Continue with ${escapeHtml(provider.name)}
+            </button>
+        `).join('');
+        container.classList.remove('hidden');
+
+        container.querySelectorAll('.btn-oidc').forEach(button => {
+            button.addEventListener('click', function() {
+                const rememberInput = document.getElementById('remember');
+                const remember = rememberInput ? rememberInput.checked : false;
+                setButtonLoading(this, true, 'Redirecting...');
+                window.location.href = `${API_URL}/oidc/${encodeURIComponent(this.dataset.provider)}/start?remember=${remember}`;
+            });
+        });
+    } catch (error) {
+        console.error('OIDC providers error:', error);
+    }
+}
 
-    // Live password match validation
-    confirmPasswordInput.addEventListener('input', function() {
-        if (this.value && passwordInput.value !== this.value) {
-            showError(confirmPasswordError, 'Passwords do not match');
-        } else {
-            confirmPasswordError.classList.remove('show');
-        }
-    });
+// Messages for the error codes the OIDC callback sends back in the URL
+const OIDC_ERROR_MESSAGES = {
+    unknown_provider: 'Unknown sign-in provider.',
+    provider_unreachable: 'Could not reach the sign-in provider. Please try again.',
+    cancelled: 'Sign-in was cancelled.',
+    invalid_state: 'Sign-in request expired. Please try again.',
+    no_verified_email: 'Your account with the provider has no verified email address.',
+    failed: 'External sign-in failed. Please try again.'
+};
 
-    // Handle form submission
-    registerForm.addEventListener('submit', async function(e) {
-        e.preventDefault();
-        
-        // Clear previous errors
-        clearErrors(nameError, emailError, passwordError, confirmPasswordError);
-        successMessage.classList.remove('show');
+/**
+ * Finish an external sign-in when the provider sent us back with a
+ * one-time ticket (or an error code) in the URL
+ * @returns {boolean} - True if the URL carried an OIDC result
+ */
+function handleOidcRedirect(submitButton) {
+    const params = new URLSearchParams(window.location.search);
+    const ticket = params.get('oidcTicket');
+    const error = params.get('oidcError');
+    if (!ticket && !error) return false;
+
+    // Don't leave the ticket in the address bar or history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (error) {
+        // Only known codes are shown; the URL is attacker-controlled
+        toast.error('Sign-In Failed', OIDC_ERROR_MESSAGES[error] || OIDC_ERROR_MESSAGES.failed);
+        return true;
+    }
 
-        const name = nameInput.value.trim();
-        const email = emailInput.value.trim();
-        const password = passwordInput.value;
-        const confirmPassword = confirmPasswordInput.value;
+    setButtonLoading(submitButton, true, 'Signing in...');
+
+    apiRequest(`${API_URL}/oidc/exchange`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ ticket })
+    })
+        .then(async response => {
+            const data = await response.json();
 
-        // Frontend validation
-        let isValid = true;
+            if (response.ok && data.success && data.mfaRequired) {
+                setButtonLoading(submitButton, false);
+                showTwoFactorStep(data.mfaToken);
+            } else if (response.ok && data.success) {
+                completeLogin(data, submitButton);
+            } else {
+                setButtonLoading(submitButton, false);
+                toast.error('Sign-In Failed', data.message || 'External sign-in failed');
+            }
+        })
+        .catch(error => {
+            console.error('OIDC exchange error:', error);
+            setButtonLoading(submitButton, false);
+            toast.error('Error', 'Network error. Please try again.');
+        });
 
-        if (!name) {
-            showError(nameError, 'Name is required');
-            isValid = false;
-        } else if (name.length < 2) {
-            showError(nameError, 'Name must be at least 2 characters');
-            isValid = false;
-        }
+    return true;
+}
 
-        if (!email) {
-            showError(emailError, 'Email is required');
-            isValid = false;
+// ===========================
+// MAGIC LINK SIGN-IN
+// ===========================
+
+/**
+ * Ask for a sign-in link by email. The link only works in this browser,
+ * and the reply is the same whether or not the account exists.
+ */
+async function requestMagicLink(button, email, remember, emailError) {
+    if (!email) {
+        showError(emailError, 'Enter your email to get a sign-in link');
+        return;
+    }
+    if (!isValidEmail(email)) {
+        showError(emailError, 'Please enter a valid email');
+        return;
+    }
+
+    setButtonLoading(button, true, 'Sending link...');
+
+    try {
+        const response = await apiRequest(`${API_URL}/magic-link`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ email, remember })
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            toast.success('Check Your Email', data.message, 0);
+        } else if (data.errors) {
+            data.errors.forEach(err => {
+                if (err.path === 'email') showError(emailError, err.msg);
+            });
+        } else {
+            toast.error('Error', data.message || 'Could not send a sign-in link');
+        }
+    } catch (error) {
+        console.error('Magic link request error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    } finally {
+        setButtonLoading(button, false);
+    }
+}
+
+/**
+ * Finish a magic link sign-in when the page was opened from the emailed
+ * link (index.html?magicLink=...)
+ * @returns {boolean} - True if the URL carried a magic link token
+ */
+function handleMagicLinkRedirect(submitButton) {
+    const token = new URLSearchParams(window.location.search).get('magicLink');
+    if (!token) return false;
+
+    // Don't leave the token in the address bar or history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    setButtonLoading(submitButton, true, 'Signing in...');
+
+    apiRequest(`${API_URL}/magic-link/consume`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ token })
+    })
+        .then(async response => {
+            const data = await response.json();
+
+            if (response.ok && data.success && data.mfaRequired) {
+                setButtonLoading(submitButton, false);
+                showTwoFactorStep(data.mfaToken);
+            } else if (response.ok && data.success) {
+                completeLogin(data, submitButton);
+            } else {
+                setButtonLoading(submitButton, false);
+                toast.error('Sign-In Failed', data.message || 'Sign-in link is invalid or has expired');
+            }
+        })
+        .catch(error => {
+            console.error('Magic link sign-in error:', error);
+            setButtonLoading(submitButton, false);
+            toast.error('Error', 'Network error. Please try again.');
+        });
+
+    return true;
+}
+
+// ===========================
+// PASSKEYS (WEBAUTHN)
+// ===========================
+
+function isPasskeySupported() {
+    return Boolean(window.PublicKeyCredential && navigator.credentials);
+}
+
+function base64UrlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+}
+
+function bufferToBase64Url(buffer) {
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode the server's JSON options into what navigator.credentials expects
+ */
+function decodePasskeyOptions(options) {
+    const decodeDescriptors = (list = []) => list.map(descriptor => ({
+        ...descriptor,
+        id: base64UrlToBuffer(descriptor.id)
+    }));
+
+    return {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        ...(options.user && { user: { ...options.user, id: base64UrlToBuffer(options.user.id) } }),
+        ...(options.excludeCredentials && { excludeCredentials: decodeDescriptors(options.excludeCredentials) }),
+        ...(options.allowCredentials && { allowCredentials: decodeDescriptors(options.allowCredentials) })
+    };
+}
+
+/**
+ * Encode a PublicKeyCredential as JSON for the server
+ */
+function encodePasskeyCredential(credential) {
+    const { response } = credential;
+    const encoded = {
+        id: credential.id,
+        rawId: bufferToBase64Url(credential.rawId),
+        type: credential.type,
+        authenticatorAttachment: credential.authenticatorAttachment || undefined,
+        clientExtensionResults: credential.getClientExtensionResults(),
+        response: {
+            clientDataJSON: bufferToBase64Url(response.clientDataJSON)
+        }
+    };
+
+    if (response.attestationObject) {
+        encoded.response.attestationObject = bufferToBase64Url(response.attestationObject);
+        encoded.response.transports = response.getTransports ? response.getTransports() : [];
+    } else {
+        encoded.response.authenticatorData = bufferToBase64Url(response.authenticatorData);
+        encoded.response.signature = bufferToBase64Url(response.signature);
+        encoded.response.userHandle = response.userHandle ? bufferToBase64Url(response.userHandle) : undefined;
+    }
+
+    return encoded;
+}
+
+/**
+ * Sign in with a passkey from the login page
+ * The browser offers every passkey stored for this site.
+ */
+async function loginWithPasskey(button, remember) {
+    const passwordError = document.getElementById('passwordError');
+    clearErrors(passwordError);
+    setButtonLoading(button, true, 'Waiting for passkey...');
+
+    try {
+        const optionsResponse = await apiRequest(`${API_URL}/webauthn/login/options`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include'
+        });
+        const optionsData = await optionsResponse.json();
+
+        if (!optionsResponse.ok || !optionsData.success) {
+            throw new Error(optionsData.message || 'Could not start passkey sign-in');
+        }
+
+        const credential = await navigator.credentials.get({
+            publicKey: decodePasskeyOptions(optionsData.options)
+        });
+
+        const response = await apiRequest(`${API_URL}/webauthn/login/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                challengeId: optionsData.challengeId,
+                response: encodePasskeyCredential(credential),
+                remember
+            })
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success && data.mfaRequired) {
+            // The passkey didn't verify the user (no PIN or biometric) - ask for the second factor
+            setButtonLoading(button, false);
+            showTwoFactorStep(data.mfaToken);
+        } else if (response.ok && data.success) {
+            completeLogin(data, button);
+        } else if (response.status === 429) {
+            setButtonLoading(button, false);
+            startLockoutCountdown(data.retryAfter || Number(response.headers.get('Retry-After')) || 60, data.message, button, passwordError);
+            toast.error('Too Many Attempts', data.message || 'Please wait before trying again');
+        } else {
+            throw new Error(data.message || 'Passkey sign-in failed');
+        }
+    } catch (error) {
+        console.error('Passkey login error:', error);
+        setButtonLoading(button, false);
+
+        // The user dismissed the browser prompt - nothing to report
+        if (error.name === 'NotAllowedError' || error.name === 'AbortError') return;
+
+        showError(passwordError, error.message || 'Passkey sign-in failed');
+        toast.error('Passkey Sign-In Failed', error.message || 'Please try again');
+    }
+}
+
+/**
+ * Store tokens, show success state and go to the dashboard
+ */
+function completeLogin(data, submitButton) {
+    storeAuthTokens(data);
+
+    // Show success
+    submitButton.innerHTML = '✓ Success!';
+    submitButton.style.background = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
+
+    toast.success('Success!', 'Login successful. Redirecting...', 2000);
+
+    // Redirect after animation (use replace to prevent back navigation)
+    setTimeout(() => {
+        window.location.replace(postLoginDestination());
+    }, 1000);
+}
+
+/**
+ * Swap the login form for the two-factor code form
+ * @param {string} mfaToken - Short-lived challenge from /login
+ */
+function showTwoFactorStep(mfaToken) {
+    const loginForm = document.getElementById('loginForm');
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    const codeInput = document.getElementById('twoFactorCode');
+    const codeLabel = document.getElementById('twoFactorLabel');
+    const codeError = document.getElementById('twoFactorCodeError');
+    const toggleRecovery = document.getElementById('toggleRecoveryCode');
+    const backToLogin = document.getElementById('backToLogin');
+    const submitButton = twoFactorForm.querySelector('.btn-primary');
+    const header = document.querySelector('.form-header p');
+
+    let useRecoveryCode = false;
+
+    loginForm.classList.add('hidden');
+    twoFactorForm.classList.remove('hidden');
+    if (header) header.textContent = 'Enter the code from your authenticator app';
+    codeInput.value = '';
+    codeInput.focus();
+
+    toggleRecovery.onclick = function(e) {
+        e.preventDefault();
+        useRecoveryCode = !useRecoveryCode;
+        codeLabel.textContent = useRecoveryCode ? 'Recovery Code' : 'Authentication Code';
+        codeInput.placeholder = useRecoveryCode ? 'xxxxx-xxxxx' : '6-digit code';
+        codeInput.inputMode = useRecoveryCode ? 'text' : 'numeric';
+        this.textContent = useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code';
+        clearErrors(codeError);
+        codeInput.value = '';
+        codeInput.focus();
+    };
+
+    backToLogin.onclick = function(e) {
+        e.preventDefault();
+        twoFactorForm.classList.add('hidden');
+        loginForm.classList.remove('hidden');
+        if (header) header.textContent = 'Please login to your account';
+    };
+
+    twoFactorForm.onsubmit = async function(e) {
+        e.preventDefault();
+        clearErrors(codeError);
+
+        const code = codeInput.value.trim();
+        if (!code) {
+            showError(codeError, useRecoveryCode ? 'Recovery code is required' : 'Code is required');
+            return;
+        }
+
+        setButtonLoading(submitButton, true, 'Verifying...');
+
+        try {
+            const response = await apiRequest(`${API_URL}/login/2fa`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(useRecoveryCode
+                    ? { mfaToken, recoveryCode: code }
+                    : { mfaToken, code })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                completeLogin(data, submitButton);
+            } else if (response.status === 429) {
+                setButtonLoading(submitButton, false);
+                startLockoutCountdown(data.retryAfter || Number(response.headers.get('Retry-After')) || 60, data.message, submitButton, codeError);
+                toast.error('Too Many Attempts', data.message || 'Please wait before trying again');
+            } else {
+                showError(codeError, data.message || 'Verification failed. Please try again.');
+                toast.error('Verification Failed', data.message || 'Invalid code');
+                setButtonLoading(submitButton, false);
+            }
+        } catch (error) {
+            console.error('2FA login error:', error);
+            showError(codeError, 'Network error. Please check your connection.');
+            toast.error('Error', 'Network error. Please try again.');
+            setButtonLoading(submitButton, false);
+        }
+    };
+}
+
+/**
+ * Swap the login form for the new-device code form
+ * @param {string} deviceToken - Short-lived challenge from /login
+ * @param {string} message - Server message to show in the header
+ */
+function showDeviceVerificationStep(deviceToken, message) {
+    const loginForm = document.getElementById('loginForm');
+    const deviceForm = document.getElementById('deviceCodeForm');
+    const codeInput = document.getElementById('deviceCode');
+    const codeError = document.getElementById('deviceCodeError');
+    const backToLogin = document.getElementById('deviceBackToLogin');
+    const submitButton = deviceForm.querySelector('.btn-primary');
+    const header = document.querySelector('.form-header p');
+
+    loginForm.classList.add('hidden');
+    deviceForm.classList.remove('hidden');
+    if (header) header.textContent = message || 'Enter the code we sent to your email';
+    codeInput.value = '';
+    codeInput.focus();
+
+    backToLogin.onclick = function(e) {
+        e.preventDefault();
+        deviceForm.classList.add('hidden');
+        loginForm.classList.remove('hidden');
+        if (header) header.textContent = 'Please login to your account';
+    };
+
+    deviceForm.onsubmit = async function(e) {
+        e.preventDefault();
+        clearErrors(codeError);
+
+        const code = codeInput.value.trim();
+        if (!code) {
+            showError(codeError, 'Code is required');
+            return;
+        }
+
+        setButtonLoading(submitButton, true, 'Verifying...');
+
+        try {
+            const response = await apiRequest(`${API_URL}/login/device`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ deviceToken, code })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                completeLogin(data, submitButton);
+            } else if (response.status === 429) {
+                setButtonLoading(submitButton, false);
+                startLockoutCountdown(data.retryAfter || Number(response.headers.get('Retry-After')) || 60, data.message, submitButton, codeError);
+                toast.error('Too Many Attempts', data.message || 'Please wait before trying again');
+            } else {
+                showError(codeError, data.message || 'Verification failed. Please try again.');
+                toast.error('Verification Failed', data.message || 'Invalid code');
+                setButtonLoading(submitButton, false);
+            }
+        } catch (error) {
+            console.error('Device verification error:', error);
+            showError(codeError, 'Network error. Please check your connection.');
+            toast.error('Error', 'Network error. Please try again.');
+            setButtonLoading(submitButton, false);
+        }
+    };
+}
+
+// ===========================
+// REGISTER PAGE
+// ===========================
+
+function initRegisterPage() {
+    // Check if already logged in
+    redirectIfAuthenticated();
+
+    const registerForm = document.getElementById('registerForm');
+    if (!registerForm) return;
+
+    initOidcProviders();
+
+    const nameInput = document.getElementById('name');
+    const emailInput = document.getElementById('email');
+    const passwordInput = document.getElementById('password');
+    const confirmPasswordInput = document.getElementById('confirmPassword');
+    const successMessage = document.getElementById('successMessage');
+    const submitButton = registerForm.querySelector('.btn-primary');
+
+    const nameError = document.getElementById('nameError');
+    const emailError = document.getElementById('emailError');
+    const passwordError = document.getElementById('passwordError');
+    const confirmPasswordError = document.getElementById('confirmPasswordError');
+
+    // Setup live validation
+    setupLiveValidation('registerForm');
+    loadPasswordPolicy();
+    setupPasswordStrengthMeter(passwordInput, () => ({
+        name: nameInput.value.trim(),
+        email: emailInput.value.trim()
+    }));
+
+    // Initialize password toggles
+    initPasswordToggle();
+
+    // Add ripple effect to button
+    submitButton.addEventListener('click', function(e) {
+        if (!this.disabled) {
+            createRipple(e, this);
+        }
+    });
+
+    // Live password match validation
+    confirmPasswordInput.addEventListener('input', function() {
+        if (this.value && passwordInput.value !== this.value) {
+            showError(confirmPasswordError, 'Passwords do not match');
+        } else {
+            confirmPasswordError.classList.remove('show');
+        }
+    });
+
+    // Handle form submission
+    registerForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        
+        // Clear previous errors
+        clearErrors(nameError, emailError, passwordError, confirmPasswordError);
+        successMessage.classList.remove('show');
+
+        const name = nameInput.value.trim();
+        const email = emailInput.value.trim();
+        const password = passwordInput.value;
+        const confirmPassword = confirmPasswordInput.value;
+
+        // Frontend validation
+        let isValid = true;
+
+        if (!name) {
+            showError(nameError, 'Name is required');
+            isValid = false;
+        } else if (name.length < 2) {
+            showError(nameError, 'Name must be at least 2 characters');
+            isValid = false;
+        }
+
+        if (!email) {
+            showError(emailError, 'Email is required');
+            isValid = false;
         } else if (!isValidEmail(email)) {
             showError(emailError, 'Please enter a valid email');
             isValid = false;
@@ -494,8 +1429,8 @@ function initRegisterPage() {
         if (!password) {
             showError(passwordError, 'Password is required');
             isValid = false;
-        } else if (password.length < 6) {
-            showError(passwordError, 'Password must be at least 6 characters');
+        } else if (passwordLengthError(password)) {
+            showError(passwordError, passwordLengthError(password));
             isValid = false;
         }
 
@@ -513,7 +1448,7 @@ function initRegisterPage() {
         setButtonLoading(submitButton, true, 'Creating Account...');
 
         try {
-            const response = await fetch(`${API_URL}/register`, {
+            const response = await apiRequest(`${API_URL}/register`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -529,10 +1464,16 @@ function initRegisterPage() {
 
             const data = await response.json();
 
-            if (response.ok && data.success) {
+            if (response.ok && data.success && data.verificationRequired) {
+                // Account created, but login is blocked until the email is verified
+                successMessage.textContent = 'Account created! Check your email to verify your address before logging in.';
+                successMessage.classList.add('show');
+                toast.success('Almost There!', 'We sent you a verification link', 4000);
+                registerForm.reset();
+                setButtonLoading(submitButton, false);
+            } else if (response.ok && data.success) {
                 // Registration successful
-                localStorage.setItem('token', data.token);
-                localStorage.setItem('user', JSON.stringify(data.user));
+                storeAuthTokens(data);
                 
                 // Show success message
                 successMessage.textContent = 'Account created successfully! Redirecting...';
@@ -554,10 +1495,10 @@ function initRegisterPage() {
                     showError(emailError, data.message);
                 } else if (data.errors && data.errors.length > 0) {
                     data.errors.forEach(err => {
-                        if (err.param === 'name') showError(nameError, err.msg);
-                        if (err.param === 'email') showError(emailError, err.msg);
-                        if (err.param === 'password') showError(passwordError, err.msg);
-                        if (err.param === 'confirmPassword') showError(confirmPasswordError, err.msg);
+                        if (err.path === 'name') showError(nameError, err.msg);
+                        if (err.path === 'email') showError(emailError, err.msg);
+                        if (err.path === 'password') showError(passwordError, err.msg);
+                        if (err.path === 'confirmPassword') showError(confirmPasswordError, err.msg);
                     });
                 } else {
                     showError(emailError, data.message || 'Registration failed. Please try again.');
@@ -576,18 +1517,303 @@ function initRegisterPage() {
 }
 
 // ===========================
-// DASHBOARD PAGE
+// FORGOT PASSWORD PAGE
 // ===========================
 
-function initDashboardPage() {
-    // Require authentication
-    requireAuthentication();
+function initForgotPasswordPage() {
+    const forgotForm = document.getElementById('forgotPasswordForm');
+    if (!forgotForm) return;
 
-    // Load user profile
-    loadUserProfile();
+    const emailInput = document.getElementById('email');
+    const emailError = document.getElementById('emailError');
+    const successMessage = document.getElementById('successMessage');
+    const submitButton = forgotForm.querySelector('.btn-primary');
 
-    // Initialize dashboard features
+    setupLiveValidation('forgotPasswordForm');
+
+    submitButton.addEventListener('click', function(e) {
+        if (!this.disabled) {
+            createRipple(e, this);
+        }
+    });
+
+    forgotForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        clearErrors(emailError);
+        successMessage.classList.remove('show');
+
+        const email = emailInput.value.trim();
+
+        if (!email) {
+            showError(emailError, 'Email is required');
+            return;
+        } else if (!isValidEmail(email)) {
+            showError(emailError, 'Please enter a valid email');
+            return;
+        }
+
+        setButtonLoading(submitButton, true, 'Sending...');
+
+        try {
+            const response = await apiRequest(`${API_URL}/forgot-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                successMessage.textContent = data.message;
+                successMessage.classList.add('show');
+                toast.success('Check Your Email', 'Follow the link in the email to reset your password');
+                forgotForm.reset();
+            } else {
+                showError(emailError, data.message || 'Could not send reset link. Please try again.');
+                toast.error('Request Failed', data.message || 'Please try again');
+            }
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            showError(emailError, 'Network error. Please check your connection.');
+            toast.error('Error', 'Network error. Please try again.');
+        } finally {
+            setButtonLoading(submitButton, false);
+        }
+    });
+}
+
+// ===========================
+// RESET PASSWORD PAGE
+// ===========================
+
+function initResetPasswordPage() {
+    const resetForm = document.getElementById('resetPasswordForm');
+    if (!resetForm) return;
+
+    const passwordInput = document.getElementById('password');
+    const confirmPasswordInput = document.getElementById('confirmPassword');
+    const passwordError = document.getElementById('passwordError');
+    const confirmPasswordError = document.getElementById('confirmPasswordError');
+    const successMessage = document.getElementById('successMessage');
+    const submitButton = resetForm.querySelector('.btn-primary');
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+        showError(passwordError, 'Reset link is missing its token. Please request a new one.');
+        submitButton.disabled = true;
+        return;
+    }
+
+    setupLiveValidation('resetPasswordForm');
+    loadPasswordPolicy();
+    initPasswordToggle();
+
+    submitButton.addEventListener('click', function(e) {
+        if (!this.disabled) {
+            createRipple(e, this);
+        }
+    });
+
+    resetForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        clearErrors(passwordError, confirmPasswordError);
+
+        const password = passwordInput.value;
+        const confirmPassword = confirmPasswordInput.value;
+
+        let isValid = true;
+
+        if (!password) {
+            showError(passwordError, 'Password is required');
+            isValid = false;
+        } else if (passwordLengthError(password)) {
+            showError(passwordError, passwordLengthError(password));
+            isValid = false;
+        }
+
+        if (!confirmPassword) {
+            showError(confirmPasswordError, 'Please confirm your password');
+            isValid = false;
+        } else if (password !== confirmPassword) {
+            showError(confirmPasswordError, 'Passwords do not match');
+            isValid = false;
+        }
+
+        if (!isValid) return;
+
+        setButtonLoading(submitButton, true, 'Resetting...');
+
+        try {
+            const response = await apiRequest(`${API_URL}/reset-password/${encodeURIComponent(token)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ password, confirmPassword })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                clearAuthTokens();
+
+                successMessage.textContent = 'Password reset! Redirecting to login...';
+                successMessage.classList.add('show');
+                submitButton.innerHTML = '✓ Password Reset!';
+                toast.success('Success!', data.message, 2000);
+
+                setTimeout(() => {
+                    window.location.replace('index.html');
+                }, 1500);
+            } else {
+                if (data.errors && data.errors.length > 0) {
+                    data.errors.forEach(err => {
+                        if (err.path === 'password') showError(passwordError, err.msg);
+                        if (err.path === 'confirmPassword') showError(confirmPasswordError, err.msg);
+                    });
+                } else {
+                    showError(passwordError, data.message || 'Reset failed. Please try again.');
+                }
+                toast.error('Reset Failed', data.message || 'Please try again');
+                setButtonLoading(submitButton, false);
+            }
+        } catch (error) {
+            console.error('Reset password error:', error);
+            showError(passwordError, 'Network error. Please check your connection.');
+            toast.error('Error', 'Network error. Please try again.');
+            setButtonLoading(submitButton, false);
+        }
+    });
+}
+
+// ===========================
+// EMAIL VERIFICATION
+// ===========================
+
+async function initVerifyEmailPage() {
+    const statusText = document.getElementById('verifyStatusText');
+    const successMessage = document.getElementById('successMessage');
+    const verifyError = document.getElementById('verifyError');
+    if (!statusText) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    // Links from an email change request confirm the new address instead
+    const isEmailChange = params.get('change') === '1';
+
+    if (!token) {
+        statusText.textContent = 'Verification failed';
+        showError(verifyError, 'Verification link is missing its token.');
+        return;
+    }
+
+    try {
+        const endpoint = isEmailChange ? 'confirm-email' : 'verify-email';
+        const response = await apiRequest(`${API_URL}/${endpoint}/${encodeURIComponent(token)}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            statusText.textContent = 'All set!';
+            successMessage.textContent = isEmailChange
+                ? `✓ Your email address is now ${data.user.email}.`
+                : '✓ Your email address has been verified.';
+            successMessage.classList.add('show');
+            toast.success('Verified', data.message, 3000);
+        } else {
+            statusText.textContent = 'Verification failed';
+            showError(verifyError, data.message || 'Verification link is invalid.');
+        }
+    } catch (error) {
+        console.error('Email verification error:', error);
+        statusText.textContent = 'Verification failed';
+        showError(verifyError, 'Network error. Please try again.');
+    }
+}
+
+/**
+ * Request another verification email
+ * @param {string} [email] - Needed when not logged in
+ */
+async function resendVerificationEmail(email) {
+    try {
+        const response = await apiFetch('/verify-email/resend', {
+            method: 'POST',
+            body: JSON.stringify(email ? { email } : {})
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            toast.success('Email Sent', data.message, 3000);
+        } else {
+            toast.error('Not Sent', data.message || 'Please try again later');
+        }
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+/**
+ * Build a "Resend verification email" link for toasts
+ */
+function createResendVerificationLink(email) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'forgot-password';
+    link.textContent = ' Resend email';
+    link.addEventListener('click', function(e) {
+        e.preventDefault();
+        resendVerificationEmail(email);
+    });
+    return link;
+}
+
+/**
+ * Reflect the real verification state in badges and banner
+ */
+function displayVerificationState(user) {
+    document.querySelectorAll('.verification-badge').forEach(badge => {
+        badge.classList.toggle('verified', Boolean(user.emailVerified));
+        badge.classList.toggle('unverified', !user.emailVerified);
+        badge.textContent = user.emailVerified ? '✓ Verified' : '⚠ Unverified';
+    });
+
+    const banner = document.getElementById('verificationBanner');
+    if (banner) {
+        banner.classList.toggle('hidden', Boolean(user.emailVerified));
+    }
+}
+
+// ===========================
+// DASHBOARD PAGE
+// ===========================
+
+function initDashboardPage() {
+    // Require authentication
+    requireAuthentication();
+
+    // Load user profile
+    loadUserProfile();
+
+    // Initialize dashboard features
     initDashboardNavigation();
+    initProfileForm();
+    initChangePasswordForm();
+    initAdminSection();
+    loadDevices();
     updateDateTime();
     animateStats();
     
@@ -638,6 +1864,17 @@ function switchSection(sectionName) {
         section.classList.add('active');
         section.style.animation = 'slideIn 0.4s ease-out';
     }
+
+    // Load section data on demand
+    if (sectionName === 'sessions') {
+        loadSessions();
+        loadDevices();
+    } else if (sectionName === 'security') {
+        loadPasskeys();
+        loadApiKeys();
+    } else if (sectionName === 'admin') {
+        loadAdminUsers();
+    }
 }
 
 // Update date and time
@@ -657,203 +1894,1474 @@ function updateDateTime() {
     }
 }
 
-// Animate statistics
-function animateStats() {
-    const statValues = document.querySelectorAll('.stat-value');
-    statValues.forEach(stat => {
-        if (stat.id === 'statSessions') {
-            animateValue(stat, 0, 1247, 1500);
+// Animate statistics
+function animateStats() {
+    const statValues = document.querySelectorAll('.stat-value');
+    statValues.forEach(stat => {
+        if (stat.id === 'statSessions') {
+            animateValue(stat, 0, 1247, 1500);
+        }
+    });
+}
+
+function animateValue(element, start, end, duration) {
+    let startTimestamp = null;
+    const step = (timestamp) => {
+        if (!startTimestamp) startTimestamp = timestamp;
+        const progress = Math.min((timestamp - startTimestamp) / duration, 1);
+        const value = Math.floor(progress * (end - start) + start);
+        element.textContent = value.toLocaleString();
+        if (progress < 1) {
+            window.requestAnimationFrame(step);
+        }
+    };
+    window.requestAnimationFrame(step);
+}
+
+// Toggle sidebar for mobile
+function toggleSidebar() {
+    const sidebar = document.querySelector('.sidebar');
+    if (sidebar) {
+        sidebar.classList.toggle('mobile-active');
+    }
+}
+
+// Toggle theme
+function toggleTheme() {
+    document.body.classList.toggle('light-theme');
+    const isDark = !document.body.classList.contains('light-theme');
+    localStorage.setItem('theme', isDark ? 'dark' : 'light');
+    toast.info('Theme Changed', `Switched to ${isDark ? 'dark' : 'light'} mode`, 2000);
+}
+
+// Export data - download everything stored about the user as JSON
+async function exportData() {
+    toast.info('Exporting', 'Preparing your data export...', 2000);
+
+    try {
+        const response = await apiFetch('/export', { method: 'GET' });
+
+        if (!response.ok) {
+            const data = await response.json();
+            toast.error('Export Failed', data.message || 'Could not export your data');
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'securesphere-export.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        toast.success('Export Ready', 'Your data has been downloaded', 3000);
+    } catch (error) {
+        console.error('Data export error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+// Edit profile
+function editProfile() {
+    switchSection('profile');
+    document.getElementById('profileName').focus();
+}
+
+async function loadUserProfile() {
+    if (!getAuthItem('user')) {
+        window.location.href = 'index.html';
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/profile', { method: 'GET' });
+
+        if (response.ok) {
+            const data = await response.json();
+            if (data.success && data.user) {
+                displayUserProfile(data.user);
+                loadActivity();
+                loadActivityStats();
+            } else {
+                redirectToLogin();
+            }
+        } else {
+            console.log('Authentication failed:', response.status);
+            clearAuthTokens();
+            redirectToLogin();
+        }
+    } catch (error) {
+        console.error('Profile load error:', error);
+        toast.error('Error', 'Failed to load profile');
+        redirectToLogin();
+    }
+}
+
+function displayUserProfile(user) {
+    // Get user initials
+    const initials = user.name
+        .split(' ')
+        .map(n => n[0])
+        .join('')
+        .toUpperCase()
+        .slice(0, 2);
+    
+    // Update all avatar instances
+    const avatars = ['userAvatar', 'topbarAvatar', 'sidebarAvatar', 'profileAvatar'];
+    avatars.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = initials;
+    });
+
+    // Update user name instances
+    const userNameElement = document.getElementById('userName');
+    const sidebarNameElement = document.getElementById('sidebarUserName');
+    const firstName = user.name.split(' ')[0];
+    
+    if (userNameElement) userNameElement.textContent = firstName;
+    if (sidebarNameElement) sidebarNameElement.textContent = firstName;
+
+    // Update profile details
+    const profileElements = {
+        userFullName: user.name,
+        profileFullName: user.name,
+        userEmail: user.email,
+        profileEmail: user.email
+    };
+
+    Object.entries(profileElements).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    });
+
+    displayVerificationState(user);
+    displayTwoFactorState(user);
+    displayProfileForm(user);
+    displayDeletionState(user);
+    displayRoleState(user);
+
+    // Format and display dates
+    if (user.createdAt || user.registeredAt) {
+        const regDate = new Date(user.createdAt || user.registeredAt);
+        const memberSinceElement = document.getElementById('memberSince');
+        if (memberSinceElement) {
+            memberSinceElement.textContent = regDate.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+        }
+
+        // Calculate account age
+        const accountAgeElement = document.getElementById('accountAge');
+        if (accountAgeElement) {
+            const ageInDays = Math.floor((Date.now() - regDate.getTime()) / (1000 * 60 * 60 * 24));
+            if (ageInDays < 30) {
+                accountAgeElement.textContent = `${ageInDays} days`;
+            } else if (ageInDays < 365) {
+                accountAgeElement.textContent = `${Math.floor(ageInDays / 30)} months`;
+            } else {
+                accountAgeElement.textContent = `${Math.floor(ageInDays / 365)} years`;
+            }
+        }
+    }
+
+    // Last password change
+    const passwordChangedElement = document.getElementById('passwordChangedAt');
+    if (passwordChangedElement) {
+        passwordChangedElement.textContent = user.passwordChangedAt
+            ? new Date(user.passwordChangedAt).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            })
+            : 'Never';
+    }
+
+    // Last login
+    const lastLoginElement = document.getElementById('lastLogin');
+    if (lastLoginElement) {
+        if (user.lastLogin) {
+            const lastLogin = new Date(user.lastLogin);
+            lastLoginElement.textContent = lastLogin.toLocaleString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        } else {
+            lastLoginElement.textContent = 'Just now';
+        }
+    }
+}
+
+// ===========================
+// ROLES & PERMISSIONS
+// ===========================
+
+/**
+ * Check a user's effective permissions ("*" grants everything)
+ */
+function hasPermission(user, permission) {
+    const permissions = (user && user.permissions) || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Show the role badge and reveal elements marked with data-permission
+ * that the user is allowed to use (the API enforces the same rules)
+ */
+function displayRoleState(user) {
+    const roles = user.roles || [];
+    const isAdmin = roles.includes('admin');
+
+    const roleBadge = document.getElementById('roleBadge');
+    if (roleBadge) {
+        roleBadge.textContent = isAdmin ? 'Admin' : 'Member';
+        roleBadge.classList.toggle('admin', isAdmin);
+        roleBadge.classList.toggle('member', !isAdmin);
+    }
+
+    // Only /profile and /verify include permissions; keep the current state otherwise
+    if (!user.permissions) return;
+
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !hasPermission(user, element.dataset.permission));
+    });
+}
+
+// ===========================
+// PROFILE EDITING
+// ===========================
+
+let currentProfile = null;
+
+/**
+ * Fill the edit form with the saved profile
+ */
+function displayProfileForm(user) {
+    currentProfile = user;
+
+    const nameInput = document.getElementById('profileName');
+    if (!nameInput) return;
+
+    nameInput.value = user.name;
+    document.getElementById('profileEmailInput').value = user.email;
+    document.getElementById('profileCurrentPassword').value = '';
+    document.getElementById('profilePasswordGroup').classList.add('hidden');
+
+    const pendingNotice = document.getElementById('pendingEmailNotice');
+    pendingNotice.textContent = user.pendingEmail
+        ? `Waiting for confirmation of ${user.pendingEmail}. Check that inbox for the link.`
+        : '';
+    pendingNotice.classList.toggle('hidden', !user.pendingEmail);
+}
+
+function initProfileForm() {
+    const profileForm = document.getElementById('profileForm');
+    if (!profileForm) return;
+
+    const nameInput = document.getElementById('profileName');
+    const emailInput = document.getElementById('profileEmailInput');
+    const passwordInput = document.getElementById('profileCurrentPassword');
+    const nameError = document.getElementById('profileNameError');
+    const emailError = document.getElementById('profileEmailInputError');
+    const passwordError = document.getElementById('profileCurrentPasswordError');
+    const passwordGroup = document.getElementById('profilePasswordGroup');
+    const saveButton = document.getElementById('profileSaveButton');
+
+    const fieldErrors = { name: nameError, email: emailError, currentPassword: passwordError };
+
+    // Ask for the current password only when the email is being changed
+    emailInput.addEventListener('input', function() {
+        const changed = Boolean(currentProfile) && this.value.trim().toLowerCase() !== currentProfile.email;
+        passwordGroup.classList.toggle('hidden', !changed);
+    });
+
+    profileForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        clearErrors(nameError, emailError, passwordError);
+
+        const name = nameInput.value.trim();
+        const email = emailInput.value.trim();
+        const emailChanged = email.toLowerCase() !== currentProfile.email;
+
+        let isValid = true;
+
+        if (!name) {
+            showError(nameError, 'Name is required');
+            isValid = false;
+        } else if (name.length < 2) {
+            showError(nameError, 'Name must be at least 2 characters');
+            isValid = false;
+        } else if (name.length > 50) {
+            showError(nameError, 'Name cannot exceed 50 characters');
+            isValid = false;
+        }
+
+        if (!email) {
+            showError(emailError, 'Email is required');
+            isValid = false;
+        } else if (!isValidEmail(email)) {
+            showError(emailError, 'Please enter a valid email');
+            isValid = false;
+        }
+
+        if (emailChanged && !passwordInput.value) {
+            showError(passwordError, 'Enter your current password to change your email');
+            isValid = false;
+        }
+
+        if (!isValid) return;
+
+        setButtonLoading(saveButton, true, 'Saving...');
+
+        try {
+            const response = await apiFetch('/profile', {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    name,
+                    email,
+                    ...(emailChanged && { currentPassword: passwordInput.value })
+                })
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                displayUserProfile(data.user);
+                toast.success(
+                    data.emailChangePending ? 'Confirm Your Email' : 'Profile Updated',
+                    data.message,
+                    data.emailChangePending ? 5000 : 2000
+                );
+            } else if (data.errors) {
+                data.errors.forEach(error => {
+                    const element = fieldErrors[error.path];
+                    if (element) showError(element, error.msg);
+                });
+            } else {
+                toast.error('Error', data.message || 'Failed to update profile');
+            }
+        } catch (error) {
+            console.error('Profile update error:', error);
+            toast.error('Error', 'Network error. Please try again.');
+        } finally {
+            setButtonLoading(saveButton, false);
+        }
+    });
+}
+
+function initChangePasswordForm() {
+    const changePasswordForm = document.getElementById('changePasswordForm');
+    if (!changePasswordForm) return;
+
+    const currentInput = document.getElementById('currentPassword');
+    const newInput = document.getElementById('newPassword');
+    const confirmInput = document.getElementById('confirmNewPassword');
+    const currentError = document.getElementById('currentPasswordError');
+    const newError = document.getElementById('newPasswordError');
+    const confirmError = document.getElementById('confirmNewPasswordError');
+    const submitButton = document.getElementById('changePasswordButton');
+
+    const fieldErrors = { currentPassword: currentError, newPassword: newError, confirmPassword: confirmError };
+
+    loadPasswordPolicy();
+
+    changePasswordForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        clearErrors(currentError, newError, confirmError);
+
+        const currentPassword = currentInput.value;
+        const newPassword = newInput.value;
+        const confirmPassword = confirmInput.value;
+
+        let isValid = true;
+
+        if (!currentPassword) {
+            showError(currentError, 'Current password is required');
+            isValid = false;
+        }
+
+        if (!newPassword) {
+            showError(newError, 'New password is required');
+            isValid = false;
+        } else if (passwordLengthError(newPassword)) {
+            showError(newError, passwordLengthError(newPassword));
+            isValid = false;
+        }
+
+        if (!confirmPassword) {
+            showError(confirmError, 'Please confirm your password');
+            isValid = false;
+        } else if (newPassword !== confirmPassword) {
+            showError(confirmError, 'Passwords do not match');
+            isValid = false;
+        }
+
+        if (!isValid) return;
+
+        setButtonLoading(submitButton, true, 'Changing...');
+
+        try {
+            const response = await apiFetch('/change-password', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword, confirmPassword })
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                // Old tokens stop working after a password change
+                storeAuthTokens(data);
+                displayUserProfile(data.user);
+                changePasswordForm.reset();
+                toast.success('Password Changed', 'Your other devices have been signed out', 3000);
+            } else if (data.errors) {
+                data.errors.forEach(error => {
+                    const element = fieldErrors[error.path];
+                    if (element) showError(element, error.msg);
+                });
+            } else {
+                toast.error('Error', data.message || 'Failed to change password');
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            toast.error('Error', 'Network error. Please try again.');
+        } finally {
+            setButtonLoading(submitButton, false);
+        }
+    });
+}
+
+// ===========================
+// ACCOUNT DELETION
+// ===========================
+
+/**
+ * Show the scheduled-deletion banner when a deletion is pending
+ */
+function displayDeletionState(user) {
+    const banner = document.getElementById('deletionBanner');
+    if (!banner) return;
+
+    banner.classList.toggle('hidden', !user.deletionScheduledFor);
+    if (user.deletionScheduledFor) {
+        const date = new Date(user.deletionScheduledFor).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+        document.getElementById('deletionBannerText').textContent =
+            `⚠️ Your account is scheduled for deletion on ${date}. All data will be permanently removed.`;
+    }
+}
+
+async function deleteAccount() {
+    const passwordInput = document.getElementById('deleteAccountPassword');
+    const passwordError = document.getElementById('deleteAccountPasswordError');
+    clearErrors(passwordError);
+
+    if (!passwordInput.value) {
+        showError(passwordError, 'Password is required');
+        return;
+    }
+
+    if (!confirm('Delete your account? You will be signed out everywhere.')) return;
+
+    showLoading('Scheduling deletion...');
+
+    try {
+        const response = await apiFetch('/account', {
+            method: 'DELETE',
+            body: JSON.stringify({ password: passwordInput.value })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            hideLoading();
+            showError(passwordError, data.message || 'Could not delete account');
+            return;
+        }
+
+        clearAuthTokens();
+        alert(`${data.message}\n\nScheduled for: ${new Date(data.deletionScheduledFor).toLocaleString('en-US')}`);
+        window.location.href = 'index.html';
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        hideLoading();
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+async function cancelAccountDeletion() {
+    try {
+        const response = await apiFetch('/account/restore', { method: 'POST' });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            displayDeletionState(data.user);
+            toast.success('Welcome Back', 'Your account will not be deleted', 3000);
+        } else {
+            toast.error('Error', data.message || 'Could not cancel deletion');
+        }
+    } catch (error) {
+        console.error('Cancel deletion error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+// ===========================
+// ACTIVITY
+// ===========================
+
+// Event types shown in the activity list (token rejections are too noisy)
+const ACTIVITY_TYPES = 'login,logout,reauthenticated,new_device,device_removed,register,password_reset,password_changed,mfa_enabled,mfa_disabled,passkey_added,passkey_removed,api_key_created,api_key_revoked,session_revoked,email_changed,data_exported,account_deletion_requested,account_deletion_cancelled';
+const ACTIVITY_PAGE_SIZE = 10;
+
+const ACTIVITY_LABELS = {
+    login: { icon: '🔐', success: 'Successful login', failure: 'Failed login attempt' },
+    logout: { icon: '🚪', success: 'Logged out', failure: 'Logout failed' },
+    reauthenticated: { icon: '🔒', success: 'Password confirmed for a sensitive action', failure: 'Failed password confirmation' },
+    new_device: { icon: '🖥️', success: 'Signed in from a new device', failure: 'New device sign-in failed' },
+    device_removed: { icon: '🖥️', success: 'Device forgotten', failure: 'Failed to forget device' },
+    register: { icon: '👤', success: 'Account created', failure: 'Registration failed' },
+    password_reset: { icon: '🔑', success: 'Password reset', failure: 'Password reset failed' },
+    mfa_enabled: { icon: '🛡️', success: 'Two-factor authentication enabled', failure: 'Two-factor setup failed' },
+    mfa_disabled: { icon: '🛡️', success: 'Two-factor authentication disabled', failure: 'Failed attempt to disable 2FA' },
+    passkey_added: { icon: '🗝️', success: 'Passkey added', failure: 'Passkey registration failed' },
+    passkey_removed: { icon: '🗝️', success: 'Passkey removed', failure: 'Passkey removal failed' },
+    api_key_created: { icon: '🔌', success: 'API key created', failure: 'API key creation failed' },
+    api_key_revoked: { icon: '🔌', success: 'API key revoked', failure: 'API key revoke failed' },
+    session_revoked: { icon: '💻', success: 'Session signed out', failure: 'Session revoke failed' },
+    password_changed: { icon: '🔑', success: 'Password changed', failure: 'Failed password change' },
+    email_changed: { icon: '📧', success: 'Email address changed', failure: 'Email change failed' },
+    data_exported: { icon: '📦', success: 'Data exported', failure: 'Data export failed' },
+    account_deletion_requested: { icon: '🗑️', success: 'Account deletion requested', failure: 'Failed account deletion attempt' },
+    account_deletion_cancelled: { icon: '♻️', success: 'Account deletion cancelled', failure: 'Deletion cancel failed' },
+    account_disabled: { icon: '⛔', success: 'Account disabled by an administrator', failure: 'Account disable failed' },
+    account_enabled: { icon: '✅', success: 'Account re-enabled by an administrator', failure: 'Account enable failed' },
+    password_reset_forced: { icon: '🔑', success: 'Password reset required by an administrator', failure: 'Forced reset failed' },
+    account_unlocked: { icon: '🔓', success: 'Login lockout cleared by an administrator', failure: 'Account unlock failed' },
+    token_rejected: { icon: '⚠️', success: 'Token accepted', failure: 'Rejected access token' }
+};
+
+let activityPage = 0;
+
+/**
+ * Fetch one page of the current user's authentication events
+ */
+async function fetchActivity(params) {
+    const response = await apiFetch(`/activity?${new URLSearchParams(params)}`, { method: 'GET' });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load activity');
+    }
+    return data;
+}
+
+/**
+ * Format a timestamp relative to now, e.g. "5 minutes ago"
+ */
+function formatRelativeTime(date) {
+    const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+
+    if (seconds < 60) return 'Just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`;
+    return new Date(date).toLocaleString('en-US');
+}
+
+function renderActivityItem(event) {
+    const label = ACTIVITY_LABELS[event.type] || { icon: 'ℹ️', success: event.type, failure: event.type };
+    const failed = event.outcome === 'failure';
+
+    // Logins the risk scoring challenged or blocked, with the reasons on hover
+    const risky = event.risk && event.risk.action !== 'allow';
+    const riskDetails = risky ? event.risk.signals.map(signal => signal.detail).join('\n') : '';
+
+    return `
+        <div class="activity-item">
+            <div class="activity-icon ${failed ? 'danger' : 'success'}">${label.icon}</div>
+            <div class="activity-content">
+                <p class="activity-title">${escapeHtml(failed ? label.failure : label.success)}</p>
+                <p class="activity-time">
+                    ${escapeHtml(formatRelativeTime(event.createdAt))} ·
+                    ${escapeHtml(event.ip || 'Unknown IP')} ·
+                    ${escapeHtml(describeUserAgent(event.userAgent))}
+                </p>
+            </div>
+            ${risky ? `<span class="activity-badge warning" title="${escapeHtml(riskDetails).replace(/"/g, '&quot;')}">Risk ${escapeHtml(event.risk.score)}</span>` : ''}
+            <span class="activity-badge ${failed ? 'danger' : 'success'}">${failed ? 'Failed' : 'Success'}</span>
+        </div>
+    `;
+}
+
+/**
+ * Load the first page of activity (or the next page when append is true)
+ */
+async function loadActivity(append = false) {
+    const list = document.getElementById('activityList');
+    if (!list) return;
+
+    const moreButton = document.getElementById('activityMore');
+    const page = append ? activityPage + 1 : 1;
+
+    try {
+        const data = await fetchActivity({ page, limit: ACTIVITY_PAGE_SIZE, type: ACTIVITY_TYPES });
+        activityPage = page;
+
+        const html = data.events.map(renderActivityItem).join('');
+        if (append) {
+            list.insertAdjacentHTML('beforeend', html);
+        } else {
+            list.innerHTML = html || '<p class="activity-time">No activity yet.</p>';
+        }
+
+        if (moreButton) {
+            moreButton.classList.toggle('hidden', page >= data.pagination.pages);
+        }
+    } catch (error) {
+        console.error('Activity load error:', error);
+        if (!append) {
+            list.innerHTML = '<p class="activity-time">Could not load activity.</p>';
+        }
+        toast.error('Error', 'Failed to load activity');
+    }
+}
+
+function loadMoreActivity() {
+    loadActivity(true);
+}
+
+/**
+ * Fill the login counters and success rate from the activity totals
+ */
+async function loadActivityStats() {
+    try {
+        const [successes, failures] = await Promise.all([
+            fetchActivity({ type: 'login', outcome: 'success', limit: 1 }),
+            fetchActivity({ type: 'login', outcome: 'failure', limit: 1 })
+        ]);
+
+        const succeeded = successes.pagination.total;
+        const failed = failures.pagination.total;
+        const attempts = succeeded + failed;
+        const rate = attempts ? (succeeded / attempts) * 100 : 100;
+
+        ['totalLogins', 'statSessions'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = succeeded;
+        });
+
+        const rateElement = document.getElementById('statSuccessRate');
+        if (rateElement) rateElement.textContent = `${rate.toFixed(1)}%`;
+
+        const rateBar = document.getElementById('statSuccessRateBar');
+        if (rateBar) rateBar.style.width = `${rate}%`;
+
+        const failedElement = document.getElementById('statFailedLogins');
+        if (failedElement) {
+            failedElement.textContent = `${failed} failed`;
+            failedElement.classList.toggle('positive', failed === 0);
+            failedElement.classList.toggle('negative', failed > 0);
+        }
+    } catch (error) {
+        console.error('Activity stats error:', error);
+    }
+}
+
+// ===========================
+// TWO-FACTOR AUTHENTICATION
+// ===========================
+
+/**
+ * Show enable/disable controls for the current 2FA state
+ */
+function displayTwoFactorState(user) {
+    const status = document.getElementById('twoFactorStatus');
+    if (!status) return;
+
+    status.textContent = user.twoFactorEnabled ? 'On' : 'Off';
+    status.classList.toggle('success', Boolean(user.twoFactorEnabled));
+    status.classList.toggle('warning', !user.twoFactorEnabled);
+
+    document.getElementById('twoFactorEnable').classList.toggle('hidden', Boolean(user.twoFactorEnabled));
+    document.getElementById('twoFactorDisable').classList.toggle('hidden', !user.twoFactorEnabled);
+    document.getElementById('twoFactorSetup').classList.add('hidden');
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const response = await apiFetch('/2fa/setup', { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            toast.error('Error', data.message || 'Could not start 2FA setup');
+            return;
+        }
+
+        document.getElementById('twoFactorQr').src = data.qrCode;
+        document.getElementById('twoFactorSecret').textContent = data.secret;
+        document.getElementById('twoFactorEnable').classList.add('hidden');
+        document.getElementById('twoFactorRecovery').classList.add('hidden');
+        document.getElementById('twoFactorSetup').classList.remove('hidden');
+        document.getElementById('twoFactorSetupCode').focus();
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+async function confirmTwoFactorSetup() {
+    const codeInput = document.getElementById('twoFactorSetupCode');
+    const codeError = document.getElementById('twoFactorSetupCodeError');
+    clearErrors(codeError);
+
+    const code = codeInput.value.trim();
+    if (!code) {
+        showError(codeError, 'Code is required');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/2fa/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            showError(codeError, data.message || 'Invalid verification code');
+            return;
+        }
+
+        codeInput.value = '';
+        displayTwoFactorState({ twoFactorEnabled: true });
+
+        document.getElementById('recoveryCodesList').innerHTML = data.recoveryCodes
+            .map(recoveryCode => `<li>${escapeHtml(recoveryCode)}</li>`)
+            .join('');
+        document.getElementById('twoFactorRecovery').classList.remove('hidden');
+
+        toast.success('2FA Enabled', 'Two-factor authentication is now on', 3000);
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+async function disableTwoFactor() {
+    const passwordInput = document.getElementById('twoFactorDisablePassword');
+    const passwordError = document.getElementById('twoFactorDisablePasswordError');
+    clearErrors(passwordError);
+
+    if (!passwordInput.value) {
+        showError(passwordError, 'Password is required');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ password: passwordInput.value })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            showError(passwordError, data.message || 'Could not disable 2FA');
+            return;
+        }
+
+        passwordInput.value = '';
+        document.getElementById('twoFactorRecovery').classList.add('hidden');
+        displayTwoFactorState({ twoFactorEnabled: false });
+        toast.success('2FA Disabled', 'Two-factor authentication is now off', 3000);
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+/**
+ * Show the passkeys card (when supported) and list registered passkeys
+ */
+async function loadPasskeys() {
+    const card = document.getElementById('passkeysCard');
+    const list = document.getElementById('passkeysList');
+    if (!card || !list) return;
+
+    card.classList.toggle('hidden', !isPasskeySupported());
+    if (!isPasskeySupported()) return;
+
+    try {
+        const response = await apiFetch('/webauthn/credentials', { method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load passkeys');
+        }
+
+        if (data.credentials.length === 0) {
+            list.innerHTML = '<p class="activity-time">No passkeys yet.</p>';
+            return;
+        }
+
+        list.innerHTML = data.credentials.map(credential => `
+            <div class="activity-item">
+                <div class="activity-icon info">🗝️</div>
+                <div class="activity-content">
+                    <p class="activity-title">${escapeHtml(credential.name)}</p>
+                    <p class="activity-time">
+                        ${credential.backedUp ? 'Synced' : 'This device only'} ·
+                        Added ${new Date(credential.createdAt).toLocaleDateString('en-US')} ·
+                        ${credential.lastUsedAt ? `Last used ${formatRelativeTime(credential.lastUsedAt)}` : 'Never used'}
+                    </p>
+                </div>
+                <button class="btn-link-small" onclick="removePasskey('${escapeHtml(credential.id)}')">Remove</button>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Passkeys load error:', error);
+        list.innerHTML = '<p class="activity-time">Could not load passkeys.</p>';
+    }
+}
+
+async function registerPasskey() {
+    const nameInput = document.getElementById('passkeyName');
+
+    try {
+        const optionsResponse = await apiFetch('/webauthn/register/options', { method: 'POST' });
+        const optionsData = await optionsResponse.json();
+
+        if (!optionsResponse.ok || !optionsData.success) {
+            toast.error('Error', optionsData.message || 'Could not start passkey registration');
+            return;
+        }
+
+        const credential = await navigator.credentials.create({
+            publicKey: decodePasskeyOptions(optionsData.options)
+        });
+
+        const response = await apiFetch('/webauthn/register/verify', {
+            method: 'POST',
+            body: JSON.stringify({
+                challengeId: optionsData.challengeId,
+                response: encodePasskeyCredential(credential),
+                name: nameInput.value.trim()
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            toast.error('Error', data.message || 'Could not register passkey');
+            return;
+        }
+
+        nameInput.value = '';
+        toast.success('Passkey Added', 'You can now sign in with this passkey', 3000);
+        loadPasskeys();
+    } catch (error) {
+        // The user dismissed the browser prompt
+        if (error.name === 'NotAllowedError' || error.name === 'AbortError') return;
+
+        console.error('Passkey registration error:', error);
+        toast.error('Error', error.name === 'InvalidStateError'
+            ? 'This passkey is already registered'
+            : 'Could not register passkey. Please try again.');
+    }
+}
+
+async function removePasskey(credentialId) {
+    if (!confirm('Remove this passkey? You will no longer be able to sign in with it.')) return;
+
+    try {
+        const response = await apiFetch(`/webauthn/credentials/${encodeURIComponent(credentialId)}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            toast.success('Passkey Removed', 'The passkey has been removed', 2000);
+            loadPasskeys();
+        } else {
+            toast.error('Error', data.message || 'Failed to remove passkey');
+        }
+    } catch (error) {
+        console.error('Passkey remove error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+// ===========================
+// API KEYS
+// ===========================
+
+const API_KEY_SCOPE_LABELS = {
+    'profile:read': 'Read profile',
+    'activity:read': 'Read login activity',
+    'sessions:read': 'List sessions',
+    'users:read': 'Admin: view users',
+    'users:manage': 'Admin: manage users',
+    'lockouts:manage': 'Admin: manage lockouts',
+    'oauth_clients:manage': 'Admin: manage OAuth clients',
+    'keys:manage': 'Admin: manage signing keys'
+};
+
+async function loadApiKeys() {
+    const list = document.getElementById('apiKeysList');
+    const scopes = document.getElementById('apiKeyScopes');
+    if (!list || !scopes) return;
+
+    try {
+        const response = await apiFetch('/api-keys', { method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load API keys');
+        }
+
+        scopes.innerHTML = data.scopes.map(scope => `
+            <label class="remember-me">
+                <input type="checkbox" value="${escapeHtml(scope)}">
+                <span>${escapeHtml(API_KEY_SCOPE_LABELS[scope] || scope)}</span>
+            </label>
+        `).join('');
+
+        if (data.keys.length === 0) {
+            list.innerHTML = '<p class="activity-time">No API keys yet.</p>';
+            return;
+        }
+
+        list.innerHTML = data.keys.map(key => `
+            <div class="activity-item">
+                <div class="activity-icon info">🔌</div>
+                <div class="activity-content">
+                    <p class="activity-title">${escapeHtml(key.name)} <code>${escapeHtml(key.hint)}…</code></p>
+                    <p class="activity-time">
+                        ${escapeHtml(key.scopes.join(', '))} ·
+                        Expires ${new Date(key.expiresAt).toLocaleDateString('en-US')} ·
+                        ${key.lastUsedAt ? `Last used ${formatRelativeTime(key.lastUsedAt)} from ${escapeHtml(key.lastUsedIp)}` : 'Never used'}
+                    </p>
+                </div>
+                <button class="btn-link-small" onclick="revokeApiKey('${escapeHtml(key.id)}')">Revoke</button>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('API keys load error:', error);
+        list.innerHTML = '<p class="activity-time">Could not load API keys.</p>';
+    }
+}
+
+async function createApiKey() {
+    const nameInput = document.getElementById('apiKeyName');
+    const scopes = [...document.querySelectorAll('#apiKeyScopes input:checked')].map(input => input.value);
+
+    if (!nameInput.value.trim()) {
+        toast.error('Error', 'Please give the key a name');
+        return;
+    }
+    if (scopes.length === 0) {
+        toast.error('Error', 'Select at least one scope');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/api-keys', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: nameInput.value.trim(),
+                scopes,
+                expiresInDays: Number(document.getElementById('apiKeyExpiry').value)
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            toast.error('Error', (data.errors && data.errors[0].msg) || data.message || 'Could not create API key');
+            return;
+        }
+
+        nameInput.value = '';
+        document.getElementById('apiKeyValue').textContent = data.key;
+        document.getElementById('apiKeyCreated').classList.remove('hidden');
+        toast.success('API Key Created', 'Copy the key now - it will not be shown again', 4000);
+        loadApiKeys();
+    } catch (error) {
+        console.error('API key create error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+async function revokeApiKey(keyId) {
+    if (!confirm('Revoke this API key? Scripts using it will stop working.')) return;
+
+    try {
+        const response = await apiFetch(`/api-keys/${encodeURIComponent(keyId)}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            document.getElementById('apiKeyCreated').classList.add('hidden');
+            toast.success('API Key Revoked', 'The key no longer works', 2000);
+            loadApiKeys();
+        } else {
+            toast.error('Error', data.message || 'Failed to revoke API key');
+        }
+    } catch (error) {
+        console.error('API key revoke error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+// ===========================
+// SESSIONS
+// ===========================
+
+/**
+ * Summarize a user agent string as "Browser on OS"
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Browser';
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : 'Unknown OS';
+
+    return `${browser} on ${os}`;
+}
+
+async function loadSessions() {
+    const list = document.getElementById('sessionsList');
+    if (!list) return;
+
+    try {
+        const response = await apiFetch('/sessions', { method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load sessions');
+        }
+
+        if (data.sessions.length === 0) {
+            list.innerHTML = '<p class="activity-time">No active sessions.</p>';
+            return;
+        }
+
+        list.innerHTML = data.sessions.map(session => `
+            <div class="activity-item">
+                <div class="activity-icon ${session.current ? 'success' : 'info'}">💻</div>
+                <div class="activity-content">
+                    <p class="activity-title">${escapeHtml(describeUserAgent(session.userAgent))}</p>
+                    <p class="activity-time">
+                        ${escapeHtml(session.ip || 'Unknown IP')} ·
+                        ${session.persistent ? 'Remembered' : 'Browser session'} ·
+                        Signed in ${new Date(session.createdAt).toLocaleString('en-US')} ·
+                        Last active ${new Date(session.lastSeenAt).toLocaleString('en-US')}
+                    </p>
+                </div>
+                ${session.current
+                    ? '<span class="activity-badge success">This device</span>'
+                    : `<button class="btn-link-small" onclick="revokeSession('${escapeHtml(session.id)}')">Revoke</button>`}
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Sessions load error:', error);
+        list.innerHTML = '<p class="activity-time">Could not load sessions.</p>';
+        toast.error('Error', 'Failed to load sessions');
+    }
+}
+
+async function revokeSession(sessionId) {
+    if (!confirm('Sign this device out?')) return;
+
+    try {
+        const response = await apiFetch(`/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            toast.success('Session Revoked', 'The device has been signed out', 2000);
+            loadSessions();
+        } else {
+            toast.error('Error', data.message || 'Failed to revoke session');
+        }
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+async function signOutEverywhere() {
+    if (!confirm('Sign out of every device, including this one?')) return;
+
+    showLoading('Signing out everywhere...');
+
+    try {
+        await apiFetch('/sessions', { method: 'DELETE' });
+    } catch (error) {
+        console.error('Sign out everywhere error:', error);
+    } finally {
+        clearAuthTokens();
+        hideLoading();
+        window.location.href = 'index.html';
+    }
+}
+
+// ===========================
+// DEVICES
+// ===========================
+
+let knownDevices = [];
+
+/**
+ * Show the new-device notice while any device is unacknowledged
+ */
+function displayNewDeviceNotice() {
+    const banner = document.getElementById('newDeviceBanner');
+    if (!banner) return;
+
+    const unacknowledged = knownDevices.filter(device => !device.acknowledged);
+    banner.classList.toggle('hidden', unacknowledged.length === 0);
+
+    if (unacknowledged.length > 0) {
+        const latest = unacknowledged[0];
+        const more = unacknowledged.length > 1 ? ` (and ${unacknowledged.length - 1} more)` : '';
+        document.getElementById('newDeviceBannerText').textContent =
+            `⚠️ New sign-in from ${latest.name} on ${new Date(latest.firstSeenAt).toLocaleString('en-US')}${more}. Was this you?`;
+    }
+}
+
+async function loadDevices() {
+    const list = document.getElementById('devicesList');
+
+    try {
+        const response = await apiFetch('/devices', { method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load devices');
         }
-    });
-}
 
-function animateValue(element, start, end, duration) {
-    let startTimestamp = null;
-    const step = (timestamp) => {
-        if (!startTimestamp) startTimestamp = timestamp;
-        const progress = Math.min((timestamp - startTimestamp) / duration, 1);
-        const value = Math.floor(progress * (end - start) + start);
-        element.textContent = value.toLocaleString();
-        if (progress < 1) {
-            window.requestAnimationFrame(step);
+        knownDevices = data.devices;
+        displayNewDeviceNotice();
+        if (!list) return;
+
+        if (knownDevices.length === 0) {
+            list.innerHTML = '<p class="activity-time">No devices yet.</p>';
+            return;
         }
-    };
-    window.requestAnimationFrame(step);
-}
 
-// Toggle sidebar for mobile
-function toggleSidebar() {
-    const sidebar = document.querySelector('.sidebar');
-    if (sidebar) {
-        sidebar.classList.toggle('mobile-active');
+        list.innerHTML = knownDevices.map(device => `
+            <div class="activity-item">
+                <div class="activity-icon ${device.acknowledged ? 'info' : 'warning'}">🖥️</div>
+                <div class="activity-content">
+                    <p class="activity-title">${escapeHtml(device.name)}</p>
+                    <p class="activity-time">
+                        ${escapeHtml(describeUserAgent(device.userAgent))} ·
+                        ${escapeHtml(device.lastIp || 'Unknown IP')} ·
+                        First seen ${new Date(device.firstSeenAt).toLocaleString('en-US')} ·
+                        Last seen ${new Date(device.lastSeenAt).toLocaleString('en-US')}
+                    </p>
+                </div>
+                ${device.current ? '<span class="activity-badge success">This device</span>' : ''}
+                ${device.acknowledged ? '' : '<span class="activity-badge warning">New</span>'}
+                <button class="btn-link-small" onclick="renameDevice('${escapeHtml(device.id)}')">Rename</button>
+                <button class="btn-link-small" onclick="forgetDevice('${escapeHtml(device.id)}')">Forget</button>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Devices load error:', error);
+        if (list) list.innerHTML = '<p class="activity-time">Could not load devices.</p>';
     }
 }
 
-// Toggle theme
-function toggleTheme() {
-    document.body.classList.toggle('light-theme');
-    const isDark = !document.body.classList.contains('light-theme');
-    localStorage.setItem('theme', isDark ? 'dark' : 'light');
-    toast.info('Theme Changed', `Switched to ${isDark ? 'dark' : 'light'} mode`, 2000);
-}
+async function updateDevice(deviceId, changes) {
+    const response = await apiFetch(`/devices/${encodeURIComponent(deviceId)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    });
+    const data = await response.json();
 
-// Export data
-function exportData() {
-    toast.info('Exporting', 'Preparing your data export...', 3000);
-    setTimeout(() => {
-        toast.success('Export Ready', 'Your data has been exported successfully', 3000);
-    }, 2000);
+    if (!response.ok || !data.success) {
+        throw new Error((data.errors && data.errors[0].msg) || data.message || 'Failed to update device');
+    }
+    return data.device;
 }
 
-// Download report
-function downloadReport() {
-    toast.info('Generating Report', 'Please wait...', 2000);
-    setTimeout(() => {
-        toast.success('Report Ready', 'Your report is ready to download', 3000);
-    }, 1500);
-}
+async function renameDevice(deviceId) {
+    const device = knownDevices.find(item => item.id === deviceId);
+    const name = prompt('Name this device:', device ? device.name : '');
+    if (name === null || !name.trim()) return;
 
-// Edit profile
-function editProfile() {
-    switchSection('profile');
-    toast.info('Edit Mode', 'You can now edit your profile', 2000);
+    try {
+        await updateDevice(deviceId, { name: name.trim() });
+        toast.success('Device Renamed', 'The device name has been updated', 2000);
+        loadDevices();
+    } catch (error) {
+        console.error('Device rename error:', error);
+        toast.error('Error', error.message);
+    }
 }
 
-async function loadUserProfile() {
-    const token = localStorage.getItem('token');
-    if (!token) {
-        window.location.href = 'index.html';
-        return;
+/**
+ * "It was me": confirm every device behind the new-device notice
+ */
+async function acknowledgeNewDevices() {
+    try {
+        await Promise.all(knownDevices
+            .filter(device => !device.acknowledged)
+            .map(device => updateDevice(device.id, { acknowledged: true })));
+        loadDevices();
+    } catch (error) {
+        console.error('Device acknowledge error:', error);
+        toast.error('Error', error.message);
     }
+}
+
+async function forgetDevice(deviceId) {
+    if (!confirm('Forget this device? It will be signed out, and its next sign-in will count as a new device.')) return;
 
     try {
-        const response = await fetch(`${API_URL}/profile`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-        });
+        const response = await apiFetch(`/devices/${encodeURIComponent(deviceId)}`, { method: 'DELETE' });
+        const data = await response.json();
 
-        if (response.ok) {
-            const data = await response.json();
-            if (data.success && data.user) {
-                displayUserProfile(data.user);
-                updateActivityTimestamps();
-            } else {
-                redirectToLogin();
-            }
-        } else {
-            console.log('Authentication failed:', response.status);
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            redirectToLogin();
+        if (!response.ok || !data.success) {
+            toast.error('Error', data.message || 'Failed to forget device');
+            return;
+        }
+
+        if (data.current) {
+            // This browser's own session was just revoked
+            clearAuthTokens();
+            window.location.href = 'index.html';
+            return;
         }
+
+        toast.success('Device Forgotten', 'The device has been signed out', 2000);
+        loadDevices();
+        loadSessions();
     } catch (error) {
-        console.error('Profile load error:', error);
-        toast.error('Error', 'Failed to load profile');
-        redirectToLogin();
+        console.error('Device forget error:', error);
+        toast.error('Error', 'Network error. Please try again.');
     }
 }
 
-function displayUserProfile(user) {
-    // Get user initials
-    const initials = user.name
-        .split(' ')
-        .map(n => n[0])
-        .join('')
-        .toUpperCase()
-        .slice(0, 2);
-    
-    // Update all avatar instances
-    const avatars = ['userAvatar', 'topbarAvatar', 'sidebarAvatar', 'profileAvatar'];
-    avatars.forEach(id => {
-        const element = document.getElementById(id);
-        if (element) element.textContent = initials;
+// ===========================
+// ADMIN USER MANAGEMENT
+// ===========================
+
+const ADMIN_PAGE_SIZE = 20;
+let adminUsersPage = 1;
+let adminSelectedUser = null;
+
+function adminFetch(path, options = {}) {
+    return apiFetch(path, { ...options, baseUrl: ADMIN_API_URL });
+}
+
+function initAdminSection() {
+    const searchInput = document.getElementById('adminUserSearch');
+    if (!searchInput) return;
+
+    let searchTimer;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            adminUsersPage = 1;
+            loadAdminUsers();
+        }, 300);
     });
 
-    // Update user name instances
-    const userNameElement = document.getElementById('userName');
-    const sidebarNameElement = document.getElementById('sidebarUserName');
-    const firstName = user.name.split(' ')[0];
-    
-    if (userNameElement) userNameElement.textContent = firstName;
-    if (sidebarNameElement) sidebarNameElement.textContent = firstName;
+    document.getElementById('adminUserStatus').addEventListener('change', () => {
+        adminUsersPage = 1;
+        loadAdminUsers();
+    });
+}
 
-    // Update profile details
-    const profileElements = {
-        userFullName: user.name,
-        profileFullName: user.name,
-        userEmail: user.email,
-        profileEmail: user.email
-    };
+async function loadAdminUsers() {
+    const list = document.getElementById('adminUsersList');
+    if (!list) return;
 
-    Object.entries(profileElements).forEach(([id, value]) => {
-        const element = document.getElementById(id);
-        if (element) element.textContent = value;
+    const params = new URLSearchParams({
+        page: adminUsersPage,
+        limit: ADMIN_PAGE_SIZE,
+        search: document.getElementById('adminUserSearch').value.trim(),
+        status: document.getElementById('adminUserStatus').value
     });
 
-    // Format and display dates
-    if (user.createdAt || user.registeredAt) {
-        const regDate = new Date(user.createdAt || user.registeredAt);
-        const memberSinceElement = document.getElementById('memberSince');
-        if (memberSinceElement) {
-            memberSinceElement.textContent = regDate.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
+    try {
+        const response = await adminFetch(`/users?${params}`, { method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to load users');
         }
 
-        // Calculate account age
-        const accountAgeElement = document.getElementById('accountAge');
-        if (accountAgeElement) {
-            const ageInDays = Math.floor((Date.now() - regDate.getTime()) / (1000 * 60 * 60 * 24));
-            if (ageInDays < 30) {
-                accountAgeElement.textContent = `${ageInDays} days`;
-            } else if (ageInDays < 365) {
-                accountAgeElement.textContent = `${Math.floor(ageInDays / 30)} months`;
-            } else {
-                accountAgeElement.textContent = `${Math.floor(ageInDays / 365)} years`;
-            }
+        const { page, pages, total } = data.pagination;
+        document.getElementById('adminUsersTotal').textContent = `(${total})`;
+        document.getElementById('adminUsersPage').textContent = pages ? `Page ${page} of ${pages}` : '';
+        document.getElementById('adminPrevPage').disabled = page <= 1;
+        document.getElementById('adminNextPage').disabled = page >= pages;
+
+        if (data.users.length === 0) {
+            list.innerHTML = '<p class="activity-time">No users found.</p>';
+            return;
         }
+
+        list.innerHTML = data.users.map(user => `
+            <div class="activity-item">
+                <div class="activity-icon ${user.disabled ? 'danger' : 'info'}">👤</div>
+                <div class="activity-content">
+                    <p class="activity-title">${escapeHtml(user.name)}</p>
+                    <p class="activity-time">
+                        ${escapeHtml(user.email)} ·
+                        Joined ${new Date(user.registeredAt).toLocaleDateString('en-US')}
+                    </p>
+                </div>
+                ${(user.roles || []).includes('admin') ? '<span class="activity-badge warning">Admin</span>' : ''}
+                ${user.disabled ? '<span class="activity-badge danger">Disabled</span>' : ''}
+                ${user.emailVerified ? '' : '<span class="activity-badge warning">Unverified</span>'}
+                <button class="btn-link-small" onclick="viewAdminUser('${escapeHtml(user.id)}')">View</button>
+            </div>
+        `).join('');
+
+    } catch (error) {
+        console.error('Admin users load error:', error);
+        list.innerHTML = '<p class="activity-time">Could not load users.</p>';
+        toast.error('Error', error.message);
     }
+}
 
-    // Last login
-    const lastLoginElement = document.getElementById('lastLogin');
-    if (lastLoginElement) {
-        if (user.lastLogin) {
-            const lastLogin = new Date(user.lastLogin);
-            lastLoginElement.textContent = lastLogin.toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+function changeAdminUsersPage(delta) {
+    adminUsersPage = Math.max(adminUsersPage + delta, 1);
+    loadAdminUsers();
+}
+
+async function viewAdminUser(userId) {
+    try {
+        const response = await adminFetch(`/users/${encodeURIComponent(userId)}`, { method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            toast.error('Error', data.message || 'Failed to load user');
+            return;
+        }
+
+        const { user, sessions, recentActivity, lockout } = data;
+        adminSelectedUser = user;
+
+        document.getElementById('adminUserName').textContent = user.name;
+        document.getElementById('adminUserMeta').textContent =
+            `${user.email} · Roles: ${(user.roles || []).join(', ')}`
+            + (user.lastLogin ? ` · Last login ${new Date(user.lastLogin).toLocaleString('en-US')}` : '');
+
+        const statusBadge = document.getElementById('adminUserStatusBadge');
+        statusBadge.textContent = user.disabled
+            ? `Disabled${user.disabledReason ? `: ${user.disabledReason}` : ''}`
+            : user.passwordResetRequired ? 'Password reset required' : 'Active';
+        statusBadge.className = `activity-badge ${user.disabled ? 'danger' : user.passwordResetRequired ? 'warning' : 'success'}`;
+
+        document.getElementById('adminUserSessions').textContent = sessions.length;
+        document.getElementById('adminUserLockout').textContent = lockout.locked
+            ? `${lockout.failures} (locked for ${Math.ceil(lockout.retryAfter / 60)} min)`
+            : lockout.failures;
+        document.getElementById('adminToggleStatus').textContent = user.disabled ? 'Enable Account' : 'Disable Account';
+        document.getElementById('adminUnlock').classList.toggle('hidden', !lockout.locked);
+
+        document.getElementById('adminUserActivity').innerHTML = recentActivity.length
+            ? recentActivity.map(renderActivityItem).join('')
+            : '<p class="activity-time">No activity recorded.</p>';
+
+        const details = document.getElementById('adminUserDetails');
+        details.classList.remove('hidden');
+        details.scrollIntoView({ behavior: 'smooth' });
+
+    } catch (error) {
+        console.error('Admin user load error:', error);
+        toast.error('Error', 'Network error. Please try again.');
+    }
+}
+
+/**
+ * Run an admin action on the selected user, then refresh the views
+ */
+async function runAdminUserAction(path, options, successTitle) {
+    if (!adminSelectedUser) return;
+
+    try {
+        const response = await adminFetch(path, options);
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            toast.success(successTitle, data.message, 3000);
+            viewAdminUser(adminSelectedUser.id);
+            loadAdminUsers();
         } else {
-            lastLoginElement.textContent = 'Just now';
+            toast.error('Error', data.message || 'Action failed');
         }
+    } catch (error) {
+        console.error('Admin action error:', error);
+        toast.error('Error', 'Network error. Please try again.');
     }
+}
+
+function toggleAdminUserStatus() {
+    if (!adminSelectedUser) return;
 
-    // Update total logins (simulated for now)
-    const totalLoginsElement = document.getElementById('totalLogins');
-    if (totalLoginsElement) {
-        totalLoginsElement.textContent = Math.floor(Math.random() * 100) + 50;
+    const disabling = !adminSelectedUser.disabled;
+    let reason = '';
+
+    if (disabling) {
+        reason = prompt(`Disable ${adminSelectedUser.email}? Optionally enter a reason:`, '');
+        if (reason === null) return;
+    } else if (!confirm(`Re-enable ${adminSelectedUser.email}?`)) {
+        return;
     }
+
+    runAdminUserAction(`/users/${encodeURIComponent(adminSelectedUser.id)}/status`, {
+        method: 'PATCH',
+        body: JSON.stringify({ disabled: disabling, reason })
+    }, disabling ? 'Account Disabled' : 'Account Enabled');
 }
 
-function updateActivityTimestamps() {
-    const now = new Date();
-    const loginTimeElements = ['loginTime', 'activityLoginTime'];
-    
-    loginTimeElements.forEach(id => {
-        const element = document.getElementById(id);
-        if (element) {
-            element.textContent = 'Just now';
-        }
-    });
+function forceAdminPasswordReset() {
+    if (!adminSelectedUser) return;
+    if (!confirm(`Sign ${adminSelectedUser.email} out and require a password reset?`)) return;
+
+    runAdminUserAction(`/users/${encodeURIComponent(adminSelectedUser.id)}/force-password-reset`, {
+        method: 'POST'
+    }, 'Reset Required');
+}
+
+function revokeAdminUserSessions() {
+    if (!adminSelectedUser) return;
+    if (!confirm(`Sign ${adminSelectedUser.email} out of every device?`)) return;
+
+    runAdminUserAction(`/users/${encodeURIComponent(adminSelectedUser.id)}/sessions`, {
+        method: 'DELETE'
+    }, 'Sessions Revoked');
+}
+
+function unlockAdminUser() {
+    if (!adminSelectedUser) return;
+
+    runAdminUserAction(`/lockouts/${encodeURIComponent(adminSelectedUser.email)}`, {
+        method: 'DELETE'
+    }, 'Account Unlocked');
 }
 
 function redirectToLogin() {
@@ -865,22 +3373,13 @@ async function logout() {
         return;
     }
 
-    const token = localStorage.getItem('token');
     showLoading('Logging out...');
 
     try {
-        await fetch(`${API_URL}/logout`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            credentials: 'include'
-        });
+        await apiFetch('/logout', { method: 'POST' });
 
         // Clear local storage
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearAuthTokens();
 
         toast.success('Logged Out', 'You have been logged out successfully', 2000);
 
@@ -892,8 +3391,7 @@ async function logout() {
     } catch (error) {
         console.error('Logout error:', error);
         // Still clear and redirect
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearAuthTokens();
         window.location.href = 'index.html';
     } finally {
         hideLoading();
@@ -923,6 +3421,104 @@ function refreshPage() {
     }, 800);
 }
 
+// ===========================
+// OAUTH CONSENT PAGE
+// ===========================
+
+const OAUTH_SCOPE_LABELS = {
+    openid: 'Sign you in with your SecureSphere account',
+    profile: 'See your name',
+    email: 'See your email address',
+    offline_access: 'Stay connected when you are not using it'
+};
+
+/**
+ * Show a pending authorization request and let the user allow or deny it
+ * Requests the user already approved go straight back to the application.
+ */
+async function initConsentPage() {
+    const requestId = new URLSearchParams(window.location.search).get('request');
+    const statusText = document.getElementById('consentStatusText');
+    const errorElement = document.getElementById('consentError');
+
+    if (!requestId) {
+        statusText.textContent = 'No authorization request found.';
+        return;
+    }
+
+    if (!(await checkAuthStatus())) {
+        window.location.replace(`index.html?oauthRequest=${encodeURIComponent(requestId)}`);
+        return;
+    }
+
+    const decide = async (approve, button) => {
+        if (button) setButtonLoading(button, true, approve ? 'Authorizing...' : 'Cancelling...');
+
+        try {
+            const response = await apiFetch(`/requests/${encodeURIComponent(requestId)}/decision`, {
+                baseUrl: OAUTH_URL,
+                method: 'POST',
+                body: JSON.stringify({ approve })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Could not complete the request');
+            }
+            window.location.replace(data.redirectTo);
+        } catch (error) {
+            console.error('OAuth decision error:', error);
+            if (button) setButtonLoading(button, false);
+            showError(errorElement, error.message);
+        }
+    };
+
+    try {
+        const response = await apiFetch(`/requests/${encodeURIComponent(requestId)}`, { baseUrl: OAUTH_URL, method: 'GET' });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || 'This sign-in request is no longer valid');
+        }
+
+        const { request } = data;
+
+        if (!request.consentRequired) {
+            statusText.textContent = `Signing you in to ${request.client.name}...`;
+            decide(true);
+            return;
+        }
+
+        const user = JSON.parse(getAuthItem('user') || '{}');
+
+        document.getElementById('consentTitle').textContent = `Authorize ${request.client.name}`;
+        statusText.textContent = `${request.client.name} would like to:`;
+        document.getElementById('consentScopes').innerHTML = request.scopes
+            .map(scope => `<li>${escapeHtml(OAUTH_SCOPE_LABELS[scope] || `Access "${scope}"`)}</li>`)
+            .join('');
+        document.getElementById('consentRedirect').textContent = `You will be sent back to ${request.redirectOrigin}.`;
+        document.getElementById('consentAccount').textContent = user.email || 'your account';
+        document.getElementById('consentDetails').classList.remove('hidden');
+
+        document.getElementById('consentAllow').addEventListener('click', function() {
+            decide(true, this);
+        });
+        document.getElementById('consentDeny').addEventListener('click', function() {
+            decide(false, this);
+        });
+        document.getElementById('consentSwitchAccount').addEventListener('click', async function(e) {
+            e.preventDefault();
+            await apiFetch('/logout', { method: 'POST' }).catch(() => {});
+            clearAuthTokens();
+            window.location.replace(`index.html?oauthRequest=${encodeURIComponent(requestId)}`);
+        });
+    } catch (error) {
+        console.error('OAuth request error:', error);
+        statusText.textContent = '';
+        showError(errorElement, error.message);
+    }
+}
+
 // ===========================
 // PAGE INITIALIZATION
 // ===========================
@@ -937,8 +3533,16 @@ document.addEventListener('DOMContentLoaded', function() {
         initLoginPage();
     } else if (page === 'register.html') {
         initRegisterPage();
+    } else if (page === 'forgot-password.html') {
+        initForgotPasswordPage();
+    } else if (page === 'reset-password.html') {
+        initResetPasswordPage();
+    } else if (page === 'verify-email.html') {
+        initVerifyEmailPage();
     } else if (page === 'dashboard.html') {
         initDashboardPage();
+    } else if (page === 'consent.html') {
+        initConsentPage();
     }
 
     // Add smooth page transition
@@ -957,5 +3561,28 @@ window.switchSection = switchSection;
 window.toggleSidebar = toggleSidebar;
 window.toggleTheme = toggleTheme;
 window.exportData = exportData;
-window.downloadReport = downloadReport;
+window.deleteAccount = deleteAccount;
+window.loadAdminUsers = loadAdminUsers;
+window.changeAdminUsersPage = changeAdminUsersPage;
+window.viewAdminUser = viewAdminUser;
+window.toggleAdminUserStatus = toggleAdminUserStatus;
+window.forceAdminPasswordReset = forceAdminPasswordReset;
+window.revokeAdminUserSessions = revokeAdminUserSessions;
+window.unlockAdminUser = unlockAdminUser;
+window.cancelAccountDeletion = cancelAccountDeletion;
 window.editProfile = editProfile;
+window.loadSessions = loadSessions;
+window.loadMoreActivity = loadMoreActivity;
+window.revokeSession = revokeSession;
+window.renameDevice = renameDevice;
+window.forgetDevice = forgetDevice;
+window.acknowledgeNewDevices = acknowledgeNewDevices;
+window.signOutEverywhere = signOutEverywhere;
+window.resendVerificationEmail = resendVerificationEmail;
+window.startTwoFactorSetup = startTwoFactorSetup;
+window.confirmTwoFactorSetup = confirmTwoFactorSetup;
+window.disableTwoFactor = disableTwoFactor;
+window.registerPasskey = registerPasskey;
+window.removePasskey = removePasskey;
+window.createApiKey = createApiKey;
+window.revokeApiKey = revokeApiKey;